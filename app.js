@@ -0,0 +1,126 @@
+const express = require('express');
+const cors = require('cors');
+const { createMailer } = require('./mailer');
+const { createLiveHub } = require('./live');
+const { createImageStore } = require('./storage');
+const { sendError } = require('./validation');
+const { createTokens, createGuards } = require('./auth');
+const { createPaymentGateway, createGroqClient, createGeocoder } = require('./clients');
+const { createServices } = require('./services');
+const { createImageReceiver } = require('./routes/uploads');
+const { createSuperAdminRouter } = require('./routes/superAdmin');
+const { createOwnerRouter } = require('./routes/owner');
+const { createSearchRouter } = require('./routes/search');
+const { createPgRouter } = require('./routes/pg');
+const { createReviewRouter } = require('./routes/reviews');
+const { createAnnouncementRouter } = require('./routes/announcements');
+const { createTicketRouter } = require('./routes/tickets');
+const { createChatRouter } = require('./routes/chat');
+const { createVisitRouter } = require('./routes/visits');
+const { createPaymentRouter } = require('./routes/payments');
+const { createUserRouter } = require('./routes/users');
+const { createLiveRouter } = require('./routes/live');
+
+// The Express app, built from its dependencies so tests can pass fakes for any of them:
+//   db        a pg Pool (or anything with query() and connect())
+//   mailer    see mailer.js; createMailer({ pool, transport: memoryTransport() }) keeps emails in memory
+//   liveHub   see live.js; live updates published through Postgres NOTIFY
+//   llm       chat model client; see createGroqClient in clients.js
+//   clock     { now() } - the time every business rule runs at (token expiry, due dates, visit days)
+// The payment gateway, geocoder and image store can be swapped the same way.
+
+const systemClock = { now: () => new Date() };
+
+// Settings read from the environment (see README)
+const configFromEnv = (env = process.env) => ({
+    authTokenSecret: env.AUTH_TOKEN_SECRET,
+    authTokenTtlSeconds: parseInt(env.AUTH_TOKEN_TTL_SECONDS) || 12 * 60 * 60,
+    superAdminPassword: env.SUPER_ADMIN_PASSWORD || 'SuperSecretAdmin2024!',
+    passwordResetUrl: env.PASSWORD_RESET_URL || null,
+    uploadMaxMb: parseFloat(env.UPLOAD_MAX_MB) || 5,
+    bookingHoldMinutes: parseInt(env.BOOKING_HOLD_MINUTES) || 15
+});
+
+const createApp = ({
+    db,
+    mailer = createMailer({ pool: db }),
+    liveHub = createLiveHub({ pool: db }),
+    llm = createGroqClient(),
+    clock = systemClock,
+    paymentGateway = createPaymentGateway(),
+    geocoder = createGeocoder(),
+    imageStore = createImageStore(),
+    config = configFromEnv()
+}) => {
+    const tokens = createTokens({ secret: config.authTokenSecret, ttlSeconds: config.authTokenTtlSeconds, clock });
+    const guards = createGuards({ db, tokens });
+    const services = createServices({ db, mailer, liveHub, llm, clock, tokens, paymentGateway, geocoder, imageStore, config });
+    const receiveImages = createImageReceiver({ maxMb: config.uploadMaxMb });
+
+    const app = express();
+    app.locals.services = services;
+    app.locals.tokens = tokens;
+
+    // Middleware
+    app.use(cors());
+    // Images are uploaded as multipart files (see routes/uploads.js), so JSON bodies stay small
+    app.use(express.json({
+        limit: '1mb',
+        // Webhook signatures are computed over the exact bytes received
+        verify: (req, res, buf) => {
+            if (req.originalUrl === '/api/payment/webhook') req.rawBody = buf;
+        }
+    }));
+    app.use(express.urlencoded({ limit: '1mb', extended: true }));
+
+    // Local disk storage is served by the app; other drivers hand out their own URLs
+    if (imageStore.driver.name === 'local' && imageStore.driver.baseUrl.startsWith('/')) {
+        app.use(imageStore.driver.baseUrl, express.static(imageStore.driver.dir, {
+            maxAge: '30d',
+            immutable: true,
+            setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+        }));
+    }
+
+    app.get('/api/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            message: 'Server is running',
+            groq_key_set: llm.configured,
+            groq_key_length: llm.keyLength
+        });
+    });
+
+    // Registration order matters where paths overlap: /api/pg/search before /api/pg/:id/...,
+    // /api/owner/forgot-password before /api/owner/:id
+    const deps = { services, guards, receiveImages };
+    app.use(createChatRouter(deps));
+    app.use(createSuperAdminRouter(deps));
+    app.use(createOwnerRouter(deps));
+    app.use(createSearchRouter(deps));
+    app.use(createPgRouter(deps));
+    app.use(createReviewRouter(deps));
+    app.use(createAnnouncementRouter(deps));
+    app.use(createTicketRouter(deps));
+    app.use(createVisitRouter(deps));
+    app.use(createPaymentRouter(deps));
+    app.use(createUserRouter(deps));
+    app.use(createLiveRouter(deps));
+
+    // Unknown API routes answer in the error envelope rather than Express's HTML page
+    app.use('/api', (req, res) => sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`));
+
+    // Body parser failures (malformed JSON, bodies over the 1mb limit) answer in the error envelope too
+    app.use((error, req, res, next) => {
+        if (error.type === 'entity.too.large') {
+            return sendError(res, 413, 'Request body too large; upload images with POST /api/uploads/images');
+        }
+        if (error.type === 'entity.parse.failed') return sendError(res, 400, 'Malformed JSON body');
+        console.error('Unhandled error:', error);
+        sendError(res, 500, 'Internal Server Error');
+    });
+
+    return app;
+};
+
+module.exports = { createApp, systemClock, configFromEnv };
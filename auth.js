@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { sendError } = require('./validation');
+const listings = require('./data/listings');
+const inventory = require('./data/inventory');
+const customers = require('./data/customers');
+const visits = require('./data/visits');
+const tickets = require('./data/tickets');
+
+// Passwords, session tokens and the guards routes use to check who is calling.
+
+// --- Passwords ---
+
+const scryptAsync = (password, salt, keylen, options) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keylen, options, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Salted scrypt hash, stored as scrypt$N$r$p$salt$hash so parameters can change later
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const key = await scryptAsync(password, salt, SCRYPT_KEYLEN, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+// Checks a password against a stored hash. Rows created before hashing was introduced hold the
+// plain-text password; those still verify but are flagged so the caller can upgrade them.
+const verifyPassword = async (password, stored) => {
+    if (typeof password !== 'string' || !stored) return { valid: false, needsRehash: false };
+
+    if (!stored.startsWith('scrypt$')) {
+        const a = Buffer.from(password);
+        const b = Buffer.from(stored);
+        const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+        return { valid, needsRehash: valid };
+    }
+
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: parseInt(N), r: parseInt(r), p: parseInt(p)
+    });
+    const valid = crypto.timingSafeEqual(key, expected);
+    const needsRehash = valid && (parseInt(N) !== SCRYPT_PARAMS.N || parseInt(r) !== SCRYPT_PARAMS.r || parseInt(p) !== SCRYPT_PARAMS.p);
+    return { valid, needsRehash };
+};
+
+// Unsalted digest for high-entropy one-time secrets (login codes, reset tokens)
+const hashToken = (value) => {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+};
+
+const generatePassword = (length = 12) => {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
+    let password = '';
+    for (let i = 0; i < length; i++) {
+        password += chars.charAt(crypto.randomInt(chars.length));
+    }
+    return password;
+};
+
+const sameEmail = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// --- Tokens ---
+// Compact HS256 tokens (JWT format). Without a secret a random one is used, so tokens don't
+// survive a restart.
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const createTokens = ({ secret, ttlSeconds = 12 * 60 * 60, clock }) => {
+    if (!secret) {
+        console.log('⚠️ AUTH_TOKEN_SECRET not configured. Using a random secret; tokens will not survive a restart.');
+        secret = crypto.randomBytes(32).toString('hex');
+    }
+    const nowSeconds = () => Math.floor(clock.now().getTime() / 1000);
+
+    const sign = (claims, ttl = ttlSeconds) => {
+        const now = nowSeconds();
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttl }));
+        const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+        return `${header}.${payload}.${signature}`;
+    };
+
+    // Returns the token claims, or null if the token is malformed, tampered with or expired
+    const verify = (token) => {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) return null;
+
+        const [header, payload, signature] = parts;
+        const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+        const actual = Buffer.from(signature, 'base64url');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!claims.exp || claims.exp < nowSeconds()) return null;
+            return claims;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return { sign, verify };
+};
+
+// --- Guards ---
+// Express middleware; each answers 401/403 (or 404 for unknown records) in the error envelope.
+
+const createGuards = ({ db, tokens }) => {
+    // Attaches req.user when a valid Bearer token is present; never rejects
+    const optionalAuth = (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+        req.user = token ? tokens.verify(token) : null;
+        next();
+    };
+
+    // Rejects the request unless it carries a valid token for one of the given roles.
+    // Tokens issued before a forced password change only work where allowPendingPasswordChange is set.
+    const authenticate = ({ roles = [], allowPendingPasswordChange = false } = {}) => (req, res, next) => {
+        optionalAuth(req, res, () => {
+            if (!req.user) return sendError(res, 401, 'Authentication required');
+            if (roles.length > 0 && !roles.includes(req.user.role)) {
+                return sendError(res, 403, 'Forbidden');
+            }
+            if (req.user.mustChangePassword && !allowPendingPasswordChange) {
+                return sendError(res, 403, 'Password change required');
+            }
+            next();
+        });
+    };
+
+    const requireRole = (...roles) => authenticate({ roles });
+
+    const requireSuperAdmin = requireRole('super-admin');
+
+    // Owner routes addressed by /:id may only be used by that owner (or a super admin)
+    const requireOwnerSelf = (param = 'id') => (req, res, next) => {
+        requireRole('owner', 'super-admin')(req, res, () => {
+            if (req.user.role === 'owner' && String(req.user.sub) !== String(req.params[param])) {
+                return sendError(res, 403, 'Forbidden');
+            }
+            next();
+        });
+    };
+
+    // Resident routes addressed by an email may only be used by that resident
+    const requireResidentSelf = (getEmail) => (req, res, next) => {
+        requireRole('resident', 'super-admin')(req, res, () => {
+            if (req.user.role === 'resident' && !sameEmail(req.user.email, getEmail(req))) {
+                return sendError(res, 403, 'Forbidden');
+            }
+            next();
+        });
+    };
+
+    // True if the authenticated user may manage the given PG (its owner_email matches, or super admin)
+    const canManagePg = async (user, pgId) => {
+        if (user.role === 'super-admin') return true;
+        if (user.role !== 'owner') return false;
+        const pg = await listings.findOwner(db, pgId);
+        return !!pg && sameEmail(pg.owner_email, user.email);
+    };
+
+    // Guards routes that act on a PG owned by the caller; getPgId may be async
+    const requirePgOwner = (getPgId) => (req, res, next) => {
+        requireRole('owner', 'super-admin')(req, res, async () => {
+            try {
+                const pgId = await getPgId(req);
+                if (pgId === null || pgId === undefined) return sendError(res, 404, 'Not found');
+                if (!(await canManagePg(req.user, pgId))) return sendError(res, 403, 'Forbidden');
+                next();
+            } catch (error) {
+                console.error('Error checking PG ownership:', error);
+                sendError(res, 500, 'Internal Server Error');
+            }
+        });
+    };
+
+    // PG-scoped reads: residents booked into the PG, its owner, or a super admin
+    const requirePgMember = (req, res, next) => {
+        requireRole('resident', 'owner', 'super-admin')(req, res, async () => {
+            try {
+                const allowed = req.user.role === 'resident'
+                    ? await customers.isBookedInto(db, req.params.id, req.user.email)
+                    : await canManagePg(req.user, req.params.id);
+                if (!allowed) return sendError(res, 403, 'Forbidden');
+                next();
+            } catch (error) {
+                console.error('Error checking PG membership:', error);
+                sendError(res, 500, 'Internal Server Error');
+            }
+        });
+    };
+
+    // Booking routes: the resident who booked, the PG's owner, or a super admin
+    const requireCustomerAccess = (req, res, next) => {
+        requireRole('resident', 'owner', 'super-admin')(req, res, async () => {
+            try {
+                const customer = await customers.findBooker(db, req.params.id);
+                if (!customer) return sendError(res, 404, 'Booking not found');
+
+                const allowed = req.user.role === 'resident'
+                    ? sameEmail(customer.email, req.user.email)
+                    : await canManagePg(req.user, customer.pg_id);
+                if (!allowed) return sendError(res, 403, 'Forbidden');
+                next();
+            } catch (error) {
+                console.error('Error checking booking access:', error);
+                sendError(res, 500, 'Internal Server Error');
+            }
+        });
+    };
+
+    // Ticket routes: the resident who raised it, the PG's owner, or a super admin
+    const requireTicketAccess = (req, res, next) => {
+        requireRole('resident', 'owner', 'super-admin')(req, res, async () => {
+            try {
+                const ticket = await tickets.findReporter(db, req.params.id);
+                if (!ticket) return sendError(res, 404, 'Ticket not found');
+
+                const allowed = req.user.role === 'resident'
+                    ? sameEmail(ticket.reporter_email, req.user.email)
+                    : await canManagePg(req.user, ticket.pg_id);
+                if (!allowed) return sendError(res, 403, 'Forbidden');
+                next();
+            } catch (error) {
+                console.error('Error checking ticket access:', error);
+                sendError(res, 500, 'Internal Server Error');
+            }
+        });
+    };
+
+    // Visit request routes for the person who asked for the visit (or a super admin)
+    const requireVisitRequester = (req, res, next) => {
+        requireRole('resident', 'super-admin')(req, res, async () => {
+            try {
+                const visit = await visits.findRequester(db, req.params.id);
+                if (!visit) return sendError(res, 404, 'Visit request not found');
+                if (req.user.role === 'resident' && !sameEmail(visit.user_email, req.user.email)) {
+                    return sendError(res, 403, 'Forbidden');
+                }
+                next();
+            } catch (error) {
+                console.error('Error checking visit access:', error);
+                sendError(res, 500, 'Internal Server Error');
+            }
+        });
+    };
+
+    // getPgId functions for requirePgOwner: the PG of the row (or bed) named by :id
+    const pgIdFromRow = (table) => (req) => listings.pgIdOfRow(db, table, req.params.id);
+    const pgIdFromBed = (req) => inventory.pgIdOfBed(db, req.params.id);
+
+    return {
+        optionalAuth,
+        authenticate,
+        requireRole,
+        requireSuperAdmin,
+        requireOwnerSelf,
+        requireResidentSelf,
+        canManagePg,
+        requirePgOwner,
+        requirePgMember,
+        requireCustomerAccess,
+        requireTicketAccess,
+        requireVisitRequester,
+        pgIdFromRow,
+        pgIdFromBed
+    };
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    generatePassword,
+    sameEmail,
+    createTokens,
+    createGuards
+};
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Clients for the third-party HTTP APIs: the payment gateway (Razorpay), the chat model (Groq)
+// and the geocoder (Nominatim). createApp takes each one as a dependency, so tests can pass
+// objects with the same methods instead.
+
+const safeCompareHex = (expected, actual) => {
+    if (typeof actual !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// --- Payment Gateway (Razorpay) ---
+// PAYMENT_GATEWAY_URL can point at a local fake gateway that signs with the same keys.
+const createPaymentGateway = ({
+    baseUrl = process.env.PAYMENT_GATEWAY_URL || 'https://api.razorpay.com/v1',
+    keyId = process.env.RAZORPAY_KEY_ID,
+    keySecret = process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+} = {}) => ({
+    keyId,
+
+    // amount is in rupees; the gateway works in paise
+    async createOrder({ amount, currency, receipt, notes }) {
+        if (!keyId || !keySecret) throw new Error('RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET not configured');
+        const response = await axios.post(`${baseUrl}/orders`, {
+            amount: Math.round(amount * 100),
+            currency,
+            receipt,
+            notes
+        }, {
+            auth: { username: keyId, password: keySecret },
+            timeout: 10000
+        });
+        return response.data;
+    },
+
+    // Checkout hands the client order_id, payment_id and HMAC-SHA256(order_id|payment_id, key secret)
+    verifyPaymentSignature(orderId, paymentId, signature) {
+        if (!keySecret) return false;
+        return safeCompareHex(
+            crypto.createHmac('sha256', keySecret).update(`${orderId}|${paymentId}`).digest('hex'),
+            signature
+        );
+    },
+
+    verifyWebhookSignature(rawBody, signature) {
+        if (!webhookSecret || !rawBody) return false;
+        return safeCompareHex(crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex'), signature);
+    }
+});
+
+// --- Chat Model (Groq) ---
+
+const GROQ_MODEL = 'llama-3.1-8b-instant';
+
+const createGroqClient = ({ apiKey = process.env.GROQ_API_KEY, baseUrl = 'https://api.groq.com/openai/v1' } = {}) => ({
+    name: 'groq',
+    configured: !!apiKey,
+    keyLength: apiKey ? apiKey.length : 0,
+
+    // Sends [{ role, content }] messages; resolves to the reply text
+    async complete(messages, { temperature, maxTokens } = {}) {
+        const response = await axios.post(`${baseUrl}/chat/completions`, {
+            model: GROQ_MODEL,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        }, {
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            timeout: 10000
+        });
+        return response.data.choices[0].message.content;
+    }
+});
+
+// --- Geocoder (Nominatim) ---
+
+const createGeocoder = ({ baseUrl = 'https://nominatim.openstreetmap.org', userAgent = 'VK-Investment-App' } = {}) => ({
+    // Resolves an address to { lat, lon, display_name }; null when nothing matches
+    async lookup(address) {
+        const response = await axios.get(`${baseUrl}/search`, {
+            params: { q: address, format: 'json', limit: 1 },
+            headers: { 'User-Agent': userAgent },
+            timeout: 10000
+        });
+        if (response.data.length === 0) return null;
+        const { lat, lon, display_name } = response.data[0];
+        return { lat, lon, display_name };
+    }
+});
+
+module.exports = { createPaymentGateway, createGroqClient, createGeocoder };
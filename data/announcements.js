@@ -0,0 +1,198 @@
+// announcements: notices an owner posts to a PG's residents; announcement_rooms: the rooms one is
+// aimed at; announcement_reads: who has read what.
+
+const ANNOUNCEMENT_CATEGORIES = ['general', 'maintenance', 'payment', 'event', 'rules'];
+const ANNOUNCEMENT_PRIORITIES = ['normal', 'important', 'urgent'];
+
+// What residents see of an announcement
+const PUBLIC_COLUMNS = `
+    a.id, a.pg_id, a.title, a.message, a.category, a.priority, a.pinned, a.expires_at, a.audience, a.floor,
+    a.created_at, a.updated_at`;
+
+// Whether announcement `a` reaches the booking `c` (same PG): everyone, the floor of c's room, or
+// one of the chosen rooms
+const REACHES = `(
+    a.audience = 'pg'
+    OR (a.audience = 'floor' AND EXISTS (
+        SELECT 1 FROM beds b JOIN rooms r ON r.id = b.room_id WHERE b.id = c.bed_id AND r.floor = a.floor))
+    OR (a.audience = 'rooms' AND EXISTS (
+        SELECT 1 FROM beds b JOIN announcement_rooms ar ON ar.room_id = b.room_id
+        WHERE b.id = c.bed_id AND ar.announcement_id = a.id))
+)`;
+
+// Current bookings reached by announcement `a`
+const RECIPIENT_BOOKINGS = `
+    FROM customers c
+    WHERE c.pg_id = a.pg_id AND c.booking_status IN ('active', 'move_out_requested') AND ${REACHES}`;
+
+// Not expired at the timestamp in parameter $n
+const liveAt = (n) => `(a.expires_at IS NULL OR a.expires_at > $${n}::timestamptz)`;
+
+// Room ids plus read and (current) recipient counts, for the owner
+const OWNER_COLUMNS = `
+    a.*,
+    COALESCE((SELECT array_agg(ar.room_id ORDER BY ar.room_id) FROM announcement_rooms ar WHERE ar.announcement_id = a.id), '{}') AS room_ids,
+    (SELECT COUNT(*)::int FROM announcement_reads rd WHERE rd.announcement_id = a.id) AS read_count,
+    (SELECT COUNT(DISTINCT LOWER(c.email))::int ${RECIPIENT_BOOKINGS}) AS recipient_count`;
+
+const insert = async (db, { pgId, ownerEmail, title, message, category, priority, pinned, expiresAt, audience, floor }, now) => {
+    const result = await db.query(
+        `INSERT INTO announcements (pg_id, owner_email, title, message, category, priority, pinned, expires_at, audience, floor, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::timestamptz, $9, $10, $11::timestamptz) RETURNING *`,
+        [pgId, ownerEmail, title, message, category, priority, pinned, expiresAt, audience, floor, now]
+    );
+    return result.rows[0];
+};
+
+const setRooms = async (db, id, roomIds) => {
+    await db.query(
+        'INSERT INTO announcement_rooms (announcement_id, room_id) SELECT $1, unnest($2::int[])',
+        [id, roomIds]
+    );
+};
+
+// The ids among `roomIds` that are rooms of the PG
+const roomsOfPg = async (db, pgId, roomIds) => {
+    const result = await db.query('SELECT id FROM rooms WHERE pg_id = $1 AND id = ANY($2::int[])', [pgId, roomIds]);
+    return result.rows.map(row => row.id);
+};
+
+const floorExists = async (db, pgId, floor) => {
+    const result = await db.query('SELECT 1 FROM rooms WHERE pg_id = $1 AND floor = $2 LIMIT 1', [pgId, floor]);
+    return result.rows.length > 0;
+};
+
+const findForOwner = async (db, id) => {
+    const result = await db.query(`SELECT ${OWNER_COLUMNS} FROM announcements a WHERE a.id = $1`, [id]);
+    return result.rows[0] || null;
+};
+
+const lockById = async (db, id) => {
+    const result = await db.query('SELECT * FROM announcements WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+};
+
+// Sets the fields given in `changes` ({ column: value })
+const update = async (db, id, changes, now) => {
+    const columns = Object.keys(changes);
+    const assignments = columns.map((column, i) => `${column} = $${i + 3}${column === 'expires_at' ? '::timestamptz' : ''}`);
+    await db.query(
+        `UPDATE announcements SET ${assignments.join(', ')}, updated_at = $2::timestamptz
+         WHERE id = $1`,
+        [id, now, ...columns.map(column => changes[column])]
+    );
+};
+
+const remove = async (db, id) => {
+    await db.query('DELETE FROM announcements WHERE id = $1', [id]);
+};
+
+// A PG's announcements for its owner: pinned first, then newest; expired ones only when asked for
+const listForOwner = async (db, pgId, { category, includeExpired }, now) => {
+    const values = [pgId];
+    const conditions = ['a.pg_id = $1'];
+    if (!includeExpired) {
+        values.push(now);
+        conditions.push(liveAt(values.length));
+    }
+    if (category) {
+        values.push(category);
+        conditions.push(`a.category = $${values.length}`);
+    }
+
+    const result = await db.query(`
+        SELECT ${OWNER_COLUMNS}
+        FROM announcements a
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY a.pinned DESC, a.created_at DESC, a.id DESC
+    `, values);
+    return result.rows;
+};
+
+// The live announcements of a PG that reach one of the resident's current bookings there, with
+// when they read each (read_at, or null)
+const listForResident = async (db, pgId, email, { category }, now) => {
+    const values = [pgId, email, now];
+    const conditions = ['a.pg_id = $1', liveAt(3), `EXISTS (SELECT 1 ${RECIPIENT_BOOKINGS} AND LOWER(c.email) = LOWER($2))`];
+    if (category) {
+        values.push(category);
+        conditions.push(`a.category = $${values.length}`);
+    }
+
+    const result = await db.query(`
+        SELECT ${PUBLIC_COLUMNS}, rd.read_at
+        FROM announcements a
+        LEFT JOIN announcement_reads rd ON rd.announcement_id = a.id AND LOWER(rd.reader_email) = LOWER($2)
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY a.pinned DESC, a.created_at DESC, a.id DESC
+    `, values);
+    return result.rows;
+};
+
+// True if the announcement is live and reaches one of the resident's current bookings
+const reaches = async (db, id, email, now) => {
+    const result = await db.query(`
+        SELECT 1 FROM announcements a
+        WHERE a.id = $1 AND ${liveAt(3)} AND EXISTS (SELECT 1 ${RECIPIENT_BOOKINGS} AND LOWER(c.email) = LOWER($2))
+    `, [id, email, now]);
+    return result.rows.length > 0;
+};
+
+// The current residents an announcement reaches, one row per email, with their read receipts
+const recipients = async (db, id) => {
+    const result = await db.query(`
+        SELECT DISTINCT ON (LOWER(c.email)) c.name, c.email, rd.read_at
+        FROM announcements a
+        JOIN customers c ON c.pg_id = a.pg_id AND c.booking_status IN ('active', 'move_out_requested') AND ${REACHES}
+        LEFT JOIN announcement_reads rd ON rd.announcement_id = a.id AND LOWER(rd.reader_email) = LOWER(c.email)
+        WHERE a.id = $1
+        ORDER BY LOWER(c.email), c.created_at DESC
+    `, [id]);
+    return result.rows;
+};
+
+// --- Reads ---
+
+// Records the resident's read; false if they had already read it
+const markRead = async (db, id, email, now) => {
+    const result = await db.query(
+        `INSERT INTO announcement_reads (announcement_id, reader_email, read_at) VALUES ($1, $2, $3::timestamptz)
+         ON CONFLICT (announcement_id, LOWER(reader_email)) DO NOTHING RETURNING id`,
+        [id, email, now]
+    );
+    return result.rows.length > 0;
+};
+
+// Live announcements reaching the resident's current bookings that they have not read, per PG
+const unreadByPg = async (db, email, now) => {
+    const result = await db.query(`
+        SELECT a.pg_id, COUNT(*)::int AS unread
+        FROM announcements a
+        WHERE ${liveAt(2)}
+          AND EXISTS (SELECT 1 ${RECIPIENT_BOOKINGS} AND LOWER(c.email) = LOWER($1))
+          AND NOT EXISTS (
+              SELECT 1 FROM announcement_reads rd WHERE rd.announcement_id = a.id AND LOWER(rd.reader_email) = LOWER($1))
+        GROUP BY a.pg_id
+        ORDER BY a.pg_id
+    `, [email, now]);
+    return result.rows;
+};
+
+module.exports = {
+    ANNOUNCEMENT_CATEGORIES,
+    ANNOUNCEMENT_PRIORITIES,
+    insert,
+    setRooms,
+    roomsOfPg,
+    floorExists,
+    findForOwner,
+    lockById,
+    update,
+    remove,
+    listForOwner,
+    listForResident,
+    reaches,
+    recipients,
+    markRead,
+    unreadByPg
+};
@@ -0,0 +1,242 @@
+// customers: residents booked into a PG (one row per booking). Bookings are never deleted: they
+// end as 'cancelled' or 'moved_out' (booking_status), and only current ones count as residents.
+
+const { localDate } = require('../db');
+const { prefixTsQuery } = require('./search');
+
+const CURRENT_STATUSES = ['active', 'move_out_requested'];
+const CURRENT = `booking_status IN (${CURRENT_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+const isCurrent = (customer) => CURRENT_STATUSES.includes(customer.booking_status);
+
+// Only a current booking counts; residents who cancelled or moved out are no longer members
+const isBookedInto = async (db, pgId, email) => {
+    const result = await db.query(
+        `SELECT 1 FROM customers WHERE pg_id = $1 AND LOWER(email) = LOWER($2) AND ${CURRENT} LIMIT 1`,
+        [pgId, email]
+    );
+    return result.rows.length > 0;
+};
+
+// The PGs the resident currently lives in
+const currentPgIds = async (db, email) => {
+    const result = await db.query(
+        `SELECT DISTINCT pg_id FROM customers WHERE LOWER(email) = LOWER($1) AND ${CURRENT} ORDER BY pg_id`,
+        [email]
+    );
+    return result.rows.map(row => row.pg_id);
+};
+
+// { email, pg_id } of a booking, or null
+const findBooker = async (db, id) => {
+    const result = await db.query('SELECT email, pg_id FROM customers WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+const findById = async (db, id) => {
+    const result = await db.query('SELECT * FROM customers WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+const lockById = async (db, id) => {
+    const result = await db.query('SELECT * FROM customers WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+};
+
+// A resident's most recent current booking
+const latestByEmail = async (db, email) => {
+    const result = await db.query(
+        `SELECT * FROM customers WHERE LOWER(email) = LOWER($1) AND ${CURRENT} ORDER BY created_at DESC LIMIT 1`,
+        [email]
+    );
+    return result.rows[0] || null;
+};
+
+// The most recent current booking with its PG's name and place, for the chat assistant
+const latestWithPgByEmail = async (db, email) => {
+    const result = await db.query(`
+        SELECT c.*, p.title as pg_title, p.location as pg_location, p.city as pg_city
+        FROM customers c
+        LEFT JOIN pg_listings p ON c.pg_id = p.id
+        WHERE LOWER(c.email) = LOWER($1) AND c.${CURRENT}
+        ORDER BY c.created_at DESC
+        LIMIT 1
+    `, [email]);
+    return result.rows[0] || null;
+};
+
+// Current residents of the given PGs with their PG's title, newest first; every booking with `includePast`
+const listForPgs = async (db, pgIds, { includePast = false } = {}) => {
+    const result = await db.query(`
+        SELECT c.*, p.title as pg_title
+        FROM customers c
+        JOIN pg_listings p ON c.pg_id = p.id
+        WHERE c.pg_id = ANY($1::int[]) ${includePast ? '' : `AND c.${CURRENT}`}
+        ORDER BY c.created_at DESC
+    `, [pgIds]);
+    return result.rows;
+};
+
+const statusesForPgs = async (db, pgIds) => {
+    const result = await db.query(`SELECT status FROM customers WHERE pg_id = ANY($1::int[]) AND ${CURRENT}`, [pgIds]);
+    return result.rows.map(customer => customer.status);
+};
+
+const countForPgs = async (db, pgIds) => {
+    const result = await db.query(`SELECT COUNT(*) FROM customers WHERE pg_id = ANY($1::int[]) AND ${CURRENT}`, [pgIds]);
+    return parseInt(result.rows[0].count);
+};
+
+// { pg_id: residents } for every PG with at least one current resident
+const countsByPg = async (db) => {
+    const result = await db.query(`SELECT pg_id, COUNT(*)::int AS count FROM customers WHERE ${CURRENT} GROUP BY pg_id`);
+    return Object.fromEntries(result.rows.map(row => [row.pg_id, row.count]));
+};
+
+// Booking report: every booking with its PG, filtered by PG name, room type and free text
+const bookingReport = async (db, { pgName, roomType, search } = {}) => {
+    let query = `
+        SELECT c.id, p.title as "pgName", c.room_no as "roomNo", c.name as "customerName",
+               c.move_in_date as "moveIn", c.booking_id as "bookingId", c.amount,
+               c.paid_date as "paidDate", c.status, c.room_type as "roomType",
+               c.email as "customerEmail", c.mobile as "customerMobile", c.floor,
+               c.booking_status as "bookingStatus"
+        FROM customers c
+        JOIN pg_listings p ON c.pg_id = p.id
+        WHERE 1=1
+    `;
+    const values = [];
+    let paramCount = 1;
+
+    if (pgName) {
+        query += ` AND p.title ILIKE $${paramCount}`;
+        values.push(`%${pgName}%`);
+        paramCount++;
+    }
+
+    if (roomType) {
+        query += ` AND c.room_type ILIKE $${paramCount}`;
+        values.push(`%${roomType}%`);
+        paramCount++;
+    }
+
+    // Prefix match on customer name, email, booking ID, mobile and room type, best matches first
+    const tsQuery = search ? prefixTsQuery(search) : null;
+    if (tsQuery) {
+        const document = 'customer_search_document(c.name, c.email, c.booking_id, c.mobile, c.room_type)';
+        query += ` AND ${document} @@ to_tsquery('simple', $${paramCount})`;
+        query += ` ORDER BY ts_rank(${document}, to_tsquery('simple', $${paramCount})) DESC, c.created_at DESC`;
+        values.push(tsQuery);
+        paramCount++;
+    } else {
+        query += ' ORDER BY c.created_at DESC';
+    }
+    const result = await db.query(query, values);
+    return result.rows;
+};
+
+// Sets room_no and/or floor as given (undefined leaves a field alone); null if there is no such customer
+const updatePlacement = async (db, id, { roomNo, floor }) => {
+    const result = await db.query(
+        `UPDATE customers SET
+            room_no = CASE WHEN $1 THEN $2 ELSE room_no END,
+            floor = CASE WHEN $3 THEN $4 ELSE floor END
+         WHERE id = $5 RETURNING *`,
+        [roomNo !== undefined, roomNo, floor !== undefined, floor, id]
+    );
+    return result.rows[0] || null;
+};
+
+// Points a customer at a bed (from inventory.lockBed); room, floor and room type follow the bed
+const assignBed = async (db, id, bed) => {
+    const result = await db.query(
+        'UPDATE customers SET bed_id = $1, room_no = $2, floor = $3, room_type = $4 WHERE id = $5 RETURNING *',
+        [bed.id, bed.room_number, bed.floor, bed.sharing_type, id]
+    );
+    return result.rows[0];
+};
+
+const setMoveInDate = async (db, id, moveInDate) => {
+    const result = await db.query('UPDATE customers SET move_in_date = $1 WHERE id = $2 RETURNING *', [moveInDate, id]);
+    return result.rows[0] || null;
+};
+
+// Heading of a rent statement
+const findForStatement = async (db, id) => {
+    const result = await db.query(`
+        SELECT c.id, c.name, c.email, c.pg_id, p.title AS pg_title, c.room_no, c.monthly_rent, c.move_in_date,
+               c.booking_status, c.move_out_date
+        FROM customers c LEFT JOIN pg_listings p ON p.id = c.pg_id
+        WHERE c.id = $1
+    `, [id]);
+    return result.rows[0] || null;
+};
+
+// A paid booking from a payment order (amount is the rent part, without the deposit); the bed is
+// allocated separately
+const insertPaid = async (db, order, now) => {
+    const result = await db.query(
+        `INSERT INTO customers (name, email, mobile, pg_id, room_type, amount, booking_id, status, paid_date, move_in_date)
+         VALUES ($1, $2, $3, $4, $5, $6::numeric - $7::numeric, $8, 'Paid', $10::timestamptz, $9) RETURNING *`,
+        [order.name, order.email, order.mobile, order.pg_id, order.room_type, order.amount, order.deposit_amount,
+            order.booking_id, order.move_in_date, now]
+    );
+    return result.rows[0];
+};
+
+// --- Cancellation and move-out ---
+
+// A booking under a row lock with what ending it needs: today, the dates as YYYY-MM-DD, the PG's
+// notice period and the security deposit collected with it (if any)
+const lockForExit = async (db, id, now) => {
+    const result = await db.query(`
+        SELECT c.*,
+               to_char(${localDate(2)}, 'YYYY-MM-DD') AS today,
+               to_char(c.move_in_date, 'YYYY-MM-DD') AS move_in_day,
+               to_char(COALESCE(c.move_in_date, c.paid_date::date, c.created_at::date), 'YYYY-MM-DD') AS stay_start,
+               to_char(c.notice_given_on, 'YYYY-MM-DD') AS notice_day,
+               to_char(c.move_out_date, 'YYYY-MM-DD') AS move_out_day,
+               p.title AS pg_title, p.owner_email, p.notice_period,
+               d.id AS deposit_id, d.amount AS deposit_amount, d.status AS deposit_status
+        FROM customers c
+        JOIN pg_listings p ON p.id = c.pg_id
+        LEFT JOIN security_deposits d ON d.customer_id = c.id
+        WHERE c.id = $1
+        FOR UPDATE OF c
+    `, [id, now]);
+    return result.rows[0] || null;
+};
+
+// Sets the booking status and the given { column: value } pairs
+const setBookingStatus = async (db, id, status, changes = {}) => {
+    const columns = Object.keys(changes);
+    const result = await db.query(
+        `UPDATE customers SET ${['booking_status = $2', ...columns.map((column, i) => `${column} = $${i + 3}`)].join(', ')}
+         WHERE id = $1 RETURNING *`,
+        [id, status, ...columns.map(column => changes[column])]
+    );
+    return result.rows[0];
+};
+
+module.exports = {
+    isCurrent,
+    isBookedInto,
+    currentPgIds,
+    findBooker,
+    findById,
+    lockById,
+    latestByEmail,
+    latestWithPgByEmail,
+    listForPgs,
+    statusesForPgs,
+    countForPgs,
+    countsByPg,
+    bookingReport,
+    updatePlacement,
+    assignBed,
+    setMoveInDate,
+    findForStatement,
+    insertPaid,
+    lockForExit,
+    setBookingStatus
+};
@@ -0,0 +1,77 @@
+// security_deposits: the deposit collected with a booking, 'held' until the booking ends and then
+// 'settled'; deposit_deductions: what the owner itemises against it at move-out.
+
+const insert = async (db, { customerId, pgId, amount, reference, collectedAt }) => {
+    const result = await db.query(
+        `INSERT INTO security_deposits (customer_id, pg_id, amount, reference, collected_at)
+         VALUES ($1, $2, $3, $4, $5::timestamptz) RETURNING *`,
+        [customerId, pgId, amount, reference, collectedAt]
+    );
+    return result.rows[0];
+};
+
+const findByCustomer = async (db, customerId) => {
+    const result = await db.query('SELECT * FROM security_deposits WHERE customer_id = $1', [customerId]);
+    return result.rows[0] || null;
+};
+
+const lockByCustomer = async (db, customerId) => {
+    const result = await db.query('SELECT * FROM security_deposits WHERE customer_id = $1 FOR UPDATE', [customerId]);
+    return result.rows[0] || null;
+};
+
+const markSettled = async (db, id, now) => {
+    await db.query(`UPDATE security_deposits SET status = 'settled', settled_at = $2::timestamptz WHERE id = $1`, [id, now]);
+};
+
+// Deposits still held by the given PGs: { count, total }
+const heldForPgs = async (db, pgIds) => {
+    const result = await db.query(
+        `SELECT COUNT(*)::int AS count, COALESCE(SUM(amount), 0)::float AS total
+         FROM security_deposits WHERE pg_id = ANY($1::int[]) AND status = 'held'`,
+        [pgIds]
+    );
+    return result.rows[0];
+};
+
+// --- Deductions ---
+
+const listDeductions = async (db, depositId) => {
+    const result = await db.query('SELECT * FROM deposit_deductions WHERE deposit_id = $1 ORDER BY created_at, id', [depositId]);
+    return result.rows;
+};
+
+const insertDeduction = async (db, depositId, { category, amount, description, createdBy }, now) => {
+    const result = await db.query(
+        `INSERT INTO deposit_deductions (deposit_id, category, amount, description, created_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6::timestamptz) RETURNING *`,
+        [depositId, category, amount, description || null, createdBy, now]
+    );
+    return result.rows[0];
+};
+
+// False if the deposit has no such deduction
+const deleteDeduction = async (db, depositId, deductionId) => {
+    const result = await db.query('DELETE FROM deposit_deductions WHERE id = $1 AND deposit_id = $2', [deductionId, depositId]);
+    return result.rowCount > 0;
+};
+
+const totalDeductions = async (db, depositId) => {
+    const result = await db.query(
+        'SELECT COALESCE(SUM(amount), 0)::float AS total FROM deposit_deductions WHERE deposit_id = $1',
+        [depositId]
+    );
+    return result.rows[0].total;
+};
+
+module.exports = {
+    insert,
+    findByCustomer,
+    lockByCustomer,
+    markSettled,
+    heldForPgs,
+    listDeductions,
+    insertDeduction,
+    deleteDeduction,
+    totalDeductions
+};
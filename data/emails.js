@@ -0,0 +1,49 @@
+// Reading the email_queue delivery log. Queueing and sending are in mailer.js.
+
+const { SECRET_TEMPLATES } = require('../mailer');
+
+const LOG_COLUMNS = `id, template, recipient, subject, status, attempts, max_attempts, next_attempt_at,
+               last_error, provider, provider_message_id, sent_at, created_at, updated_at`;
+
+// Newest first, without bodies; filtered by status, template and recipient substring
+const list = async (db, { status, template, recipient, limit }) => {
+    let query = `
+        SELECT ${LOG_COLUMNS}
+        FROM email_queue WHERE 1=1
+    `;
+    const values = [];
+    if (status) {
+        values.push(status);
+        query += ` AND status = $${values.length}`;
+    }
+    if (template) {
+        values.push(template);
+        query += ` AND template = $${values.length}`;
+    }
+    if (recipient) {
+        values.push(`%${recipient}%`);
+        query += ` AND recipient ILIKE $${values.length}`;
+    }
+    values.push(limit);
+    query += ` ORDER BY created_at DESC LIMIT $${values.length}`;
+
+    const result = await db.query(query, values);
+    return result.rows;
+};
+
+// { status: count } over the whole queue
+const countByStatus = async (db) => {
+    const result = await db.query('SELECT status, COUNT(*)::int AS count FROM email_queue GROUP BY status');
+    return Object.fromEntries(result.rows.map(row => [row.status, row.count]));
+};
+
+// One email with its rendered html and text; only the metadata for a template that carries a secret
+const findById = async (db, id) => {
+    const result = await db.query(`SELECT ${LOG_COLUMNS}, html, text FROM email_queue WHERE id = $1`, [id]);
+    const email = result.rows[0];
+    if (!email || !SECRET_TEMPLATES.includes(email.template)) return email || null;
+    const { html, text, ...metadata } = email;
+    return metadata;
+};
+
+module.exports = { list, countByStatus, findById };
@@ -0,0 +1,64 @@
+// booking_holds: a bed reserved for a resident while they pay. Active holds become 'converted'
+// (paid), 'released' (given up by the resident) or 'expired' (by the release job).
+
+const insert = async (db, { bedId, pgId, roomType, email, expiresAt }) => {
+    const result = await db.query(
+        `INSERT INTO booking_holds (bed_id, pg_id, room_type, email, expires_at)
+         VALUES ($1, $2, $3, $4, $5::timestamptz) RETURNING *`,
+        [bedId, pgId, roomType, email, expiresAt]
+    );
+    return result.rows[0];
+};
+
+// A resident's active hold in a PG with its order, or null
+const findActive = async (db, pgId, email) => {
+    const result = await db.query(
+        `SELECT h.*, o.gateway_order_id
+         FROM booking_holds h LEFT JOIN payment_orders o ON o.hold_id = h.id
+         WHERE h.pg_id = $1 AND LOWER(h.email) = LOWER($2) AND h.status = 'active'`,
+        [pgId, email]
+    );
+    return result.rows[0] || null;
+};
+
+// A hold with its bed's room number and floor, locked
+const lockById = async (db, id) => {
+    const result = await db.query(
+        `SELECT h.*, r.room_number, r.floor
+         FROM booking_holds h
+         LEFT JOIN beds b ON b.id = h.bed_id
+         LEFT JOIN rooms r ON r.id = b.room_id
+         WHERE h.id = $1
+         FOR UPDATE OF h`,
+        [id]
+    );
+    return result.rows[0] || null;
+};
+
+const markConverted = async (db, id, customerId, now) => {
+    await db.query(
+        `UPDATE booking_holds SET status = 'converted', customer_id = $2, ended_at = $3::timestamptz WHERE id = $1`,
+        [id, customerId, now]
+    );
+};
+
+const markReleased = async (db, id, now) => {
+    const result = await db.query(
+        `UPDATE booking_holds SET status = 'released', ended_at = $2::timestamptz WHERE id = $1 RETURNING *`,
+        [id, now]
+    );
+    return result.rows[0];
+};
+
+// Ends every active hold past its expiry; returns the beds they held
+const expireDue = async (db, now) => {
+    const result = await db.query(
+        `UPDATE booking_holds SET status = 'expired', ended_at = $1::timestamptz
+         WHERE status = 'active' AND expires_at <= $1::timestamptz
+         RETURNING bed_id`,
+        [now]
+    );
+    return result.rows.map(hold => hold.bed_id).filter(id => id !== null);
+};
+
+module.exports = { insert, findActive, lockById, markConverted, markReleased, expireDue };
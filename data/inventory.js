@@ -0,0 +1,265 @@
+// rooms and beds. Beds move between available, held (reserved while a resident pays, see
+// data/holds.js), occupied (by a customer) and maintenance; the rules for changing the inventory
+// are in services/inventory.js.
+
+const nextRoomNumber = async (db, pgId) => {
+    const result = await db.query(
+        `SELECT COALESCE(MAX(CASE WHEN room_number ~ '^\\d+$' THEN room_number::int END), 0) + 1 AS next
+         FROM rooms WHERE pg_id = $1`,
+        [pgId]
+    );
+    return result.rows[0].next;
+};
+
+const insertRoom = async (db, pgId, { roomNumber, floor, sharingType, capacity, price, deposit, isAC }) => {
+    const result = await db.query(
+        `INSERT INTO rooms (pg_id, room_number, floor, sharing_type, capacity, price, deposit, is_ac)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [pgId, String(roomNumber), floor || null, sharingType, capacity, price, deposit, isAC]
+    );
+    return result.rows[0];
+};
+
+const insertBed = async (db, roomId, bedLabel) => {
+    const result = await db.query('INSERT INTO beds (room_id, bed_label) VALUES ($1, $2) RETURNING *', [roomId, bedLabel]);
+    return result.rows[0];
+};
+
+// Rooms of a PG with their beds; guest names only when `showGuests`
+const listRooms = async (db, pgId, showGuests) => {
+    const result = await db.query(`
+        SELECT r.*,
+               COALESCE(json_agg(json_build_object(
+                   'id', b.id, 'bed_label', b.bed_label, 'status', b.status,
+                   'customer_id', CASE WHEN $2 THEN b.customer_id END,
+                   'customer_name', CASE WHEN $2 THEN c.name END
+               ) ORDER BY b.bed_label) FILTER (WHERE b.id IS NOT NULL), '[]') AS beds
+        FROM rooms r
+        LEFT JOIN beds b ON b.room_id = r.id
+        LEFT JOIN customers c ON c.id = b.customer_id
+        WHERE r.pg_id = $1
+        GROUP BY r.id
+        ORDER BY r.floor NULLS LAST, r.id
+    `, [pgId, showGuests]);
+    return result.rows;
+};
+
+// Sets the given { column: value } pairs; null if there is no such room
+const updateRoom = async (db, id, changes) => {
+    const columns = Object.keys(changes);
+    const result = await db.query(
+        `UPDATE rooms SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')} WHERE id = $${columns.length + 1} RETURNING *`,
+        [...columns.map(column => changes[column]), id]
+    );
+    return result.rows[0] || null;
+};
+
+const lockRoom = async (db, id) => {
+    const result = await db.query('SELECT id FROM rooms WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+};
+
+const lockBedsOfRoom = async (db, roomId) => {
+    const result = await db.query('SELECT status FROM beds WHERE room_id = $1 FOR UPDATE', [roomId]);
+    return result.rows;
+};
+
+const deleteRoom = async (db, id) => {
+    await db.query('DELETE FROM rooms WHERE id = $1', [id]);
+};
+
+const countBeds = async (db, roomId) => {
+    const result = await db.query('SELECT COUNT(*)::int AS count FROM beds WHERE room_id = $1', [roomId]);
+    return result.rows[0].count;
+};
+
+// Beds per sharing type in a PG
+const bedsByType = async (db, pgId) => {
+    const result = await db.query(
+        `SELECT r.sharing_type, COUNT(b.id)::int AS beds
+         FROM rooms r LEFT JOIN beds b ON b.room_id = r.id
+         WHERE r.pg_id = $1 GROUP BY r.sharing_type`,
+        [pgId]
+    );
+    return result.rows;
+};
+
+const updateRoomsOfType = async (db, pgId, sharingType, { price, deposit, isAC }) => {
+    await db.query(
+        'UPDATE rooms SET price = $1, deposit = $2, is_ac = $3 WHERE pg_id = $4 AND sharing_type = $5',
+        [price, deposit, isAC, pgId, sharingType]
+    );
+};
+
+// Locks up to `limit` free beds of a sharing type, newest rooms first; returns their ids
+const lockFreeBeds = async (db, pgId, sharingType, limit) => {
+    const result = await db.query(
+        `SELECT b.id FROM beds b JOIN rooms r ON r.id = b.room_id
+         WHERE r.pg_id = $1 AND r.sharing_type = $2 AND b.status = 'available'
+         ORDER BY r.id DESC, b.id DESC
+         LIMIT $3 FOR UPDATE OF b`,
+        [pgId, sharingType, limit]
+    );
+    return result.rows.map(bed => bed.id);
+};
+
+// Deletes beds, then any of the PG's rooms left without beds
+const deleteBeds = async (db, pgId, bedIds) => {
+    await db.query('DELETE FROM beds WHERE id = ANY($1::int[])', [bedIds]);
+    await db.query(
+        'DELETE FROM rooms r WHERE r.pg_id = $1 AND NOT EXISTS (SELECT 1 FROM beds b WHERE b.room_id = r.id)',
+        [pgId]
+    );
+};
+
+// Sets a bed's status unless it is occupied or held; null if it is (or doesn't exist)
+const setBedStatus = async (db, id, status) => {
+    const result = await db.query(
+        `UPDATE beds SET status = $1, updated_at = NOW() WHERE id = $2 AND status NOT IN ('occupied', 'held') RETURNING *`,
+        [status, id]
+    );
+    return result.rows[0] || null;
+};
+
+// Deletes a bed unless it is occupied or held; false if it is (or doesn't exist)
+const deleteFreeBed = async (db, id) => {
+    const result = await db.query(`DELETE FROM beds WHERE id = $1 AND status NOT IN ('occupied', 'held') RETURNING id`, [id]);
+    return result.rowCount > 0;
+};
+
+const pgIdOfBed = async (db, id) => {
+    const result = await db.query('SELECT r.pg_id FROM beds b JOIN rooms r ON r.id = b.room_id WHERE b.id = $1', [id]);
+    return result.rows.length > 0 ? result.rows[0].pg_id : null;
+};
+
+// A bed with its room's PG, number, floor and sharing type, locked
+const lockBed = async (db, id) => {
+    const result = await db.query(
+        `SELECT b.id, b.status, b.customer_id, r.pg_id, r.room_number, r.floor, r.sharing_type
+         FROM beds b JOIN rooms r ON r.id = b.room_id WHERE b.id = $1 FOR UPDATE OF b`,
+        [id]
+    );
+    return result.rows[0] || null;
+};
+
+const occupyBed = async (db, bedId, customerId) => {
+    await db.query(
+        `UPDATE beds SET status = 'occupied', customer_id = $1, updated_at = NOW() WHERE id = $2`,
+        [customerId, bedId]
+    );
+};
+
+// Locks the first free bed of a room type (lowest floor, then room and label); null if the type is full
+const lockFirstFreeBed = async (db, pgId, roomType) => {
+    const result = await db.query(
+        `SELECT b.id, r.room_number, r.floor, r.sharing_type
+         FROM beds b JOIN rooms r ON r.id = b.room_id
+         WHERE r.pg_id = $1 AND r.sharing_type = $2 AND b.status = 'available'
+         ORDER BY r.floor NULLS LAST, r.id, b.bed_label
+         LIMIT 1
+         FOR UPDATE OF b SKIP LOCKED`,
+        [pgId, roomType]
+    );
+    return result.rows[0] || null;
+};
+
+// Locks and assigns the first free bed of a room type to a customer; null if the type is full
+const allocateBed = async (db, pgId, roomType, customerId) => {
+    const bed = await lockFirstFreeBed(db, pgId, roomType);
+    if (!bed) return null;
+
+    await occupyBed(db, bed.id, customerId);
+    const customer = await db.query(
+        'UPDATE customers SET bed_id = $1, room_no = $2, floor = $3 WHERE id = $4 RETURNING *',
+        [bed.id, bed.room_number, bed.floor, customerId]
+    );
+    return customer.rows[0];
+};
+
+const holdBed = async (db, bedId) => {
+    await db.query(`UPDATE beds SET status = 'held', updated_at = NOW() WHERE id = $1`, [bedId]);
+};
+
+// Puts held beds back on sale
+const releaseHeldBeds = async (db, bedIds) => {
+    await db.query(
+        `UPDATE beds SET status = 'available', updated_at = NOW() WHERE id = ANY($1::int[]) AND status = 'held'`,
+        [bedIds]
+    );
+};
+
+// Frees the bed held by a customer. Residents booked before bed tracking have no bed_id,
+// so one unlinked occupied bed of their room type is freed instead.
+const releaseBed = async (db, customer) => {
+    const released = await db.query(
+        `UPDATE beds SET status = 'available', customer_id = NULL, updated_at = NOW()
+         WHERE customer_id = $1 RETURNING id`,
+        [customer.id]
+    );
+    if (released.rows.length > 0 || !customer.pg_id || !customer.room_type) return;
+
+    await db.query(`
+        UPDATE beds SET status = 'available', updated_at = NOW()
+        WHERE id = (
+            SELECT b.id FROM beds b JOIN rooms r ON r.id = b.room_id
+            WHERE r.pg_id = $1 AND r.sharing_type = $2 AND b.status = 'occupied' AND b.customer_id IS NULL
+            ORDER BY b.id LIMIT 1 FOR UPDATE OF b
+        )
+    `, [customer.pg_id, customer.room_type]);
+};
+
+// Bed counts per PG and beds-per-room, for the availability report
+const bedCountsByCapacity = async (db) => {
+    const result = await db.query(`
+        SELECT r.pg_id, r.capacity, COUNT(b.id)::int AS beds
+        FROM rooms r JOIN beds b ON b.room_id = r.id
+        GROUP BY r.pg_id, r.capacity
+    `);
+    return result.rows;
+};
+
+// Server-side price for a room type (cheapest free room, else the listing's price), that room's
+// deposit and the PG's, and its free beds. Null if there is no such PG.
+const quoteRoomType = async (db, pgId, roomType) => {
+    const result = await db.query(`
+        SELECT p.occupancy_prices->>$2 AS listed_price,
+               MIN(r.price) FILTER (WHERE b.status = 'available') AS room_price,
+               COUNT(b.id) FILTER (WHERE b.status = 'available')::int AS free_beds,
+               (ARRAY_AGG(r.deposit ORDER BY r.price NULLS LAST) FILTER (WHERE b.status = 'available'))[1] AS room_deposit,
+               p.deposit_amount AS pg_deposit
+        FROM pg_listings p
+        LEFT JOIN rooms r ON r.pg_id = p.id AND r.sharing_type = $2
+        LEFT JOIN beds b ON b.room_id = r.id
+        WHERE p.id = $1
+        GROUP BY p.id
+    `, [pgId, roomType]);
+    return result.rows[0] || null;
+};
+
+module.exports = {
+    nextRoomNumber,
+    insertRoom,
+    insertBed,
+    listRooms,
+    updateRoom,
+    lockRoom,
+    lockBedsOfRoom,
+    deleteRoom,
+    countBeds,
+    bedsByType,
+    updateRoomsOfType,
+    lockFreeBeds,
+    deleteBeds,
+    setBedStatus,
+    deleteFreeBed,
+    pgIdOfBed,
+    lockBed,
+    occupyBed,
+    lockFirstFreeBed,
+    allocateBed,
+    holdBed,
+    releaseHeldBeds,
+    releaseBed,
+    bedCountsByCapacity,
+    quoteRoomType
+};
@@ -0,0 +1,127 @@
+// pg_listings: the listing itself, its photos and who owns it.
+// Room and bed inventory is in inventory.js; search queries are in search.js.
+
+// JSONB columns; values are sent as JSON text
+const JSON_COLUMNS = ['amenities', 'rules', 'images', 'occupancy_types', 'occupancy_prices'];
+const columnValue = (column, value) => (JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value);
+
+// Listing rows as the API returns them, with the room summary derived from the inventory
+const LISTING_WITH_ROOMS = 'SELECT *, room_summary(id) AS rooms FROM pg_listings';
+
+const findWithRooms = async (db, id) => {
+    const result = await db.query(`${LISTING_WITH_ROOMS} WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+};
+
+// Newest first; optionally only the PGs listed under one owner's email
+const list = async (db, { ownerEmail = null } = {}) => {
+    const result = ownerEmail
+        ? await db.query(`${LISTING_WITH_ROOMS} WHERE LOWER(owner_email) = LOWER($1) ORDER BY created_at DESC`, [ownerEmail])
+        : await db.query(`${LISTING_WITH_ROOMS} ORDER BY created_at DESC`);
+    return result.rows;
+};
+
+const exists = async (db, id) => {
+    const result = await db.query('SELECT id FROM pg_listings WHERE id = $1', [id]);
+    return result.rows.length > 0;
+};
+
+// Locks a listing while its reviews and rating change; false if there is no such PG
+const lockForRating = async (db, id) => {
+    const result = await db.query('SELECT id FROM pg_listings WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows.length > 0;
+};
+
+// The headline { rating, rating_count } of a PG, or null if there is no such PG
+const findRating = async (db, id) => {
+    const result = await db.query('SELECT rating::float AS rating, rating_count FROM pg_listings WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+// { owner_email } of a PG, or null if there is no such PG
+const findOwner = async (db, id) => {
+    const result = await db.query('SELECT owner_email FROM pg_listings WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+const idsOwnedBy = async (db, ownerEmail) => {
+    const result = await db.query('SELECT id FROM pg_listings WHERE LOWER(owner_email) = LOWER($1)', [ownerEmail]);
+    return result.rows.map(pg => pg.id);
+};
+
+// pg_id of a row in a PG-scoped table (customers, rooms, visit_requests ...); null if there is no such row
+const pgIdOfRow = async (db, table, id) => {
+    const result = await db.query(`SELECT pg_id FROM ${table} WHERE id = $1`, [id]);
+    return result.rows.length > 0 ? result.rows[0].pg_id : null;
+};
+
+// Inserts a listing from { column: value }; returns its id
+const insert = async (db, fields) => {
+    const columns = Object.keys(fields);
+    const result = await db.query(
+        `INSERT INTO pg_listings (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING id`,
+        columns.map(column => columnValue(column, fields[column]))
+    );
+    return result.rows[0].id;
+};
+
+// Sets the given { column: value } pairs; false if there is no such PG
+const update = async (db, id, changes) => {
+    const columns = Object.keys(changes);
+    const result = await db.query(
+        `UPDATE pg_listings SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')} WHERE id = $${columns.length + 1}`,
+        [...columns.map(column => columnValue(column, changes[column])), id]
+    );
+    return result.rowCount > 0;
+};
+
+// Appends photos to the gallery; `cover` becomes the cover if there is none. Null if there is no such PG.
+const appendImages = async (db, id, urls, cover) => {
+    const result = await db.query(`
+        UPDATE pg_listings SET
+            images = CASE WHEN jsonb_typeof(images) = 'array' THEN images ELSE '[]'::jsonb END || $1::jsonb,
+            thumbnail_url = CASE WHEN image_url IS NULL THEN $3 ELSE thumbnail_url END,
+            image_url = COALESCE(image_url, $2)
+        WHERE id = $4
+        RETURNING image_url, thumbnail_url, images
+    `, [JSON.stringify(urls), cover.url, cover.thumbnailUrl, id]);
+    return result.rows[0] || null;
+};
+
+const lockImages = async (db, id) => {
+    const result = await db.query('SELECT image_url, images FROM pg_listings WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+};
+
+const setImages = async (db, id, { images, imageUrl, thumbnailUrl }) => {
+    const result = await db.query(
+        'UPDATE pg_listings SET images = $1, image_url = $2, thumbnail_url = $3 WHERE id = $4 RETURNING image_url, thumbnail_url, images',
+        [JSON.stringify(images), imageUrl, thumbnailUrl, id]
+    );
+    return result.rows[0];
+};
+
+// One line per listing for the chat assistant's prompt, best rated first
+const chatSummaries = async (db) => {
+    const result = await db.query('SELECT id, title, price, location, city, gender, food_included, amenities, rating FROM pg_listings ORDER BY rating DESC NULLS LAST');
+    return result.rows;
+};
+
+module.exports = {
+    findWithRooms,
+    list,
+    exists,
+    lockForRating,
+    findRating,
+    findOwner,
+    idsOwnedBy,
+    pgIdOfRow,
+    insert,
+    update,
+    appendImages,
+    lockImages,
+    setImages,
+    chatSummaries
+};
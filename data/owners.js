@@ -0,0 +1,154 @@
+// pg_owners and their password reset tokens.
+
+const { prefixTsQuery } = require('./search');
+
+const PROFILE_COLUMNS = 'id, name, email, mobile, city, state, address, dob, profile_picture, profile_thumbnail_url';
+
+const findById = async (db, id) => {
+    const result = await db.query('SELECT * FROM pg_owners WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+const findByEmail = async (db, email) => {
+    const result = await db.query('SELECT * FROM pg_owners WHERE LOWER(email) = LOWER($1)', [email]);
+    return result.rows[0] || null;
+};
+
+// The email an owner's PGs are listed under, or null if there is no such owner
+const emailOf = async (db, id) => {
+    const result = await db.query('SELECT email FROM pg_owners WHERE id = $1', [id]);
+    return result.rows.length > 0 ? result.rows[0].email : null;
+};
+
+// Newest first; with `search`, prefix matches on name, email, mobile and city, best first
+const list = async (db, { search } = {}) => {
+    let query = 'SELECT id, name, email, mobile, city, state, created_at FROM pg_owners';
+    const values = [];
+
+    const tsQuery = search ? prefixTsQuery(search) : null;
+    if (tsQuery) {
+        const document = 'owner_search_document(name, email, mobile, city)';
+        query += ` WHERE ${document} @@ to_tsquery('simple', $1)`;
+        query += ` ORDER BY ts_rank(${document}, to_tsquery('simple', $1)) DESC, created_at DESC`;
+        values.push(tsQuery);
+    } else {
+        query += ' ORDER BY created_at DESC';
+    }
+    const result = await db.query(query, values);
+    return result.rows;
+};
+
+// Owners for the availability report
+const listContacts = async (db) => {
+    const result = await db.query('SELECT id, name, email, mobile FROM pg_owners');
+    return result.rows;
+};
+
+// The generated password is temporary: the owner must replace it on first login
+const insert = async (db, { name, email, mobile, city, state, passwordHash }) => {
+    const result = await db.query(`
+        INSERT INTO pg_owners (name, email, mobile, city, state, password_hash, must_change_password)
+        VALUES ($1, $2, $3, $4, $5, $6, true)
+        RETURNING id, name, email, city, state
+    `, [name, email, mobile || '', city || '', state || '', passwordHash]);
+    return result.rows[0];
+};
+
+// False if there is no such owner
+const remove = async (db, id) => {
+    const result = await db.query('DELETE FROM pg_owners WHERE id = $1', [id]);
+    return result.rowCount > 0;
+};
+
+const setPasswordHash = async (db, id, passwordHash, { clearMustChange = false } = {}) => {
+    await db.query(
+        clearMustChange
+            ? 'UPDATE pg_owners SET password_hash = $1, must_change_password = false WHERE id = $2'
+            : 'UPDATE pg_owners SET password_hash = $1 WHERE id = $2',
+        [passwordHash, id]
+    );
+};
+
+// Applies profile changes: `name` replaces the whole name, `lastName` keeps the current first name.
+// Null if there is no such owner.
+const updateProfile = async (db, id, { name, lastName, mobile, dob }) => {
+    const updates = [];
+    const values = [];
+    const set = (column, value) => {
+        values.push(value);
+        updates.push(`${column} = $${values.length}`);
+    };
+
+    if (name !== undefined) {
+        set('name', name);
+    } else if (lastName !== undefined) {
+        values.push(lastName);
+        updates.push(`name = TRIM(split_part(name, ' ', 1) || ' ' || $${values.length})`);
+    }
+    if (mobile !== undefined) set('mobile', mobile);
+    if (dob !== undefined) set('dob', dob);
+
+    values.push(id);
+    const result = await db.query(
+        `UPDATE pg_owners SET ${updates.join(', ')} WHERE id = $${values.length} RETURNING ${PROFILE_COLUMNS}`,
+        values
+    );
+    return result.rows[0] || null;
+};
+
+// The current profile picture URL under a row lock; undefined if there is no such owner
+const lockProfilePicture = async (db, id) => {
+    const result = await db.query('SELECT profile_picture FROM pg_owners WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows.length > 0 ? result.rows[0].profile_picture : undefined;
+};
+
+const setProfilePicture = async (db, id, { url, thumbnailUrl }) => {
+    await db.query(
+        'UPDATE pg_owners SET profile_picture = $1, profile_thumbnail_url = $2 WHERE id = $3',
+        [url, thumbnailUrl, id]
+    );
+};
+
+// --- Password Reset Tokens ---
+
+// Invalidates any outstanding tokens and stores a new one valid for `ttlMinutes` from `now`
+const replaceResetToken = async (db, ownerId, tokenHash, ttlMinutes, now) => {
+    await db.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE owner_id = $1 AND used_at IS NULL', [ownerId]);
+    await db.query(
+        `INSERT INTO password_reset_tokens (owner_id, token_hash, expires_at)
+         VALUES ($1, $2, $4::timestamptz + $3 * INTERVAL '1 minute')`,
+        [ownerId, tokenHash, ttlMinutes, now]
+    );
+};
+
+// Marking the token used and updating the password in one statement keeps it single-use under
+// concurrency. Returns false if the token is unknown, used or expired.
+const resetPassword = async (db, tokenHash, passwordHash, now) => {
+    const result = await db.query(`
+        WITH consumed AS (
+            UPDATE password_reset_tokens SET used_at = NOW()
+            WHERE token_hash = $1 AND used_at IS NULL AND expires_at > $3::timestamptz
+            RETURNING owner_id
+        )
+        UPDATE pg_owners SET password_hash = $2, must_change_password = false
+        FROM consumed WHERE pg_owners.id = consumed.owner_id
+        RETURNING pg_owners.id
+    `, [tokenHash, passwordHash, now]);
+    return result.rows.length > 0;
+};
+
+module.exports = {
+    findById,
+    findByEmail,
+    emailOf,
+    list,
+    listContacts,
+    insert,
+    remove,
+    setPasswordHash,
+    updateProfile,
+    lockProfilePicture,
+    setProfilePicture,
+    replaceResetToken,
+    resetPassword
+};
@@ -0,0 +1,55 @@
+// payment_orders: one row per gateway order, from checkout to a booking (or a refund).
+
+// `amount` is the total charged; `depositAmount` the part of it that is the security deposit
+const insertOrder = async (db, {
+    gatewayOrderId, bookingId, pgId, roomType, name, email, mobile, moveInDate, amount, depositAmount, currency, holdId
+}) => {
+    await db.query(
+        `INSERT INTO payment_orders (gateway_order_id, booking_id, pg_id, room_type, name, email, mobile, move_in_date, amount,
+                                     deposit_amount, currency, hold_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [gatewayOrderId, bookingId, pgId, roomType, name, email, mobile, moveInDate, amount, depositAmount, currency, holdId]
+    );
+};
+
+// The email an order was placed under, or null if there is no such order
+const findOrderEmail = async (db, gatewayOrderId) => {
+    const result = await db.query('SELECT email FROM payment_orders WHERE gateway_order_id = $1', [gatewayOrderId]);
+    return result.rows.length > 0 ? result.rows[0].email : null;
+};
+
+const lockOrder = async (db, gatewayOrderId) => {
+    const result = await db.query('SELECT * FROM payment_orders WHERE gateway_order_id = $1 FOR UPDATE', [gatewayOrderId]);
+    return result.rows[0] || null;
+};
+
+// Paid, but no bed could be given: keeps the money trail and flags the order for a refund
+const flagForRefund = async (db, id, gatewayPaymentId, reason, now) => {
+    const result = await db.query(
+        `UPDATE payment_orders SET status = 'refund_pending', gateway_payment_id = $1, paid_at = $4::timestamptz,
+                failure_reason = $3
+         WHERE id = $2 RETURNING *`,
+        [gatewayPaymentId, id, reason, now]
+    );
+    return result.rows[0];
+};
+
+const markPaid = async (db, id, gatewayPaymentId, customerId, now) => {
+    const result = await db.query(
+        `UPDATE payment_orders SET status = 'paid', gateway_payment_id = $1, customer_id = $2, paid_at = $4::timestamptz
+         WHERE id = $3 RETURNING *`,
+        [gatewayPaymentId, customerId, id, now]
+    );
+    return result.rows[0];
+};
+
+// Only orders still awaiting payment are marked failed
+const markFailed = async (db, gatewayOrderId, gatewayPaymentId, reason) => {
+    await db.query(
+        `UPDATE payment_orders SET status = 'failed', gateway_payment_id = $1, failure_reason = $2
+         WHERE gateway_order_id = $3 AND status = 'created'`,
+        [gatewayPaymentId, reason, gatewayOrderId]
+    );
+};
+
+module.exports = { insertOrder, findOrderEmail, lockOrder, flagForRefund, markPaid, markFailed };
@@ -0,0 +1,305 @@
+// The rent ledger (rent_invoices, rent_payments, customers.monthly_rent) and rent reminders
+// (rent_reminder_settings, rent_reminders). Dates are taken relative to a `now` passed in,
+// so "today" follows the app's clock. Invoices are open while 'due' or 'partially_paid';
+// 'void' ones were closed by a booking's settlement (see data/settlements.js).
+
+const { localDate } = require('../db');
+
+// --- Ledger ---
+
+// Sets a resident's monthly rent from their room's price, the PG's price for the room type,
+// or failing both, what they paid at booking
+const assignMonthlyRent = async (db, customerId) => {
+    const result = await db.query(`
+        UPDATE customers c SET monthly_rent = COALESCE(
+            (SELECT r.price FROM beds b JOIN rooms r ON r.id = b.room_id WHERE b.id = c.bed_id),
+            (SELECT CASE WHEN p.occupancy_prices->>c.room_type ~ '^\\d+(\\.\\d+)?$'
+                         THEN (p.occupancy_prices->>c.room_type)::numeric END
+             FROM pg_listings p WHERE p.id = c.pg_id),
+            c.amount
+        )
+        WHERE c.id = $1 RETURNING *
+    `, [customerId]);
+    return result.rows[0];
+};
+
+// Keeps the customers.status / paid_date snapshot in line with the ledger
+const refreshRentStatus = async (db, customerId) => {
+    const result = await db.query(`
+        UPDATE customers SET
+            status = CASE WHEN EXISTS (
+                SELECT 1 FROM rent_invoices WHERE customer_id = $1 AND status IN ('due', 'partially_paid')
+            ) THEN 'Due' ELSE 'Paid' END,
+            paid_date = COALESCE((SELECT MAX(paid_at) FROM rent_payments WHERE customer_id = $1), paid_date)
+        WHERE id = $1 RETURNING *
+    `, [customerId]);
+    return result.rows[0];
+};
+
+// Returns the invoice for one resident and month, creating it if needed.
+// A resident who books after the month's due day gets until today rather than a backdated due date.
+const createInvoice = async (db, customerId, periodDate, now) => {
+    const result = await db.query(`
+        INSERT INTO rent_invoices (customer_id, pg_id, billing_period, amount, due_date)
+        SELECT c.id, c.pg_id, date_trunc('month', $2::date)::date, c.monthly_rent,
+               GREATEST(date_trunc('month', $2::date)::date + (COALESCE(p.rent_due_day, 5) - 1), ${localDate(3)})
+        FROM customers c JOIN pg_listings p ON p.id = c.pg_id
+        WHERE c.id = $1 AND c.monthly_rent > 0
+        ON CONFLICT (customer_id, billing_period) DO UPDATE SET customer_id = EXCLUDED.customer_id
+        RETURNING *
+    `, [customerId, periodDate, now]);
+    return result.rows[0] || null;
+};
+
+const lockInvoice = async (db, id) => {
+    const result = await db.query('SELECT * FROM rent_invoices WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+};
+
+// Inserts a payment and adds it to the invoice; returns both
+const applyPayment = async (db, invoice, { amount, method, reference, paidAt, recordedBy }, now) => {
+    const payment = await db.query(
+        `INSERT INTO rent_payments (invoice_id, customer_id, amount, method, reference, paid_at, recorded_by)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamp, $8::timestamptz), $7) RETURNING *`,
+        [invoice.id, invoice.customer_id, amount, method, reference, paidAt, recordedBy, now]
+    );
+    const updated = await db.query(`
+        UPDATE rent_invoices SET
+            amount_paid = amount_paid + $1,
+            status = CASE WHEN amount_paid + $1 >= amount THEN 'paid' ELSE 'partially_paid' END
+        WHERE id = $2 RETURNING *
+    `, [amount, invoice.id]);
+    return { invoice: updated.rows[0], payment: payment.rows[0] };
+};
+
+// Issues the month's invoice (the month of `periodDate`, else of `now`) to every current resident
+// who has moved in by then and isn't leaving before it starts, skipping those who already have one;
+// marks them Due. Returns how many were issued.
+const issueMonthlyInvoices = async (db, periodDate, now) => {
+    const result = await db.query(`
+        INSERT INTO rent_invoices (customer_id, pg_id, billing_period, amount, due_date)
+        SELECT c.id, c.pg_id, period.start, c.monthly_rent, period.start + (COALESCE(p.rent_due_day, 5) - 1)
+        FROM (SELECT date_trunc('month', COALESCE($1::date, ${localDate(2)}))::date AS start) period,
+             customers c JOIN pg_listings p ON p.id = c.pg_id
+        WHERE c.monthly_rent > 0
+          AND c.booking_status IN ('active', 'move_out_requested')
+          AND (c.move_in_date IS NULL OR c.move_in_date < period.start + INTERVAL '1 month')
+          AND (c.move_out_date IS NULL OR c.move_out_date > period.start)
+        ON CONFLICT (customer_id, billing_period) DO NOTHING
+        RETURNING customer_id
+    `, [periodDate, now]);
+
+    const customerIds = result.rows.map(row => row.customer_id);
+    if (customerIds.length > 0) {
+        await db.query(`UPDATE customers SET status = 'Due' WHERE id = ANY($1::int[])`, [customerIds]);
+    }
+    return customerIds.length;
+};
+
+// Invoices of an owner's PGs with the resident and PG, filtered by month (YYYY-MM-01),
+// status (or 'overdue') and PG
+const listForOwner = async (db, ownerId, { month, status, pgId } = {}, now) => {
+    let query = `
+        SELECT i.*, c.name AS customer_name, c.email AS customer_email, c.room_no, p.title AS pg_title,
+               (i.status IN ('due', 'partially_paid') AND i.due_date < ${localDate(2)}) AS overdue
+        FROM rent_invoices i
+        JOIN customers c ON c.id = i.customer_id
+        JOIN pg_listings p ON p.id = i.pg_id
+        JOIN pg_owners o ON LOWER(o.email) = LOWER(p.owner_email)
+        WHERE o.id = $1
+    `;
+    const values = [ownerId, now];
+
+    if (month) {
+        values.push(month);
+        query += ` AND i.billing_period = $${values.length}`;
+    }
+    if (status === 'overdue') {
+        query += ` AND i.status IN ('due', 'partially_paid') AND i.due_date < ${localDate(2)}`;
+    } else if (status) {
+        values.push(status);
+        query += ` AND i.status = $${values.length}`;
+    }
+    if (pgId) {
+        values.push(pgId);
+        query += ` AND i.pg_id = $${values.length}`;
+    }
+
+    query += ' ORDER BY i.billing_period DESC, i.due_date, c.name';
+    const result = await db.query(query, values);
+    return result.rows;
+};
+
+// A resident's invoices, newest first, each with its payments
+const statement = async (db, customerId, now) => {
+    const result = await db.query(`
+        SELECT i.*, (i.status IN ('due', 'partially_paid') AND i.due_date < ${localDate(2)}) AS overdue,
+               COALESCE(json_agg(pay ORDER BY pay.paid_at) FILTER (WHERE pay.id IS NOT NULL), '[]') AS payments
+        FROM rent_invoices i
+        LEFT JOIN rent_payments pay ON pay.invoice_id = i.id
+        WHERE i.customer_id = $1
+        GROUP BY i.id
+        ORDER BY i.billing_period DESC
+    `, [customerId, now]);
+    return result.rows;
+};
+
+// Everything a resident has paid towards rent
+const totalPaidBy = async (db, customerId) => {
+    const result = await db.query(
+        'SELECT COALESCE(SUM(amount), 0)::float AS total FROM rent_payments WHERE customer_id = $1',
+        [customerId]
+    );
+    return result.rows[0].total;
+};
+
+// Closes a resident's open invoices when their booking ends
+const voidOpenInvoices = async (db, customerId) => {
+    await db.query(
+        `UPDATE rent_invoices SET status = 'void' WHERE customer_id = $1 AND status IN ('due', 'partially_paid')`,
+        [customerId]
+    );
+};
+
+// Every rent payment received by the given PGs
+const totalReceived = async (db, pgIds) => {
+    const result = await db.query(
+        'SELECT COALESCE(SUM(pay.amount), 0)::float AS total FROM rent_payments pay JOIN rent_invoices i ON i.id = pay.invoice_id WHERE i.pg_id = ANY($1::int[])',
+        [pgIds]
+    );
+    return result.rows[0].total;
+};
+
+// Billed / collected / outstanding / overdue per billing month for the last `months` months, newest
+// first. Void invoices count for what was paid on them.
+const monthlyLedger = async (db, pgIds, months, now) => {
+    const result = await db.query(`
+        SELECT to_char(billing_period, 'YYYY-MM') AS month,
+               SUM(CASE WHEN status = 'void' THEN amount_paid ELSE amount END)::float AS billed,
+               SUM(amount_paid)::float AS collected,
+               COALESCE(SUM(amount - amount_paid) FILTER (WHERE status <> 'void'), 0)::float AS outstanding,
+               COALESCE(SUM(amount - amount_paid) FILTER (WHERE status IN ('due', 'partially_paid') AND due_date < ${localDate(3)}), 0)::float AS overdue
+        FROM rent_invoices
+        WHERE pg_id = ANY($1::int[])
+          AND billing_period >= date_trunc('month', ${localDate(3)}) - ($2 - 1) * INTERVAL '1 month'
+        GROUP BY billing_period
+        ORDER BY billing_period DESC
+    `, [pgIds, months, now]);
+    return result.rows;
+};
+
+// --- Reminders ---
+
+const findReminderSettings = async (db, pgId) => {
+    const result = await db.query('SELECT * FROM rent_reminder_settings WHERE pg_id = $1', [pgId]);
+    return result.rows[0] || null;
+};
+
+// Inserts a PG's settings from `values` ({ field: value } for every field), or on an existing row
+// changes only the `changed` fields
+const upsertReminderSettings = async (db, pgId, values, changed) => {
+    const fields = Object.keys(values);
+    const setClause = changed.map(field => `${field} = EXCLUDED.${field}`).concat('updated_at = NOW()').join(', ');
+    const result = await db.query(`
+        INSERT INTO rent_reminder_settings (pg_id, ${fields.join(', ')})
+        VALUES ($1, ${fields.map((_, i) => `$${i + 2}`).join(', ')})
+        ON CONFLICT (pg_id) DO UPDATE SET ${setClause}
+        RETURNING *
+    `, [pgId, ...fields.map(field => values[field])]);
+    return result.rows[0];
+};
+
+// Open invoices of PGs with reminders enabled, with the resident, the PG, how many days past due
+// they are on `onDate` (else today) and the PG's settings (`defaults` where a PG has none)
+const invoicesToRemind = async (db, onDate, defaults, now) => {
+    const d = defaults;
+    const result = await db.query(`
+        SELECT i.*, c.name AS customer_name, c.email AS customer_email, c.room_no,
+               p.title AS pg_title, p.owner_email,
+               to_char(i.billing_period, 'FMMonth YYYY') AS period_label,
+               to_char(i.due_date, 'DD Mon YYYY') AS due_label,
+               (COALESCE($1::date, ${localDate(7)}) - i.due_date) AS days_past_due,
+               COALESCE(s.days_before_due, $2) AS days_before_due,
+               COALESCE(s.remind_on_due_date, $3) AS remind_on_due_date,
+               COALESCE(s.days_after_due, $4) AS days_after_due,
+               COALESCE(s.escalate_after_days, $5) AS escalate_after_days
+        FROM rent_invoices i
+        JOIN customers c ON c.id = i.customer_id
+        JOIN pg_listings p ON p.id = i.pg_id
+        LEFT JOIN rent_reminder_settings s ON s.pg_id = i.pg_id
+        WHERE i.status IN ('due', 'partially_paid') AND i.amount > i.amount_paid
+          AND COALESCE(s.enabled, $6)
+    `, [onDate, d.days_before_due, d.remind_on_due_date, d.days_after_due, d.escalate_after_days, d.enabled, now]);
+    return result.rows;
+};
+
+// Claims a reminder in the log before queueing, so concurrent runs and reruns never email twice.
+// Returns null when this invoice already had this stage queued (or is out of retries).
+const claimReminder = async (db, invoice, stage, recipient, maxAttempts) => {
+    const result = await db.query(`
+        INSERT INTO rent_reminders (invoice_id, customer_id, pg_id, stage, recipient, attempts)
+        VALUES ($1, $2, $3, $4, $5, 1)
+        ON CONFLICT (invoice_id, stage) DO UPDATE
+            SET attempts = rent_reminders.attempts + 1, status = 'pending', recipient = EXCLUDED.recipient
+            WHERE rent_reminders.status = 'failed' AND rent_reminders.attempts < $6
+        RETURNING id
+    `, [invoice.id, invoice.customer_id, invoice.pg_id, stage, recipient, maxAttempts]);
+    return result.rows[0]?.id || null;
+};
+
+const markReminderQueued = async (db, id, emailId) => {
+    await db.query(`UPDATE rent_reminders SET status = 'queued', email_id = $1 WHERE id = $2`, [emailId, id]);
+};
+
+const markReminderFailed = async (db, id) => {
+    await db.query(`UPDATE rent_reminders SET status = 'failed' WHERE id = $1`, [id]);
+};
+
+// A PG's reminder log, newest first, with each reminder's email delivery status
+const reminderLog = async (db, pgId, { stage, status, limit }) => {
+    let query = `
+        SELECT r.*, c.name AS customer_name, i.billing_period, i.due_date,
+               e.status AS email_status, e.sent_at AS email_sent_at, e.last_error AS email_error
+        FROM rent_reminders r
+        JOIN customers c ON c.id = r.customer_id
+        JOIN rent_invoices i ON i.id = r.invoice_id
+        LEFT JOIN email_queue e ON e.id = r.email_id
+        WHERE r.pg_id = $1
+    `;
+    const values = [pgId];
+    if (stage) {
+        values.push(stage);
+        query += ` AND r.stage = $${values.length}`;
+    }
+    if (status) {
+        values.push(status);
+        query += ` AND r.status = $${values.length}`;
+    }
+    values.push(limit);
+    query += ` ORDER BY r.created_at DESC LIMIT $${values.length}`;
+
+    const result = await db.query(query, values);
+    return result.rows;
+};
+
+module.exports = {
+    assignMonthlyRent,
+    refreshRentStatus,
+    createInvoice,
+    lockInvoice,
+    applyPayment,
+    issueMonthlyInvoices,
+    listForOwner,
+    statement,
+    totalPaidBy,
+    voidOpenInvoices,
+    totalReceived,
+    monthlyLedger,
+    findReminderSettings,
+    upsertReminderSettings,
+    invoicesToRemind,
+    claimReminder,
+    markReminderQueued,
+    markReminderFailed,
+    reminderLog
+};
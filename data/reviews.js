@@ -0,0 +1,255 @@
+// pg_reviews and the rating aggregates kept on pg_listings; pg_review_reports.
+
+const { localDate } = require('../db');
+
+// Optional sub-ratings, each stored in a <dimension>_rating column. `rating` is the overall one.
+const REVIEW_DIMENSIONS = ['cleanliness', 'food', 'safety', 'location', 'value_for_money'];
+
+const dimensionColumn = (dimension) => `${dimension}_rating`;
+
+// What the public sees of a review: no reviewer email or user id, its sub-ratings as `ratings`, and
+// whether it is tied to a stay
+const PUBLIC_COLUMNS = `
+    r.id, r.pg_id, r.user_name, r.rating, r.review_text, r.review_images, r.created_at, r.updated_at,
+    json_build_object(${REVIEW_DIMENSIONS.map(d => `'${d}', r.${dimensionColumn(d)}`).join(', ')}) AS ratings,
+    r.owner_reply, r.owner_reply_at,
+    CASE WHEN r.customer_id IS NOT NULL THEN 'booking' WHEN r.visit_id IS NOT NULL THEN 'visit' END AS stay,
+    (r.user_id IS NOT NULL) AS verified`;
+
+// Keyset orders of a PG's reviews, all descending and tied on id; `lowest` sorts on the negated rating
+const REVIEW_SORTS = {
+    newest: { key: 'r.created_at', type: 'timestamp' },
+    highest: { key: 'r.rating', type: 'int' },
+    lowest: { key: '-r.rating', type: 'int' }
+};
+
+// { column: value } for the sub-ratings given in `ratings` (null clears one)
+const dimensionValues = (ratings = {}) => Object.fromEntries(
+    REVIEW_DIMENSIONS.filter(d => ratings[d] !== undefined).map(d => [dimensionColumn(d), ratings[d]])
+);
+
+const insert = async (db, pgId, { userId, customerId, visitId, userName, rating, ratings, reviewText, reviewImages }, now) => {
+    const values = {
+        pg_id: pgId,
+        user_id: userId,
+        customer_id: customerId,
+        visit_id: visitId,
+        user_name: userName,
+        rating,
+        ...dimensionValues(ratings),
+        review_text: reviewText,
+        review_images: JSON.stringify(reviewImages),
+        created_at: now
+    };
+    const columns = Object.keys(values);
+    const result = await db.query(
+        `INSERT INTO pg_reviews (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        columns.map(column => values[column])
+    );
+    return result.rows[0];
+};
+
+// Recomputes pg_listings.rating and rating_count from the PG's visible reviews in one statement.
+// Callers lock the listing first (listings.lockForRating) so concurrent changes apply in turn.
+const refreshRating = async (db, pgId) => {
+    await db.query(`
+        UPDATE pg_listings p SET rating = s.rating, rating_count = s.count
+        FROM (
+            SELECT COALESCE(ROUND(AVG(rating), 2), 0) AS rating, COUNT(*)::int AS count
+            FROM pg_reviews WHERE pg_id = $1 AND status = 'visible'
+        ) s
+        WHERE p.id = $1
+    `, [pgId]);
+};
+
+// One page (plus one row, to tell if there is another) of a PG's visible reviews in a REVIEW_SORTS
+// order, after the (sort key, id) `after` pair if given. Rows carry sort_key as text for the next cursor.
+const listPage = async (db, pgId, { sortName, after = null, limit }) => {
+    const sort = REVIEW_SORTS[sortName];
+    const values = [pgId];
+    const conditions = ['r.pg_id = $1', `r.status = 'visible'`];
+    if (after) {
+        values.push(after[0], after[1]);
+        conditions.push(`(${sort.key}, r.id) < ($${values.length - 1}::${sort.type}, $${values.length}::int)`);
+    }
+
+    values.push(limit + 1);
+    const result = await db.query(`
+        SELECT ${PUBLIC_COLUMNS}, (${sort.key})::text AS sort_key
+        FROM pg_reviews r
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${sort.key} DESC, r.id DESC
+        LIMIT $${values.length}
+    `, values);
+    return result.rows;
+};
+
+// --- Summary ---
+
+// Visible reviews per overall star: { 1: n, ..., 5: n }
+const histogram = async (db, pgId) => {
+    const result = await db.query(
+        `SELECT rating, COUNT(*)::int AS count FROM pg_reviews WHERE pg_id = $1 AND status = 'visible' GROUP BY rating`,
+        [pgId]
+    );
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    result.rows.forEach(row => { counts[row.rating] = row.count; });
+    return counts;
+};
+
+// { dimension: { average, count } } over the visible reviews that rated it; average is null when none did
+const dimensionAverages = async (db, pgId) => {
+    const result = await db.query(`
+        SELECT ${REVIEW_DIMENSIONS.map(d => `
+            ROUND(AVG(${dimensionColumn(d)}), 2)::float AS ${d}_average,
+            COUNT(${dimensionColumn(d)})::int AS ${d}_count`).join(',')}
+        FROM pg_reviews WHERE pg_id = $1 AND status = 'visible'
+    `, [pgId]);
+    const row = result.rows[0];
+    return Object.fromEntries(REVIEW_DIMENSIONS.map(d => [d, { average: row[`${d}_average`], count: row[`${d}_count`] }]));
+};
+
+// Visible reviews written in each of the last `months` calendar months (to `now`), newest month
+// first, including months without any: { month: 'YYYY-MM', count, average }
+const monthlyTrend = async (db, pgId, months, now) => {
+    const result = await db.query(`
+        SELECT to_char(m.month, 'YYYY-MM') AS month,
+               COUNT(r.id)::int AS count,
+               ROUND(AVG(r.rating), 2)::float AS average
+        FROM generate_series(
+            date_trunc('month', ${localDate(3)}) - ($2 - 1) * INTERVAL '1 month',
+            date_trunc('month', ${localDate(3)}),
+            INTERVAL '1 month'
+        ) AS m(month)
+        LEFT JOIN pg_reviews r ON r.pg_id = $1 AND r.status = 'visible'
+            AND r.created_at >= m.month AND r.created_at < m.month + INTERVAL '1 month'
+        GROUP BY m.month
+        ORDER BY m.month DESC
+    `, [pgId, months, now]);
+    return result.rows;
+};
+
+const findPublic = async (db, id) => {
+    const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM pg_reviews r WHERE r.id = $1`, [id]);
+    return result.rows[0] || null;
+};
+
+const lockById = async (db, id) => {
+    const result = await db.query('SELECT * FROM pg_reviews WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+};
+
+// The reviewer's stays at a PG, newest first: bookings that were not cancelled and completed
+// visits, each with the review written about it (if any)
+const staysOf = async (db, pgId, email) => {
+    const result = await db.query(`
+        SELECT 'booking' AS kind, c.id, c.name, c.created_at, r.id AS review_id
+        FROM customers c
+        LEFT JOIN pg_reviews r ON r.customer_id = c.id
+        WHERE c.pg_id = $1 AND LOWER(c.email) = LOWER($2) AND c.booking_status <> 'cancelled'
+        UNION ALL
+        SELECT 'visit' AS kind, v.id, v.user_name AS name, v.created_at, r.id AS review_id
+        FROM visit_requests v
+        LEFT JOIN pg_reviews r ON r.visit_id = v.id
+        WHERE v.pg_id = $1 AND LOWER(v.user_email) = LOWER($2) AND v.status = 'completed'
+        ORDER BY created_at DESC
+    `, [pgId, email]);
+    return result.rows;
+};
+
+// Sets the reviewer's fields that were sent; a sub-rating sent as null is cleared
+const updateContent = async (db, id, { rating, ratings, reviewText, reviewImages }, now) => {
+    const changes = {
+        ...(rating !== undefined ? { rating } : {}),
+        ...dimensionValues(ratings),
+        ...(reviewText !== undefined ? { review_text: reviewText } : {}),
+        ...(reviewImages !== undefined ? { review_images: JSON.stringify(reviewImages) } : {}),
+        updated_at: now
+    };
+    const columns = Object.keys(changes);
+    const result = await db.query(
+        `UPDATE pg_reviews SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *`,
+        [id, ...columns.map(column => changes[column])]
+    );
+    return result.rows[0];
+};
+
+// Hides or restores a review
+const moderate = async (db, id, { status, by, reason }, now) => {
+    const result = await db.query(
+        `UPDATE pg_reviews SET status = $1, moderated_by = $2, moderation_reason = $3, moderated_at = $4::timestamptz
+         WHERE id = $5 RETURNING *`,
+        [status, by, reason || null, now, id]
+    );
+    return result.rows[0];
+};
+
+// Sets (or with null, removes) the owner's reply
+const setReply = async (db, id, reply, now) => {
+    const result = await db.query(
+        'UPDATE pg_reviews SET owner_reply = $1, owner_reply_at = $2::timestamptz WHERE id = $3 RETURNING *',
+        [reply, reply === null ? null : now, id]
+    );
+    return result.rows[0];
+};
+
+// --- Reports ---
+
+// Records a report and counts it on the review; false if this person has already reported it
+const insertReport = async (db, reviewId, { email, reason }, now) => {
+    const result = await db.query(
+        `INSERT INTO pg_review_reports (review_id, reporter_email, reason, created_at)
+         VALUES ($1, $2, $3, $4::timestamptz)
+         ON CONFLICT (review_id, LOWER(reporter_email)) DO NOTHING RETURNING id`,
+        [reviewId, email, reason, now]
+    );
+    if (result.rows.length === 0) return false;
+    await db.query('UPDATE pg_reviews SET report_count = report_count + 1 WHERE id = $1', [reviewId]);
+    return true;
+};
+
+// Reviews for moderation with their PG and reports, most reported first
+const listForModeration = async (db, { status, reported, limit }) => {
+    const conditions = [];
+    const params = [];
+    if (status) {
+        params.push(status);
+        conditions.push(`r.status = $${params.length}`);
+    }
+    if (reported) conditions.push('r.report_count > 0');
+    params.push(limit);
+
+    const result = await db.query(`
+        SELECT r.*, p.title AS pg_title,
+               COALESCE(json_agg(json_build_object('email', rep.reporter_email, 'reason', rep.reason, 'created_at', rep.created_at)
+                                 ORDER BY rep.created_at) FILTER (WHERE rep.id IS NOT NULL), '[]') AS reports
+        FROM pg_reviews r
+        JOIN pg_listings p ON p.id = r.pg_id
+        LEFT JOIN pg_review_reports rep ON rep.review_id = r.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY r.id, p.title
+        ORDER BY r.report_count DESC, r.created_at DESC
+        LIMIT $${params.length}
+    `, params);
+    return result.rows;
+};
+
+module.exports = {
+    REVIEW_DIMENSIONS,
+    REVIEW_SORTS,
+    insert,
+    refreshRating,
+    listPage,
+    histogram,
+    dimensionAverages,
+    monthlyTrend,
+    findPublic,
+    lockById,
+    staysOf,
+    updateContent,
+    moderate,
+    setReply,
+    insertReport,
+    listForModeration
+};
@@ -0,0 +1,267 @@
+// Listing search: full-text, filters, keyset sorting and distance, over pg_listings and the
+// pg_listing_search documents (see 013_full_text_search.sql). Cursors are in services/cursors.js and
+// geocoding in services/search.js.
+
+// Listings with their full-text document
+const PG_SEARCH_FROM = 'pg_listings p LEFT JOIN pg_listing_search s ON s.pg_id = p.id';
+
+// Keyset sort orders; `key` is compared together with the id so pages never overlap
+const PG_SEARCH_SORTS = {
+    relevance: { key: ({ textQuery }) => `ts_rank_cd(s.search_vector, ${textQuery})`, type: 'real', direction: 'DESC', needsText: true },
+    newest: { key: () => 'p.created_at', type: 'timestamp', direction: 'DESC' },
+    price_asc: { key: ({ priceExpr }) => `COALESCE(${priceExpr}, 99999999)`, type: 'numeric', direction: 'ASC' },
+    price_desc: { key: ({ priceExpr }) => `COALESCE(${priceExpr}, -1)`, type: 'numeric', direction: 'DESC' },
+    rating: { key: () => 'COALESCE(p.rating, 0)', type: 'numeric', direction: 'DESC' }
+};
+
+// Free text as a prefix query: every word must match the start of a word in the document.
+// Only letters and digits are kept, so the result is always valid to_tsquery input.
+const prefixTsQuery = (text) => {
+    const terms = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return terms.length > 0 ? terms.slice(0, 10).map(term => `${term}:*`).join(' & ') : null;
+};
+
+// --- Highlighting ---
+
+// ts_headline marks matches with control characters so the text can be HTML-escaped first
+const HEADLINE_START = '\u0002';
+const HEADLINE_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HEADLINE_START}, StopSel=${HEADLINE_STOP}`;
+const SNIPPET_OPTIONS = `${HEADLINE_OPTIONS}, MaxFragments=2, MaxWords=25, MinWords=10, FragmentDelimiter=" … "`;
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+const markHeadline = (text) => (text === null ? null : escapeHtml(text)
+    .split(HEADLINE_START).join('<mark>')
+    .split(HEADLINE_STOP).join('</mark>'));
+
+// Highlighted title and description snippet for a page of listings, keyed by id.
+// Run separately so headlines are only built for the rows being returned.
+const listingHighlights = async (db, ids, tsQuery) => {
+    if (ids.length === 0) return {};
+    const result = await db.query(`
+        SELECT id,
+               ts_headline('simple', title, to_tsquery('simple', $2), $3) AS title_highlight,
+               ts_headline('simple', COALESCE(description, ''), to_tsquery('simple', $2), $4) AS snippet
+        FROM pg_listings
+        WHERE id = ANY($1::int[])
+    `, [ids, tsQuery, `${HEADLINE_OPTIONS}, HighlightAll=true`, SNIPPET_OPTIONS]);
+    return Object.fromEntries(result.rows.map(row => [row.id, {
+        title_highlight: markHeadline(row.title_highlight),
+        snippet: markHeadline(row.snippet)
+    }]));
+};
+
+// --- Filters ---
+
+const csvParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Builds the WHERE clauses shared by the listing searches (over PG_SEARCH_FROM) from the search
+// query parameters. Pushes parameters onto `values`; returns { conditions, priceExpr, tsQuery, textQuery }.
+const pgSearchFilters = (query, values) => {
+    const { q, city, locality, pincode, food, occupancy, minPrice, maxPrice, minRating } = query;
+    const conditions = [];
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    // Free text over title, description, address and amenities
+    let tsQuery = null;
+    let textQuery = null;
+    if (q) {
+        tsQuery = prefixTsQuery(q);
+        textQuery = `to_tsquery('simple', ${param(tsQuery)})`;
+        conditions.push(`s.search_vector @@ ${textQuery}`);
+    }
+
+    if (city) conditions.push(`LOWER(p.city) = LOWER(${param(city)})`);
+    if (locality) {
+        const pattern = param(`%${locality}%`);
+        conditions.push(`(p.location ILIKE ${pattern} OR p.street ILIKE ${pattern})`);
+    }
+    if (pincode) conditions.push(`p.pincode = ${param(pincode)}`);
+
+    const genders = csvParam(query.gender).map(g => g.toLowerCase());
+    if (genders.length > 0) conditions.push(`LOWER(p.gender) = ANY(${param(genders)}::text[])`);
+
+    if (food !== undefined) conditions.push(`COALESCE(p.food_included, false) = ${param(food)}`);
+
+    // With an occupancy type, prices are that type's price; otherwise the listing's price range
+    let priceExpr = 'p.min_price';
+    if (occupancy) {
+        const type = param(occupancy);
+        conditions.push(`(p.occupancy_types ? ${type} OR p.occupancy_prices ? ${type})`);
+        priceExpr = `parse_price(p.occupancy_prices->>${type})`;
+    }
+
+    if (minPrice !== undefined) conditions.push(`${occupancy ? priceExpr : 'p.max_price'} >= ${param(minPrice)}`);
+    if (maxPrice !== undefined) conditions.push(`${priceExpr} <= ${param(maxPrice)}`);
+
+    const amenities = csvParam(query.amenities);
+    if (amenities.length > 0) conditions.push(`p.amenities @> ${param(JSON.stringify(amenities))}::jsonb`);
+
+    if (minRating !== undefined) conditions.push(`COALESCE(p.rating, 0) >= ${param(minRating)}`);
+
+    return { conditions, priceExpr, tsQuery, textQuery };
+};
+
+// Card projection for listing results: no descriptions, rules, room details or gallery
+const pgCardColumns = (priceExpr) => `
+    p.id, p.title, p.city, p.location, p.street, p.pincode, p.gender, p.food_included,
+    p.rating, p.rating_count, p.min_price, p.max_price, ${priceExpr} AS price,
+    p.occupancy_types, p.amenities, p.image_url, p.thumbnail_url,
+    p.created_at
+`;
+
+// --- Queries ---
+
+// One page (plus one row, to tell if there is another) of cards in a PG_SEARCH_SORTS order,
+// after the (sort key, id) `after` pair if given. Rows carry sort_key as text for the next cursor.
+const searchListings = async (db, query, { sortName, after = null, limit }) => {
+    const values = [];
+    const filters = pgSearchFilters(query, values);
+    const sort = PG_SEARCH_SORTS[sortName];
+
+    const { conditions, priceExpr } = filters;
+    const sortKey = sort.key(filters);
+    if (after) {
+        values.push(after[0], after[1]);
+        const op = sort.direction === 'ASC' ? '>' : '<';
+        conditions.push(`(${sortKey}, p.id) ${op} ($${values.length - 1}::${sort.type}, $${values.length}::int)`);
+    }
+
+    values.push(limit + 1);
+    const result = await db.query(`
+        SELECT ${pgCardColumns(priceExpr)}, ${sortKey}::text AS sort_key
+        FROM ${PG_SEARCH_FROM}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${sortKey} ${sort.direction}, p.id ${sort.direction}
+        LIMIT $${values.length}
+    `, values);
+    return { rows: result.rows, tsQuery: filters.tsQuery };
+};
+
+// Best prefix matches on the search document, with the title highlighted
+const autocomplete = async (db, tsQuery, limit) => {
+    const result = await db.query(`
+        SELECT p.id, p.title, p.city, p.location,
+               ts_headline('simple', p.title, query, $2) AS title_highlight
+        FROM (
+            SELECT p.id, ts_rank_cd(s.search_vector, query) AS rank, query
+            FROM pg_listing_search s
+            JOIN pg_listings p ON p.id = s.pg_id
+            CROSS JOIN to_tsquery('simple', $1) query
+            WHERE s.search_vector @@ query
+            ORDER BY rank DESC, COALESCE(p.rating, 0) DESC, p.id DESC
+            LIMIT $3
+        ) top
+        JOIN pg_listings p ON p.id = top.id
+        ORDER BY top.rank DESC, COALESCE(p.rating, 0) DESC, p.id DESC
+    `, [tsQuery, `${HEADLINE_OPTIONS}, HighlightAll=true`, limit]);
+    return result.rows.map(row => ({ ...row, title_highlight: markHeadline(row.title_highlight) }));
+};
+
+// --- Distance ---
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.045;
+
+// Great-circle distance in km from ($lat, $lng) to a listing, as SQL
+const haversineSql = (lat, lng) => `
+    ${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+        POWER(SIN(RADIANS(p.latitude - ${lat}) / 2), 2) +
+        COS(RADIANS(${lat})) * COS(RADIANS(p.latitude)) * POWER(SIN(RADIANS(p.longitude - ${lng}) / 2), 2)
+    ))`;
+
+// Degrees spanned by `radiusKm` around a latitude; used to pre-filter on the (latitude, longitude) index
+const boundingBox = (lat, lng, radiusKm) => {
+    const dLat = radiusKm / KM_PER_DEGREE_LAT;
+    const dLng = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    return { minLat: lat - dLat, maxLat: lat + dLat, minLng: lng - dLng, maxLng: lng + dLng };
+};
+
+// One page (plus one row) of cards inside `box`, nearest to `center` first, with their distance.
+// With a `radiusKm` only listings that close are kept; `after` is a (distance, id) pair.
+const nearbyListings = async (db, query, { center, box, radiusKm = null, after = null, limit }) => {
+    // The box narrows the index scan; the distance check is exact
+    const values = [center.lat, center.lng];
+    const distance = haversineSql('$1::float8', '$2::float8');
+    const filters = pgSearchFilters(query, values);
+
+    const { conditions, priceExpr } = filters;
+    values.push(box.minLat, box.maxLat, box.minLng, box.maxLng);
+    conditions.push(`p.latitude BETWEEN $${values.length - 3} AND $${values.length - 2}`);
+    conditions.push(`p.longitude BETWEEN $${values.length - 1} AND $${values.length}`);
+    if (radiusKm !== null) {
+        values.push(radiusKm);
+        conditions.push(`${distance} <= $${values.length}`);
+    }
+    if (after) {
+        values.push(after[0], after[1]);
+        conditions.push(`(${distance}, p.id) > ($${values.length - 1}::float8, $${values.length}::int)`);
+    }
+
+    values.push(limit + 1);
+    const result = await db.query(`
+        SELECT ${pgCardColumns(priceExpr)}, p.latitude, p.longitude,
+               ${distance} AS distance
+        FROM ${PG_SEARCH_FROM}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY distance, p.id
+        LIMIT $${values.length}
+    `, values);
+    return { rows: result.rows, tsQuery: filters.tsQuery };
+};
+
+// Listings for the super admin's availability report, filtered by city and locality substrings
+// and free text (best matches first)
+const availabilityListings = async (db, { city, locality, search } = {}) => {
+    let query = `
+        SELECT p.id, p.title, p.price, p.city, p.street as locality, p.food_included, p.occupancy_types,
+               room_summary(p.id) AS rooms, p.gender, p.owner_contact, p.owner_email
+        FROM ${PG_SEARCH_FROM}
+        WHERE 1=1
+    `;
+    const values = [];
+    let paramCount = 1;
+
+    if (city) {
+        query += ` AND p.city ILIKE $${paramCount}`;
+        values.push(`%${city}%`);
+        paramCount++;
+    }
+
+    if (locality) {
+        query += ` AND p.street ILIKE $${paramCount}`;
+        values.push(`%${locality}%`);
+        paramCount++;
+    }
+
+    // Full-text over title, address, amenities and description
+    const tsQuery = search ? prefixTsQuery(search) : null;
+    if (tsQuery) {
+        query += ` AND s.search_vector @@ to_tsquery('simple', $${paramCount})`;
+        query += ` ORDER BY ts_rank_cd(s.search_vector, to_tsquery('simple', $${paramCount})) DESC, p.created_at DESC`;
+        values.push(tsQuery);
+        paramCount++;
+    } else {
+        query += ' ORDER BY p.created_at DESC';
+    }
+
+    const result = await db.query(query, values);
+    return result.rows;
+};
+
+module.exports = {
+    PG_SEARCH_SORTS,
+    prefixTsQuery,
+    listingHighlights,
+    searchListings,
+    autocomplete,
+    boundingBox,
+    nearbyListings,
+    availabilityListings
+};
@@ -0,0 +1,31 @@
+// booking_settlements: the final account of an ended booking (cancelled or moved out), one per booking.
+
+const insert = async (db, settlement) => {
+    const columns = Object.keys(settlement);
+    const result = await db.query(
+        `INSERT INTO booking_settlements (${columns.join(', ')})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        columns.map(column => settlement[column])
+    );
+    return result.rows[0];
+};
+
+const findByCustomer = async (db, customerId) => {
+    const result = await db.query('SELECT * FROM booking_settlements WHERE customer_id = $1', [customerId]);
+    return result.rows[0] || null;
+};
+
+// Settlements of the given PGs with the resident and PG, newest first
+const listForPgs = async (db, pgIds) => {
+    const result = await db.query(`
+        SELECT s.*, c.name AS customer_name, c.email AS customer_email, c.room_no, p.title AS pg_title
+        FROM booking_settlements s
+        JOIN customers c ON c.id = s.customer_id
+        JOIN pg_listings p ON p.id = s.pg_id
+        WHERE s.pg_id = ANY($1::int[])
+        ORDER BY s.created_at DESC, s.id DESC
+    `, [pgIds]);
+    return result.rows;
+};
+
+module.exports = { insert, findByCustomer, listForPgs };
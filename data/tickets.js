@@ -0,0 +1,200 @@
+// maintenance_tickets raised by residents against their PG and room; ticket_comments on them.
+// The status workflow and SLA rules are in services/tickets.js.
+
+const TICKET_CATEGORIES = ['electrical', 'plumbing', 'furniture', 'appliance', 'cleaning', 'internet', 'pest_control', 'security', 'other'];
+const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TICKET_STATUSES = ['open', 'assigned', 'in_progress', 'resolved', 'closed'];
+
+// Statuses still waiting on the owner
+const ACTIVE = `status IN ('open', 'assigned', 'in_progress')`;
+
+// Tickets with their PG's title
+const TICKET_WITH_PG = `
+    SELECT t.*, p.title AS pg_title
+    FROM maintenance_tickets t
+    JOIN pg_listings p ON p.id = t.pg_id`;
+
+// Active tickets first, most urgent and soonest due at the top; then the rest, newest first
+const QUEUE_ORDER = `
+    CASE WHEN t.${ACTIVE} THEN 0 ELSE 1 END,
+    CASE WHEN t.${ACTIVE} THEN array_position(ARRAY['urgent', 'high', 'medium', 'low']::varchar[], t.priority) END,
+    CASE WHEN t.${ACTIVE} THEN t.resolution_due_at END,
+    t.created_at DESC, t.id DESC`;
+
+// { reporter_email, pg_id } of a ticket, or null
+const findReporter = async (db, id) => {
+    const result = await db.query('SELECT reporter_email, pg_id FROM maintenance_tickets WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+// The resident's latest current booking in the PG with its room, or null
+const currentStay = async (db, pgId, email) => {
+    const result = await db.query(`
+        SELECT c.id, c.name, r.id AS room_id, COALESCE(r.room_number, c.room_no) AS room_number
+        FROM customers c
+        LEFT JOIN beds b ON b.id = c.bed_id
+        LEFT JOIN rooms r ON r.id = b.room_id
+        WHERE c.pg_id = $1 AND LOWER(c.email) = LOWER($2) AND c.booking_status IN ('active', 'move_out_requested')
+        ORDER BY c.created_at DESC
+        LIMIT 1
+    `, [pgId, email]);
+    return result.rows[0] || null;
+};
+
+const insert = async (db, fields, now) => {
+    const result = await db.query(
+        `INSERT INTO maintenance_tickets (
+            pg_id, customer_id, room_id, room_number, reporter_email, reporter_name, category, priority, title,
+            description, photos, response_due_at, resolution_due_at, created_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12::timestamptz, $13::timestamptz, $14::timestamptz)
+         RETURNING id`,
+        [
+            fields.pgId, fields.customerId, fields.roomId, fields.roomNumber, fields.reporterEmail, fields.reporterName,
+            fields.category, fields.priority, fields.title, fields.description, JSON.stringify(fields.photos),
+            fields.responseDueAt, fields.resolutionDueAt, now
+        ]
+    );
+    return result.rows[0].id;
+};
+
+const findById = async (db, id) => {
+    const result = await db.query(`${TICKET_WITH_PG} WHERE t.id = $1`, [id]);
+    return result.rows[0] || null;
+};
+
+const lockById = async (db, id) => {
+    const result = await db.query('SELECT * FROM maintenance_tickets WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+};
+
+// Sets the given { column: value } pairs; timestamps are sent as timestamptz
+const update = async (db, id, changes, now) => {
+    const columns = Object.keys(changes);
+    const assignments = columns.map((column, i) => `${column} = $${i + 3}${column.endsWith('_at') ? '::timestamptz' : ''}`);
+    await db.query(
+        `UPDATE maintenance_tickets SET ${[...assignments, 'updated_at = $2::timestamptz'].join(', ')} WHERE id = $1`,
+        [id, now, ...columns.map(column => changes[column])]
+    );
+};
+
+// A PG's tickets in queue order, filtered by status, priority, category and whether they are overdue at `now`
+const listForPg = async (db, pgId, { status, priority, category, overdue, limit }, now) => {
+    const values = [pgId];
+    const conditions = ['t.pg_id = $1'];
+    const filter = (column, value) => {
+        values.push(value);
+        conditions.push(`t.${column} = $${values.length}`);
+    };
+    if (status) filter('status', status);
+    if (priority) filter('priority', priority);
+    if (category) filter('category', category);
+    if (overdue) {
+        values.push(now);
+        conditions.push(`t.${ACTIVE} AND t.resolution_due_at <= $${values.length}::timestamptz`);
+    }
+    values.push(limit);
+
+    const result = await db.query(`
+        ${TICKET_WITH_PG}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${QUEUE_ORDER}
+        LIMIT $${values.length}
+    `, values);
+    return result.rows;
+};
+
+// Ticket counts for a PG: one per status, plus the active ones past their resolution time
+const countsForPg = async (db, pgId, now) => {
+    const result = await db.query(`
+        SELECT ${TICKET_STATUSES.map(status => `COUNT(*) FILTER (WHERE status = '${status}')::int AS ${status}`).join(', ')},
+               COUNT(*) FILTER (WHERE ${ACTIVE} AND resolution_due_at <= $2::timestamptz)::int AS overdue
+        FROM maintenance_tickets WHERE pg_id = $1
+    `, [pgId, now]);
+    return result.rows[0];
+};
+
+// A resident's tickets across PGs, active ones first
+const listForReporter = async (db, email) => {
+    const result = await db.query(`${TICKET_WITH_PG} WHERE LOWER(t.reporter_email) = LOWER($1) ORDER BY ${QUEUE_ORDER}`, [email]);
+    return result.rows;
+};
+
+// Resolution metrics over the given PGs' tickets: active and overdue counts, and for resolved
+// tickets the average and median hours to resolve, average hours to assign, and the share
+// resolved within their SLA
+const metricsForPgs = async (db, pgIds, now) => {
+    const hours = (from, to) => `EXTRACT(EPOCH FROM ${to} - ${from}) / 3600`;
+    const result = await db.query(`
+        SELECT COUNT(*) FILTER (WHERE ${ACTIVE})::int AS active,
+               COUNT(*) FILTER (WHERE ${ACTIVE} AND resolution_due_at <= $2::timestamptz)::int AS overdue,
+               COUNT(resolved_at)::int AS resolved,
+               ROUND(AVG(${hours('created_at', 'resolved_at')})::numeric, 1)::float AS avg_resolution_hours,
+               ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${hours('created_at', 'resolved_at')}))::numeric, 1)::float
+                   AS median_resolution_hours,
+               ROUND(AVG(${hours('created_at', 'assigned_at')})::numeric, 1)::float AS avg_response_hours,
+               ROUND(100.0 * COUNT(*) FILTER (WHERE resolved_at <= resolution_due_at) / NULLIF(COUNT(resolved_at), 0), 1)::float
+                   AS resolved_within_sla_pct
+        FROM maintenance_tickets WHERE pg_id = ANY($1::int[])
+    `, [pgIds, now]);
+    return result.rows[0];
+};
+
+// --- SLA job ---
+
+// Marks active tickets past their resolution time as escalated (once each) and returns them
+// with their PG's title and owner
+const claimOverdue = async (db, now) => {
+    const result = await db.query(`
+        UPDATE maintenance_tickets t SET escalated_at = $1::timestamptz
+        FROM pg_listings p
+        WHERE p.id = t.pg_id AND t.${ACTIVE} AND t.escalated_at IS NULL AND t.resolution_due_at <= $1::timestamptz
+        RETURNING t.*, p.title AS pg_title, p.owner_email
+    `, [now]);
+    return result.rows;
+};
+
+// Closes tickets resolved at or before `cutoff`; returns how many
+const closeResolvedBefore = async (db, cutoff, now) => {
+    const result = await db.query(
+        `UPDATE maintenance_tickets SET status = 'closed', closed_at = $2::timestamptz, updated_at = $2::timestamptz
+         WHERE status = 'resolved' AND resolved_at <= $1::timestamptz`,
+        [cutoff, now]
+    );
+    return result.rowCount;
+};
+
+// --- Comments ---
+
+const insertComment = async (db, ticketId, { authorEmail, authorRole, body, photos }, now) => {
+    const result = await db.query(
+        `INSERT INTO ticket_comments (ticket_id, author_email, author_role, body, photos, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6::timestamptz) RETURNING *`,
+        [ticketId, authorEmail, authorRole, body, JSON.stringify(photos), now]
+    );
+    return result.rows[0];
+};
+
+const listComments = async (db, ticketId) => {
+    const result = await db.query('SELECT * FROM ticket_comments WHERE ticket_id = $1 ORDER BY created_at, id', [ticketId]);
+    return result.rows;
+};
+
+module.exports = {
+    TICKET_CATEGORIES,
+    TICKET_PRIORITIES,
+    TICKET_STATUSES,
+    findReporter,
+    currentStay,
+    insert,
+    findById,
+    lockById,
+    update,
+    listForPg,
+    countsForPg,
+    listForReporter,
+    metricsForPgs,
+    claimOverdue,
+    closeResolvedBefore,
+    insertComment,
+    listComments
+};
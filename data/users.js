@@ -0,0 +1,64 @@
+// users: residents' accounts (profile and emailed login codes). Their bookings are in customers.
+// One account per email whatever its case: lookups compare LOWER(email).
+
+const findByEmail = async (db, email) => {
+    const result = await db.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    return result.rows[0] || null;
+};
+
+const insert = async (db, { email, phone }) => {
+    const result = await db.query('INSERT INTO users (email, phone) VALUES ($1, $2) RETURNING *', [email, phone]);
+    return result.rows[0];
+};
+
+const updatePhone = async (db, email, phone) => {
+    const result = await db.query(
+        'UPDATE users SET phone = $1, updated_at = NOW() WHERE LOWER(email) = LOWER($2) RETURNING *',
+        [phone, email]
+    );
+    return result.rows[0] || null;
+};
+
+// Whether the account's code-request window (started at most $6 minutes before $3) has ended
+const windowOver = `(users.login_code_window_started_at IS NULL
+    OR users.login_code_window_started_at <= $3::timestamptz - $6 * INTERVAL '1 minute')`;
+
+// Stores a new login code (replacing any earlier one), valid for `ttlMinutes` from `now`, and
+// creates the account on first use. At most `maxRequests` codes per `windowMinutes`: a window opens
+// with the first request after the last one ended, and failed attempts are only forgotten then.
+// Returns false, storing nothing, when the window's requests are used up.
+const setLoginCode = async (db, email, codeHash, { ttlMinutes, maxRequests, windowMinutes }, now) => {
+    const result = await db.query(`
+        INSERT INTO users (email, login_code_hash, login_code_expires_at, login_code_attempts,
+                           login_code_requests, login_code_window_started_at)
+        VALUES ($1, $2, $3::timestamptz + $4 * INTERVAL '1 minute', 0, 1, $3::timestamptz)
+        ON CONFLICT (LOWER(email)) DO UPDATE SET
+            login_code_hash = EXCLUDED.login_code_hash,
+            login_code_expires_at = EXCLUDED.login_code_expires_at,
+            login_code_attempts = CASE WHEN ${windowOver} THEN 0 ELSE users.login_code_attempts END,
+            login_code_requests = CASE WHEN ${windowOver} THEN 1 ELSE users.login_code_requests + 1 END,
+            login_code_window_started_at = CASE WHEN ${windowOver} THEN $3::timestamptz ELSE users.login_code_window_started_at END
+        WHERE ${windowOver} OR users.login_code_requests < $5
+        RETURNING id
+    `, [email, codeHash, now, ttlMinutes, maxRequests, windowMinutes]);
+    return result.rows.length > 0;
+};
+
+// Counts a login attempt; returns the user, or null if they have no outstanding code
+const countLoginAttempt = async (db, email) => {
+    const result = await db.query(
+        `UPDATE users SET login_code_attempts = login_code_attempts + 1
+         WHERE LOWER(email) = LOWER($1) AND login_code_hash IS NOT NULL RETURNING *`,
+        [email]
+    );
+    return result.rows[0] || null;
+};
+
+const clearLoginCode = async (db, id) => {
+    await db.query(
+        'UPDATE users SET login_code_hash = NULL, login_code_expires_at = NULL, login_code_attempts = 0 WHERE id = $1',
+        [id]
+    );
+};
+
+module.exports = { findByEmail, insert, updatePhone, setLoginCode, countLoginAttempt, clearLoginCode };
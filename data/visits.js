@@ -0,0 +1,221 @@
+// visit_requests and a PG's visiting schedule (visit_hours, visit_blackouts).
+// Slot rules and the request lifecycle are in services/visits.js.
+
+const { localTime, localDate } = require('../db');
+
+// { user_email } of a visit request, or null
+const findRequester = async (db, id) => {
+    const result = await db.query('SELECT user_email FROM visit_requests WHERE id = $1', [id]);
+    return result.rows[0] || null;
+};
+
+// The visit request under a row lock, with whether its date has arrived by `now`
+const lockWithDateReached = async (db, id, now) => {
+    const result = await db.query(
+        `SELECT *, visit_date <= ${localDate(2)} AS date_reached FROM visit_requests WHERE id = $1 FOR UPDATE`,
+        [id, now]
+    );
+    return result.rows[0] || null;
+};
+
+// Sets the status and the given { column: value } pairs
+const setStatus = async (db, id, status, changes) => {
+    const columns = Object.keys(changes);
+    const result = await db.query(`
+        UPDATE visit_requests
+        SET ${['status = $2', ...columns.map((column, i) => `${column} = $${i + 3}`), 'status_changed_at = NOW()', 'updated_at = NOW()'].join(', ')}
+        WHERE id = $1 RETURNING *
+    `, [id, status, ...columns.map(column => changes[column])]);
+    return result.rows[0];
+};
+
+const findPendingId = async (db, userEmail, pgId) => {
+    const result = await db.query(
+        `SELECT id FROM visit_requests WHERE LOWER(user_email) = LOWER($1) AND pg_id = $2 AND status = 'pending'`,
+        [userEmail, pgId]
+    );
+    return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+const insert = async (db, { userEmail, userName, pgId, ownerEmail, visitDate, visitTime }) => {
+    const result = await db.query(
+        `INSERT INTO visit_requests (user_email, user_name, pg_id, owner_email, visit_date, visit_time, status_changed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING *`,
+        [userEmail, userName, pgId, ownerEmail, visitDate, visitTime]
+    );
+    return result.rows[0];
+};
+
+// A resident's visit requests with their PG, newest first; `limit` for just the latest few
+const listForRequester = async (db, email, { limit = null } = {}) => {
+    const result = await db.query(`
+        SELECT vr.*, p.title as pg_title, p.location as pg_location, p.city as pg_city, p.image_url as pg_image
+        FROM visit_requests vr
+        LEFT JOIN pg_listings p ON vr.pg_id = p.id
+        WHERE LOWER(vr.user_email) = LOWER($1)
+        ORDER BY vr.created_at DESC
+        LIMIT $2
+    `, [email, limit]);
+    return result.rows;
+};
+
+// Visit requests for the given PGs: open ones first, then newest
+const listForPgs = async (db, pgIds) => {
+    const result = await db.query(`
+        SELECT vr.*, p.title as pg_title, p.location as pg_location
+        FROM visit_requests vr
+        JOIN pg_listings p ON vr.pg_id = p.id
+        WHERE vr.pg_id = ANY($1::int[])
+        ORDER BY
+            CASE WHEN vr.status = 'pending' THEN 0
+                 WHEN vr.status = 'proposed' THEN 1
+                 WHEN vr.status = 'approved' THEN 2
+                 ELSE 3 END,
+            vr.created_at DESC
+    `, [pgIds]);
+    return result.rows;
+};
+
+// The PG and formatted dates an email about the visit needs
+const findEmailDetails = async (db, id) => {
+    const result = await db.query(`
+        SELECT p.title, p.owner_email,
+               to_char(v.visit_date, 'DD Mon YYYY') AS visit_day,
+               to_char(v.proposed_date, 'DD Mon YYYY') AS proposed_day
+        FROM visit_requests v LEFT JOIN pg_listings p ON p.id = v.pg_id
+        WHERE v.id = $1
+    `, [id]);
+    return result.rows[0];
+};
+
+// --- Visiting Schedule ---
+
+// Arbitrary key for pg_advisory_xact_lock, paired with the PG id, so capacity checks don't race
+const VISIT_SLOT_LOCK_ID = 27182818;
+
+// Serialises slot bookings for a PG until the calling transaction ends
+const lockSlots = async (db, pgId) => {
+    await db.query('SELECT pg_advisory_xact_lock($1, $2)', [VISIT_SLOT_LOCK_ID, pgId]);
+};
+
+// Visit slots of a PG between two dates (inclusive), as { date, time, capacity, booked }: the
+// owner's weekly hours (or `defaults` when there are none) minus blackout dates, slots running past
+// gate_close_time and slots already started by `now`. `booked` counts pending/approved visits in
+// the slot, plus owner proposals for it.
+const listSlots = async (db, pgId, fromDate, toDate, { ignoreVisitId = null, defaults, now }) => {
+    const d = defaults;
+    const result = await db.query(`
+        WITH configured AS (
+            SELECT weekday, start_time, end_time, slot_minutes, capacity FROM visit_hours WHERE pg_id = $1
+        ),
+        hours AS (
+            SELECT * FROM configured
+            UNION ALL
+            SELECT weekday, $5::time, $6::time, $7::int, $8::int FROM generate_series(0, 6) weekday
+            WHERE NOT EXISTS (SELECT 1 FROM configured)
+        ),
+        slots AS (
+            SELECT day::date AS day, slot::time AS slot_time, h.capacity, h.slot_minutes
+            FROM generate_series($2::date, $3::date, INTERVAL '1 day') day
+            JOIN hours h ON h.weekday = EXTRACT(DOW FROM day)::int
+            CROSS JOIN LATERAL generate_series(
+                day::date + h.start_time,
+                day::date + h.end_time - h.slot_minutes * INTERVAL '1 minute',
+                h.slot_minutes * INTERVAL '1 minute'
+            ) slot
+        ),
+        taken AS (
+            SELECT visit_date AS day, visit_time AS slot FROM visit_requests
+            WHERE pg_id = $1 AND status IN ('pending', 'approved') AND id IS DISTINCT FROM $4
+            UNION ALL
+            SELECT proposed_date, proposed_time FROM visit_requests
+            WHERE pg_id = $1 AND status = 'proposed' AND id IS DISTINCT FROM $4
+        )
+        SELECT to_char(s.day, 'YYYY-MM-DD') AS date, to_char(s.slot_time, 'HH24:MI') AS time, s.capacity,
+               (SELECT COUNT(*) FROM taken t WHERE t.day = s.day AND t.slot = to_char(s.slot_time, 'HH24:MI'))::int AS booked
+        FROM slots s
+        JOIN pg_listings p ON p.id = $1
+        WHERE NOT EXISTS (SELECT 1 FROM visit_blackouts b WHERE b.pg_id = $1 AND b.blackout_date = s.day)
+          AND (try_time(p.gate_close_time) IS NULL
+               OR s.slot_time + s.slot_minutes * INTERVAL '1 minute' <= try_time(p.gate_close_time))
+          AND s.day + s.slot_time > ${localTime(9)}
+        ORDER BY s.day, s.slot_time
+    `, [pgId, fromDate, toDate, ignoreVisitId, d.start, d.end, d.slotMinutes, d.capacity, now]);
+    return result.rows;
+};
+
+// `from` (default today) and `to` (default six days later) as YYYY-MM-DD, and the days between
+const resolveRange = async (db, from, to, now) => {
+    const result = await db.query(`
+        SELECT to_char(f, 'YYYY-MM-DD') AS from_date, to_char(t, 'YYYY-MM-DD') AS to_date, t - f AS days
+        FROM (SELECT COALESCE($1::date, ${localDate(3)}) AS f) a,
+             LATERAL (SELECT COALESCE($2::date, f + 6) AS t) b
+    `, [from || null, to || null, now]);
+    return result.rows[0];
+};
+
+const listHours = async (db, pgId) => {
+    const result = await db.query(`
+        SELECT weekday, to_char(start_time, 'HH24:MI') AS start, to_char(end_time, 'HH24:MI') AS end,
+               slot_minutes AS "slotMinutes", capacity
+        FROM visit_hours WHERE pg_id = $1 ORDER BY weekday, start_time
+    `, [pgId]);
+    return result.rows;
+};
+
+const replaceHours = async (db, pgId, hours) => {
+    await db.query('DELETE FROM visit_hours WHERE pg_id = $1', [pgId]);
+    for (const { weekday, start, end, slotMinutes, capacity } of hours) {
+        await db.query(
+            `INSERT INTO visit_hours (pg_id, weekday, start_time, end_time, slot_minutes, capacity)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [pgId, weekday, start, end, slotMinutes, capacity]
+        );
+    }
+};
+
+// Blackout dates from `now`'s date on
+const listUpcomingBlackouts = async (db, pgId, now) => {
+    const result = await db.query(`
+        SELECT to_char(blackout_date, 'YYYY-MM-DD') AS date, reason
+        FROM visit_blackouts WHERE pg_id = $1 AND blackout_date >= ${localDate(2)} ORDER BY blackout_date
+    `, [pgId, now]);
+    return result.rows;
+};
+
+const upsertBlackout = async (db, pgId, date, reason) => {
+    const result = await db.query(`
+        INSERT INTO visit_blackouts (pg_id, blackout_date, reason) VALUES ($1, $2, $3)
+        ON CONFLICT (pg_id, blackout_date) DO UPDATE SET reason = EXCLUDED.reason
+        RETURNING id, to_char(blackout_date, 'YYYY-MM-DD') AS date, reason
+    `, [pgId, date, reason]);
+    return result.rows[0];
+};
+
+// False if the PG had no blackout on that date
+const removeBlackout = async (db, pgId, date) => {
+    const result = await db.query(
+        'DELETE FROM visit_blackouts WHERE pg_id = $1 AND blackout_date = $2 RETURNING id',
+        [pgId, date]
+    );
+    return result.rows.length > 0;
+};
+
+module.exports = {
+    findRequester,
+    lockWithDateReached,
+    setStatus,
+    findPendingId,
+    insert,
+    listForRequester,
+    listForPgs,
+    findEmailDetails,
+    lockSlots,
+    listSlots,
+    resolveRange,
+    listHours,
+    replaceHours,
+    listUpcomingBlackouts,
+    upsertBlackout,
+    removeBlackout
+};
@@ -0,0 +1,39 @@
+// Shared database helpers.
+//
+// Data modules (data/*.js) take the `db` to run on as their first argument: the pool, or the
+// client of a transaction started here, so the same query works inside and outside one.
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+// The business runs on India time. Dates ("today", a visit's day, a rent due date) and wall-clock
+// times are read in this zone explicitly, so they don't depend on the session's TimeZone setting.
+const BUSINESS_TIME_ZONE = 'Asia/Kolkata';
+
+// SQL for the business's wall-clock time, and date, at the instant in parameter $n
+const localTime = (n) => `($${n}::timestamptz AT TIME ZONE '${BUSINESS_TIME_ZONE}')`;
+const localDate = (n) => `${localTime(n)}::date`;
+
+// Runs fn(client) inside BEGIN/COMMIT on a dedicated client, rolling back on any error
+const withTransaction = async (db, fn) => {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// NUMERIC columns arrive as strings; null when the value isn't a number
+const toAmount = (value) => {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : null;
+};
+
+module.exports = { UNIQUE_VIOLATION, BUSINESS_TIME_ZONE, localTime, localDate, withTransaction, toAmount };
@@ -0,0 +1,151 @@
+-- Migration: Initial schema
+-- Consolidates db/schema.sql, the loose db/*.sql files, migrate.js and the old runMigrations()
+-- in server.js. Every statement is idempotent so databases created by those scripts can adopt
+-- the versioned runner without changes.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS pg_listings (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    price VARCHAR(50),
+    location VARCHAR(255),
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    image_url TEXT,
+    owner_contact VARCHAR(100),
+    occupancy_types JSONB DEFAULT '[]',
+    occupancy_prices JSONB DEFAULT '{}',
+    food_included BOOLEAN DEFAULT false,
+    notice_period VARCHAR(100) DEFAULT '30 days',
+    gate_close_time VARCHAR(50) DEFAULT '10:30 PM',
+    safety_deposit VARCHAR(50),
+    rating DECIMAL(3,2) DEFAULT 0.0 CHECK (rating >= 0 AND rating <= 5),
+    rating_count INTEGER DEFAULT 0,
+    house_no VARCHAR(100),
+    street VARCHAR(255),
+    city VARCHAR(100),
+    pincode VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE pg_listings
+ADD COLUMN IF NOT EXISTS occupancy_types JSONB DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS occupancy_prices JSONB DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS food_included BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS notice_period VARCHAR(100) DEFAULT '30 days',
+ADD COLUMN IF NOT EXISTS gate_close_time VARCHAR(50) DEFAULT '10:30 PM',
+ADD COLUMN IF NOT EXISTS safety_deposit VARCHAR(50),
+ADD COLUMN IF NOT EXISTS rating DECIMAL(3,2) DEFAULT 0.0,
+ADD COLUMN IF NOT EXISTS rating_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS house_no VARCHAR(100),
+ADD COLUMN IF NOT EXISTS street VARCHAR(255),
+ADD COLUMN IF NOT EXISTS city VARCHAR(100),
+ADD COLUMN IF NOT EXISTS pincode VARCHAR(20),
+ADD COLUMN IF NOT EXISTS owner_email VARCHAR(255),
+ADD COLUMN IF NOT EXISTS gender VARCHAR(50) DEFAULT 'unisex',
+ADD COLUMN IF NOT EXISTS amenities JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS rules JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS rooms JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS images JSONB DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_pg_listings_rating ON pg_listings(rating);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_occupancy ON pg_listings USING GIN (occupancy_types);
+
+CREATE TABLE IF NOT EXISTS pg_owners (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    mobile VARCHAR(20),
+    city VARCHAR(100),
+    state VARCHAR(100),
+    address TEXT,
+    dob DATE,
+    profile_picture TEXT,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- db/migration_super_admin.sql created these as NOT NULL, but add-owner never sends them
+ALTER TABLE pg_owners
+ADD COLUMN IF NOT EXISTS state VARCHAR(100),
+ADD COLUMN IF NOT EXISTS address TEXT,
+ADD COLUMN IF NOT EXISTS dob DATE,
+ADD COLUMN IF NOT EXISTS profile_picture TEXT,
+ALTER COLUMN mobile DROP NOT NULL,
+ALTER COLUMN city DROP NOT NULL,
+ALTER COLUMN address DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS customers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    mobile VARCHAR(20),
+    pg_id INTEGER REFERENCES pg_listings(id),
+    room_no VARCHAR(50),
+    room_type VARCHAR(50),
+    floor VARCHAR(50),
+    move_in_date DATE,
+    status VARCHAR(50) DEFAULT 'Due',
+    booking_id VARCHAR(100),
+    amount DECIMAL(10, 2),
+    paid_date TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- owner_id holds external (Clerk) ids, so it is not a foreign key to pg_owners
+CREATE TABLE IF NOT EXISTS announcements (
+    id SERIAL PRIMARY KEY,
+    pg_id INTEGER REFERENCES pg_listings(id),
+    owner_id VARCHAR(255),
+    message TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE announcements DROP CONSTRAINT IF EXISTS announcements_owner_id_fkey;
+ALTER TABLE announcements ALTER COLUMN owner_id TYPE VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    phone VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS visit_requests (
+    id SERIAL PRIMARY KEY,
+    user_email VARCHAR(255) NOT NULL,
+    user_name VARCHAR(255),
+    pg_id INTEGER REFERENCES pg_listings(id),
+    owner_email VARCHAR(255),
+    visit_date DATE NOT NULL,
+    visit_time VARCHAR(50) NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS pg_reviews (
+    id SERIAL PRIMARY KEY,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    user_name VARCHAR(100) NOT NULL,
+    rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    review_text TEXT,
+    review_images JSONB DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pg_reviews_pg_id ON pg_reviews(pg_id);
+CREATE INDEX IF NOT EXISTS idx_pg_reviews_created_at ON pg_reviews(created_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS pg_reviews;
+DROP TABLE IF EXISTS visit_requests;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS announcements;
+DROP TABLE IF EXISTS customers;
+DROP TABLE IF EXISTS pg_owners;
+DROP TABLE IF EXISTS pg_listings;
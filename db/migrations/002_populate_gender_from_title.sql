@@ -0,0 +1,17 @@
+-- Migration: Populate pg_listings.gender from title keywords
+-- Previously ran on every boot and overwrote genders chosen by owners. Now runs once, and only
+-- touches listings still on the default. 'men' runs first because '%men%' also matches "women".
+
+-- migrate:up
+
+UPDATE pg_listings SET gender = 'men'
+WHERE (gender IS NULL OR gender = 'unisex')
+  AND (LOWER(title) LIKE '%men%' OR LOWER(title) LIKE '%boys%' OR LOWER(title) LIKE '%male%' OR LOWER(title) LIKE '%gents%');
+
+UPDATE pg_listings SET gender = 'women'
+WHERE (gender IS NULL OR gender IN ('unisex', 'men'))
+  AND (LOWER(title) LIKE '%women%' OR LOWER(title) LIKE '%ladies%' OR LOWER(title) LIKE '%girl%' OR LOWER(title) LIKE '%female%');
+
+-- migrate:down
+
+-- Data migration; the previous values are not recorded, so there is nothing to restore.
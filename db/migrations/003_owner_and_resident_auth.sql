@@ -0,0 +1,30 @@
+-- Migration: Owner password lifecycle and resident login codes
+
+-- migrate:up
+
+ALTER TABLE pg_owners ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    owner_id INTEGER NOT NULL REFERENCES pg_owners(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS login_code_hash VARCHAR(255),
+ADD COLUMN IF NOT EXISTS login_code_expires_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS login_code_attempts INTEGER DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE users
+DROP COLUMN IF EXISTS login_code_hash,
+DROP COLUMN IF EXISTS login_code_expires_at,
+DROP COLUMN IF EXISTS login_code_attempts;
+
+DROP TABLE IF EXISTS password_reset_tokens;
+
+ALTER TABLE pg_owners DROP COLUMN IF EXISTS must_change_password;
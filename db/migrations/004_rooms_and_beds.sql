@@ -0,0 +1,157 @@
+-- Migration: Normalized room and bed inventory
+-- Replaces the pg_listings.rooms JSONB array ({type, count, available, isAC, price, deposit})
+-- with rooms and beds tables. `count` is read as the number of beds of that type and
+-- `available` as the free ones. The old JSON shape stays available through room_summary().
+
+-- migrate:up
+
+CREATE TABLE rooms (
+    id SERIAL PRIMARY KEY,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    room_number VARCHAR(50) NOT NULL,
+    floor VARCHAR(50),
+    sharing_type VARCHAR(50) NOT NULL,
+    capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity > 0),
+    price DECIMAL(10, 2),
+    deposit DECIMAL(10, 2),
+    is_ac BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (pg_id, room_number)
+);
+
+CREATE INDEX idx_rooms_pg_type ON rooms(pg_id, sharing_type);
+
+CREATE TABLE beds (
+    id SERIAL PRIMARY KEY,
+    room_id INTEGER NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    bed_label VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'occupied', 'maintenance')),
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (room_id, bed_label)
+);
+
+CREATE INDEX idx_beds_room_status ON beds(room_id, status);
+CREATE UNIQUE INDEX idx_beds_customer ON beds(customer_id) WHERE customer_id IS NOT NULL;
+
+ALTER TABLE customers ADD COLUMN bed_id INTEGER REFERENCES beds(id) ON DELETE SET NULL;
+
+-- Beds per room for a sharing type label such as 'Single Room' or 'Triple Sharing'
+CREATE OR REPLACE FUNCTION sharing_capacity(sharing_type TEXT) RETURNS INTEGER AS $$
+    SELECT CASE
+        WHEN sharing_type ILIKE '%single%' THEN 1
+        WHEN sharing_type ILIKE '%double%' OR sharing_type ILIKE '%two%' OR sharing_type ~ '\m2\M' THEN 2
+        WHEN sharing_type ILIKE '%triple%' OR sharing_type ILIKE '%three%' OR sharing_type ~ '\m3\M' THEN 3
+        WHEN sharing_type ILIKE '%four%' OR sharing_type ~ '\m4\M' THEN 4
+        ELSE 1
+    END;
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Legacy JSON summary of a PG's inventory, one entry per sharing type
+CREATE OR REPLACE FUNCTION room_summary(target_pg_id INTEGER) RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(summary ORDER BY summary->>'type'), '[]'::jsonb)
+    FROM (
+        SELECT jsonb_build_object(
+            'type', r.sharing_type,
+            'count', COUNT(b.id),
+            'available', COUNT(b.id) FILTER (WHERE b.status = 'available'),
+            'isAC', BOOL_OR(r.is_ac),
+            'price', MIN(r.price),
+            'deposit', MIN(r.deposit)
+        ) AS summary
+        FROM rooms r
+        LEFT JOIN beds b ON b.room_id = r.id
+        WHERE r.pg_id = target_pg_id
+        GROUP BY r.sharing_type
+    ) types;
+$$ LANGUAGE SQL STABLE;
+
+-- Expand each JSON entry into rooms of its sharing capacity, marking (count - available) beds occupied
+DO $$
+DECLARE
+    listing RECORD;
+    item JSONB;
+    room_capacity INTEGER;
+    total_beds INTEGER;
+    free_beds INTEGER;
+    occupied_left INTEGER;
+    next_room INTEGER;
+    new_room_id INTEGER;
+    beds_in_room INTEGER;
+BEGIN
+    FOR listing IN SELECT id, rooms FROM pg_listings WHERE jsonb_typeof(rooms) = 'array' LOOP
+        next_room := 1;
+        FOR item IN SELECT value FROM jsonb_array_elements(listing.rooms) LOOP
+            CONTINUE WHEN jsonb_typeof(item) <> 'object' OR COALESCE(item->>'type', '') = '';
+
+            room_capacity := sharing_capacity(item->>'type');
+            total_beds := CASE
+                WHEN item->>'count' ~ '^\d+(\.\d+)?$' THEN (item->>'count')::numeric::int
+                WHEN item->>'available' ~ '^\d+(\.\d+)?$' THEN (item->>'available')::numeric::int
+                ELSE 0
+            END;
+            free_beds := CASE
+                WHEN item->>'available' ~ '^\d+(\.\d+)?$' THEN LEAST((item->>'available')::numeric::int, total_beds)
+                ELSE total_beds
+            END;
+            occupied_left := total_beds - free_beds;
+
+            WHILE total_beds > 0 LOOP
+                beds_in_room := LEAST(room_capacity, total_beds);
+                INSERT INTO rooms (pg_id, room_number, sharing_type, capacity, price, deposit, is_ac)
+                VALUES (
+                    listing.id,
+                    next_room::text,
+                    item->>'type',
+                    room_capacity,
+                    CASE WHEN item->>'price' ~ '^\d+(\.\d+)?$' THEN (item->>'price')::numeric END,
+                    CASE WHEN item->>'deposit' ~ '^\d+(\.\d+)?$' THEN (item->>'deposit')::numeric END,
+                    COALESCE((item->>'isAC')::boolean, false)
+                )
+                RETURNING id INTO new_room_id;
+                next_room := next_room + 1;
+
+                FOR bed IN 1..beds_in_room LOOP
+                    INSERT INTO beds (room_id, bed_label, status)
+                    VALUES (new_room_id, chr(64 + bed), CASE WHEN occupied_left > 0 THEN 'occupied' ELSE 'available' END);
+                    occupied_left := GREATEST(occupied_left - 1, 0);
+                END LOOP;
+                total_beds := total_beds - beds_in_room;
+            END LOOP;
+        END LOOP;
+    END LOOP;
+END $$;
+
+-- Link existing residents to the occupied beds of their room type, oldest booking first
+DO $$
+DECLARE
+    resident RECORD;
+    free_bed INTEGER;
+BEGIN
+    FOR resident IN SELECT id, pg_id, room_type FROM customers WHERE pg_id IS NOT NULL ORDER BY created_at, id LOOP
+        SELECT b.id INTO free_bed
+        FROM beds b JOIN rooms r ON r.id = b.room_id
+        WHERE r.pg_id = resident.pg_id AND r.sharing_type = resident.room_type
+          AND b.status = 'occupied' AND b.customer_id IS NULL
+        ORDER BY r.id, b.id
+        LIMIT 1;
+
+        IF free_bed IS NOT NULL THEN
+            UPDATE beds SET customer_id = resident.id WHERE id = free_bed;
+            UPDATE customers SET bed_id = free_bed WHERE id = resident.id;
+        END IF;
+    END LOOP;
+END $$;
+
+ALTER TABLE pg_listings DROP COLUMN rooms;
+
+-- migrate:down
+
+ALTER TABLE pg_listings ADD COLUMN rooms JSONB DEFAULT '[]'::jsonb;
+UPDATE pg_listings SET rooms = room_summary(id);
+
+ALTER TABLE customers DROP COLUMN bed_id;
+DROP FUNCTION room_summary(INTEGER);
+DROP FUNCTION sharing_capacity(TEXT);
+DROP TABLE beds;
+DROP TABLE rooms;
@@ -0,0 +1,80 @@
+-- Migration: Monthly rent ledger
+-- One invoice per resident per calendar month, with payments recorded against invoices.
+-- customers.status / paid_date are kept as a snapshot of the resident's latest invoice.
+
+-- migrate:up
+
+ALTER TABLE pg_listings ADD COLUMN rent_due_day INTEGER DEFAULT 5 CHECK (rent_due_day BETWEEN 1 AND 28);
+
+ALTER TABLE customers ADD COLUMN monthly_rent DECIMAL(10, 2);
+
+-- Rent comes from the resident's room, then the PG's price for the room type, then what they paid
+UPDATE customers c SET monthly_rent = COALESCE(
+    (SELECT r.price FROM beds b JOIN rooms r ON r.id = b.room_id WHERE b.id = c.bed_id),
+    (SELECT CASE WHEN p.occupancy_prices->>c.room_type ~ '^\d+(\.\d+)?$'
+                 THEN (p.occupancy_prices->>c.room_type)::numeric END
+     FROM pg_listings p WHERE p.id = c.pg_id),
+    c.amount
+);
+
+CREATE TABLE rent_invoices (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    billing_period DATE NOT NULL,              -- first day of the billed month
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (amount_paid >= 0),
+    due_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'due' CHECK (status IN ('due', 'partially_paid', 'paid')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (customer_id, billing_period)
+);
+
+CREATE INDEX idx_rent_invoices_pg_period ON rent_invoices(pg_id, billing_period);
+CREATE INDEX idx_rent_invoices_open ON rent_invoices(due_date) WHERE status <> 'paid';
+
+CREATE TABLE rent_payments (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES rent_invoices(id) ON DELETE CASCADE,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(50) NOT NULL DEFAULT 'online',
+    reference VARCHAR(255),
+    paid_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    recorded_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_rent_payments_invoice ON rent_payments(invoice_id);
+
+-- Paid snapshots become a paid invoice for the month they were paid in
+INSERT INTO rent_invoices (customer_id, pg_id, billing_period, amount, amount_paid, due_date, status)
+SELECT c.id, c.pg_id,
+       date_trunc('month', COALESCE(c.paid_date, c.created_at))::date,
+       COALESCE(c.monthly_rent, 0), COALESCE(c.monthly_rent, 0),
+       date_trunc('month', COALESCE(c.paid_date, c.created_at))::date + (COALESCE(p.rent_due_day, 5) - 1),
+       'paid'
+FROM customers c JOIN pg_listings p ON p.id = c.pg_id
+WHERE c.status = 'Paid';
+
+INSERT INTO rent_payments (invoice_id, customer_id, amount, method, reference, paid_at, recorded_by)
+SELECT i.id, i.customer_id, i.amount, 'online', c.booking_id, COALESCE(c.paid_date, c.created_at), 'migration'
+FROM rent_invoices i JOIN customers c ON c.id = i.customer_id
+WHERE i.amount > 0;
+
+-- Due snapshots become an open invoice for the current month
+INSERT INTO rent_invoices (customer_id, pg_id, billing_period, amount, due_date)
+SELECT c.id, c.pg_id,
+       date_trunc('month', CURRENT_DATE)::date,
+       COALESCE(c.monthly_rent, 0),
+       date_trunc('month', CURRENT_DATE)::date + (COALESCE(p.rent_due_day, 5) - 1)
+FROM customers c JOIN pg_listings p ON p.id = c.pg_id
+WHERE c.status IS DISTINCT FROM 'Paid' AND c.monthly_rent > 0
+ON CONFLICT (customer_id, billing_period) DO NOTHING;
+
+-- migrate:down
+
+DROP TABLE rent_payments;
+DROP TABLE rent_invoices;
+ALTER TABLE customers DROP COLUMN monthly_rent;
+ALTER TABLE pg_listings DROP COLUMN rent_due_day;
@@ -0,0 +1,31 @@
+-- Migration: Payment gateway orders
+-- A booking starts as an order priced by the server; the customer row is only created once the
+-- gateway's signature on the payment has been verified.
+
+-- migrate:up
+
+CREATE TABLE payment_orders (
+    id SERIAL PRIMARY KEY,
+    gateway_order_id VARCHAR(100) UNIQUE NOT NULL,
+    booking_id VARCHAR(100) UNIQUE NOT NULL,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    room_type VARCHAR(50) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    mobile VARCHAR(20),
+    move_in_date DATE,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    status VARCHAR(20) NOT NULL DEFAULT 'created' CHECK (status IN ('created', 'paid', 'failed', 'refund_pending')),
+    gateway_payment_id VARCHAR(100),
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    failure_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    paid_at TIMESTAMP
+);
+
+CREATE INDEX idx_payment_orders_email ON payment_orders(LOWER(email));
+
+-- migrate:down
+
+DROP TABLE payment_orders;
@@ -0,0 +1,36 @@
+-- Migration: Automated rent reminders
+-- Per-PG reminder cadence, and a log of every reminder sent. The log doubles as the
+-- deduplication key: one row per invoice (billing cycle) and stage.
+
+-- migrate:up
+
+CREATE TABLE rent_reminder_settings (
+    pg_id INTEGER PRIMARY KEY REFERENCES pg_listings(id) ON DELETE CASCADE,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    days_before_due INTEGER NOT NULL DEFAULT 3 CHECK (days_before_due BETWEEN 0 AND 28),   -- 0 = no advance reminder
+    remind_on_due_date BOOLEAN NOT NULL DEFAULT true,
+    days_after_due INTEGER NOT NULL DEFAULT 3 CHECK (days_after_due BETWEEN 0 AND 60),     -- 0 = no overdue reminder
+    escalate_after_days INTEGER NOT NULL DEFAULT 7 CHECK (escalate_after_days BETWEEN 0 AND 90), -- 0 = never escalate to owner
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE rent_reminders (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER NOT NULL REFERENCES rent_invoices(id) ON DELETE CASCADE,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    stage VARCHAR(20) NOT NULL CHECK (stage IN ('before_due', 'due_date', 'overdue', 'escalation')),
+    recipient VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (invoice_id, stage)
+);
+
+CREATE INDEX idx_rent_reminders_pg ON rent_reminders(pg_id, created_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS rent_reminders;
+DROP TABLE IF EXISTS rent_reminder_settings;
@@ -0,0 +1,41 @@
+-- Migration: Outbound email queue
+-- Emails are rendered into email_queue and sent by a background worker with retries.
+-- Rent reminders now point at the queued email instead of tracking delivery themselves.
+
+-- migrate:up
+
+CREATE TABLE email_queue (
+    id SERIAL PRIMARY KEY,
+    template VARCHAR(50) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    last_error TEXT,
+    provider VARCHAR(20),
+    provider_message_id VARCHAR(255),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_email_queue_due ON email_queue(next_attempt_at) WHERE status IN ('queued', 'sending');
+CREATE INDEX idx_email_queue_created ON email_queue(created_at DESC);
+
+ALTER TABLE rent_reminders ADD COLUMN email_id INTEGER REFERENCES email_queue(id) ON DELETE SET NULL;
+ALTER TABLE rent_reminders DROP CONSTRAINT rent_reminders_status_check;
+UPDATE rent_reminders SET status = 'queued' WHERE status = 'sent';
+ALTER TABLE rent_reminders ADD CONSTRAINT rent_reminders_status_check CHECK (status IN ('pending', 'queued', 'failed'));
+
+-- migrate:down
+
+ALTER TABLE rent_reminders DROP CONSTRAINT rent_reminders_status_check;
+UPDATE rent_reminders SET status = 'sent' WHERE status = 'queued';
+ALTER TABLE rent_reminders ADD CONSTRAINT rent_reminders_status_check CHECK (status IN ('pending', 'sent', 'failed'));
+ALTER TABLE rent_reminders DROP COLUMN IF EXISTS email_id;
+DROP TABLE IF EXISTS email_queue;
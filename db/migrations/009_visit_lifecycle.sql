@@ -0,0 +1,41 @@
+-- Migration: Visit request lifecycle
+-- Visits move pending -> approved -> completed / no_show, with owner proposals, rejections
+-- and cancellations along the way. The allowed transitions are enforced in services/visits.js;
+-- the CHECK keeps stray values out.
+
+-- migrate:up
+
+ALTER TABLE visit_requests
+    ADD COLUMN proposed_date DATE,
+    ADD COLUMN proposed_time VARCHAR(50),
+    ADD COLUMN owner_note TEXT,
+    ADD COLUMN cancelled_by VARCHAR(20),
+    ADD COLUMN cancel_reason TEXT,
+    ADD COLUMN status_changed_at TIMESTAMP;
+
+UPDATE visit_requests SET status = 'pending' WHERE status IS NULL;
+ALTER TABLE visit_requests ALTER COLUMN status SET NOT NULL;
+ALTER TABLE visit_requests ADD CONSTRAINT visit_requests_status_check
+    CHECK (status IN ('pending', 'proposed', 'approved', 'rejected', 'cancelled', 'completed', 'no_show'));
+
+-- Notifications go to the listing's owner, not whatever address the requester sent
+UPDATE visit_requests v SET owner_email = p.owner_email
+FROM pg_listings p
+WHERE p.id = v.pg_id AND p.owner_email IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_visit_requests_pg_date ON visit_requests(pg_id, visit_date);
+CREATE INDEX IF NOT EXISTS idx_visit_requests_user ON visit_requests(LOWER(user_email));
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_visit_requests_user;
+DROP INDEX IF EXISTS idx_visit_requests_pg_date;
+ALTER TABLE visit_requests DROP CONSTRAINT IF EXISTS visit_requests_status_check;
+ALTER TABLE visit_requests ALTER COLUMN status DROP NOT NULL;
+ALTER TABLE visit_requests
+    DROP COLUMN IF EXISTS proposed_date,
+    DROP COLUMN IF EXISTS proposed_time,
+    DROP COLUMN IF EXISTS owner_note,
+    DROP COLUMN IF EXISTS cancelled_by,
+    DROP COLUMN IF EXISTS cancel_reason,
+    DROP COLUMN IF EXISTS status_changed_at;
@@ -0,0 +1,42 @@
+-- Migration: Visit slot availability
+-- Owners publish weekly visiting hours (split into fixed-length slots with a capacity) and
+-- blackout dates. PGs without visiting hours fall back to defaults defined in services/visits.js.
+
+-- migrate:up
+
+-- gate_close_time is free text ('10:30 PM'); this reads it as a time where possible
+CREATE OR REPLACE FUNCTION try_time(value TEXT) RETURNS TIME AS $$
+BEGIN
+    RETURN value::time;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE TABLE visit_hours (
+    id SERIAL PRIMARY KEY,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    weekday INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6),        -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    slot_minutes INTEGER NOT NULL DEFAULT 30 CHECK (slot_minutes BETWEEN 10 AND 240),
+    capacity INTEGER NOT NULL DEFAULT 2 CHECK (capacity BETWEEN 1 AND 50),
+    CHECK (end_time > start_time)
+);
+
+CREATE INDEX idx_visit_hours_pg ON visit_hours(pg_id, weekday);
+
+CREATE TABLE visit_blackouts (
+    id SERIAL PRIMARY KEY,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    blackout_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (pg_id, blackout_date)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS visit_blackouts;
+DROP TABLE IF EXISTS visit_hours;
+DROP FUNCTION IF EXISTS try_time(TEXT);
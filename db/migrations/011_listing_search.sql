@@ -0,0 +1,64 @@
+-- Migration: Listing search
+-- occupancy_prices holds free-form values ({"Single Room": "8,000"}), so the cheapest and dearest
+-- prices are kept in numeric columns by a trigger, where they can be filtered, sorted and indexed.
+
+-- migrate:up
+
+-- Reads '8,000', '₹ 8000' or 8000 as a number; anything else is NULL
+CREATE OR REPLACE FUNCTION parse_price(value TEXT) RETURNS NUMERIC AS $$
+BEGIN
+    RETURN NULLIF(regexp_replace(value, '[^0-9.]', '', 'g'), '')::numeric;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+ALTER TABLE pg_listings
+    ADD COLUMN min_price DECIMAL(10, 2),
+    ADD COLUMN max_price DECIMAL(10, 2);
+
+-- Price range from occupancy_prices, falling back to the single `price` column
+CREATE OR REPLACE FUNCTION set_listing_price_range() RETURNS TRIGGER AS $$
+BEGIN
+    SELECT MIN(parse_price(value)), MAX(parse_price(value))
+    INTO NEW.min_price, NEW.max_price
+    FROM jsonb_each_text(CASE WHEN jsonb_typeof(NEW.occupancy_prices) = 'object' THEN NEW.occupancy_prices ELSE '{}'::jsonb END);
+
+    IF NEW.min_price IS NULL THEN
+        NEW.min_price := parse_price(NEW.price);
+        NEW.max_price := NEW.min_price;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER pg_listings_price_range
+    BEFORE INSERT OR UPDATE OF occupancy_prices, price ON pg_listings
+    FOR EACH ROW EXECUTE FUNCTION set_listing_price_range();
+
+-- Fire the trigger for existing rows
+UPDATE pg_listings SET price = price;
+
+CREATE INDEX IF NOT EXISTS idx_pg_listings_city ON pg_listings(LOWER(city));
+CREATE INDEX IF NOT EXISTS idx_pg_listings_pincode ON pg_listings(pincode);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_gender ON pg_listings(gender);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_min_price ON pg_listings(min_price, id);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_rating_id ON pg_listings(rating DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_created_id ON pg_listings(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_amenities ON pg_listings USING GIN (amenities jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_prices ON pg_listings USING GIN (occupancy_prices);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_pg_listings_prices;
+DROP INDEX IF EXISTS idx_pg_listings_amenities;
+DROP INDEX IF EXISTS idx_pg_listings_created_id;
+DROP INDEX IF EXISTS idx_pg_listings_rating_id;
+DROP INDEX IF EXISTS idx_pg_listings_min_price;
+DROP INDEX IF EXISTS idx_pg_listings_gender;
+DROP INDEX IF EXISTS idx_pg_listings_pincode;
+DROP INDEX IF EXISTS idx_pg_listings_city;
+DROP TRIGGER IF EXISTS pg_listings_price_range ON pg_listings;
+DROP FUNCTION IF EXISTS set_listing_price_range();
+ALTER TABLE pg_listings DROP COLUMN IF EXISTS min_price, DROP COLUMN IF EXISTS max_price;
+DROP FUNCTION IF EXISTS parse_price(TEXT);
@@ -0,0 +1,12 @@
+-- Migration: Index for nearby search
+-- Nearby search has no PostGIS: it bounds the search area with a latitude/longitude box (which
+-- this index serves) and computes exact haversine distances only for rows inside the box.
+
+-- migrate:up
+
+CREATE INDEX IF NOT EXISTS idx_pg_listings_lat_lng ON pg_listings(latitude, longitude)
+    WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_pg_listings_lat_lng;
@@ -0,0 +1,74 @@
+-- Migration: Full-text search
+-- Listings get a weighted tsvector (title, then place names, amenities, description) in a 1:1
+-- side table kept current by a trigger, so `SELECT *` on pg_listings doesn't return it.
+-- Bookings and owners, searched from the admin panel, use GIN expression indexes.
+-- Listings use the 'english' configuration on both sides, so searches are stemmed the same way
+-- as the text; people and ids use 'simple'. Email addresses are also indexed split into words,
+-- so `john.doe@ex` can match as a prefix.
+
+-- migrate:up
+
+CREATE TABLE pg_listing_search (
+    pg_id INTEGER PRIMARY KEY REFERENCES pg_listings(id) ON DELETE CASCADE,
+    search_vector TSVECTOR NOT NULL
+);
+
+CREATE INDEX idx_pg_listing_search ON pg_listing_search USING GIN (search_vector);
+
+CREATE OR REPLACE FUNCTION listing_search_document(p pg_listings) RETURNS TSVECTOR AS $$
+    SELECT
+        setweight(to_tsvector('english', COALESCE(p.title, '')), 'A') ||
+        setweight(to_tsvector('english', concat_ws(' ', p.city, p.location, p.street, p.pincode)), 'B') ||
+        setweight(to_tsvector('english', COALESCE((
+            SELECT string_agg(value, ' ')
+            FROM jsonb_array_elements_text(CASE WHEN jsonb_typeof(p.amenities) = 'array' THEN p.amenities ELSE '[]'::jsonb END)
+        ), '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(p.description, '')), 'D');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION sync_listing_search() RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO pg_listing_search (pg_id, search_vector)
+    VALUES (NEW.id, listing_search_document(NEW))
+    ON CONFLICT (pg_id) DO UPDATE SET search_vector = EXCLUDED.search_vector;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER pg_listings_search_sync
+    AFTER INSERT OR UPDATE OF title, description, city, location, street, pincode, amenities ON pg_listings
+    FOR EACH ROW EXECUTE FUNCTION sync_listing_search();
+
+INSERT INTO pg_listing_search (pg_id, search_vector)
+SELECT p.id, listing_search_document(p) FROM pg_listings p;
+
+-- Admin search documents; IMMUTABLE so they can back expression indexes
+CREATE OR REPLACE FUNCTION customer_search_document(name TEXT, email TEXT, booking_id TEXT, mobile TEXT, room_type TEXT)
+RETURNS TSVECTOR AS $$
+    SELECT setweight(to_tsvector('simple', COALESCE(name, '')), 'A') ||
+           setweight(to_tsvector('simple', concat_ws(' ', email, regexp_replace(email, '[^[:alnum:]]+', ' ', 'g'), booking_id, mobile)), 'B') ||
+           setweight(to_tsvector('simple', COALESCE(room_type, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION owner_search_document(name TEXT, email TEXT, mobile TEXT, city TEXT)
+RETURNS TSVECTOR AS $$
+    SELECT setweight(to_tsvector('simple', COALESCE(name, '')), 'A') ||
+           setweight(to_tsvector('simple', concat_ws(' ', email, regexp_replace(email, '[^[:alnum:]]+', ' ', 'g'), mobile)), 'B') ||
+           setweight(to_tsvector('simple', COALESCE(city, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX idx_customers_search ON customers
+    USING GIN (customer_search_document(name, email, booking_id, mobile, room_type));
+CREATE INDEX idx_pg_owners_search ON pg_owners
+    USING GIN (owner_search_document(name, email, mobile, city));
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_pg_owners_search;
+DROP INDEX IF EXISTS idx_customers_search;
+DROP FUNCTION IF EXISTS owner_search_document(TEXT, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS customer_search_document(TEXT, TEXT, TEXT, TEXT, TEXT);
+DROP TRIGGER IF EXISTS pg_listings_search_sync ON pg_listings;
+DROP FUNCTION IF EXISTS sync_listing_search();
+DROP FUNCTION IF EXISTS listing_search_document(pg_listings);
+DROP TABLE IF EXISTS pg_listing_search;
@@ -0,0 +1,90 @@
+// Migration: Move inline images to storage
+// Listing covers and galleries, owner profile pictures and review photos were stored as base64
+// data URIs in TEXT/JSONB columns. Each one is run through the upload pipeline (storage.js) and
+// replaced by its URL; thumbnail columns are added for listing covers and profile pictures.
+// Rows are converted one at a time so large payloads are never all in memory.
+// Values the pipeline can't read (GIF, HEIC, SVG, corrupt data ...) are left in place as data URIs
+// and logged with their row, to be converted or replaced by hand; nothing is dropped.
+//
+// Files are written outside the transaction: if the migration fails part-way, files already
+// written stay in storage unreferenced. Rolling back drops the thumbnail columns but leaves the
+// URLs in place; the original base64 is not restored.
+
+const { createImageStore, decodeDataUri } = require('../../storage');
+
+// { url, thumbnailUrl } for a stored value: data URIs are saved, URLs (and data URIs the pipeline
+// can't read) kept as they are
+const toUrl = async (store, value, folder, label) => {
+    if (!value) return null;
+    const buffer = decodeDataUri(value);
+    if (!buffer) return { url: value, thumbnailUrl: store.thumbnailUrlFor(value) };
+    try {
+        return await store.save(buffer, { folder });
+    } catch (error) {
+        console.warn(`Keeping unreadable image inline (${label}): ${error.message}`);
+        return { url: value, thumbnailUrl: null };
+    }
+};
+
+// A lone image stored as a JSON string counts as a one-image gallery
+const asArray = (value) => {
+    if (Array.isArray(value)) return value;
+    return typeof value === 'string' ? [value] : [];
+};
+
+// `store` defaults to the one STORAGE_DRIVER configures; tests pass their own
+const up = async (client, { store = createImageStore() } = {}) => {
+    await client.query(`
+        ALTER TABLE pg_listings ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+        ALTER TABLE pg_owners ADD COLUMN IF NOT EXISTS profile_thumbnail_url TEXT;
+    `);
+
+    const listings = await client.query(`
+        SELECT id FROM pg_listings
+        WHERE image_url LIKE 'data:%' OR images::text LIKE '%"data:%' OR jsonb_typeof(images) <> 'array'
+        ORDER BY id
+    `);
+    for (const { id } of listings.rows) {
+        const { rows: [pg] } = await client.query('SELECT image_url, images FROM pg_listings WHERE id = $1', [id]);
+        const cover = await toUrl(store, pg.image_url, 'pgs', `pg ${id} cover`);
+        const images = [];
+        for (const [index, image] of asArray(pg.images).entries()) {
+            const saved = await toUrl(store, image, 'pgs', `pg ${id} image ${index}`);
+            if (saved) images.push(saved.url);
+        }
+        await client.query(
+            'UPDATE pg_listings SET image_url = $1, thumbnail_url = $2, images = $3 WHERE id = $4',
+            [cover ? cover.url : null, cover ? cover.thumbnailUrl : null, JSON.stringify(images), id]
+        );
+    }
+
+    const owners = await client.query("SELECT id FROM pg_owners WHERE profile_picture LIKE 'data:%' ORDER BY id");
+    for (const { id } of owners.rows) {
+        const { rows: [owner] } = await client.query('SELECT profile_picture FROM pg_owners WHERE id = $1', [id]);
+        const saved = await toUrl(store, owner.profile_picture, 'owners', `owner ${id}`);
+        await client.query(
+            'UPDATE pg_owners SET profile_picture = $1, profile_thumbnail_url = $2 WHERE id = $3',
+            [saved ? saved.url : null, saved ? saved.thumbnailUrl : null, id]
+        );
+    }
+
+    const reviews = await client.query(`SELECT id FROM pg_reviews WHERE review_images::text LIKE '%"data:%' ORDER BY id`);
+    for (const { id } of reviews.rows) {
+        const { rows: [review] } = await client.query('SELECT review_images FROM pg_reviews WHERE id = $1', [id]);
+        const images = [];
+        for (const [index, image] of asArray(review.review_images).entries()) {
+            const saved = await toUrl(store, image, 'reviews', `review ${id} image ${index}`);
+            if (saved) images.push(saved.url);
+        }
+        await client.query('UPDATE pg_reviews SET review_images = $1 WHERE id = $2', [JSON.stringify(images), id]);
+    }
+};
+
+const down = async (client) => {
+    await client.query(`
+        ALTER TABLE pg_owners DROP COLUMN IF EXISTS profile_thumbnail_url;
+        ALTER TABLE pg_listings DROP COLUMN IF EXISTS thumbnail_url;
+    `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+-- Migration: Booking holds
+-- Creating a payment order holds one bed for the resident until the hold expires, so the bed
+-- can't be sold to someone else while they pay. Paying converts the hold into the booking; a
+-- cron job releases expired holds. Holds are kept after they end as the booking's history.
+
+-- migrate:up
+
+ALTER TABLE beds DROP CONSTRAINT beds_status_check;
+ALTER TABLE beds ADD CONSTRAINT beds_status_check CHECK (status IN ('available', 'held', 'occupied', 'maintenance'));
+
+CREATE TABLE booking_holds (
+    id SERIAL PRIMARY KEY,
+    bed_id INTEGER REFERENCES beds(id) ON DELETE SET NULL,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    room_type VARCHAR(50) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'converted', 'released', 'expired')),
+    expires_at TIMESTAMP NOT NULL,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP
+);
+
+-- One active hold per resident per PG, and per bed
+CREATE UNIQUE INDEX idx_booking_holds_active_resident ON booking_holds(pg_id, LOWER(email)) WHERE status = 'active';
+CREATE UNIQUE INDEX idx_booking_holds_active_bed ON booking_holds(bed_id) WHERE status = 'active';
+CREATE INDEX idx_booking_holds_expiry ON booking_holds(expires_at) WHERE status = 'active';
+
+ALTER TABLE payment_orders ADD COLUMN hold_id INTEGER REFERENCES booking_holds(id) ON DELETE SET NULL;
+
+-- migrate:down
+
+ALTER TABLE payment_orders DROP COLUMN IF EXISTS hold_id;
+DROP TABLE IF EXISTS booking_holds;
+UPDATE beds SET status = 'available' WHERE status = 'held';
+ALTER TABLE beds DROP CONSTRAINT beds_status_check;
+ALTER TABLE beds ADD CONSTRAINT beds_status_check CHECK (status IN ('available', 'occupied', 'maintenance'));
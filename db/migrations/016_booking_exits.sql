@@ -0,0 +1,65 @@
+-- Migration: Booking cancellation and move-out
+-- Bookings are no longer deleted. A booking is cancelled before move-in, or the resident gives
+-- notice and the owner approves the move-out once they have left; either way the bed is freed,
+-- open invoices are voided and a settlement records the refund (or the amount still owed).
+-- The rules are in services/bookings.js.
+
+-- migrate:up
+
+ALTER TABLE customers
+    ADD COLUMN booking_status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (booking_status IN ('active', 'move_out_requested', 'moved_out', 'cancelled')),
+    ADD COLUMN notice_given_on DATE,
+    ADD COLUMN move_out_date DATE,
+    ADD COLUMN move_out_reason TEXT,
+    ADD COLUMN owner_note TEXT,
+    ADD COLUMN ended_at TIMESTAMP;
+
+CREATE INDEX idx_customers_current ON customers(pg_id) WHERE booking_status IN ('active', 'move_out_requested');
+
+-- Invoices still open when a booking ends are voided; the settlement accounts for them instead
+ALTER TABLE rent_invoices DROP CONSTRAINT rent_invoices_status_check;
+ALTER TABLE rent_invoices ADD CONSTRAINT rent_invoices_status_check
+    CHECK (status IN ('due', 'partially_paid', 'paid', 'void'));
+
+CREATE TABLE booking_settlements (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER UNIQUE NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('cancellation', 'move_out')),
+    notice_given_on DATE NOT NULL,
+    leave_date DATE NOT NULL,
+    monthly_rent DECIMAL(10, 2) NOT NULL,
+    days_stayed INTEGER NOT NULL,
+    notice_days INTEGER NOT NULL,
+    notice_served_days INTEGER NOT NULL,
+    rent_paid DECIMAL(10, 2) NOT NULL,
+    rent_for_stay DECIMAL(10, 2) NOT NULL,
+    notice_charge DECIMAL(10, 2) NOT NULL,
+    deposit DECIMAL(10, 2) NOT NULL,
+    refund_amount DECIMAL(10, 2) NOT NULL,     -- negative when the resident still owes
+    settled_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_booking_settlements_pg ON booking_settlements(pg_id);
+
+-- migrate:down
+
+DROP TABLE booking_settlements;
+UPDATE rent_invoices SET status = CASE
+    WHEN amount_paid >= amount THEN 'paid'
+    WHEN amount_paid > 0 THEN 'partially_paid'
+    ELSE 'due'
+END
+WHERE status = 'void';
+ALTER TABLE rent_invoices DROP CONSTRAINT rent_invoices_status_check;
+ALTER TABLE rent_invoices ADD CONSTRAINT rent_invoices_status_check CHECK (status IN ('due', 'partially_paid', 'paid'));
+DROP INDEX IF EXISTS idx_customers_current;
+ALTER TABLE customers
+    DROP COLUMN booking_status,
+    DROP COLUMN notice_given_on,
+    DROP COLUMN move_out_date,
+    DROP COLUMN move_out_reason,
+    DROP COLUMN owner_note,
+    DROP COLUMN ended_at;
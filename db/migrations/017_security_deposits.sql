@@ -0,0 +1,47 @@
+-- Migration: Security deposits
+-- A numeric deposit per PG (pg_listings.deposit_amount), overridden per room (rooms.deposit), is
+-- charged with the first month's rent at checkout and recorded as held for the booking. Owners
+-- itemise deductions against it while the resident serves notice; the deposit is settled with the
+-- booking (booking_settlements.deductions). safety_deposit stays as the listing's display text.
+
+-- migrate:up
+
+ALTER TABLE pg_listings ADD COLUMN deposit_amount DECIMAL(10, 2) CHECK (deposit_amount >= 0);
+
+-- The part of an order's amount that is the deposit (the rest is the first month's rent)
+ALTER TABLE payment_orders ADD COLUMN deposit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE security_deposits (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER UNIQUE NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'settled')),
+    reference VARCHAR(100),                   -- gateway payment id it was collected with
+    collected_at TIMESTAMP NOT NULL,
+    settled_at TIMESTAMP
+);
+
+CREATE INDEX idx_security_deposits_held ON security_deposits(pg_id) WHERE status = 'held';
+
+CREATE TABLE deposit_deductions (
+    id SERIAL PRIMARY KEY,
+    deposit_id INTEGER NOT NULL REFERENCES security_deposits(id) ON DELETE CASCADE,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('damage', 'cleaning', 'utilities', 'other')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    description TEXT,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_deposit_deductions_deposit ON deposit_deductions(deposit_id);
+
+ALTER TABLE booking_settlements ADD COLUMN deductions DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE booking_settlements DROP COLUMN IF EXISTS deductions;
+DROP TABLE deposit_deductions;
+DROP TABLE security_deposits;
+ALTER TABLE payment_orders DROP COLUMN IF EXISTS deposit_amount;
+ALTER TABLE pg_listings DROP COLUMN IF EXISTS deposit_amount;
@@ -0,0 +1,59 @@
+-- Migration: Verified reviews
+-- Reviews are written by signed-in residents about a real stay at the PG: a booking (customers)
+-- or a completed visit, one review per stay. Anyone signed in can report a review; super admins
+-- hide and restore them, and the PG's owner can reply publicly. pg_listings.rating and
+-- rating_count only count visible reviews. Reviews written before this migration have no user or
+-- stay and stay visible until moderated.
+
+-- migrate:up
+
+ALTER TABLE pg_reviews
+    ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    ADD COLUMN visit_id INTEGER REFERENCES visit_requests(id) ON DELETE SET NULL,
+    ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'visible' CHECK (status IN ('visible', 'hidden')),
+    ADD COLUMN report_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN moderated_by VARCHAR(255),
+    ADD COLUMN moderation_reason TEXT,
+    ADD COLUMN moderated_at TIMESTAMP,
+    ADD COLUMN owner_reply TEXT,
+    ADD COLUMN owner_reply_at TIMESTAMP,
+    ADD COLUMN updated_at TIMESTAMP;
+
+-- One review per stay
+CREATE UNIQUE INDEX idx_pg_reviews_customer ON pg_reviews(customer_id) WHERE customer_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_pg_reviews_visit ON pg_reviews(visit_id) WHERE visit_id IS NOT NULL;
+CREATE INDEX idx_pg_reviews_reported ON pg_reviews(report_count) WHERE report_count > 0;
+
+CREATE TABLE pg_review_reports (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER NOT NULL REFERENCES pg_reviews(id) ON DELETE CASCADE,
+    reporter_email VARCHAR(255) NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One report per person per review
+CREATE UNIQUE INDEX idx_pg_review_reports_reporter ON pg_review_reports(review_id, LOWER(reporter_email));
+
+-- migrate:down
+
+DROP TABLE pg_review_reports;
+DROP INDEX IF EXISTS idx_pg_reviews_reported;
+DROP INDEX IF EXISTS idx_pg_reviews_visit;
+DROP INDEX IF EXISTS idx_pg_reviews_customer;
+ALTER TABLE pg_reviews
+    DROP COLUMN user_id,
+    DROP COLUMN customer_id,
+    DROP COLUMN visit_id,
+    DROP COLUMN status,
+    DROP COLUMN report_count,
+    DROP COLUMN moderated_by,
+    DROP COLUMN moderation_reason,
+    DROP COLUMN moderated_at,
+    DROP COLUMN owner_reply,
+    DROP COLUMN owner_reply_at,
+    DROP COLUMN updated_at;
+UPDATE pg_listings p SET
+    rating = COALESCE((SELECT ROUND(AVG(rating), 2) FROM pg_reviews r WHERE r.pg_id = p.id), 0),
+    rating_count = (SELECT COUNT(*) FROM pg_reviews r WHERE r.pg_id = p.id);
@@ -0,0 +1,25 @@
+-- Migration: Review sub-ratings
+-- Optional 1-5 ratings per dimension alongside the overall rating, which stays the one averaged
+-- into pg_listings.rating. The dimensions are listed in data/reviews.js (REVIEW_DIMENSIONS).
+
+-- migrate:up
+
+ALTER TABLE pg_reviews
+    ADD COLUMN cleanliness_rating SMALLINT CHECK (cleanliness_rating BETWEEN 1 AND 5),
+    ADD COLUMN food_rating SMALLINT CHECK (food_rating BETWEEN 1 AND 5),
+    ADD COLUMN safety_rating SMALLINT CHECK (safety_rating BETWEEN 1 AND 5),
+    ADD COLUMN location_rating SMALLINT CHECK (location_rating BETWEEN 1 AND 5),
+    ADD COLUMN value_for_money_rating SMALLINT CHECK (value_for_money_rating BETWEEN 1 AND 5);
+
+-- Keyset pages of a PG's visible reviews, newest first
+CREATE INDEX idx_pg_reviews_pg_visible ON pg_reviews(pg_id, created_at DESC, id DESC) WHERE status = 'visible';
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_pg_reviews_pg_visible;
+ALTER TABLE pg_reviews
+    DROP COLUMN cleanliness_rating,
+    DROP COLUMN food_rating,
+    DROP COLUMN safety_rating,
+    DROP COLUMN location_rating,
+    DROP COLUMN value_for_money_rating;
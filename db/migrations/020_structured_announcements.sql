@@ -0,0 +1,63 @@
+-- Migration: Structured announcements
+-- Announcements gain a title, category, priority, pinning and an expiry, and can be aimed at a whole
+-- PG, one floor or chosen rooms (announcement_rooms). Residents' reads are recorded in
+-- announcement_reads. owner_email records who posted (the inserts already wrote it, but the table
+-- only had the legacy owner_id); existing rows are attributed to their PG's owner and titled with
+-- the start of their message.
+
+-- migrate:up
+
+ALTER TABLE announcements
+    ADD COLUMN owner_email VARCHAR(255),
+    ADD COLUMN title VARCHAR(200),
+    ADD COLUMN category VARCHAR(20) NOT NULL DEFAULT 'general'
+        CHECK (category IN ('general', 'maintenance', 'payment', 'event', 'rules')),
+    ADD COLUMN priority VARCHAR(20) NOT NULL DEFAULT 'normal' CHECK (priority IN ('normal', 'important', 'urgent')),
+    ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN expires_at TIMESTAMP,
+    ADD COLUMN audience VARCHAR(20) NOT NULL DEFAULT 'pg' CHECK (audience IN ('pg', 'floor', 'rooms')),
+    ADD COLUMN floor VARCHAR(50),
+    ADD COLUMN updated_at TIMESTAMP,
+    ADD CONSTRAINT announcements_floor_audience CHECK ((audience = 'floor') = (floor IS NOT NULL));
+
+UPDATE announcements a SET owner_email = p.owner_email FROM pg_listings p WHERE p.id = a.pg_id;
+UPDATE announcements SET title = LEFT(message, 200);
+ALTER TABLE announcements ALTER COLUMN title SET NOT NULL;
+
+CREATE INDEX idx_announcements_pg ON announcements(pg_id, pinned DESC, created_at DESC);
+
+-- The rooms an announcement with audience 'rooms' is aimed at
+CREATE TABLE announcement_rooms (
+    announcement_id INTEGER NOT NULL REFERENCES announcements(id) ON DELETE CASCADE,
+    room_id INTEGER NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    PRIMARY KEY (announcement_id, room_id)
+);
+
+CREATE INDEX idx_announcement_rooms_room ON announcement_rooms(room_id);
+
+CREATE TABLE announcement_reads (
+    id SERIAL PRIMARY KEY,
+    announcement_id INTEGER NOT NULL REFERENCES announcements(id) ON DELETE CASCADE,
+    reader_email VARCHAR(255) NOT NULL,
+    read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One read receipt per resident per announcement
+CREATE UNIQUE INDEX idx_announcement_reads_reader ON announcement_reads(announcement_id, LOWER(reader_email));
+
+-- migrate:down
+
+DROP TABLE announcement_reads;
+DROP TABLE announcement_rooms;
+DROP INDEX IF EXISTS idx_announcements_pg;
+ALTER TABLE announcements
+    DROP CONSTRAINT announcements_floor_audience,
+    DROP COLUMN owner_email,
+    DROP COLUMN title,
+    DROP COLUMN category,
+    DROP COLUMN priority,
+    DROP COLUMN pinned,
+    DROP COLUMN expires_at,
+    DROP COLUMN audience,
+    DROP COLUMN floor,
+    DROP COLUMN updated_at;
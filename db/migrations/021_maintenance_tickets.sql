@@ -0,0 +1,60 @@
+-- Migration: Maintenance tickets
+-- Residents raise tickets against their PG and room; the owner works them through
+-- open -> assigned -> in_progress -> resolved -> closed (services/tickets.js has the transitions).
+-- Each ticket carries SLA due times for the first response (assignment) and for resolution, set
+-- from its priority. ticket_comments is the conversation between the resident and the owner.
+
+-- migrate:up
+
+CREATE TABLE maintenance_tickets (
+    id SERIAL PRIMARY KEY,
+    pg_id INTEGER NOT NULL REFERENCES pg_listings(id) ON DELETE CASCADE,
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    room_id INTEGER REFERENCES rooms(id) ON DELETE SET NULL,
+    room_number VARCHAR(50),
+    reporter_email VARCHAR(255) NOT NULL,
+    reporter_name VARCHAR(255),
+    category VARCHAR(20) NOT NULL CHECK (category IN (
+        'electrical', 'plumbing', 'furniture', 'appliance', 'cleaning', 'internet', 'pest_control', 'security', 'other'
+    )),
+    priority VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    title VARCHAR(200) NOT NULL,
+    description TEXT NOT NULL,
+    photos JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'assigned', 'in_progress', 'resolved', 'closed')),
+    assignee VARCHAR(255),
+    resolution_note TEXT,
+    response_due_at TIMESTAMP NOT NULL,
+    resolution_due_at TIMESTAMP NOT NULL,
+    assigned_at TIMESTAMP,
+    started_at TIMESTAMP,
+    resolved_at TIMESTAMP,
+    closed_at TIMESTAMP,
+    reopen_count INTEGER NOT NULL DEFAULT 0,
+    escalated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+);
+
+CREATE INDEX idx_maintenance_tickets_pg_status ON maintenance_tickets(pg_id, status);
+CREATE INDEX idx_maintenance_tickets_reporter ON maintenance_tickets(LOWER(reporter_email));
+-- Open tickets past their resolution time, for the SLA job
+CREATE INDEX idx_maintenance_tickets_overdue ON maintenance_tickets(resolution_due_at)
+    WHERE status IN ('open', 'assigned', 'in_progress') AND escalated_at IS NULL;
+
+CREATE TABLE ticket_comments (
+    id SERIAL PRIMARY KEY,
+    ticket_id INTEGER NOT NULL REFERENCES maintenance_tickets(id) ON DELETE CASCADE,
+    author_email VARCHAR(255) NOT NULL,
+    author_role VARCHAR(20) NOT NULL,
+    body TEXT NOT NULL,
+    photos JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_ticket_comments_ticket ON ticket_comments(ticket_id, created_at);
+
+-- migrate:down
+
+DROP TABLE ticket_comments;
+DROP TABLE maintenance_tickets;
@@ -0,0 +1,17 @@
+-- Migration: Drop the bodies of sent emails that carry a secret
+-- owner_welcome (a temporary password), password_reset (the reset link or code) and login_code keep
+-- their rendered html and text only until they are sent; the delivery log keeps the metadata.
+
+-- migrate:up
+
+ALTER TABLE email_queue ALTER COLUMN html DROP NOT NULL;
+ALTER TABLE email_queue ALTER COLUMN text DROP NOT NULL;
+
+UPDATE email_queue SET html = NULL, text = NULL
+WHERE status = 'sent' AND template IN ('owner_welcome', 'password_reset', 'login_code');
+
+-- migrate:down
+
+UPDATE email_queue SET html = COALESCE(html, ''), text = COALESCE(text, '');
+ALTER TABLE email_queue ALTER COLUMN html SET NOT NULL;
+ALTER TABLE email_queue ALTER COLUMN text SET NOT NULL;
@@ -0,0 +1,19 @@
+-- Migration: Index the listing search sort keys
+-- Search sorts on COALESCE(min_price, ...) and COALESCE(rating, 0) (see PG_SEARCH_SORTS in
+-- data/search.js), which the raw-column indexes from 011 can't serve. These index the same
+-- expressions, with id as the keyset tie-breaker. idx_pg_listings_min_price stays for the price filters.
+
+-- migrate:up
+
+DROP INDEX IF EXISTS idx_pg_listings_rating_id;
+
+CREATE INDEX IF NOT EXISTS idx_pg_listings_price_asc ON pg_listings ((COALESCE(min_price, 99999999)), id);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_price_desc ON pg_listings ((COALESCE(min_price, -1)) DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_pg_listings_rating_sort ON pg_listings ((COALESCE(rating, 0)) DESC, id DESC);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_pg_listings_rating_sort;
+DROP INDEX IF EXISTS idx_pg_listings_price_desc;
+DROP INDEX IF EXISTS idx_pg_listings_price_asc;
+CREATE INDEX IF NOT EXISTS idx_pg_listings_rating_id ON pg_listings(rating DESC, id DESC);
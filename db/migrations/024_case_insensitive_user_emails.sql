@@ -0,0 +1,27 @@
+-- Migration: One resident account per email, whatever its case
+-- Emails are compared with LOWER() everywhere else; users had a case-sensitive UNIQUE, so signing in
+-- as Bob@x.com and bob@x.com made two accounts. Those are merged into the oldest one (keeping the
+-- latest phone number and moving reviews over) before the case-insensitive index is added.
+
+-- migrate:up
+
+UPDATE users u SET phone = (
+    SELECT d.phone FROM users d
+    WHERE LOWER(d.email) = LOWER(u.email) AND d.phone IS NOT NULL
+    ORDER BY d.updated_at DESC NULLS LAST, d.id DESC
+    LIMIT 1
+)
+WHERE u.id = (SELECT MIN(k.id) FROM users k WHERE LOWER(k.email) = LOWER(u.email))
+  AND EXISTS (SELECT 1 FROM users d WHERE LOWER(d.email) = LOWER(u.email) AND d.id <> u.id);
+
+UPDATE pg_reviews r SET user_id = merged.keep
+FROM (SELECT id, MIN(id) OVER (PARTITION BY LOWER(email)) AS keep FROM users) merged
+WHERE r.user_id = merged.id AND merged.id <> merged.keep;
+
+DELETE FROM users u USING users k WHERE LOWER(k.email) = LOWER(u.email) AND k.id < u.id;
+
+CREATE UNIQUE INDEX idx_users_email_lower ON users(LOWER(email));
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_users_email_lower;
@@ -0,0 +1,15 @@
+-- Migration: Throttle resident login codes
+-- Codes may be requested a few times per window (services/users.js has the limits). Failed attempts
+-- count across every code issued in the window, so asking for a new code no longer resets them.
+
+-- migrate:up
+
+ALTER TABLE users
+    ADD COLUMN login_code_requests INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN login_code_window_started_at TIMESTAMP;
+
+-- migrate:down
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS login_code_window_started_at,
+    DROP COLUMN IF EXISTS login_code_requests;
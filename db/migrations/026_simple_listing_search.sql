@@ -0,0 +1,40 @@
+-- Migration: Listing search without stemming
+-- Search terms are prefixes of what the user is still typing, and the 'english' configuration
+-- mangled them: stop words like `a` or `in` were dropped (so typing the first letter of a
+-- locality matched nothing) and partial words were stemmed into lexemes the document never held.
+-- The listing document now uses 'simple', like the admin search documents, and queries match it
+-- with 'simple' prefix terms.
+
+-- migrate:up
+
+CREATE OR REPLACE FUNCTION listing_search_document(p pg_listings) RETURNS TSVECTOR AS $$
+    SELECT
+        setweight(to_tsvector('simple', COALESCE(p.title, '')), 'A') ||
+        setweight(to_tsvector('simple', concat_ws(' ', p.city, p.location, p.street, p.pincode)), 'B') ||
+        setweight(to_tsvector('simple', COALESCE((
+            SELECT string_agg(value, ' ')
+            FROM jsonb_array_elements_text(CASE WHEN jsonb_typeof(p.amenities) = 'array' THEN p.amenities ELSE '[]'::jsonb END)
+        ), '')), 'C') ||
+        setweight(to_tsvector('simple', COALESCE(p.description, '')), 'D');
+$$ LANGUAGE sql STABLE;
+
+UPDATE pg_listing_search s SET search_vector = listing_search_document(p)
+FROM pg_listings p
+WHERE p.id = s.pg_id;
+
+-- migrate:down
+
+CREATE OR REPLACE FUNCTION listing_search_document(p pg_listings) RETURNS TSVECTOR AS $$
+    SELECT
+        setweight(to_tsvector('english', COALESCE(p.title, '')), 'A') ||
+        setweight(to_tsvector('english', concat_ws(' ', p.city, p.location, p.street, p.pincode)), 'B') ||
+        setweight(to_tsvector('english', COALESCE((
+            SELECT string_agg(value, ' ')
+            FROM jsonb_array_elements_text(CASE WHEN jsonb_typeof(p.amenities) = 'array' THEN p.amenities ELSE '[]'::jsonb END)
+        ), '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(p.description, '')), 'D');
+$$ LANGUAGE sql STABLE;
+
+UPDATE pg_listing_search s SET search_vector = listing_search_document(p)
+FROM pg_listings p
+WHERE p.id = s.pg_id;
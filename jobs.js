@@ -0,0 +1,70 @@
+const cron = require('node-cron');
+const { BUSINESS_TIME_ZONE } = require('./db');
+
+// Background jobs. Started by server.js only, so apps built in tests never schedule anything.
+// Cron expressions are read in India time, whatever the server's own zone is.
+const scheduleJobs = ({ db, mailer, services }) => {
+    const options = { timezone: BUSINESS_TIME_ZONE };
+
+    // Keep Alive Cron
+    cron.schedule('*/4 * * * *', async () => {
+        try {
+            await db.query('SELECT 1');
+        } catch (error) {
+            console.error('Error executing keep-alive query:', error);
+        }
+    }, options);
+
+    // Email Queue Worker - picks up retries and anything queued inside a transaction
+    cron.schedule(process.env.EMAIL_QUEUE_CRON || '* * * * *', async () => {
+        try {
+            await mailer.processQueue();
+        } catch (error) {
+            console.error('Error processing email queue:', error);
+        }
+    }, options);
+
+    // Booking Hold Release Cron - puts beds held by unpaid checkouts back on sale
+    cron.schedule(process.env.BOOKING_HOLD_CRON || '* * * * *', async () => {
+        try {
+            const released = await services.payments.releaseExpiredHolds();
+            if (released > 0) console.log(`Released ${released} expired booking hold(s).`);
+        } catch (error) {
+            console.error('Error releasing booking holds:', error);
+        }
+    }, options);
+
+    // Ticket SLA Cron (hourly) - emails owners about overdue tickets, closes long-resolved ones
+    cron.schedule(process.env.TICKET_SLA_CRON || '15 * * * *', async () => {
+        try {
+            const { escalated, closed } = await services.tickets.runSlaChecks();
+            if (escalated || closed) console.log(`Tickets: ${escalated} escalated to owners, ${closed} closed after resolution.`);
+        } catch (error) {
+            console.error('Error running ticket SLA checks:', error);
+        }
+    }, options);
+
+    // Rent Invoice Cron (daily; only the first run of each month creates invoices)
+    cron.schedule(process.env.RENT_INVOICE_CRON || '30 0 * * *', async () => {
+        try {
+            const created = await services.rent.generateInvoices();
+            if (created > 0) console.log(`Generated ${created} rent invoice(s).`);
+        } catch (error) {
+            console.error('Error generating rent invoices:', error);
+        }
+    }, options);
+
+    // Rent Reminder Cron (daily)
+    cron.schedule(process.env.RENT_REMINDER_CRON || '0 9 * * *', async () => {
+        try {
+            const { queued, escalations, failed } = await services.rent.runReminders();
+            if (queued || escalations || failed) {
+                console.log(`Rent reminders: ${queued} queued, ${escalations} escalated to owners, ${failed} failed.`);
+            }
+        } catch (error) {
+            console.error('Error sending rent reminders:', error);
+        }
+    }, options);
+};
+
+module.exports = { scheduleJobs };
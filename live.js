@@ -0,0 +1,158 @@
+const { sameEmail } = require('./auth');
+const announcements = require('./data/announcements');
+
+// Live updates: services publish events (visit.created, payment.confirmed ...) and signed-in apps
+// receive the ones meant for them over server-sent events (GET /api/live, see routes/live.js).
+//
+// Events travel through Postgres NOTIFY on one channel, so every server instance sees every event
+// whichever instance published it. An instance LISTENs on a dedicated pool connection only while
+// it has subscribers, and hands each event to the subscribers whose scope covers it:
+//   owners and super admins   events of the PGs in their scope
+//   residents                 events addressed to their email, and PG-wide events of PGs they live in
+//
+// An event for a group of residents that may not fit in a NOTIFY names it instead of listing it
+// (residents: { announcementId }); each instance looks the group up once, if it has resident subscribers.
+//
+// Nothing is stored: an app that reconnects (or sees the listening connection drop, which ends every
+// stream) refetches what it shows. Each stream starts with a `ready` event once it is listening.
+
+const CHANNEL = 'live_events';
+
+const createLiveHub = ({ pool, log = console }) => {
+    const subscribers = new Set();
+    let listening = null; // Promise of the listener ({ client, detach }) while there are subscribers
+
+    // Publishes an event; call it after the transaction that made the change has committed.
+    //   type       e.g. 'visit.created'
+    //   pgId       the PG it concerns; its owner always receives it
+    //   residents  'all' for every current resident of the PG, the emails of the residents it is for,
+    //              or { announcementId } for the residents an announcement reaches
+    //   data       the payload sent to subscribers (NOTIFY carries at most 8000 bytes)
+    // A failure is logged; the change it reports stands.
+    const publish = async (type, { pgId, residents = [], data = {} }) => {
+        try {
+            await pool.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify({ type, pgId, residents, data })]);
+        } catch (error) {
+            log.error(`Error publishing ${type} event:`, error);
+        }
+    };
+
+    // pgIds null means every PG (super admins); pgId narrows the stream to one PG
+    const covers = ({ user, pgIds, pgId }, event) => {
+        if (pgId !== null && event.pgId !== pgId) return false;
+        const inScope = pgIds === null || pgIds.includes(event.pgId);
+        if (user.role !== 'resident') return inScope;
+        return event.residents === 'all' ? inScope : event.residents.some(email => sameEmail(email, user.email));
+    };
+
+    // The emails behind a { announcementId } reference; none if the lookup fails (owners still get the event)
+    const resolveResidents = async ({ announcementId }) => {
+        try {
+            return (await announcements.recipients(pool, announcementId)).map(resident => resident.email);
+        } catch (error) {
+            log.error(`Error resolving the residents of announcement ${announcementId}:`, error);
+            return [];
+        }
+    };
+
+    const deliver = async (payload) => {
+        let event;
+        try {
+            event = JSON.parse(payload);
+        } catch (error) {
+            return log.error('Ignoring malformed live event:', payload);
+        }
+        const { residents } = event;
+        if (residents !== 'all' && !Array.isArray(residents)) {
+            const anyResident = [...subscribers].some(subscriber => subscriber.user.role === 'resident');
+            event.residents = anyResident ? await resolveResidents(residents) : [];
+        }
+        for (const subscriber of subscribers) {
+            if (covers(subscriber, event)) subscriber.send(event.type, { pg_id: event.pgId, ...event.data });
+        }
+    };
+
+    // Events are handed on in the order they arrive, even when one waits for a lookup
+    let delivering = Promise.resolve();
+    const enqueueDelivery = (payload) => {
+        delivering = delivering.then(() => deliver(payload)).catch(error => log.error('Error delivering live event:', error));
+    };
+
+    // Subscribers miss whatever is published while nobody listens, so a lost connection ends every
+    // stream; apps reconnect and refetch
+    const drop = (listener, error) => {
+        if (listener.dropped) return;
+        listener.dropped = true;
+        log.error('Live events connection lost:', error);
+        listening = null;
+        listener.detach();
+        listener.client.release(error);
+        for (const subscriber of subscribers) subscriber.end();
+    };
+
+    // The pool hands the client out again after release, so its handlers come off first
+    const listen = async () => {
+        const client = await pool.connect();
+        const onNotification = message => message.channel === CHANNEL && enqueueDelivery(message.payload);
+        const onError = error => drop(listener, error);
+        const listener = {
+            client,
+            dropped: false,
+            detach: () => {
+                client.removeListener('notification', onNotification);
+                client.removeListener('error', onError);
+            }
+        };
+        client.on('notification', onNotification);
+        client.on('error', onError);
+        try {
+            await client.query(`LISTEN ${CHANNEL}`);
+        } catch (error) {
+            listener.detach();
+            client.release(error);
+            throw error;
+        }
+        return listener;
+    };
+
+    const stopListening = async () => {
+        const pending = listening;
+        listening = null;
+        const listener = await pending.catch(() => null);
+        if (!listener || listener.dropped) return;
+
+        listener.detach();
+        try {
+            await listener.client.query(`UNLISTEN ${CHANNEL}`);
+            listener.client.release();
+        } catch (error) {
+            log.error('Error stopping live events listener:', error);
+            listener.client.release(error);
+        }
+    };
+
+    // Adds a subscriber ({ user, pgIds, pgId, send(type, data), end() }) once this instance is
+    // listening; resolves to its unsubscribe function
+    const subscribe = async (subscriber) => {
+        subscribers.add(subscriber);
+        try {
+            if (!listening) listening = listen().catch((error) => { listening = null; throw error; });
+            await listening;
+        } catch (error) {
+            subscribers.delete(subscriber);
+            throw error;
+        }
+
+        let subscribed = true;
+        return async () => {
+            if (!subscribed) return;
+            subscribed = false;
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0 && listening) await stopListening();
+        };
+    };
+
+    return { publish, subscribe };
+};
+
+module.exports = { createLiveHub };
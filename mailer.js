@@ -0,0 +1,522 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Outbound email: named templates, pluggable transports and a persistent queue.
+//
+// Routes call mailer.enqueue(template, to, data). The message is rendered (HTML + text) and
+// stored in email_queue; a worker sends it through the configured transport, retrying failures
+// with exponential backoff. Transports implement send({ from, to, subject, html, text }) and
+// resolve to { id } or throw; set error.permanent to skip retries.
+//
+// Templates in SECRET_TEMPLATES carry a credential: their body is dropped from the queue once sent
+// and the delivery log only ever shows their metadata.
+
+const DEFAULT_FROM = 'Book My PG <onboarding@resend.dev>';
+const SIGNATURE = ['Regards,', 'Team Book My PG'];
+
+// --- Templates ---
+// Each template maps data to a subject and a list of blocks:
+//   'text'                       a paragraph
+//   { rows: [[label, value]] }   label/value lines
+//   { link: url, label }         a call-to-action link
+//   { code: value }              a highlighted code or password
+
+// Label/value lines of a booking settlement (amounts as strings with two decimals)
+const settlementRows = ({ leaveDate, rentPaid, rentForStay, noticeCharge, deposit, deductions, refund }) => [
+    ['Leaving On', leaveDate],
+    ['Rent Paid', `₹${rentPaid}`],
+    ['Rent for Days Stayed', `₹${rentForStay}`],
+    ['Notice Shortfall Charge', `₹${noticeCharge}`],
+    ['Security Deposit', `₹${deposit}`],
+    ['Deposit Deductions', `₹${deductions}`],
+    parseFloat(refund) < 0 ? ['Amount Due', `₹${Math.abs(parseFloat(refund)).toFixed(2)}`] : ['Refund', `₹${refund}`]
+];
+
+// A temporary password, a reset link or code, a login code
+const SECRET_TEMPLATES = ['owner_welcome', 'password_reset', 'login_code'];
+
+const templates = {
+    owner_welcome: ({ name, email, password }) => ({
+        subject: 'Welcome to Book My PG - Your Credentials',
+        greeting: `Hello ${name},`,
+        blocks: [
+            'Your account has been created on Book My PG.',
+            'Login Credentials:',
+            { rows: [['Email', email], ['Password', password]] },
+            'Please login and change your password immediately.'
+        ]
+    }),
+
+    password_reset: ({ name, resetUrl, resetToken, ttlMinutes }) => ({
+        subject: 'Reset your Book My PG password',
+        greeting: `Hello ${name},`,
+        blocks: [
+            'We received a request to reset your Book My PG password.',
+            resetUrl ? { link: resetUrl, label: 'Reset it here' } : { code: resetToken, label: 'Your reset code' },
+            `This link expires in ${ttlMinutes} minutes and can only be used once. If you did not request it, you can ignore this email.`
+        ]
+    }),
+
+    login_code: ({ code, ttlMinutes }) => ({
+        subject: 'Your Book My PG login code',
+        blocks: [
+            { code, label: 'Your Book My PG login code is' },
+            `It expires in ${ttlMinutes} minutes. If you did not request it, you can ignore this email.`
+        ]
+    }),
+
+    rent_reminder: ({ stage, customerName, pgTitle, periodLabel, dueLabel, daysPastDue, balance }) => ({
+        subject: stage === 'overdue' ? 'Rent Overdue - Book My PG' : 'Rent Payment Reminder - Book My PG',
+        greeting: `Dear ${customerName},`,
+        blocks: [
+            `This is a reminder that ${{
+                before_due: `your rent for ${periodLabel} is due on ${dueLabel}.`,
+                due_date: `your rent for ${periodLabel} is due today.`,
+                overdue: `your rent for ${periodLabel} was due on ${dueLabel} and is now ${daysPastDue} day(s) overdue.`
+            }[stage]}`,
+            { rows: [['PG', pgTitle], ['Amount Due', `₹${balance}`]] },
+            'Please clear your dues at the earliest.'
+        ]
+    }),
+
+    rent_escalation: ({ customerName, customerEmail, roomNo, pgTitle, periodLabel, dueLabel, daysPastDue, balance }) => ({
+        subject: `Rent overdue: ${customerName} (${pgTitle})`,
+        greeting: 'Hello,',
+        blocks: [
+            `${customerName} (room ${roomNo || '-'}) has not paid rent for ${periodLabel} at ${pgTitle}.`,
+            { rows: [
+                ['Amount Due', `₹${balance}`],
+                ['Due Date', `${dueLabel} (${daysPastDue} day(s) overdue)`],
+                ['Resident Email', customerEmail]
+            ] }
+        ]
+    }),
+
+    // To the owner
+    visit_requested: ({ name, userEmail, pgTitle, visitDate, visitTime }) => ({
+        subject: `New visit request for ${pgTitle}`,
+        greeting: 'Hello,',
+        blocks: [
+            `${name || userEmail} would like to visit ${pgTitle}.`,
+            { rows: [['Date', visitDate], ['Time', visitTime], ['Email', userEmail]] },
+            'Approve, reject or propose another slot from your dashboard.'
+        ]
+    }),
+
+    // To the owner
+    visit_rescheduled: ({ name, userEmail, pgTitle, visitDate, visitTime }) => ({
+        subject: `Visit rescheduled for ${pgTitle}`,
+        greeting: 'Hello,',
+        blocks: [
+            `${name || userEmail} has asked to visit ${pgTitle} at a different time.`,
+            { rows: [['New Date', visitDate], ['New Time', visitTime], ['Email', userEmail]] },
+            'The request is waiting for your approval again.'
+        ]
+    }),
+
+    // To the owner
+    visit_proposal_accepted: ({ name, userEmail, pgTitle, visitDate, visitTime }) => ({
+        subject: `Visit confirmed for ${pgTitle}`,
+        greeting: 'Hello,',
+        blocks: [
+            `${name || userEmail} accepted the slot you proposed for ${pgTitle}.`,
+            { rows: [['Date', visitDate], ['Time', visitTime]] }
+        ]
+    }),
+
+    // To the owner
+    visit_cancelled: ({ name, userEmail, pgTitle, visitDate, visitTime, reason }) => ({
+        subject: `Visit cancelled for ${pgTitle}`,
+        greeting: 'Hello,',
+        blocks: [
+            `${name || userEmail} cancelled their visit to ${pgTitle} on ${visitDate} at ${visitTime}.`,
+            ...(reason ? [{ rows: [['Reason', reason]] }] : [])
+        ]
+    }),
+
+    visit_approved: ({ name, pgTitle, visitDate, visitTime, note }) => ({
+        subject: `Your visit to ${pgTitle} is confirmed`,
+        greeting: `Hello ${name || 'there'},`,
+        blocks: [
+            `The owner of ${pgTitle} has approved your visit.`,
+            { rows: [['Date', visitDate], ['Time', visitTime], ...(note ? [['Note', note]] : [])] },
+            'Please carry a valid ID when you visit.'
+        ]
+    }),
+
+    visit_rejected: ({ name, pgTitle, visitDate, visitTime, note }) => ({
+        subject: `Your visit request for ${pgTitle}`,
+        greeting: `Hello ${name || 'there'},`,
+        blocks: [
+            `Unfortunately the owner of ${pgTitle} could not accept your visit on ${visitDate} at ${visitTime}.`,
+            ...(note ? [{ rows: [['Note', note]] }] : []),
+            'You can request another slot from the PG page.'
+        ]
+    }),
+
+    visit_proposed: ({ name, pgTitle, visitDate, visitTime, proposedDate, proposedTime, note }) => ({
+        subject: `New visit time proposed for ${pgTitle}`,
+        greeting: `Hello ${name || 'there'},`,
+        blocks: [
+            `The owner of ${pgTitle} cannot make ${visitDate} at ${visitTime} and has proposed another slot.`,
+            { rows: [['Date', proposedDate], ['Time', proposedTime], ...(note ? [['Note', note]] : [])] },
+            'Accept it, or pick another time, from your visit requests.'
+        ]
+    }),
+
+    booking_cancelled: ({ name, pgTitle, ...settlement }) => ({
+        subject: `Your booking at ${pgTitle} is cancelled`,
+        greeting: `Hello ${name || 'there'},`,
+        blocks: [
+            `Your booking at ${pgTitle} has been cancelled.`,
+            { rows: settlementRows(settlement) }
+        ]
+    }),
+
+    // To the owner
+    move_out_requested: ({ name, email, pgTitle, roomNo, moveOutDate, reason }) => ({
+        subject: `Move-out notice: ${name} (${pgTitle})`,
+        greeting: 'Hello,',
+        blocks: [
+            `${name} (room ${roomNo || '-'}) has given notice to move out of ${pgTitle}.`,
+            { rows: [['Move-out Date', moveOutDate], ['Resident Email', email], ...(reason ? [['Reason', reason]] : [])] },
+            'Approve the move-out from your dashboard once they have left.'
+        ]
+    }),
+
+    move_out_approved: ({ name, pgTitle, ...settlement }) => ({
+        subject: `Your move-out from ${pgTitle}`,
+        greeting: `Hello ${name || 'there'},`,
+        blocks: [
+            `The owner of ${pgTitle} has approved your move-out. Here is your settlement.`,
+            { rows: settlementRows(settlement) }
+        ]
+    }),
+
+    announcement_urgent: ({ name, pgTitle, title, message, category }) => ({
+        subject: `Urgent: ${title} (${pgTitle})`,
+        greeting: `Hello ${name || 'there'},`,
+        blocks: [
+            `The owner of ${pgTitle} has posted an urgent ${category} announcement.`,
+            { rows: [['Title', title]] },
+            message,
+            'You can also find it under announcements in the app.'
+        ]
+    }),
+
+    // To the owner
+    ticket_raised: ({ id, title, pgTitle, roomNo, category, priority, reporterName, reporterEmail, description }) => ({
+        subject: `New ${priority} ticket #${id}: ${title} (${pgTitle})`,
+        greeting: 'Hello,',
+        blocks: [
+            `${reporterName || reporterEmail} has raised a maintenance ticket at ${pgTitle}.`,
+            { rows: [['Ticket', `#${id} ${title}`], ['Room', roomNo], ['Category', category], ['Priority', priority], ['Resident Email', reporterEmail]] },
+            description,
+            'Assign it from the tickets dashboard.'
+        ]
+    }),
+
+    // To the resident
+    ticket_updated: ({ id, title, pgTitle, status, assignee, note }) => ({
+        subject: `Ticket #${id} is ${status.toLowerCase()}: ${title}`,
+        greeting: 'Hello,',
+        blocks: [
+            `Your maintenance ticket at ${pgTitle} has been updated.`,
+            { rows: [['Ticket', `#${id} ${title}`], ['Status', status], ...(assignee ? [['Assigned To', assignee]] : []), ...(note ? [['Resolution', note]] : [])] },
+            ...(status === 'Resolved' ? ['If the problem is not fixed, reopen the ticket from the app; otherwise close it.'] : [])
+        ]
+    }),
+
+    // To the owner
+    ticket_reopened: ({ id, title, pgTitle, roomNo, reporterName, reason }) => ({
+        subject: `Ticket #${id} reopened: ${title} (${pgTitle})`,
+        greeting: 'Hello,',
+        blocks: [
+            `${reporterName || 'The resident'} (room ${roomNo || '-'}) says the problem is not fixed.`,
+            { rows: [['Ticket', `#${id} ${title}`], ['Reason', reason]] }
+        ]
+    }),
+
+    // To the other side of the thread
+    ticket_comment: ({ id, title, pgTitle, author, comment }) => ({
+        subject: `New comment on ticket #${id}: ${title}`,
+        greeting: 'Hello,',
+        blocks: [
+            `${author || 'Someone'} commented on ticket #${id} at ${pgTitle}:`,
+            comment
+        ]
+    }),
+
+    // To the owner
+    ticket_overdue: ({ id, title, pgTitle, roomNo, priority, status }) => ({
+        subject: `Overdue ticket #${id}: ${title} (${pgTitle})`,
+        greeting: 'Hello,',
+        blocks: [
+            `This ${priority} ticket has passed its resolution time and is still ${status.toLowerCase()}.`,
+            { rows: [['Ticket', `#${id} ${title}`], ['Room', roomNo]] }
+        ]
+    }),
+
+    move_out_rejected: ({ name, pgTitle, moveOutDate, note }) => ({
+        subject: `Your move-out notice for ${pgTitle}`,
+        greeting: `Hello ${name || 'there'},`,
+        blocks: [
+            `The owner of ${pgTitle} did not accept your notice to move out on ${moveOutDate}. Your booking continues.`,
+            ...(note ? [{ rows: [['Note', note]] }] : [])
+        ]
+    })
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const blockToText = (block) => {
+    if (typeof block === 'string') return block;
+    if (block.rows) return block.rows.map(([label, value]) => `${label}: ${value ?? '-'}`).join('\n');
+    if (block.link) return `${block.label}: ${block.link}`;
+    if (block.code) return `${block.label}: ${block.code}`;
+    return '';
+};
+
+const blockToHtml = (block) => {
+    if (typeof block === 'string') return `<p>${escapeHtml(block)}</p>`;
+    if (block.rows) {
+        const rows = block.rows.map(([label, value]) =>
+            `<tr><td style="padding:2px 12px 2px 0;color:#666">${escapeHtml(label)}</td><td><strong>${escapeHtml(value ?? '-')}</strong></td></tr>`
+        ).join('');
+        return `<table cellpadding="0" cellspacing="0">${rows}</table>`;
+    }
+    if (block.link) {
+        return `<p><a href="${escapeHtml(block.link)}" style="display:inline-block;padding:10px 18px;background:#4f46e5;color:#fff;border-radius:6px;text-decoration:none">${escapeHtml(block.label)}</a></p>`;
+    }
+    if (block.code) {
+        return `<p>${escapeHtml(block.label)}</p><p style="font-size:22px;font-family:monospace;letter-spacing:2px"><strong>${escapeHtml(block.code)}</strong></p>`;
+    }
+    return '';
+};
+
+// Renders a named template to { subject, text, html }
+const renderTemplate = (name, data = {}) => {
+    const template = templates[name];
+    if (!template) throw new Error(`Unknown email template "${name}"`);
+
+    const { subject, greeting, blocks } = template(data);
+    const parts = greeting ? [greeting, ...blocks] : blocks;
+    const text = [...parts.map(blockToText), SIGNATURE.join('\n')].join('\n\n');
+    const html = `<!doctype html><html><body style="font-family:Arial,sans-serif;font-size:14px;color:#222;line-height:1.5">
+${parts.map(blockToHtml).join('\n')}
+<p>${SIGNATURE.map(escapeHtml).join('<br>')}</p>
+</body></html>`;
+    return { subject, text, html };
+};
+
+// --- Transports ---
+
+const resendTransport = ({ apiKey, baseUrl = 'https://api.resend.com' }) => ({
+    name: 'resend',
+    async send({ from, to, subject, html, text }) {
+        try {
+            const response = await axios.post(`${baseUrl}/emails`, {
+                from, to: [to], subject, html, text
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: 10000
+            });
+            return { id: response.data.id };
+        } catch (error) {
+            const status = error.response?.status;
+            const wrapped = new Error(error.response?.data?.message || error.message);
+            // 4xx other than rate limiting will fail the same way every time
+            wrapped.permanent = status >= 400 && status < 500 && status !== 429;
+            throw wrapped;
+        }
+    }
+});
+
+const smtpTransport = ({ host, port, secure, user, pass }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port: port || 587,
+        secure: !!secure,
+        auth: user ? { user, pass } : undefined
+    });
+    return {
+        name: 'smtp',
+        async send({ from, to, subject, html, text }) {
+            const info = await transporter.sendMail({ from, to, subject, html, text });
+            return { id: info.messageId };
+        }
+    };
+};
+
+// Keeps messages in memory; for tests and local development
+const memoryTransport = () => {
+    const sent = [];
+    return {
+        name: 'memory',
+        sent,
+        async send(message) {
+            const id = `mem_${sent.length + 1}`;
+            sent.push({ id, ...message });
+            return { id };
+        }
+    };
+};
+
+// Nothing configured: every message fails permanently, so it is visible in the delivery log
+const unconfiguredTransport = () => ({
+    name: 'none',
+    async send() {
+        const error = new Error('No email transport configured (set RESEND_API_KEY, or EMAIL_TRANSPORT=smtp)');
+        error.permanent = true;
+        throw error;
+    }
+});
+
+// EMAIL_TRANSPORT picks the transport: resend, smtp or memory. Defaults to resend when
+// RESEND_API_KEY is set.
+const createTransport = (env = process.env) => {
+    const kind = env.EMAIL_TRANSPORT || (env.RESEND_API_KEY ? 'resend' : 'none');
+    if (kind === 'resend' && env.RESEND_API_KEY) return resendTransport({ apiKey: env.RESEND_API_KEY });
+    if (kind === 'smtp') {
+        return smtpTransport({
+            host: env.SMTP_HOST,
+            port: env.SMTP_PORT ? parseInt(env.SMTP_PORT, 10) : undefined,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS
+        });
+    }
+    if (kind === 'memory') return memoryTransport();
+    if (kind !== 'none' && kind !== 'resend') console.warn(`⚠️ Unknown EMAIL_TRANSPORT "${kind}"; emails will not be sent.`);
+    return unconfiguredTransport();
+};
+
+// --- Queue ---
+
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+// A message left in 'sending' this long (worker crashed mid-send) is picked up again
+const STALE_SENDING_MINUTES = 10;
+
+// Delay before retry n (1-based): 30s, 1m, 2m, 4m ... capped at an hour
+const backoffSeconds = (attempt) => Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempt - 1), BACKOFF_MAX_SECONDS);
+
+const createMailer = ({ pool, transport = createTransport(), from = process.env.EMAIL_FROM || DEFAULT_FROM, log = console }) => {
+    let draining = null;
+
+    // Queues a templated email; `client` lets callers enqueue inside their own transaction.
+    // Returns the queued row (without the rendered body).
+    const enqueue = async (template, to, data = {}, { client = pool, maxAttempts = MAX_ATTEMPTS } = {}) => {
+        if (!to) throw new Error(`Email "${template}" has no recipient`);
+        const { subject, text, html } = renderTemplate(template, data);
+        const result = await client.query(`
+            INSERT INTO email_queue (template, recipient, subject, html, text, max_attempts)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, template, recipient, subject, status, created_at
+        `, [template, to, subject, html, text, maxAttempts]);
+
+        // Send promptly when not inside a caller's transaction; the cron worker is the safety net
+        if (client === pool) setImmediate(() => processQueue().catch(error => log.error('Email queue error:', error)));
+        return result.rows[0];
+    };
+
+    // Claims due messages (SKIP LOCKED, so several workers can run) and marks them as sending
+    const claimBatch = async (limit) => {
+        const result = await pool.query(`
+            UPDATE email_queue SET status = 'sending', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+            WHERE id IN (
+                SELECT id FROM email_queue
+                WHERE (status = 'queued' AND next_attempt_at <= NOW())
+                   OR (status = 'sending' AND locked_at < NOW() - $2 * INTERVAL '1 minute')
+                ORDER BY next_attempt_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [limit, STALE_SENDING_MINUTES]);
+        return result.rows;
+    };
+
+    const deliver = async (message) => {
+        try {
+            const { id } = await transport.send({
+                from, to: message.recipient, subject: message.subject, html: message.html, text: message.text
+            });
+            // A secret's body was only kept to send it (and retry until then)
+            await pool.query(
+                `UPDATE email_queue SET status = 'sent', provider = $1, provider_message_id = $2, last_error = NULL,
+                        sent_at = NOW(), locked_at = NULL, updated_at = NOW(),
+                        html = CASE WHEN $4 THEN NULL ELSE html END, text = CASE WHEN $4 THEN NULL ELSE text END
+                 WHERE id = $3`,
+                [transport.name, id || null, message.id, SECRET_TEMPLATES.includes(message.template)]
+            );
+            return true;
+        } catch (error) {
+            const giveUp = error.permanent || message.attempts >= message.max_attempts;
+            await pool.query(
+                `UPDATE email_queue SET status = $1, provider = $2, last_error = $3, locked_at = NULL, updated_at = NOW(),
+                        next_attempt_at = NOW() + $4 * INTERVAL '1 second'
+                 WHERE id = $5`,
+                [giveUp ? 'failed' : 'queued', transport.name, String(error.message).slice(0, 1000), backoffSeconds(message.attempts), message.id]
+            );
+            log.error(`Email ${message.id} (${message.template}) to ${message.recipient} failed: ${error.message}${giveUp ? '' : ' - will retry'}`);
+            return false;
+        }
+    };
+
+    // Sends everything currently due; overlapping calls share one pass
+    const processQueue = ({ batchSize = 20 } = {}) => {
+        if (draining) return draining;
+        draining = (async () => {
+            const summary = { sent: 0, failed: 0 };
+            try {
+                let batch;
+                do {
+                    batch = await claimBatch(batchSize);
+                    for (const message of batch) {
+                        if (await deliver(message)) summary.sent++;
+                        else summary.failed++;
+                    }
+                } while (batch.length === batchSize);
+            } finally {
+                draining = null;
+            }
+            return summary;
+        })();
+        return draining;
+    };
+
+    // Puts a failed message back in the queue with a fresh set of attempts
+    const retry = async (id) => {
+        const result = await pool.query(`
+            UPDATE email_queue SET status = 'queued', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+            WHERE id = $1 AND status = 'failed'
+            RETURNING id, template, recipient, subject, status
+        `, [id]);
+        if (result.rows.length > 0) setImmediate(() => processQueue().catch(error => log.error('Email queue error:', error)));
+        return result.rows[0] || null;
+    };
+
+    return { transport, enqueue, processQueue, retry };
+};
+
+module.exports = {
+    SECRET_TEMPLATES,
+    templates,
+    renderTemplate,
+    createTransport,
+    resendTransport,
+    smtpTransport,
+    memoryTransport,
+    createMailer,
+    backoffSeconds
+};
@@ -1,52 +1,210 @@
 const { Pool } = require('pg');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
-const pool = new Pool({
+// Versioned migration runner.
+// Migrations live in db/migrations as NNN_description.sql, with `-- migrate:up` and
+// `-- migrate:down` sections. Each one runs in its own transaction and is recorded in
+// schema_migrations, so it is applied exactly once per database.
+// Migrations that need more than SQL (e.g. moving data out to files) can be NNN_description.js
+// modules exporting async up(client) and, optionally, down(client).
+//
+//   node migrate.js up            apply all pending migrations
+//   node migrate.js status        list applied and pending migrations
+//   node migrate.js down [steps]  roll back the latest migration(s), default 1
+
+const MIGRATIONS_DIR = path.join(__dirname, 'db', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Arbitrary key for pg_advisory_lock so two servers booting together don't race
+const MIGRATION_LOCK_ID = 48151623;
+
+const createPool = () => new Pool({
     connectionString: process.env.DATABASE_URL,
-    ssl: {
+    ssl: process.env.DATABASE_SSL === 'false' ? false : {
         rejectUnauthorized: false,
     },
 });
 
-async function migrate() {
+const parseMigration = (file, sql) => {
+    const upMarker = sql.search(/^--\s*migrate:up\s*$/m);
+    const downMarker = sql.search(/^--\s*migrate:down\s*$/m);
+    if (upMarker === -1) throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+
+    const up = downMarker > upMarker ? sql.slice(upMarker, downMarker) : sql.slice(upMarker);
+    const down = downMarker > upMarker ? sql.slice(downMarker) : '';
+    return { up, down };
+};
+
+const loadScriptMigration = (dir, file) => {
+    const { up, down = '' } = require(path.join(dir, file));
+    if (typeof up !== 'function') throw new Error(`Migration ${file} does not export an up(client) function`);
+    return { up, down };
+};
+
+// Runs one direction of a migration: SQL text, or a script's function
+const runStep = (client, step) => (typeof step === 'function' ? step(client) : client.query(step));
+const hasStep = (step) => typeof step === 'function' || step.trim() !== '';
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const source = fs.readFileSync(path.join(dir, file), 'utf8');
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file,
+                checksum: crypto.createHash('sha256').update(source).digest('hex'),
+                ...(match[3] === 'js' ? loadScriptMigration(dir, file) : parseMigration(file, source))
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((m, i) => {
+        if (i > 0 && migrations[i - 1].version === m.version) {
+            throw new Error(`Duplicate migration version ${m.version}: ${migrations[i - 1].file}, ${m.file}`);
+        }
+    });
+    return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+};
+
+// Runs fn with a dedicated client holding the migration lock
+const withMigrationLock = async (pool, fn) => {
+    const client = await pool.connect();
     try {
-        console.log('Starting migration...');
-        
-        // Add amenities column
-        await pool.query(`
-            ALTER TABLE pg_listings 
-            ADD COLUMN IF NOT EXISTS amenities JSONB DEFAULT '[]'::jsonb;
-        `);
-        console.log('Added amenities column');
-
-        // Add rules column
-        await pool.query(`
-            ALTER TABLE pg_listings 
-            ADD COLUMN IF NOT EXISTS rules JSONB DEFAULT '[]'::jsonb;
-        `);
-        console.log('Added rules column');
-
-        // Add rooms column
-        await pool.query(`
-            ALTER TABLE pg_listings 
-            ADD COLUMN IF NOT EXISTS rooms JSONB DEFAULT '[]'::jsonb;
-        `);
-        console.log('Added rooms column');
-
-        // Add images column (for multiple images)
-        await pool.query(`
-            ALTER TABLE pg_listings 
-            ADD COLUMN IF NOT EXISTS images JSONB DEFAULT '[]'::jsonb;
-        `);
-        console.log('Added images column');
-
-        console.log('Migration completed successfully');
-    } catch (error) {
-        console.error('Migration failed:', error);
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        await ensureMigrationsTable(client);
+        return await fn(client);
     } finally {
-        await pool.end();
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
     }
-}
+};
+
+const appliedVersions = async (client) => {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+};
 
-migrate();
+const inTransaction = async (client, fn) => {
+    await client.query('BEGIN');
+    try {
+        await fn();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+};
+
+// Applies every pending migration in version order; returns the ones applied
+const up = async (pool, { migrations = loadMigrations(), log = console.log } = {}) => {
+    return withMigrationLock(pool, async (client) => {
+        const applied = await appliedVersions(client);
+        const pending = migrations.filter(m => !applied.has(m.version));
+
+        for (const migration of pending) {
+            log(`Applying migration ${migration.file}...`);
+            try {
+                await inTransaction(client, async () => {
+                    await runStep(client, migration.up);
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                        [migration.version, migration.name, migration.checksum]
+                    );
+                });
+            } catch (error) {
+                error.message = `Migration ${migration.file} failed: ${error.message}`;
+                throw error;
+            }
+        }
+        return pending;
+    });
+};
+
+// Rolls back the latest `steps` applied migrations; returns the ones rolled back
+const down = async (pool, { steps = 1, migrations = loadMigrations(), log = console.log } = {}) => {
+    return withMigrationLock(pool, async (client) => {
+        const applied = await appliedVersions(client);
+        const byVersion = new Map(migrations.map(m => [m.version, m]));
+        const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+        const rolledBack = [];
+        for (const version of targets) {
+            const migration = byVersion.get(version);
+            if (!migration) throw new Error(`Migration file for applied version ${version} not found`);
+
+            log(`Rolling back migration ${migration.file}...`);
+            await inTransaction(client, async () => {
+                if (hasStep(migration.down)) await runStep(client, migration.down);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+            });
+            rolledBack.push(migration);
+        }
+        return rolledBack;
+    });
+};
+
+const status = async (pool, { migrations = loadMigrations() } = {}) => {
+    return withMigrationLock(pool, async (client) => {
+        const applied = await appliedVersions(client);
+        return migrations.map(m => {
+            const row = applied.get(m.version);
+            return {
+                version: m.version,
+                file: m.file,
+                appliedAt: row ? row.applied_at : null,
+                modified: row ? row.checksum !== m.checksum : false
+            };
+        });
+    });
+};
+
+module.exports = { createPool, loadMigrations, up, down, status };
+
+if (require.main === module) {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const pool = createPool();
+
+    const run = async () => {
+        if (command === 'up') {
+            const applied = await up(pool);
+            console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+        } else if (command === 'down') {
+            const steps = arg ? parseInt(arg, 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) throw new Error('steps must be a positive integer');
+            const rolledBack = await down(pool, { steps });
+            console.log(`Rolled back ${rolledBack.length} migration(s).`);
+        } else if (command === 'status') {
+            const rows = await status(pool);
+            rows.forEach(row => {
+                const state = row.appliedAt ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+                console.log(`${row.file.padEnd(48)} ${state}${row.modified ? ' (file changed since applied)' : ''}`);
+            });
+        } else {
+            throw new Error(`Unknown command "${command}". Use up, status or down [steps].`);
+        }
+    };
+
+    run()
+        .catch(error => {
+            console.error('Migration failed:', error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
@@ -0,0 +1,141 @@
+const express = require('express');
+const {
+    z, validate, sendServiceError, booleanish, recordId, idParams, emailParams, requiredText, atLeastOne
+} = require('../validation');
+const { ANNOUNCEMENT_CATEGORIES, ANNOUNCEMENT_PRIORITIES } = require('../data/announcements');
+
+// --- Announcement Schemas ---
+
+const announcementFields = {
+    title: requiredText(200),
+    message: requiredText(5000),
+    category: z.enum(ANNOUNCEMENT_CATEGORIES),
+    priority: z.enum(ANNOUNCEMENT_PRIORITIES),
+    pinned: z.boolean(),
+    expires_at: z.string().datetime({ offset: true })
+};
+
+// Create Announcement - aimed at the whole PG (default), one floor, or chosen rooms;
+// title defaults to the message's first line
+const announcementBody = z.object({
+    pgId: recordId,
+    title: announcementFields.title.optional(),
+    message: announcementFields.message,
+    category: announcementFields.category.default('general'),
+    priority: announcementFields.priority.default('normal'),
+    pinned: announcementFields.pinned.default(false),
+    expires_at: announcementFields.expires_at.optional(),
+    audience: z.enum(['pg', 'floor', 'rooms']).default('pg'),
+    floor: requiredText(50).optional(),
+    room_ids: z.array(recordId).min(1).max(200).optional()
+})
+    .refine(body => body.audience !== 'floor' || body.floor, { message: 'is required for audience floor', path: ['floor'] })
+    .refine(body => body.audience !== 'rooms' || body.room_ids, { message: 'is required for audience rooms', path: ['room_ids'] });
+
+// Update Announcement - only the fields sent are changed; expires_at null removes the expiry
+const updateAnnouncementBody = atLeastOne(z.object({
+    title: announcementFields.title.optional(),
+    message: announcementFields.message.optional(),
+    category: announcementFields.category.optional(),
+    priority: announcementFields.priority.optional(),
+    pinned: announcementFields.pinned.optional(),
+    expires_at: announcementFields.expires_at.nullable().optional()
+}));
+
+// Get Announcements - ?category=&include_expired=true (owners)
+const announcementListQuery = z.object({
+    category: z.enum(ANNOUNCEMENT_CATEGORIES).optional(),
+    include_expired: booleanish.optional()
+});
+
+const createAnnouncementRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { announcements } = services;
+    const { requireRole, requirePgOwner, requirePgMember, requireResidentSelf, pgIdFromRow } = guards;
+
+    // Create Announcement (Owner)
+    router.post('/api/owner/announcement', validate({ body: announcementBody }), requirePgOwner(req => req.body.pgId), async (req, res) => {
+        const { pgId, title, message, category, priority, pinned, expires_at, audience, floor, room_ids } = req.body;
+        try {
+            res.status(201).json(await announcements.create({
+                pgId,
+                ownerEmail: req.user.email,
+                title: title || message.split('\n')[0].trim().slice(0, 200),
+                message,
+                category,
+                priority,
+                pinned,
+                expiresAt: expires_at,
+                audience,
+                floor,
+                roomIds: room_ids
+            }));
+        } catch (error) {
+            sendServiceError(res, error, 'creating announcement');
+        }
+    });
+
+    // Get Announcements for a PG: residents get the live ones aimed at them with read_at; owners get
+    // all of them with read and recipient counts
+    router.get('/api/pg/:id/announcements', validate({ params: idParams, query: announcementListQuery }), requirePgMember, async (req, res) => {
+        try {
+            res.json(await announcements.list(req.params.id, req.user, {
+                category: req.query.category,
+                includeExpired: req.query.include_expired
+            }));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching announcements');
+        }
+    });
+
+    // Update Announcement (Owner) - raising it to urgent emails its residents
+    router.put('/api/announcements/:id', validate({ params: idParams, body: updateAnnouncementBody }), requirePgOwner(pgIdFromRow('announcements')), async (req, res) => {
+        try {
+            res.json(await announcements.update(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'updating announcement');
+        }
+    });
+
+    // Delete Announcement (Owner)
+    router.delete('/api/announcements/:id', validate({ params: idParams }), requirePgOwner(pgIdFromRow('announcements')), async (req, res) => {
+        try {
+            await announcements.remove(req.params.id);
+            res.json({ success: true, message: 'Announcement deleted' });
+        } catch (error) {
+            sendServiceError(res, error, 'deleting announcement');
+        }
+    });
+
+    // Read Receipts (Owner): { announcement, read, total, recipients: [{ name, email, read_at }] }
+    router.get('/api/announcements/:id/receipts', validate({ params: idParams }), requirePgOwner(pgIdFromRow('announcements')), async (req, res) => {
+        try {
+            res.json(await announcements.receipts(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching read receipts');
+        }
+    });
+
+    // Mark Announcement Read (Resident)
+    router.put('/api/announcements/:id/read', validate({ params: idParams }), requireRole('resident'), async (req, res) => {
+        try {
+            await announcements.markRead(req.params.id, req.user);
+            res.json({ success: true });
+        } catch (error) {
+            sendServiceError(res, error, 'marking announcement read');
+        }
+    });
+
+    // Unread Announcements (User): { unread, pgs: [{ pg_id, unread }] }
+    router.get('/api/user/:email/announcements/unread-count', validate({ params: emailParams }), requireResidentSelf(req => req.params.email), async (req, res) => {
+        try {
+            res.json(await announcements.unreadCount(req.params.email));
+        } catch (error) {
+            sendServiceError(res, error, 'counting unread announcements');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createAnnouncementRouter };
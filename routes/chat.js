@@ -0,0 +1,44 @@
+const express = require('express');
+const { z, validate, sendServiceError, trimmed, requiredText } = require('../validation');
+
+// --- Chat Routes ---
+
+// Groq Chat - Enhanced with full context
+const chatBody = z.object({
+    message: requiredText(2000),
+    history: z.array(z.object({
+        role: z.enum(['user', 'assistant']),
+        content: z.string().max(4000)
+    })).max(50).optional(),
+    city: trimmed(100).optional()
+});
+
+const createChatRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { chat } = services;
+    const { optionalAuth, requireSuperAdmin } = guards;
+
+    // Direct Groq API test endpoint
+    router.get('/api/test-groq', requireSuperAdmin, async (req, res) => {
+        try {
+            res.json({ success: true, response: await chat.testModel() });
+        } catch (error) {
+            sendServiceError(res, error, 'testing Groq');
+        }
+    });
+
+    router.post('/api/chat', validate({ body: chatBody }), optionalAuth, async (req, res) => {
+        const { message, history, city } = req.body;
+        // Booking and visit context is only shared with the signed-in resident
+        const userEmail = req.user?.role === 'resident' ? req.user.email : null;
+        try {
+            res.json(await chat.reply({ message, history, city, userEmail }));
+        } catch (error) {
+            sendServiceError(res, error, 'answering chat');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createChatRouter };
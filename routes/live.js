@@ -0,0 +1,53 @@
+const express = require('express');
+const { z, validate, sendServiceError, recordId } = require('../validation');
+
+// Live Updates - ?pg_id= narrows the stream to one PG
+const liveQuery = z.object({ pg_id: recordId.optional() });
+
+// A comment line keeps idle streams open through proxies that drop quiet connections
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+const createLiveRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { live } = services;
+    const { requireRole } = guards;
+
+    // Live Updates (Owner, Resident or Super Admin) - a server-sent event stream of visit.created,
+    // visit.approved, payment.confirmed and announcement.created for the caller's PGs. It opens with a
+    // `ready` event ({ pg_ids }, null for every PG), after which nothing published is missed.
+    router.get('/api/live', validate({ query: liveQuery }), requireRole('owner', 'resident', 'super-admin'), async (req, res) => {
+        let closed = false;
+        let unsubscribe = null;
+        let heartbeat = null;
+        res.on('close', () => {
+            closed = true;
+            clearInterval(heartbeat);
+            if (unsubscribe) unsubscribe();
+        });
+
+        const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        let subscription;
+        try {
+            subscription = await live.subscribe(req.user, { pgId: req.query.pg_id }, { send, end: () => res.end() });
+        } catch (error) {
+            return sendServiceError(res, error, 'subscribing to live updates');
+        }
+        unsubscribe = subscription.unsubscribe;
+        if (closed) return unsubscribe();
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        send('ready', { pg_ids: subscription.pgIds });
+        heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    });
+
+    return router;
+};
+
+module.exports = { createLiveRouter };
@@ -0,0 +1,254 @@
+const express = require('express');
+const {
+    z, validate, sendError, sendServiceError, numeric, recordId, idParams, trimmed, requiredText, textOrNumber,
+    isoDate, billingMonth, pageLimit, atLeastOne
+} = require('../validation');
+const { MIN_PASSWORD_LENGTH, sameEmail } = require('../auth');
+const { credentialsBody } = require('./superAdmin');
+
+// --- Owner Routes ---
+
+const newPasswordField = z.string().min(MIN_PASSWORD_LENGTH).max(200);
+
+// Update Owner Profile - only the fields sent are changed; lastName alone keeps the current first name
+const ownerProfileBody = atLeastOne(z.object({
+    firstName: requiredText(100).optional(),
+    lastName: trimmed(150).optional(),
+    mobile: trimmed(20).nullable().optional(),
+    dob: isoDate.nullable().optional()
+}));
+
+const changePasswordBody = z.object({
+    email: requiredText(255),
+    currentPassword: z.string().min(1).max(200),
+    newPassword: newPasswordField
+}).refine(body => body.newPassword !== body.currentPassword, {
+    message: 'must be different from the current password',
+    path: ['newPassword']
+});
+
+// Update Guest Details - room_no / floor as sent, or bed_id to move the guest (room and floor follow the bed)
+const guestBody = atLeastOne(z.object({
+    room_no: textOrNumber(50).nullable().optional(),
+    floor: textOrNumber(50).nullable().optional(),
+    bed_id: recordId.optional()
+}));
+
+// Get Owner Stats (?months=1-24 of rent ledger, default 6)
+const ownerStatsQuery = z.object({ months: numeric(z.number().int().min(1).max(24)).default(6) });
+
+// Get Owner Rent Invoices (?month=YYYY-MM&status=due|partially_paid|paid|overdue&pgId=)
+const ownerInvoicesQuery = z.object({
+    month: billingMonth.optional(),
+    status: z.enum(['due', 'partially_paid', 'paid', 'void', 'overdue']).optional(),
+    pgId: recordId.optional()
+});
+
+// Record Rent Payment (Owner) - cash, UPI or bank transfer received outside the app
+const rentPaymentBody = z.object({
+    amount: numeric(z.number().positive().max(99999999)),
+    method: requiredText(50).optional(),
+    reference: trimmed(255).optional(),
+    paidAt: z.string().datetime({ offset: true, local: true }).or(isoDate).optional()
+});
+
+// Update Rent Reminder Settings (Owner) - only the fields sent are changed; ranges match the table's CHECKs
+const reminderDays = (max) => z.number().int().min(0).max(max).optional();
+const reminderSettingsBody = z.object({
+    enabled: z.boolean().optional(),
+    days_before_due: reminderDays(28),
+    remind_on_due_date: z.boolean().optional(),
+    days_after_due: reminderDays(60),
+    escalate_after_days: reminderDays(90)
+});
+
+// Rent Reminder Log (Owner)
+const reminderLogQuery = z.object({
+    stage: z.enum(['before_due', 'due_date', 'overdue', 'escalation']).optional(),
+    status: z.enum(['pending', 'queued', 'failed']).optional(),
+    limit: pageLimit(100, 500)
+});
+
+const createOwnerRouter = ({ services, guards, receiveImages }) => {
+    const router = express.Router();
+    const { owners, rent } = services;
+    const { authenticate, requireOwnerSelf, requirePgOwner, pgIdFromRow } = guards;
+
+    // Login
+    router.post('/api/owner/login', validate({ body: credentialsBody }), async (req, res) => {
+        try {
+            const session = await owners.login(req.body.email, req.body.password);
+            if (!session) return sendError(res, 401, 'Invalid credentials');
+            res.json({ success: true, ...session });
+        } catch (error) {
+            sendServiceError(res, error, 'logging in owner');
+        }
+    });
+
+    // Forgot Password - emails a single-use reset token
+    router.post('/api/owner/forgot-password', validate({ body: z.object({ email: requiredText(255) }) }), async (req, res) => {
+        try {
+            await owners.requestPasswordReset(req.body.email);
+            // Same response whether or not the account exists, so emails cannot be probed
+            res.json({ success: true, message: 'If the account exists, a reset link has been sent.' });
+        } catch (error) {
+            sendServiceError(res, error, 'requesting password reset');
+        }
+    });
+
+    // Reset Password - consumes a reset token
+    router.post('/api/owner/reset-password', validate({
+        body: z.object({ token: requiredText(200), newPassword: newPasswordField })
+    }), async (req, res) => {
+        try {
+            await owners.resetPassword(req.body.token, req.body.newPassword);
+            res.json({ message: 'Password updated' });
+        } catch (error) {
+            sendServiceError(res, error, 'resetting password');
+        }
+    });
+
+    // Get Owner Profile
+    router.get('/api/owner/:id', validate({ params: idParams }), requireOwnerSelf(), async (req, res) => {
+        try {
+            res.json(await owners.getProfile(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching owner profile');
+        }
+    });
+
+    // Update Owner Profile
+    router.put('/api/owner/:id', validate({ params: idParams, body: ownerProfileBody }), requireOwnerSelf(), async (req, res) => {
+        try {
+            const owner = await owners.updateProfile(req.params.id, req.body);
+            res.json({ message: 'Updated', owner });
+        } catch (error) {
+            sendServiceError(res, error, 'updating owner profile');
+        }
+    });
+
+    // Upload Profile Picture (multipart, field "image"); replaces and deletes the previous one
+    router.post('/api/owner/:id/image', validate({ params: idParams }), requireOwnerSelf(), receiveImages('image', 1), async (req, res) => {
+        try {
+            const image = await owners.setProfilePicture(req.params.id, req.files[0]);
+            res.json({ message: 'Uploaded', profilePicture: image.url, profileThumbnail: image.thumbnailUrl });
+        } catch (error) {
+            sendServiceError(res, error, 'uploading profile picture');
+        }
+    });
+
+    // Change Password
+    router.post('/api/owner/change-password', validate({ body: changePasswordBody }), authenticate({ roles: ['owner'], allowPendingPasswordChange: true }), async (req, res) => {
+        const { email, currentPassword, newPassword } = req.body;
+        if (!sameEmail(email, req.user.email)) return sendError(res, 403, 'Forbidden');
+        try {
+            const token = await owners.changePassword(req.user.sub, currentPassword, newPassword);
+            res.json({ message: 'Password updated', token });
+        } catch (error) {
+            sendServiceError(res, error, 'changing password');
+        }
+    });
+
+    // Get Owner Guests
+    router.get('/api/owner/:id/guests', validate({ params: idParams }), requireOwnerSelf(), async (req, res) => {
+        try {
+            res.json(await owners.listGuests(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching guests');
+        }
+    });
+
+    // Update Guest Details
+    router.put('/api/owner/guest/:id', validate({ params: idParams, body: guestBody }), requirePgOwner(pgIdFromRow('customers')), async (req, res) => {
+        const { room_no, floor, bed_id } = req.body;
+        try {
+            res.json(await owners.updateGuest(req.params.id, { roomNo: room_no, floor, bedId: bed_id }));
+        } catch (error) {
+            sendServiceError(res, error, 'updating guest');
+        }
+    });
+
+    // Get Owner Stats
+    router.get('/api/owner/:id/stats', validate({ params: idParams, query: ownerStatsQuery }), requireOwnerSelf(), async (req, res) => {
+        try {
+            res.json(await owners.stats(req.params.id, req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching owner stats');
+        }
+    });
+
+    // Get Owner Payments
+    router.get('/api/owner/:id/payments', validate({ params: idParams }), requireOwnerSelf(), async (req, res) => {
+        try {
+            res.json(await owners.payments(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching owner payments');
+        }
+    });
+
+    // Get Owner Rent Invoices
+    router.get('/api/owner/:id/invoices', validate({ params: idParams, query: ownerInvoicesQuery }), requireOwnerSelf(), async (req, res) => {
+        try {
+            res.json(await rent.listOwnerInvoices(req.params.id, req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching invoices');
+        }
+    });
+
+    // Record Rent Payment (Owner)
+    router.post('/api/invoices/:id/payments', validate({ params: idParams, body: rentPaymentBody }), requirePgOwner(pgIdFromRow('rent_invoices')), async (req, res) => {
+        const { amount, method, reference, paidAt } = req.body;
+        try {
+            const result = await rent.recordOwnerPayment(req.params.id, {
+                amount,
+                method: method || 'cash',
+                reference,
+                paidAt,
+                recordedBy: req.user.email
+            });
+            res.status(201).json(result);
+        } catch (error) {
+            sendServiceError(res, error, 'recording payment');
+        }
+    });
+
+    // Get Rent Reminder Settings (Owner)
+    router.get('/api/pg/:id/reminder-settings', validate({ params: idParams }), requirePgOwner(req => req.params.id), async (req, res) => {
+        try {
+            res.json(await rent.getReminderSettings(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching reminder settings');
+        }
+    });
+
+    // Update Rent Reminder Settings (Owner)
+    router.put('/api/pg/:id/reminder-settings', validate({ params: idParams, body: reminderSettingsBody }), requirePgOwner(req => req.params.id), async (req, res) => {
+        try {
+            res.json(await rent.updateReminderSettings(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'updating reminder settings');
+        }
+    });
+
+    // Rent Reminder Log (Owner)
+    router.get('/api/pg/:id/reminders', validate({ params: idParams, query: reminderLogQuery }), requirePgOwner(req => req.params.id), async (req, res) => {
+        try {
+            res.json(await rent.reminderLog(req.params.id, req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching reminder log');
+        }
+    });
+
+    // Get Owner Visits
+    router.get('/api/owner/:id/visits', validate({ params: idParams }), requireOwnerSelf(), async (req, res) => {
+        try {
+            res.json(await owners.listVisits(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching owner visits');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createOwnerRouter };
@@ -0,0 +1,242 @@
+const express = require('express');
+const {
+    z, validate, sendError, sendServiceError, numeric, recordId, idParams, trimmed, requiredText, textOrNumber, isoDate
+} = require('../validation');
+
+// --- Payment Routes ---
+
+// Create Payment Order - price comes from the PG's rooms / occupancy_prices, never the client
+const createOrderBody = z.object({
+    name: requiredText(255),
+    mobile: textOrNumber(20).optional(),
+    pgId: recordId,
+    roomType: requiredText(50),
+    moveInDate: isoDate.optional()
+});
+
+// Confirm Payment & Add Customer - requires the gateway's checkout signature
+const confirmPaymentBody = z.object({
+    razorpay_order_id: requiredText(100),
+    razorpay_payment_id: requiredText(100),
+    razorpay_signature: requiredText(256)
+});
+
+// Payment Gateway Webhook - server-to-server confirmation, signed with RAZORPAY_WEBHOOK_SECRET.
+// Only the fields used are checked; the gateway's payload is otherwise passed through as sent.
+const webhookBody = z.object({
+    event: requiredText(100),
+    payload: z.object({
+        payment: z.object({
+            entity: z.object({
+                id: trimmed(100).optional(),
+                order_id: trimmed(100).nullable().optional(),
+                error_description: z.string().nullable().optional()
+            }).passthrough()
+        }).passthrough().optional()
+    }).passthrough().optional()
+}).passthrough();
+
+// Itemise a Deposit Deduction
+const deductionBody = z.object({
+    category: z.enum(['damage', 'cleaning', 'utilities', 'other']),
+    amount: numeric(z.number().positive().max(99999999)),
+    description: trimmed(1000).optional()
+});
+
+const createPaymentRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { payments, rent, bookings } = services;
+    const { requireRole, requireCustomerAccess, requirePgOwner, pgIdFromRow } = guards;
+
+    router.post('/api/payment/create-order', validate({ body: createOrderBody }), requireRole('resident'), async (req, res) => {
+        try {
+            res.status(201).json(await payments.createOrder({ ...req.body, email: req.user.email }));
+        } catch (error) {
+            // Gateway (axios) errors carry the gateway's HTTP status too; those are always a 502 here
+            if (error.status && !error.isAxiosError) return sendServiceError(res, error, 'creating payment order');
+            console.error('Error creating payment order:', error.response?.data || error);
+            sendError(res, 502, 'Could not create payment order');
+        }
+    });
+
+    router.post('/api/payment/confirm', validate({ body: confirmPaymentBody }), requireRole('resident'), async (req, res) => {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+        try {
+            const { customer, created } = await payments.confirm(req.user.email, {
+                orderId: razorpay_order_id,
+                paymentId: razorpay_payment_id,
+                signature: razorpay_signature
+            });
+            res.status(created ? 201 : 200).json(customer);
+        } catch (error) {
+            sendServiceError(res, error, 'confirming payment');
+        }
+    });
+
+    // Release Booking Hold - gives up checkout and puts the held bed back on sale
+    router.delete('/api/payment/holds/:id', validate({ params: idParams }), requireRole('resident'), async (req, res) => {
+        try {
+            const hold = await payments.releaseHold(req.params.id, req.user.email);
+            res.json({ success: true, hold });
+        } catch (error) {
+            sendServiceError(res, error, 'releasing booking hold');
+        }
+    });
+
+    router.post('/api/payment/webhook', (req, res, next) => {
+        if (!payments.verifyWebhook(req.rawBody, req.headers['x-razorpay-signature'])) {
+            return sendError(res, 400, 'Invalid webhook signature');
+        }
+        next();
+    }, validate({ body: webhookBody }), async (req, res) => {
+        try {
+            await payments.handleWebhook(req.body);
+            res.json({ received: true });
+        } catch (error) {
+            // Unknown orders are acknowledged so the gateway stops retrying; anything else is retried
+            if (error.status === 404) return res.json({ received: true });
+            console.error('Error handling payment webhook:', error);
+            sendError(res, 500, 'Internal Server Error');
+        }
+    });
+
+    // --- Customer Routes ---
+
+    // Update Customer Check-in Date
+    router.put('/api/customer/:id/check-in-date', validate({
+        params: idParams,
+        body: z.object({ moveInDate: isoDate })
+    }), requireCustomerAccess, async (req, res) => {
+        try {
+            res.json(await payments.setMoveInDate(req.params.id, req.body.moveInDate));
+        } catch (error) {
+            sendServiceError(res, error, 'updating check-in date');
+        }
+    });
+
+    // Get Rent Statement (every invoice with its payments)
+    router.get('/api/customer/:id/statement', validate({ params: idParams }), requireCustomerAccess, async (req, res) => {
+        try {
+            res.json(await rent.statement(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching statement');
+        }
+    });
+
+    // --- Cancellation & Move-out ---
+
+    // Cancel Booking (before move-in; the booking is kept and settled)
+    router.delete('/api/customer/:id/cancel', validate({ params: idParams }), requireCustomerAccess, async (req, res) => {
+        try {
+            const { customer, settlement } = await bookings.cancel(req.params.id, { actor: req.user.email });
+            res.json({ success: true, message: 'Booking cancelled successfully', customer, settlement });
+        } catch (error) {
+            sendServiceError(res, error, 'cancelling booking');
+        }
+    });
+
+    // Quote a Move-out (the settlement for leaving on ?date=)
+    router.get('/api/customer/:id/move-out/quote', validate({
+        params: idParams,
+        query: z.object({ date: isoDate })
+    }), requireCustomerAccess, async (req, res) => {
+        try {
+            res.json(await bookings.quoteMoveOut(req.params.id, req.query.date));
+        } catch (error) {
+            sendServiceError(res, error, 'quoting move-out');
+        }
+    });
+
+    // Give Notice to Move Out
+    router.post('/api/customer/:id/move-out', validate({
+        params: idParams,
+        body: z.object({ moveOutDate: isoDate, reason: trimmed(1000).optional() })
+    }), requireCustomerAccess, async (req, res) => {
+        try {
+            res.status(201).json(await bookings.requestMoveOut(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'requesting move-out');
+        }
+    });
+
+    // Withdraw a Move-out Notice
+    router.delete('/api/customer/:id/move-out', validate({ params: idParams }), requireCustomerAccess, async (req, res) => {
+        try {
+            res.json(await bookings.withdrawMoveOut(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'withdrawing move-out');
+        }
+    });
+
+    // Approve a Move-out (owner; on or after the move-out date)
+    router.put('/api/customer/:id/move-out/approve', validate({
+        params: idParams,
+        body: z.object({ note: trimmed(1000).optional() })
+    }), requirePgOwner(pgIdFromRow('customers')), async (req, res) => {
+        try {
+            res.json(await bookings.approveMoveOut(req.params.id, { note: req.body.note, actor: req.user.email }));
+        } catch (error) {
+            sendServiceError(res, error, 'approving move-out');
+        }
+    });
+
+    // Reject a Move-out (owner)
+    router.put('/api/customer/:id/move-out/reject', validate({
+        params: idParams,
+        body: z.object({ note: trimmed(1000).optional() })
+    }), requirePgOwner(pgIdFromRow('customers')), async (req, res) => {
+        try {
+            res.json(await bookings.rejectMoveOut(req.params.id, { note: req.body.note }));
+        } catch (error) {
+            sendServiceError(res, error, 'rejecting move-out');
+        }
+    });
+
+    // Get the Settlement of an Ended Booking
+    router.get('/api/customer/:id/settlement', validate({ params: idParams }), requireCustomerAccess, async (req, res) => {
+        try {
+            res.json(await bookings.getSettlement(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching settlement');
+        }
+    });
+
+    // --- Security Deposit ---
+
+    // Get the Deposit Statement (deposit, itemised deductions, balance and refund)
+    router.get('/api/customer/:id/deposit', validate({ params: idParams }), requireCustomerAccess, async (req, res) => {
+        try {
+            res.json(await bookings.depositStatement(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching deposit');
+        }
+    });
+
+    // Itemise a Deposit Deduction (owner; while the resident is serving notice)
+    router.post('/api/customer/:id/deposit/deductions', validate({
+        params: idParams,
+        body: deductionBody
+    }), requirePgOwner(pgIdFromRow('customers')), async (req, res) => {
+        try {
+            res.status(201).json(await bookings.addDeduction(req.params.id, { ...req.body, actor: req.user.email }));
+        } catch (error) {
+            sendServiceError(res, error, 'adding deposit deduction');
+        }
+    });
+
+    // Remove a Deposit Deduction (owner)
+    router.delete('/api/customer/:id/deposit/deductions/:deductionId', validate({
+        params: z.object({ id: recordId, deductionId: recordId })
+    }), requirePgOwner(pgIdFromRow('customers')), async (req, res) => {
+        try {
+            await bookings.removeDeduction(req.params.id, req.params.deductionId);
+            res.json({ success: true });
+        } catch (error) {
+            sendServiceError(res, error, 'removing deposit deduction');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createPaymentRouter };
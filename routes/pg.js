@@ -0,0 +1,267 @@
+const express = require('express');
+const {
+    z, validate, sendServiceError, numeric, booleanish, recordId, idParams, emailAddress, trimmed, requiredText,
+    textOrNumber, atLeastOne
+} = require('../validation');
+const { ROOM_FIELDS } = require('../services/listings');
+const { imageUrl } = require('./uploads');
+
+// --- Listing Schemas (shared by Add PG and Update PG) ---
+
+// Rupee amounts stored as DECIMAL; '' clears them
+const amountField = z.preprocess(
+    value => (value === '' ? null : value),
+    numeric(z.number().nonnegative().max(99999999)).nullable()
+);
+
+// One entry of the legacy rooms summary; see syncRoomSummary
+const roomSummaryItem = z.object({
+    type: requiredText(50),
+    count: numeric(z.number().int().min(0).max(500)),
+    isAC: booleanish.optional(),
+    price: amountField.optional(),
+    deposit: amountField.optional()
+});
+
+const listingFields = {
+    amenities: z.array(requiredText(100)).max(100),
+    rules: z.array(trimmed(500)).max(100),
+    rooms: z.array(roomSummaryItem).max(50),
+    images: z.array(imageUrl).max(50),
+    image_url: z.preprocess(value => (value === '' ? null : value), imageUrl.nullable()),
+    price: textOrNumber(50),
+    safety_deposit: textOrNumber(50),
+    deposit_amount: amountField
+};
+
+// Get PGs
+const listPgsQuery = z.object({ owner_id: recordId.optional(), owner_email: trimmed(255).optional() });
+
+// Add PG
+const addPgBody = z.object({
+    ...listingFields,
+    title: requiredText(255),
+    description: trimmed(10000),
+    location: trimmed(255),
+    latitude: numeric(z.number().min(-90).max(90)).nullable(),
+    longitude: numeric(z.number().min(-180).max(180)).nullable(),
+    owner_contact: textOrNumber(100),
+    street: trimmed(255),
+    city: trimmed(100),
+    pincode: textOrNumber(20),
+    occupancy_types: z.array(requiredText(50)).max(20),
+    occupancy_prices: z.record(z.string().max(50), textOrNumber(50)),
+    food_included: booleanish,
+    notice_period: textOrNumber(100),
+    gate_close_time: trimmed(50),
+    gender: z.string().trim().toLowerCase().pipe(z.enum(['men', 'women', 'unisex'])),
+    owner_email: emailAddress
+}).partial().required({ title: true });
+
+// Update PG - only the fields sent are changed
+const updatePgBody = atLeastOne(z.object({
+    amenities: listingFields.amenities.optional(),
+    rules: listingFields.rules.optional(),
+    rooms: listingFields.rooms.optional(),
+    images: listingFields.images.optional(),
+    image_url: listingFields.image_url.optional(),
+    price: listingFields.price.optional(),
+    safety_deposit: listingFields.safety_deposit.optional(),
+    deposit_amount: listingFields.deposit_amount.optional(),
+    rent_due_day: numeric(z.number().int().min(1).max(28)).optional()
+}));
+
+// --- Room & Bed Schemas ---
+
+const roomFields = {
+    room_number: textOrNumber(50).pipe(z.string().min(1)),
+    floor: textOrNumber(50).nullable(),
+    sharing_type: requiredText(50),
+    price: amountField,
+    deposit: amountField,
+    is_ac: booleanish
+};
+
+// Add Room - beds defaults to the sharing type's capacity; labels run A-Z
+const addRoomBody = z.object({
+    room_number: roomFields.room_number.optional(),
+    floor: roomFields.floor.optional(),
+    sharing_type: roomFields.sharing_type,
+    price: roomFields.price.optional(),
+    deposit: roomFields.deposit.optional(),
+    is_ac: roomFields.is_ac.optional(),
+    beds: numeric(z.number().int().min(1).max(26)).optional()
+});
+
+// Update Room
+const updateRoomBody = atLeastOne(z.object(Object.fromEntries(
+    ROOM_FIELDS.map(field => [field, roomFields[field].optional()])
+)));
+
+const createPgRouter = ({ services, guards, receiveImages }) => {
+    const router = express.Router();
+    const { listings } = services;
+    const {
+        optionalAuth, authenticate, requireRole, canManagePg, requirePgOwner, pgIdFromRow, pgIdFromBed
+    } = guards;
+
+    // Get PGs
+    router.get('/api/pg', validate({ query: listPgsQuery }), async (req, res) => {
+        try {
+            res.json(await listings.list({ ownerId: req.query.owner_id, ownerEmail: req.query.owner_email }));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching PGs');
+        }
+    });
+
+    // Add PG
+    router.post('/api/pg', validate({ body: addPgBody }), requireRole('owner', 'super-admin'), async (req, res) => {
+        const {
+            title, description, price, location, latitude, longitude, image_url, owner_contact,
+            street, city, pincode,
+            occupancy_types, occupancy_prices, food_included, notice_period, gate_close_time, safety_deposit,
+            deposit_amount, amenities, rules, rooms, images, gender
+        } = req.body;
+        // Owners can only list PGs under their own account
+        const owner_email = req.user.role === 'owner' ? req.user.email : req.body.owner_email;
+
+        try {
+            const pg = await listings.add({
+                title, description, price, location, latitude, longitude, image_url, owner_contact,
+                street, city, pincode,
+                occupancy_types, occupancy_prices, food_included, notice_period, gate_close_time, safety_deposit,
+                deposit_amount, amenities, rules, images, owner_email, gender
+            }, rooms);
+            res.status(201).json(pg);
+        } catch (error) {
+            sendServiceError(res, error, 'adding PG');
+        }
+    });
+
+    // Update PG
+    router.put('/api/pg/:id', validate({ params: idParams, body: updatePgBody }), requirePgOwner(req => req.params.id), async (req, res) => {
+        const { rooms, ...changes } = req.body;
+        try {
+            res.json(await listings.update(req.params.id, changes, rooms));
+        } catch (error) {
+            sendServiceError(res, error, 'updating PG');
+        }
+    });
+
+    // --- Image Routes ---
+
+    // Upload Images (multipart, field "images", up to 10): stores them and returns their URLs,
+    // to be sent as image_url / images / review_images in the JSON APIs
+    router.post('/api/uploads/images', authenticate(), receiveImages('images'), async (req, res) => {
+        try {
+            const images = await listings.uploadImages(req.files, req.user.role);
+            res.status(201).json({ images });
+        } catch (error) {
+            sendServiceError(res, error, 'uploading images');
+        }
+    });
+
+    // Add PG Photos (multipart, field "images"): appended to the gallery; the first becomes the cover if there is none
+    router.post('/api/pg/:id/images', validate({ params: idParams }), requirePgOwner(req => req.params.id), receiveImages('images'), async (req, res) => {
+        try {
+            res.status(201).json(await listings.addImages(req.params.id, req.files));
+        } catch (error) {
+            sendServiceError(res, error, 'adding PG images');
+        }
+    });
+
+    // Remove PG Photo (?url=): drops it from the gallery and storage; removing the cover promotes the next photo
+    router.delete('/api/pg/:id/images', validate({
+        params: idParams,
+        query: z.object({ url: requiredText(2048) })
+    }), requirePgOwner(req => req.params.id), async (req, res) => {
+        try {
+            res.json(await listings.removeImage(req.params.id, req.query.url));
+        } catch (error) {
+            sendServiceError(res, error, 'removing PG image');
+        }
+    });
+
+    // --- Room & Bed Routes ---
+
+    // Get Rooms (with beds) for a PG; owners also see which guest holds each bed
+    router.get('/api/pg/:id/rooms', validate({ params: idParams }), optionalAuth, async (req, res) => {
+        const { id } = req.params;
+        try {
+            const showGuests = req.user ? await canManagePg(req.user, id) : false;
+            res.json(await listings.listRooms(id, { showGuests }));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching rooms');
+        }
+    });
+
+    // Add Room
+    router.post('/api/pg/:id/rooms', validate({ params: idParams, body: addRoomBody }), requirePgOwner(req => req.params.id), async (req, res) => {
+        const { room_number, floor, sharing_type, price, deposit, is_ac, beds } = req.body;
+        try {
+            const room = await listings.addRoom(req.params.id, {
+                roomNumber: room_number, floor, sharingType: sharing_type, beds, price, deposit, isAC: is_ac
+            });
+            res.status(201).json(room);
+        } catch (error) {
+            sendServiceError(res, error, 'adding room');
+        }
+    });
+
+    // Update Room
+    router.put('/api/rooms/:id', validate({ params: idParams, body: updateRoomBody }), requirePgOwner(pgIdFromRow('rooms')), async (req, res) => {
+        try {
+            res.json(await listings.updateRoom(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'updating room');
+        }
+    });
+
+    // Delete Room (only when no bed is occupied)
+    router.delete('/api/rooms/:id', validate({ params: idParams }), requirePgOwner(pgIdFromRow('rooms')), async (req, res) => {
+        try {
+            await listings.deleteRoom(req.params.id);
+            res.json({ success: true, message: 'Room deleted successfully' });
+        } catch (error) {
+            sendServiceError(res, error, 'deleting room');
+        }
+    });
+
+    // Add Bed to Room
+    router.post('/api/rooms/:id/beds', validate({
+        params: idParams,
+        body: z.object({ bed_label: requiredText(20).optional() })
+    }), requirePgOwner(pgIdFromRow('rooms')), async (req, res) => {
+        try {
+            res.status(201).json(await listings.addBed(req.params.id, req.body.bed_label));
+        } catch (error) {
+            sendServiceError(res, error, 'adding bed');
+        }
+    });
+
+    // Update Bed Status (available / maintenance); occupancy changes only through bookings
+    router.put('/api/beds/:id', validate({
+        params: idParams,
+        body: z.object({ status: z.enum(['available', 'maintenance']) })
+    }), requirePgOwner(pgIdFromBed), async (req, res) => {
+        try {
+            res.json(await listings.setBedStatus(req.params.id, req.body.status));
+        } catch (error) {
+            sendServiceError(res, error, 'updating bed');
+        }
+    });
+
+    // Delete Bed
+    router.delete('/api/beds/:id', validate({ params: idParams }), requirePgOwner(pgIdFromBed), async (req, res) => {
+        try {
+            await listings.deleteBed(req.params.id);
+            res.json({ success: true, message: 'Bed deleted successfully' });
+        } catch (error) {
+            sendServiceError(res, error, 'deleting bed');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createPgRouter };
@@ -0,0 +1,169 @@
+const express = require('express');
+const {
+    z, validate, sendServiceError, numeric, booleanish, idParams, trimmed, requiredText, pageLimit, atLeastOne
+} = require('../validation');
+const { UPLOAD_MAX_FILES, imageUrl } = require('./uploads');
+const { REVIEW_DIMENSIONS, REVIEW_SORTS } = require('../data/reviews');
+
+// --- Review Schemas ---
+
+const star = numeric(z.number().int().min(1).max(5));
+
+// Optional sub-ratings, e.g. { cleanliness: 4, value_for_money: 5 }; on an edit, null clears one
+const subRatings = (dimension) => z.object(
+    Object.fromEntries(REVIEW_DIMENSIONS.map(d => [d, dimension.optional()]))
+);
+
+const reviewFields = {
+    rating: star,
+    review_text: trimmed(5000),
+    review_images: z.array(imageUrl).max(UPLOAD_MAX_FILES)
+};
+
+// Add Review - user_name defaults to the name on the stay
+const reviewBody = z.object({
+    user_name: requiredText(100).optional(),
+    rating: reviewFields.rating,
+    ratings: subRatings(star).optional(),
+    review_text: reviewFields.review_text.optional(),
+    review_images: reviewFields.review_images.optional()
+});
+
+// Edit Review - only the fields sent are changed
+const editReviewBody = atLeastOne(z.object({
+    rating: reviewFields.rating.optional(),
+    ratings: subRatings(star.nullable()).optional(),
+    review_text: reviewFields.review_text.optional(),
+    review_images: reviewFields.review_images.optional()
+}));
+
+// Get PG Reviews - ?sort=newest|highest|lowest&limit=20&cursor=
+const reviewListQuery = z.object({
+    sort: z.enum(Object.keys(REVIEW_SORTS)).optional(),
+    limit: pageLimit(20, 100),
+    cursor: trimmed(500).optional()
+});
+
+const summaryQuery = z.object({
+    months: numeric(z.number().int().min(1).max(24)).default(6)
+});
+
+const reportBody = z.object({ reason: requiredText(1000) });
+const replyBody = z.object({ reply: requiredText(2000) });
+const moderationBody = z.object({ reason: trimmed(1000).optional() });
+
+const moderationQuery = z.object({
+    status: z.enum(['visible', 'hidden']).optional(),
+    reported: booleanish.optional(),
+    limit: pageLimit(50, 200)
+});
+
+const createReviewRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { reviews } = services;
+    const { authenticate, requireRole, requireSuperAdmin, requirePgOwner, pgIdFromRow } = guards;
+
+    // Add Review (residents who stayed at or visited the PG; one per stay)
+    router.post('/api/pg/:id/review', validate({ params: idParams, body: reviewBody }), requireRole('resident'), async (req, res) => {
+        const { user_name, rating, ratings, review_text, review_images } = req.body;
+        try {
+            const review = await reviews.add(req.params.id, req.user, {
+                userName: user_name, rating, ratings, reviewText: review_text, reviewImages: review_images
+            });
+            res.status(201).json(review);
+        } catch (error) {
+            sendServiceError(res, error, 'adding review');
+        }
+    });
+
+    // Get PG Reviews (visible ones, with owner replies), a page at a time: { results, nextCursor }
+    router.get('/api/pg/:id/reviews', validate({ params: idParams, query: reviewListQuery }), async (req, res) => {
+        try {
+            res.json(await reviews.list(req.params.id, req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching reviews');
+        }
+    });
+
+    // Review Summary (public): headline rating, star histogram, sub-rating averages and a monthly trend
+    router.get('/api/pg/:id/reviews/summary', validate({ params: idParams, query: summaryQuery }), async (req, res) => {
+        try {
+            res.json(await reviews.summary(req.params.id, req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching review summary');
+        }
+    });
+
+    // Edit Review (its author)
+    router.put('/api/reviews/:id', validate({ params: idParams, body: editReviewBody }), requireRole('resident'), async (req, res) => {
+        const { rating, ratings, review_text, review_images } = req.body;
+        try {
+            res.json(await reviews.edit(req.params.id, req.user, {
+                rating, ratings, reviewText: review_text, reviewImages: review_images
+            }));
+        } catch (error) {
+            sendServiceError(res, error, 'editing review');
+        }
+    });
+
+    // Report Review (anyone signed in, once)
+    router.post('/api/reviews/:id/report', validate({ params: idParams, body: reportBody }), authenticate(), async (req, res) => {
+        try {
+            await reviews.report(req.params.id, req.user, req.body);
+            res.status(201).json({ success: true, message: 'Review reported' });
+        } catch (error) {
+            sendServiceError(res, error, 'reporting review');
+        }
+    });
+
+    // Reply to Review (the PG's owner)
+    router.put('/api/reviews/:id/reply', validate({ params: idParams, body: replyBody }), requirePgOwner(pgIdFromRow('pg_reviews')), async (req, res) => {
+        try {
+            res.json(await reviews.reply(req.params.id, req.body.reply));
+        } catch (error) {
+            sendServiceError(res, error, 'replying to review');
+        }
+    });
+
+    // Remove Reply
+    router.delete('/api/reviews/:id/reply', validate({ params: idParams }), requirePgOwner(pgIdFromRow('pg_reviews')), async (req, res) => {
+        try {
+            res.json(await reviews.reply(req.params.id, null));
+        } catch (error) {
+            sendServiceError(res, error, 'removing review reply');
+        }
+    });
+
+    // --- Moderation (Super Admin) ---
+
+    // Reviews to Moderate (?status=visible|hidden&reported=true), most reported first
+    router.get('/api/super-admin/reviews', validate({ query: moderationQuery }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await reviews.listForModeration(req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching reviews for moderation');
+        }
+    });
+
+    // Hide Review (drops out of the listing and its rating)
+    router.put('/api/super-admin/reviews/:id/hide', validate({ params: idParams, body: moderationBody }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await reviews.moderate(req.params.id, { status: 'hidden', reason: req.body.reason, actor: req.user.email }));
+        } catch (error) {
+            sendServiceError(res, error, 'hiding review');
+        }
+    });
+
+    // Restore Review
+    router.put('/api/super-admin/reviews/:id/restore', validate({ params: idParams, body: moderationBody }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await reviews.moderate(req.params.id, { status: 'visible', reason: req.body.reason, actor: req.user.email }));
+        } catch (error) {
+            sendServiceError(res, error, 'restoring review');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createReviewRouter };
@@ -0,0 +1,121 @@
+const express = require('express');
+const {
+    z, validate, sendServiceError, numeric, booleanish, trimmed, requiredText, pageLimit
+} = require('../validation');
+const { PG_SEARCH_SORTS, prefixTsQuery } = require('../services/search');
+
+// --- Search & Geocoding Routes ---
+
+const PG_SEARCH_MAX_LIMIT = 50;
+const AUTOCOMPLETE_MAX_LIMIT = 10;
+const NEARBY_DEFAULT_RADIUS_KM = 5;
+const NEARBY_MAX_RADIUS_KM = 50;
+
+// Query parameters shared by the listing searches; an empty `q` is the same as none
+const pgFilterFields = {
+    q: trimmed(200).refine(q => q === '' || prefixTsQuery(q) !== null, 'must contain letters or numbers').optional(),
+    city: trimmed(100).optional(),
+    locality: trimmed(255).optional(),
+    pincode: trimmed(20).optional(),
+    gender: trimmed(100).optional(),
+    food: booleanish.optional(),
+    occupancy: trimmed(50).optional(),
+    minPrice: numeric(z.number()).optional(),
+    maxPrice: numeric(z.number()).optional(),
+    amenities: trimmed(1000).optional(),
+    minRating: numeric(z.number().min(0).max(5)).optional(),
+    limit: pageLimit(20, PG_SEARCH_MAX_LIMIT),
+    cursor: trimmed(500).optional()
+};
+
+// Search PGs (public)
+// ?q=&city=&locality=&pincode=&gender=women,unisex&food=true&minPrice=&maxPrice=&occupancy=Single Room
+// &amenities=Wi-Fi,AC&minRating=4&sort=relevance|newest|price_asc|price_desc|rating&limit=20&cursor=
+// With `q`, results default to relevance order and carry title_highlight and snippet (matches in <mark>).
+const pgSearchQuery = z.object({
+    ...pgFilterFields,
+    sort: z.enum(Object.keys(PG_SEARCH_SORTS)).optional()
+}).refine(query => !PG_SEARCH_SORTS[query.sort]?.needsText || query.q, {
+    message: 'relevance needs a search query (q)',
+    path: ['sort']
+});
+
+// Listing Autocomplete (public): best prefix matches for a search box, e.g. ?q=kora&limit=8
+const autocompleteQuery = z.object({
+    q: trimmed(200).default(''),
+    limit: pageLimit(8, AUTOCOMPLETE_MAX_LIMIT)
+});
+
+const parseBbox = (value) => {
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+    const [minLat, minLng, maxLat, maxLng] = parts;
+    if (minLat > maxLat || minLng > maxLng || minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) return null;
+    return { minLat, minLng, maxLat, maxLng };
+};
+
+// PGs Near a Point (public), nearest first, with distance_km.
+//   ?lat=12.93&lng=77.62&radiusKm=5        around a point
+//   ?address=Koramangala, Bangalore        around a geocoded address
+//   ?bbox=minLat,minLng,maxLat,maxLng      everything on a map view (distance from lat/lng, or the centre)
+// Also accepts the /api/pg/search filters, plus limit and cursor.
+const nearbyQuery = z.object({
+    ...pgFilterFields,
+    lat: numeric(z.number().min(-90).max(90)).optional(),
+    lng: numeric(z.number().min(-180).max(180)).optional(),
+    address: requiredText(300).optional(),
+    bbox: z.string().transform((value, ctx) => {
+        const box = parseBbox(value);
+        if (!box) ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'must be minLat,minLng,maxLat,maxLng' });
+        return box;
+    }).optional(),
+    radiusKm: numeric(z.number().positive().max(NEARBY_MAX_RADIUS_KM)).default(NEARBY_DEFAULT_RADIUS_KM)
+}).superRefine((query, ctx) => {
+    if ((query.lat === undefined) !== (query.lng === undefined)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [query.lat === undefined ? 'lat' : 'lng'], message: 'lat and lng must be sent together' });
+    } else if (query.lat === undefined && !query.address && !query.bbox) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'provide lat and lng, an address, or a bbox' });
+    }
+});
+
+const createSearchRouter = ({ services }) => {
+    const router = express.Router();
+    const { search } = services;
+
+    // Geocoding
+    router.get('/api/geocode', validate({ query: z.object({ address: requiredText(300) }) }), async (req, res) => {
+        try {
+            res.json(await search.geocode(req.query.address));
+        } catch (error) {
+            sendServiceError(res, error, 'geocoding address');
+        }
+    });
+
+    router.get('/api/pg/search', validate({ query: pgSearchQuery }), async (req, res) => {
+        try {
+            res.json(await search.searchListings(req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'searching PGs');
+        }
+    });
+
+    router.get('/api/pg/autocomplete', validate({ query: autocompleteQuery }), async (req, res) => {
+        try {
+            res.json(await search.autocomplete(req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'autocompleting PGs');
+        }
+    });
+
+    router.get('/api/pg/nearby', validate({ query: nearbyQuery }), async (req, res) => {
+        try {
+            res.json(await search.nearby(req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'searching nearby PGs');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createSearchRouter };
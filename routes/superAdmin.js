@@ -0,0 +1,167 @@
+const express = require('express');
+const {
+    z, validate, sendError, sendServiceError, idParams, emailAddress, trimmed, requiredText, billingMonth, pageLimit
+} = require('../validation');
+
+// --- Super Admin Routes ---
+
+// Email and password sign-in (also used by owners)
+const credentialsBody = z.object({ email: requiredText(255), password: z.string().min(1).max(200) });
+
+const addOwnerBody = z.object({
+    name: requiredText(255),
+    email: emailAddress,
+    mobile: trimmed(20).optional(),
+    city: trimmed(100).optional(),
+    state: trimmed(100).optional()
+});
+
+const availabilityQuery = z.object({
+    city: trimmed(100).optional(),
+    locality: trimmed(255).optional(),
+    search: trimmed(200).optional()
+});
+
+const bookingReportQuery = z.object({
+    pgName: trimmed(255).optional(),
+    roomType: trimmed(50).optional(),
+    search: trimmed(200).optional()
+});
+
+const emailLogQuery = z.object({
+    status: z.enum(['queued', 'sending', 'sent', 'failed']).optional(),
+    template: trimmed(100).optional(),
+    recipient: trimmed(255).optional(),
+    limit: pageLimit(100, 500)
+});
+
+const createSuperAdminRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { admin, rent } = services;
+    const { requireSuperAdmin } = guards;
+
+    // Super Admin Login
+    router.post('/api/super-admin/login', validate({ body: credentialsBody }), (req, res) => {
+        const token = admin.login(req.body.email, req.body.password);
+        if (!token) return sendError(res, 401, 'Invalid credentials');
+        res.json({ success: true, message: 'Login successful', token });
+    });
+
+    // Add PG Owner (with Email)
+    router.post('/api/super-admin/add-owner', validate({ body: addOwnerBody }), requireSuperAdmin, async (req, res) => {
+        try {
+            const { owner, generatedPassword } = await admin.addOwner(req.body);
+            res.status(201).json({
+                owner,
+                generatedPassword,
+                message: 'Owner added successfully. Welcome email queued.'
+            });
+        } catch (error) {
+            sendServiceError(res, error, 'adding owner');
+        }
+    });
+
+    // Get All Owners (Super Admin) - ?search= prefix matches on name, email, mobile and city
+    router.get('/api/super-admin/owners', validate({ query: z.object({ search: trimmed(200).optional() }) }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await admin.listOwners(req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching owners');
+        }
+    });
+
+    // Delete Owner (Super Admin)
+    router.delete('/api/super-admin/owner/:id', validate({ params: idParams }), requireSuperAdmin, async (req, res) => {
+        try {
+            await admin.deleteOwner(req.params.id);
+            res.json({ success: true, message: 'Owner deleted successfully' });
+        } catch (error) {
+            sendServiceError(res, error, 'deleting owner');
+        }
+    });
+
+    // Get Owner Details (Super Admin)
+    router.get('/api/super-admin/owner/:id/details', validate({ params: idParams }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await admin.ownerDetails(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching owner details');
+        }
+    });
+
+    // Get Availability (Super Admin)
+    router.get('/api/super-admin/availability', validate({ query: availabilityQuery }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await admin.availability(req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching availability');
+        }
+    });
+
+    // Get Booking Report (Super Admin)
+    router.get('/api/super-admin/bookings', validate({ query: bookingReportQuery }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await admin.bookings(req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching bookings');
+        }
+    });
+
+    // Run the rent reminder engine now (the same pass the daily cron makes; already-sent reminders are skipped)
+    router.post('/api/super-admin/notify-payment', requireSuperAdmin, async (req, res) => {
+        try {
+            const { queued, escalations, failed } = await rent.runReminders();
+            res.json({
+                message: `Queued ${queued} rent reminder(s) and ${escalations} owner escalation(s).`,
+                emailsSent: queued + escalations,
+                remindersQueued: queued,
+                escalations,
+                failed
+            });
+        } catch (error) {
+            sendServiceError(res, error, 'sending notifications');
+        }
+    });
+
+    // Generate Rent Invoices (Super Admin) - same as the daily job, optionally for another month
+    router.post('/api/super-admin/invoices/generate', validate({ body: z.object({ month: billingMonth.optional() }) }), requireSuperAdmin, async (req, res) => {
+        const { month } = req.body;
+        try {
+            const created = await rent.generateInvoices(month ? `${month}-01` : null);
+            res.json({ message: `Generated ${created} invoice(s).`, created });
+        } catch (error) {
+            sendServiceError(res, error, 'generating invoices');
+        }
+    });
+
+    // Email Delivery Log (Super Admin) - bodies are left out of the list; fetch one message for them
+    router.get('/api/super-admin/emails', validate({ query: emailLogQuery }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await admin.emailLog(req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching email log');
+        }
+    });
+
+    // Get One Email (Super Admin)
+    router.get('/api/super-admin/emails/:id', validate({ params: idParams }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await admin.getEmail(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching email');
+        }
+    });
+
+    // Retry a Failed Email (Super Admin)
+    router.post('/api/super-admin/emails/:id/retry', validate({ params: idParams }), requireSuperAdmin, async (req, res) => {
+        try {
+            res.json(await admin.retryEmail(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'retrying email');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createSuperAdminRouter, credentialsBody };
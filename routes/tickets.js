@@ -0,0 +1,153 @@
+const express = require('express');
+const {
+    z, validate, sendServiceError, booleanish, idParams, emailParams, requiredText, pageLimit, atLeastOne
+} = require('../validation');
+const { UPLOAD_MAX_FILES, imageUrl } = require('./uploads');
+const { TICKET_CATEGORIES, TICKET_PRIORITIES, TICKET_STATUSES } = require('../data/tickets');
+
+// --- Ticket Schemas ---
+
+const photos = z.array(imageUrl).max(UPLOAD_MAX_FILES);
+
+// Raise Ticket - photos are URLs from POST /api/uploads/images
+const ticketBody = z.object({
+    category: z.enum(TICKET_CATEGORIES),
+    priority: z.enum(TICKET_PRIORITIES).default('medium'),
+    title: requiredText(200),
+    description: requiredText(5000),
+    photos: photos.optional()
+});
+
+// Ticket Queue - ?status=&priority=&category=&overdue=true&limit=
+const ticketListQuery = z.object({
+    status: z.enum(TICKET_STATUSES).optional(),
+    priority: z.enum(TICKET_PRIORITIES).optional(),
+    category: z.enum(TICKET_CATEGORIES).optional(),
+    overdue: booleanish.optional(),
+    limit: pageLimit(100, 500)
+});
+
+const assignBody = z.object({ assignee: requiredText(255) });
+const resolveBody = z.object({ note: requiredText(2000) });
+const reopenBody = z.object({ reason: requiredText(2000) });
+
+const updateTicketBody = atLeastOne(z.object({
+    priority: z.enum(TICKET_PRIORITIES).optional(),
+    assignee: requiredText(255).optional()
+}));
+
+const commentBody = z.object({
+    body: requiredText(5000),
+    photos: photos.optional()
+});
+
+const createTicketRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { tickets } = services;
+    const { requireRole, requirePgOwner, requireResidentSelf, requireTicketAccess, pgIdFromRow } = guards;
+    const requireTicketOwner = requirePgOwner(pgIdFromRow('maintenance_tickets'));
+
+    // Raise Ticket (Resident) - only while they have a current booking in the PG
+    router.post('/api/pg/:id/tickets', validate({ params: idParams, body: ticketBody }), requireRole('resident'), async (req, res) => {
+        try {
+            res.status(201).json(await tickets.create(req.params.id, req.user, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'raising ticket');
+        }
+    });
+
+    // Ticket Dashboard (Owner): { counts: { open, assigned, in_progress, resolved, closed, overdue }, tickets }
+    // with active tickets first, most urgent and soonest due at the top
+    router.get('/api/pg/:id/tickets', validate({ params: idParams, query: ticketListQuery }), requirePgOwner(req => req.params.id), async (req, res) => {
+        try {
+            res.json(await tickets.dashboard(req.params.id, req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching tickets');
+        }
+    });
+
+    // My Tickets (User)
+    router.get('/api/user/:email/tickets', validate({ params: emailParams }), requireResidentSelf(req => req.params.email), async (req, res) => {
+        try {
+            res.json(await tickets.listForReporter(req.params.email));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching tickets');
+        }
+    });
+
+    // Get Ticket with its comments (Reporter or Owner)
+    router.get('/api/tickets/:id', validate({ params: idParams }), requireTicketAccess, async (req, res) => {
+        try {
+            res.json(await tickets.get(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching ticket');
+        }
+    });
+
+    // Update Ticket (Owner) - priority (moves the SLA due times) and assignee
+    router.put('/api/tickets/:id', validate({ params: idParams, body: updateTicketBody }), requireTicketOwner, async (req, res) => {
+        try {
+            res.json(await tickets.update(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'updating ticket');
+        }
+    });
+
+    // Assign Ticket (Owner)
+    router.put('/api/tickets/:id/assign', validate({ params: idParams, body: assignBody }), requireTicketOwner, async (req, res) => {
+        try {
+            res.json(await tickets.assign(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'assigning ticket');
+        }
+    });
+
+    // Start Work (Owner)
+    router.put('/api/tickets/:id/start', validate({ params: idParams }), requireTicketOwner, async (req, res) => {
+        try {
+            res.json(await tickets.start(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'starting ticket');
+        }
+    });
+
+    // Resolve Ticket (Owner)
+    router.put('/api/tickets/:id/resolve', validate({ params: idParams, body: resolveBody }), requireTicketOwner, async (req, res) => {
+        try {
+            res.json(await tickets.resolve(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'resolving ticket');
+        }
+    });
+
+    // Reopen Ticket (Reporter) - when the fix didn't hold
+    router.put('/api/tickets/:id/reopen', validate({ params: idParams, body: reopenBody }), requireRole('resident'), requireTicketAccess, async (req, res) => {
+        try {
+            res.json(await tickets.reopen(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'reopening ticket');
+        }
+    });
+
+    // Close Ticket (Reporter or Owner) - once resolved
+    router.put('/api/tickets/:id/close', validate({ params: idParams }), requireTicketAccess, async (req, res) => {
+        try {
+            res.json(await tickets.close(req.params.id, req.user));
+        } catch (error) {
+            sendServiceError(res, error, 'closing ticket');
+        }
+    });
+
+    // Comment on Ticket (Reporter or Owner)
+    router.post('/api/tickets/:id/comments', validate({ params: idParams, body: commentBody }), requireTicketAccess, async (req, res) => {
+        try {
+            res.status(201).json(await tickets.comment(req.params.id, req.user, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'adding comment');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createTicketRouter };
@@ -0,0 +1,44 @@
+const multer = require('multer');
+const { IMAGE_CONTENT_TYPES } = require('../storage');
+const { z, sendError, httpError } = require('../validation');
+
+// Multipart image uploads: received into memory, checked, then handed to the image store.
+
+const UPLOAD_MAX_FILES = 10;
+
+// Returns receiveImages(field, maxCount), middleware that parses up to `maxCount` multipart
+// images from `field` into req.files
+const createImageReceiver = ({ maxMb }) => {
+    // Files are kept in memory only until they've been checked and stored
+    const imageUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxMb * 1024 * 1024, files: UPLOAD_MAX_FILES },
+        fileFilter: (req, file, cb) => {
+            if (IMAGE_CONTENT_TYPES.includes(file.mimetype)) return cb(null, true);
+            cb(httpError(415, 'Images must be JPEG, PNG or WebP'));
+        }
+    });
+
+    return (field, maxCount = UPLOAD_MAX_FILES) => (req, res, next) => {
+        imageUpload.array(field, maxCount)(req, res, (error) => {
+            if (error) {
+                if (error.status) return sendError(res, error.status, error.message);
+                if (error.code === 'LIMIT_FILE_SIZE') return sendError(res, 413, `Images must be ${maxMb} MB or smaller`);
+                if (error instanceof multer.MulterError) {
+                    return sendError(res, 400, `Upload up to ${maxCount} image(s) in the "${field}" field`);
+                }
+                return next(error);
+            }
+            if (!req.files || req.files.length === 0) {
+                return sendError(res, 400, `Attach an image in the "${field}" field (multipart/form-data)`);
+            }
+            next();
+        });
+    };
+};
+
+// Image fields in JSON bodies take URLs from the upload endpoints, never inline base64
+const imageUrl = z.string().trim().min(1).max(2048)
+    .refine(value => !value.startsWith('data:'), 'must be a URL from POST /api/uploads/images, not inline image data');
+
+module.exports = { UPLOAD_MAX_FILES, createImageReceiver, imageUrl };
@@ -0,0 +1,69 @@
+const express = require('express');
+const { z, validate, sendServiceError, emailParams, emailAddress, textOrNumber } = require('../validation');
+
+// --- Resident Routes (emailed one-time code sign-in, profile, My PG) ---
+
+// Verify Login Code
+const verifyCodeBody = z.object({
+    email: emailAddress,
+    code: z.string().trim().regex(/^\d{6}$/, 'must be the 6-digit code from the email')
+});
+
+const userProfileBody = z.object({ email: emailAddress, phone: textOrNumber(20).nullable().optional() });
+
+const createUserRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { users } = services;
+    const { requireResidentSelf } = guards;
+
+    // Get My PG Details (User)
+    router.get('/api/user/:email/my-pg', validate({ params: emailParams }), requireResidentSelf(req => req.params.email), async (req, res) => {
+        try {
+            res.json(await users.myPg(req.params.email));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching My PG');
+        }
+    });
+
+    // Request Login Code
+    router.post('/api/user/login/request-code', validate({ body: z.object({ email: emailAddress }) }), async (req, res) => {
+        try {
+            await users.requestLoginCode(req.body.email);
+            res.json({ success: true, message: 'Login code sent' });
+        } catch (error) {
+            sendServiceError(res, error, 'sending login code');
+        }
+    });
+
+    router.post('/api/user/login', validate({ body: verifyCodeBody }), async (req, res) => {
+        try {
+            const { token, user } = await users.login(req.body.email, req.body.code);
+            res.json({ success: true, token, user });
+        } catch (error) {
+            sendServiceError(res, error, 'verifying login code');
+        }
+    });
+
+    // Save User Profile - created on first save
+    router.post('/api/user/profile', validate({ body: userProfileBody }), requireResidentSelf(req => req.body.email), async (req, res) => {
+        try {
+            const { user, created } = await users.saveProfile(req.body);
+            res.status(created ? 201 : 200).json(user);
+        } catch (error) {
+            sendServiceError(res, error, 'updating user profile');
+        }
+    });
+
+    // Get User Profile - an empty profile for new residents
+    router.get('/api/user/profile/:email', validate({ params: emailParams }), requireResidentSelf(req => req.params.email), async (req, res) => {
+        try {
+            res.json(await users.getProfile(req.params.email));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching user profile');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createUserRouter };
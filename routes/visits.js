@@ -0,0 +1,184 @@
+const express = require('express');
+const {
+    z, validate, sendServiceError, recordId, idParams, emailParams, emailAddress, trimmed, isoDate, clockTime
+} = require('../validation');
+
+// --- Visit Request Routes ---
+
+// Request bodies for the lifecycle routes
+const visitNoteBody = z.object({ note: trimmed(1000).optional() });
+const visitSlotBody = z.object({ visitDate: isoDate, visitTime: clockTime, note: trimmed(1000).optional() });
+
+// Create Visit Request - a second request for the same PG while one is pending reschedules it
+const visitRequestBody = z.object({
+    userEmail: emailAddress,
+    userName: trimmed(255).optional(),
+    pgId: recordId,
+    visitDate: isoDate,
+    visitTime: clockTime
+});
+
+// Set Visiting Hours (Owner) - replaces the weekly schedule; an empty list restores the defaults.
+// Ranges match the visit_hours CHECKs; windows on the same weekday may not overlap.
+const visitWindow = z.object({
+    weekday: z.number().int().min(0).max(6),
+    start: clockTime,
+    end: clockTime,
+    slotMinutes: z.number().int().min(10).max(240).default(30),
+    capacity: z.number().int().min(1).max(50).default(2)
+}).refine(window => window.start < window.end, { message: 'must be after start', path: ['end'] });
+
+const visitHoursBody = z.object({
+    hours: z.array(visitWindow).max(50).superRefine((hours, ctx) => {
+        hours.forEach((window, index) => {
+            const overlaps = hours.some((other, i) => i < index && other.weekday === window.weekday
+                && other.start < window.end && window.start < other.end);
+            if (overlaps) {
+                ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index], message: `overlaps another window on weekday ${window.weekday}` });
+            }
+        });
+    })
+});
+
+const createVisitRouter = ({ services, guards }) => {
+    const router = express.Router();
+    const { visits } = services;
+    const { requireResidentSelf, requirePgOwner, requireVisitRequester, pgIdFromRow } = guards;
+    const requireVisitOwner = requirePgOwner(pgIdFromRow('visit_requests'));
+
+    // Shared handler shape for lifecycle routes; `run` returns the updated visit
+    const visitAction = (action, run) => async (req, res) => {
+        try {
+            res.json(await run(req));
+        } catch (error) {
+            sendServiceError(res, error, `updating visit request (${action})`);
+        }
+    };
+
+    router.post('/api/visit-request', validate({ body: visitRequestBody }), requireResidentSelf(req => req.body.userEmail), async (req, res) => {
+        try {
+            const { visit, created } = await visits.request(req.body);
+            res.status(created ? 201 : 200).json(visit);
+        } catch (error) {
+            sendServiceError(res, error, 'creating visit request');
+        }
+    });
+
+    // Get User's Visit Requests
+    router.get('/api/visit-request/:email', validate({ params: emailParams }), requireResidentSelf(req => req.params.email), async (req, res) => {
+        try {
+            res.json(await visits.listForRequester(req.params.email));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching visit requests');
+        }
+    });
+
+    // Approve Visit Request (Owner)
+    router.put('/api/visit-request/:id/approve', validate({ params: idParams, body: visitNoteBody }), requireVisitOwner, visitAction(
+        'approve', req => visits.approve(req.params.id, req.body)
+    ));
+
+    // Reject Visit Request (Owner)
+    router.put('/api/visit-request/:id/reject', validate({ params: idParams, body: visitNoteBody }), requireVisitOwner, visitAction(
+        'reject', req => visits.reject(req.params.id, req.body)
+    ));
+
+    // Propose Another Slot (Owner) - the requester accepts it or reschedules
+    router.put('/api/visit-request/:id/propose', validate({ params: idParams, body: visitSlotBody }), requireVisitOwner, visitAction(
+        'propose', req => visits.propose(req.params.id, req.body)
+    ));
+
+    // Mark Visit Completed / No-Show (Owner, on or after the visit date)
+    router.put('/api/visit-request/:id/complete', validate({ params: idParams }), requireVisitOwner, visitAction(
+        'complete', req => visits.complete(req.params.id)
+    ));
+    router.put('/api/visit-request/:id/no-show', validate({ params: idParams }), requireVisitOwner, visitAction(
+        'no_show', req => visits.markNoShow(req.params.id)
+    ));
+
+    // Accept Proposed Slot (Requester)
+    router.put('/api/visit-request/:id/accept', validate({ params: idParams }), requireVisitRequester, visitAction(
+        'accept', req => visits.accept(req.params.id)
+    ));
+
+    // Reschedule Visit (Requester) - goes back to the owner for approval
+    router.put('/api/visit-request/:id/reschedule', validate({
+        params: idParams,
+        body: visitSlotBody.omit({ note: true })
+    }), requireVisitRequester, visitAction(
+        'reschedule', req => visits.reschedule(req.params.id, req.body)
+    ));
+
+    // Cancel Visit (Requester)
+    router.put('/api/visit-request/:id/cancel', validate({
+        params: idParams,
+        body: z.object({ reason: trimmed(1000).optional() })
+    }), requireVisitRequester, visitAction(
+        'cancel', req => visits.cancel(req.params.id, {
+            cancelledBy: req.user.role === 'super-admin' ? 'admin' : 'requester',
+            reason: req.body.reason
+        })
+    ));
+
+    // --- Visiting Hours & Slots ---
+
+    // Get Visiting Hours & Blackout Dates (public)
+    router.get('/api/pg/:id/visit-hours', validate({ params: idParams }), async (req, res) => {
+        try {
+            res.json(await visits.getHours(req.params.id));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching visiting hours');
+        }
+    });
+
+    // Set Visiting Hours (Owner)
+    router.put('/api/pg/:id/visit-hours', validate({ params: idParams, body: visitHoursBody }), requirePgOwner(req => req.params.id), async (req, res) => {
+        const { hours } = req.body;
+        try {
+            await visits.setHours(req.params.id, hours);
+            res.json({ success: true, hours: hours.length });
+        } catch (error) {
+            sendServiceError(res, error, 'saving visiting hours');
+        }
+    });
+
+    // Add Blackout Date (Owner)
+    router.post('/api/pg/:id/visit-blackouts', validate({
+        params: idParams,
+        body: z.object({ date: isoDate, reason: trimmed(255).optional() })
+    }), requirePgOwner(req => req.params.id), async (req, res) => {
+        try {
+            res.status(201).json(await visits.addBlackout(req.params.id, req.body));
+        } catch (error) {
+            sendServiceError(res, error, 'adding blackout date');
+        }
+    });
+
+    // Remove Blackout Date (Owner)
+    router.delete('/api/pg/:id/visit-blackouts/:date', validate({
+        params: z.object({ id: recordId, date: isoDate })
+    }), requirePgOwner(req => req.params.id), async (req, res) => {
+        try {
+            await visits.removeBlackout(req.params.id, req.params.date);
+            res.json({ success: true });
+        } catch (error) {
+            sendServiceError(res, error, 'removing blackout date');
+        }
+    });
+
+    // Open Visit Slots (public) - ?from=YYYY-MM-DD&to=YYYY-MM-DD, default the next 7 days
+    router.get('/api/pg/:id/visit-slots', validate({
+        params: idParams,
+        query: z.object({ from: isoDate.optional(), to: isoDate.optional() })
+    }), async (req, res) => {
+        try {
+            res.json(await visits.openSlots(req.params.id, req.query));
+        } catch (error) {
+            sendServiceError(res, error, 'fetching visit slots');
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createVisitRouter };
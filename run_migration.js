@@ -1,30 +0,0 @@
-const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '.env') });
-
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: {
-        rejectUnauthorized: false,
-    },
-});
-
-async function runMigration() {
-    try {
-        console.log('Reading migration file...');
-        const sqlPath = path.join(__dirname, 'db', 'migration_super_admin.sql');
-        const sql = fs.readFileSync(sqlPath, 'utf8');
-
-        console.log('Executing migration...');
-        await pool.query(sql);
-        
-        console.log('Migration completed successfully!');
-    } catch (error) {
-        console.error('Migration failed:', error);
-    } finally {
-        await pool.end();
-    }
-}
-
-runMigration();
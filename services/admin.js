@@ -0,0 +1,114 @@
+const { httpError } = require('../validation');
+const { UNIQUE_VIOLATION } = require('../db');
+const { hashPassword, generatePassword } = require('../auth');
+const owners = require('../data/owners');
+const listings = require('../data/listings');
+const customers = require('../data/customers');
+const inventory = require('../data/inventory');
+const search = require('../data/search');
+const emails = require('../data/emails');
+
+// Super admin: owner accounts, the availability and booking reports, and the email log.
+
+const ADMIN_EMAIL = 'admin@bmpg';
+
+const createAdminService = ({ db, mailer, tokens, config }) => {
+    // Returns a token, or null for wrong credentials
+    const login = (email, password) => {
+        if (email !== ADMIN_EMAIL || password !== config.superAdminPassword) return null;
+        return tokens.sign({ sub: ADMIN_EMAIL, email: ADMIN_EMAIL, role: 'super-admin' });
+    };
+
+    // Creates the account with a generated password and queues the welcome email carrying it
+    const addOwner = async ({ name, email, mobile, city, state }) => {
+        const generatedPassword = generatePassword();
+        let owner;
+        try {
+            owner = await owners.insert(db, { name, email, mobile, city, state, passwordHash: await hashPassword(generatedPassword) });
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) throw httpError(409, 'Email already exists');
+            throw error;
+        }
+        await mailer.enqueue('owner_welcome', email, { name, email, password: generatedPassword });
+        return { owner, generatedPassword };
+    };
+
+    const listOwners = ({ search: text }) => owners.list(db, { search: text });
+
+    const deleteOwner = async (id) => {
+        if (!(await owners.remove(db, id))) throw httpError(404, 'Owner not found');
+    };
+
+    // The owner, their PGs and how many residents those PGs have
+    const ownerDetails = async (id) => {
+        const owner = await owners.findById(db, id);
+        if (!owner) throw httpError(404, 'Owner not found');
+
+        const pgs = await listings.list(db, { ownerEmail: owner.email });
+        const pgIds = pgs.map(pg => pg.id);
+        const totalCustomers = pgIds.length > 0 ? await customers.countForPgs(db, pgIds) : 0;
+        return { owner, pgs, stats: { totalPGs: pgs.length, totalCustomers } };
+    };
+
+    // Every PG with its owner's contact details, residents and beds by room size
+    const availability = async (filters) => {
+        const [pgs, contacts, bedCounts, residents] = await Promise.all([
+            search.availabilityListings(db, filters),
+            owners.listContacts(db),
+            inventory.bedCountsByCapacity(db),
+            customers.countsByPg(db)
+        ]);
+
+        const ownersByEmail = {};
+        contacts.forEach(o => {
+            if (o.email) ownersByEmail[o.email.toLowerCase()] = o;
+        });
+
+        // Bed counts per PG, bucketed by beds per room
+        const bedsByPg = {};
+        bedCounts.forEach(row => {
+            const breakdown = bedsByPg[row.pg_id] || (bedsByPg[row.pg_id] = { single: 0, double: 0, triple: 0, total: 0 });
+            if (row.capacity === 1) breakdown.single += row.beds;
+            else if (row.capacity === 2) breakdown.double += row.beds;
+            else if (row.capacity === 3) breakdown.triple += row.beds;
+            breakdown.total += row.beds;
+        });
+
+        return pgs.map(pg => {
+            const owner = pg.owner_email ? ownersByEmail[pg.owner_email.toLowerCase()] : null;
+            return {
+                ...pg,
+                customerCount: residents[pg.id] || 0,
+                roomBreakdown: bedsByPg[pg.id] || { single: 0, double: 0, triple: 0, total: 0 },
+                owner_name: owner?.name || 'Unknown',
+                owner_email: owner?.email || pg.owner_email || 'N/A',
+                owner_mobile: owner?.mobile || pg.owner_contact || 'N/A'
+            };
+        });
+    };
+
+    const bookings = (filters) => customers.bookingReport(db, filters);
+
+    // --- Email Log ---
+
+    const emailLog = async (filters) => {
+        const [list, counts] = await Promise.all([emails.list(db, filters), emails.countByStatus(db)]);
+        return { summary: { queued: 0, sending: 0, sent: 0, failed: 0, ...counts }, transport: mailer.transport.name, emails: list };
+    };
+
+    const getEmail = async (id) => {
+        const email = await emails.findById(db, id);
+        if (!email) throw httpError(404, 'Email not found');
+        return email;
+    };
+
+    const retryEmail = async (id) => {
+        const email = await mailer.retry(id);
+        if (!email) throw httpError(409, 'Only failed emails can be retried');
+        return email;
+    };
+
+    return { login, addOwner, listOwners, deleteOwner, ownerDetails, availability, bookings, emailLog, getEmail, retryEmail };
+};
+
+module.exports = { createAdminService };
@@ -0,0 +1,155 @@
+const { httpError } = require('../validation');
+const { withTransaction } = require('../db');
+const listings = require('../data/listings');
+const announcements = require('../data/announcements');
+
+// Notices an owner posts to the residents of one of their PGs.
+//
+// An announcement is aimed at the whole PG, one floor, or chosen rooms, and reaches the current
+// residents whose bed is there. Pinned ones are listed first; expired ones drop out of residents'
+// lists (owners can still ask for them). Residents mark what they have read, which gives owners
+// read receipts and residents an unread count. Urgent announcements are also emailed to everyone
+// they reach when posted, or when an existing one is raised to urgent. Posting one is a live update
+// to the residents it reaches (see live.js).
+
+const createAnnouncementService = ({ db, mailer, liveHub, clock }) => {
+    const findOrFail = async (id) => {
+        const announcement = await announcements.findForOwner(db, id);
+        if (!announcement) throw httpError(404, 'Announcement not found');
+        return announcement;
+    };
+
+    const assertFuture = (expiresAt) => {
+        if (expiresAt && new Date(expiresAt) <= clock.now()) throw httpError(400, 'expires_at must be in the future');
+    };
+
+    // { audience, floor, roomIds } checked against the PG's rooms
+    const checkAudience = async (client, pgId, { audience, floor, roomIds }) => {
+        if (audience === 'floor' && !(await announcements.floorExists(client, pgId, floor))) {
+            throw httpError(400, `This PG has no rooms on floor ${floor}`);
+        }
+        if (audience === 'rooms') {
+            const found = await announcements.roomsOfPg(client, pgId, roomIds);
+            const missing = roomIds.filter(id => !found.includes(id));
+            if (missing.length > 0) throw httpError(400, 'Rooms not found in this PG', { details: { room_ids: missing } });
+        }
+    };
+
+    // Emails an urgent announcement to the residents it reaches; a queueing failure doesn't undo the post
+    const notifyUrgent = async (announcement) => {
+        try {
+            const pg = await listings.findWithRooms(db, announcement.pg_id);
+            for (const resident of await announcements.recipients(db, announcement.id)) {
+                await mailer.enqueue('announcement_urgent', resident.email, {
+                    name: resident.name,
+                    pgTitle: pg ? pg.title : 'your PG',
+                    title: announcement.title,
+                    message: announcement.message,
+                    category: announcement.category
+                });
+            }
+        } catch (error) {
+            console.error(`Error queueing emails for announcement ${announcement.id}:`, error);
+        }
+    };
+
+    // Live update without the message, which apps fetch. A whole-PG announcement goes to every resident;
+    // for a floor or rooms the hub looks up who it reaches, as the list may not fit in the event.
+    const publishCreated = (announcement) => {
+        const { id, pg_id, title, category, priority, pinned, expires_at, audience, floor, created_at } = announcement;
+        return liveHub.publish('announcement.created', {
+            pgId: pg_id,
+            residents: audience === 'pg' ? 'all' : { announcementId: id },
+            data: { announcement: { id, pg_id, title, category, priority, pinned, expires_at, audience, floor, created_at } }
+        });
+    };
+
+    // `ownerEmail` is the poster (the owner, or a super admin)
+    const create = async ({ pgId, ownerEmail, title, message, category, priority, pinned, expiresAt, audience, floor, roomIds }) => {
+        assertFuture(expiresAt);
+        const id = await withTransaction(db, async (client) => {
+            if (!(await listings.exists(client, pgId))) throw httpError(404, 'PG not found');
+            await checkAudience(client, pgId, { audience, floor, roomIds });
+
+            const announcement = await announcements.insert(client, {
+                pgId,
+                ownerEmail,
+                title,
+                message,
+                category,
+                priority,
+                pinned,
+                expiresAt: expiresAt || null,
+                audience,
+                floor: audience === 'floor' ? floor : null
+            }, clock.now());
+            if (audience === 'rooms') await announcements.setRooms(client, announcement.id, roomIds);
+            return announcement.id;
+        });
+
+        const announcement = await announcements.findForOwner(db, id);
+        if (announcement.priority === 'urgent') await notifyUrgent(announcement);
+        await publishCreated(announcement);
+        return announcement;
+    };
+
+    // Edits the content, priority, pinning or expiry (null clears it); the audience is fixed once posted
+    const update = async (id, changes) => {
+        if (changes.expires_at !== undefined) assertFuture(changes.expires_at);
+        const raised = await withTransaction(db, async (client) => {
+            const current = await announcements.lockById(client, id);
+            if (!current) throw httpError(404, 'Announcement not found');
+            await announcements.update(client, id, changes, clock.now());
+            return current.priority !== 'urgent' && changes.priority === 'urgent';
+        });
+
+        const announcement = await announcements.findForOwner(db, id);
+        if (raised) await notifyUrgent(announcement);
+        return announcement;
+    };
+
+    const remove = async (id) => {
+        await findOrFail(id);
+        await announcements.remove(db, id);
+    };
+
+    // Owners (and super admins) see every announcement with read counts; residents see the live
+    // ones that reach them, with read_at
+    const list = (pgId, viewer, { category, includeExpired }) => {
+        if (viewer.role === 'resident') {
+            return announcements.listForResident(db, pgId, viewer.email, { category }, clock.now());
+        }
+        return announcements.listForOwner(db, pgId, { category, includeExpired }, clock.now());
+    };
+
+    // Read receipts: the residents it reaches and when each read it
+    const receipts = async (id) => {
+        const announcement = await findOrFail(id);
+        const recipients = await announcements.recipients(db, id);
+        return {
+            announcement,
+            read: recipients.filter(r => r.read_at !== null).length,
+            total: recipients.length,
+            recipients
+        };
+    };
+
+    // Idempotent; only for residents the announcement reaches
+    const markRead = async (id, reader) => {
+        await findOrFail(id);
+        if (!(await announcements.reaches(db, id, reader.email, clock.now()))) {
+            throw httpError(403, 'This announcement is not addressed to you');
+        }
+        await announcements.markRead(db, id, reader.email, clock.now());
+    };
+
+    // { unread, pgs: [{ pg_id, unread }] } across the resident's current bookings
+    const unreadCount = async (email) => {
+        const pgs = await announcements.unreadByPg(db, email, clock.now());
+        return { unread: pgs.reduce((sum, pg) => sum + pg.unread, 0), pgs };
+    };
+
+    return { create, update, remove, list, receipts, markRead, unreadCount };
+};
+
+module.exports = { createAnnouncementService };
@@ -0,0 +1,339 @@
+const { httpError } = require('../validation');
+const { withTransaction, toAmount } = require('../db');
+const customers = require('../data/customers');
+const inventory = require('../data/inventory');
+const rent = require('../data/rent');
+const settlements = require('../data/settlements');
+const deposits = require('../data/deposits');
+
+// How a booking ends. Bookings are kept; their booking_status moves
+//   active -> cancelled                (before move-in; the resident or the owner)
+//   active -> move_out_requested       (notice given; the resident or the owner)
+//   move_out_requested -> active       (withdrawn by the resident, or rejected by the owner)
+//   move_out_requested -> moved_out    (approved by the owner once the move-out date arrives)
+// Ending a booking frees the bed, voids the open invoices, settles the security deposit and records
+// a settlement.
+//
+// Settlement: rent is charged per day stayed (a month's rent over 30 days), and notice short of
+// the PG's notice period is charged at the same daily rate. The refund is what was paid plus the
+// deposit, less both charges and the deductions the owner itemised against the deposit while the
+// resident served notice; negative when the resident still owes. A cancellation has no days stayed
+// and no deductions, counts the days until the planned move-in as notice, and its notice charge
+// never exceeds the rent paid.
+
+const DEFAULT_NOTICE_DAYS = 30;
+const DAYS_PER_MONTH = 30;
+
+const BOOKING_STATUS_LABELS = {
+    active: 'active',
+    move_out_requested: 'serving notice',
+    moved_out: 'moved out',
+    cancelled: 'cancelled'
+};
+
+// notice_period text ('30 days', '1 month', '2 weeks', '15') in days; unreadable values get the default
+const noticeDaysOf = (text) => {
+    const match = String(text || '').toLowerCase().match(/(\d+(?:\.\d+)?)\s*(day|week|month)?/);
+    if (!match) return DEFAULT_NOTICE_DAYS;
+    const unit = { week: 7, month: DAYS_PER_MONTH }[match[2]] || 1;
+    return Math.round(parseFloat(match[1]) * unit);
+};
+
+// Days from one YYYY-MM-DD date to another
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// The settlement figures for a booking (from customers.lockForExit) ending on `leaveDate`
+const settle = (booking, { kind, noticeGivenOn, leaveDate, rentPaid, deductions = 0 }) => {
+    const monthlyRent = toAmount(booking.monthly_rent) || 0;
+    const dailyRent = monthlyRent / DAYS_PER_MONTH;
+    const noticeDays = noticeDaysOf(booking.notice_period);
+    const noticeServedDays = Math.max(daysBetween(noticeGivenOn, leaveDate), 0);
+    const daysStayed = kind === 'move_out' ? Math.max(daysBetween(booking.stay_start, leaveDate), 0) : 0;
+    const deposit = toAmount(booking.deposit_amount) || 0;
+
+    const rentForStay = roundAmount(daysStayed * dailyRent);
+    let noticeCharge = roundAmount(Math.max(noticeDays - noticeServedDays, 0) * dailyRent);
+    if (kind === 'cancellation') noticeCharge = Math.min(noticeCharge, rentPaid);
+
+    return {
+        kind,
+        notice_given_on: noticeGivenOn,
+        leave_date: leaveDate,
+        monthly_rent: monthlyRent,
+        days_stayed: daysStayed,
+        notice_days: noticeDays,
+        notice_served_days: noticeServedDays,
+        rent_paid: rentPaid,
+        rent_for_stay: rentForStay,
+        notice_charge: noticeCharge,
+        deposit,
+        deductions,
+        refund_amount: roundAmount(rentPaid + deposit - rentForStay - noticeCharge - deductions)
+    };
+};
+
+const settlementEmailData = (booking, settlement) => ({
+    name: booking.name,
+    pgTitle: booking.pg_title,
+    leaveDate: settlement.leave_date,
+    rentPaid: Number(settlement.rent_paid).toFixed(2),
+    rentForStay: Number(settlement.rent_for_stay).toFixed(2),
+    noticeCharge: Number(settlement.notice_charge).toFixed(2),
+    deposit: Number(settlement.deposit).toFixed(2),
+    deductions: Number(settlement.deductions).toFixed(2),
+    refund: Number(settlement.refund_amount).toFixed(2)
+});
+
+const createBookingService = ({ db, mailer, clock }) => {
+    const lockBooking = async (client, id) => {
+        const booking = await customers.lockForExit(client, id, clock.now());
+        if (!booking) throw httpError(404, 'Booking not found');
+        return booking;
+    };
+
+    // The stay starts on the move-in date, or when it was paid for if none was given
+    const movedIn = (booking) => booking.stay_start <= booking.today;
+
+    // Owner deductions itemised against the booking's deposit so far
+    const deductionsOf = (client, booking) => (booking.deposit_id ? deposits.totalDeductions(client, booking.deposit_id) : 0);
+
+    // Frees the bed, voids open invoices, settles the deposit and records the settlement; returns
+    // the ended booking and it
+    const endBooking = async (client, booking, status, figures, { settledBy, changes = {} }) => {
+        await inventory.releaseBed(client, booking);
+        await rent.voidOpenInvoices(client, booking.id);
+        if (booking.deposit_id) await deposits.markSettled(client, booking.deposit_id, clock.now());
+        await customers.setBookingStatus(client, booking.id, status, { ...changes, bed_id: null, ended_at: clock.now() });
+        const customer = await rent.refreshRentStatus(client, booking.id);
+        const settlement = await settlements.insert(client, {
+            customer_id: booking.id,
+            pg_id: booking.pg_id,
+            ...figures,
+            settled_by: settledBy
+        });
+        return { customer, settlement };
+    };
+
+    // Before move-in only; the resident or the owner
+    const cancel = async (id, { actor }) => {
+        const { booking, customer, settlement } = await withTransaction(db, async (client) => {
+            const booking = await lockBooking(client, id);
+            if (booking.booking_status !== 'active') {
+                throw httpError(409, `Booking is ${BOOKING_STATUS_LABELS[booking.booking_status]}`);
+            }
+            if (movedIn(booking)) throw httpError(409, 'The resident has moved in; request a move-out instead');
+
+            const leaveDate = booking.move_in_day || booking.today;
+            const figures = settle(booking, {
+                kind: 'cancellation',
+                noticeGivenOn: booking.today,
+                leaveDate,
+                rentPaid: await rent.totalPaidBy(client, booking.id)
+            });
+            const ended = await endBooking(client, booking, 'cancelled', figures, {
+                settledBy: actor,
+                changes: { notice_given_on: booking.today }
+            });
+            return { booking, ...ended };
+        });
+
+        await mailer.enqueue('booking_cancelled', booking.email, settlementEmailData(booking, settlement));
+        return { customer, settlement };
+    };
+
+    // What moving out on `moveOutDate` (YYYY-MM-DD) would settle at, with notice given today (or when it was given)
+    const quoteMoveOut = async (id, moveOutDate) => {
+        const booking = await lockBooking(db, id);
+        if (!['active', 'move_out_requested'].includes(booking.booking_status)) {
+            throw httpError(409, `Booking is ${BOOKING_STATUS_LABELS[booking.booking_status]}`);
+        }
+        if (!movedIn(booking)) throw httpError(409, 'Booking has not started; cancel it instead');
+        if (moveOutDate < booking.today) throw httpError(400, 'Move-out date cannot be in the past');
+        return settle(booking, {
+            kind: 'move_out',
+            noticeGivenOn: booking.notice_day || booking.today,
+            leaveDate: moveOutDate,
+            rentPaid: await rent.totalPaidBy(db, booking.id),
+            deductions: await deductionsOf(db, booking)
+        });
+    };
+
+    // Gives notice; the resident or the owner. Returns the booking and the settlement it would get.
+    const requestMoveOut = async (id, { moveOutDate, reason }) => {
+        const { booking, customer, estimate } = await withTransaction(db, async (client) => {
+            const booking = await lockBooking(client, id);
+            if (booking.booking_status !== 'active') {
+                throw httpError(409, `Booking is ${BOOKING_STATUS_LABELS[booking.booking_status]}`);
+            }
+            if (!movedIn(booking)) throw httpError(409, 'Booking has not started; cancel it instead');
+            if (moveOutDate < booking.today) throw httpError(400, 'Move-out date cannot be in the past');
+
+            const customer = await customers.setBookingStatus(client, id, 'move_out_requested', {
+                notice_given_on: booking.today,
+                move_out_date: moveOutDate,
+                move_out_reason: reason || null,
+                owner_note: null
+            });
+            const estimate = settle(booking, {
+                kind: 'move_out',
+                noticeGivenOn: booking.today,
+                leaveDate: moveOutDate,
+                rentPaid: await rent.totalPaidBy(client, booking.id),
+                deductions: await deductionsOf(client, booking)
+            });
+            return { booking, customer, estimate };
+        });
+
+        if (booking.owner_email) {
+            await mailer.enqueue('move_out_requested', booking.owner_email, {
+                name: booking.name,
+                email: booking.email,
+                pgTitle: booking.pg_title,
+                roomNo: booking.room_no,
+                moveOutDate,
+                reason
+            });
+        }
+        return { customer, settlement: estimate };
+    };
+
+    // Back to an active booking: withdrawn by the resident, or rejected by the owner with a note
+    const keepBooking = async (id, { note, rejected }) => {
+        const { booking, customer } = await withTransaction(db, async (client) => {
+            const booking = await lockBooking(client, id);
+            if (booking.booking_status !== 'move_out_requested') throw httpError(409, 'No move-out has been requested');
+            const customer = await customers.setBookingStatus(client, id, 'active', {
+                notice_given_on: null,
+                move_out_date: null,
+                move_out_reason: null,
+                owner_note: note || null
+            });
+            return { booking, customer };
+        });
+
+        if (rejected) {
+            await mailer.enqueue('move_out_rejected', booking.email, {
+                name: booking.name,
+                pgTitle: booking.pg_title,
+                moveOutDate: booking.move_out_day,
+                note
+            });
+        }
+        return customer;
+    };
+
+    const withdrawMoveOut = (id) => keepBooking(id, { rejected: false });
+    const rejectMoveOut = (id, { note }) => keepBooking(id, { note, rejected: true });
+
+    // The owner confirms the resident has left, on or after the move-out date
+    const approveMoveOut = async (id, { note, actor }) => {
+        const { booking, customer, settlement } = await withTransaction(db, async (client) => {
+            const booking = await lockBooking(client, id);
+            if (booking.booking_status !== 'move_out_requested') throw httpError(409, 'No move-out has been requested');
+            if (booking.move_out_day > booking.today) throw httpError(409, 'The move-out date has not arrived yet');
+
+            const figures = settle(booking, {
+                kind: 'move_out',
+                noticeGivenOn: booking.notice_day,
+                leaveDate: booking.move_out_day,
+                rentPaid: await rent.totalPaidBy(client, booking.id),
+                deductions: await deductionsOf(client, booking)
+            });
+            const ended = await endBooking(client, booking, 'moved_out', figures, {
+                settledBy: actor,
+                changes: { owner_note: note || null }
+            });
+            return { booking, ...ended };
+        });
+
+        await mailer.enqueue('move_out_approved', booking.email, settlementEmailData(booking, settlement));
+        return { customer, settlement };
+    };
+
+    const getSettlement = async (id) => {
+        const settlement = await settlements.findByCustomer(db, id);
+        if (!settlement) throw httpError(404, 'Booking has not ended');
+        return settlement;
+    };
+
+    // --- Security Deposit ---
+
+    // The deposit with its deductions and what is left of it. Once the booking is settled, rent and
+    // notice charges not covered by the rent paid show as an 'unpaid_rent' deduction, and rent paid
+    // beyond them as rentCredit; refund is then the settlement's.
+    const depositStatement = async (id) => {
+        const deposit = await deposits.findByCustomer(db, id);
+        if (!deposit) throw httpError(404, 'No deposit was collected for this booking');
+
+        const deductions = await deposits.listDeductions(db, deposit.id);
+        const settlement = await settlements.findByCustomer(db, id);
+        const rentBalance = settlement
+            ? roundAmount(toAmount(settlement.rent_paid) - toAmount(settlement.rent_for_stay) - toAmount(settlement.notice_charge))
+            : 0;
+        if (rentBalance < 0) {
+            deductions.push({
+                id: null,
+                deposit_id: deposit.id,
+                category: 'unpaid_rent',
+                amount: (-rentBalance).toFixed(2),
+                description: 'Rent and notice charges not covered by the rent paid',
+                created_by: settlement.settled_by,
+                created_at: settlement.created_at
+            });
+        }
+
+        const totalDeductions = roundAmount(deductions.reduce((total, d) => total + toAmount(d.amount), 0));
+        return {
+            deposit,
+            deductions,
+            totalDeductions,
+            balance: roundAmount(toAmount(deposit.amount) - totalDeductions),
+            rentCredit: Math.max(rentBalance, 0),
+            refund: settlement ? toAmount(settlement.refund_amount) : null,
+            settlement
+        };
+    };
+
+    // Deductions are itemised while the resident serves notice, before the move-out is approved
+    const lockDepositForDeductions = async (client, id) => {
+        const booking = await lockBooking(client, id);
+        if (!booking.deposit_id) throw httpError(404, 'No deposit was collected for this booking');
+        if (booking.booking_status !== 'move_out_requested') {
+            throw httpError(409, 'Deductions can only be made while the resident is serving notice');
+        }
+        return booking;
+    };
+
+    const addDeduction = (id, { category, amount, description, actor }) => {
+        return withTransaction(db, async (client) => {
+            const booking = await lockDepositForDeductions(client, id);
+            return deposits.insertDeduction(client, booking.deposit_id, { category, amount, description, createdBy: actor }, clock.now());
+        });
+    };
+
+    const removeDeduction = (id, deductionId) => {
+        return withTransaction(db, async (client) => {
+            const booking = await lockDepositForDeductions(client, id);
+            if (!(await deposits.deleteDeduction(client, booking.deposit_id, deductionId))) {
+                throw httpError(404, 'Deduction not found');
+            }
+        });
+    };
+
+    return {
+        cancel,
+        quoteMoveOut,
+        requestMoveOut,
+        withdrawMoveOut,
+        rejectMoveOut,
+        approveMoveOut,
+        getSettlement,
+        depositStatement,
+        addDeduction,
+        removeDeduction
+    };
+};
+
+module.exports = { createBookingService };
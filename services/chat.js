@@ -0,0 +1,117 @@
+const { httpError } = require('../validation');
+const listings = require('../data/listings');
+const customers = require('../data/customers');
+const visits = require('../data/visits');
+const { VISIT_STATUS_LABELS } = require('./visits');
+
+// The in-app assistant: answers PG questions with the listings, and for a signed-in resident
+// their booking and visits, as context. Recommended PGs come back as ids for the client to show as cards.
+
+const chatUnavailable = (message) => httpError(502, message, { code: 'chat_unavailable' });
+
+const createChatService = ({ db, llm }) => {
+    // Booking and visit context for the prompt
+    const residentContext = async (userEmail) => {
+        let bookingContext;
+        const b = await customers.latestWithPgByEmail(db, userEmail);
+        if (b) {
+            bookingContext = `
+USER'S BOOKING:
+- PG Name: ${b.pg_title}
+- Location: ${b.pg_location}, ${b.pg_city}
+- Room: ${b.room_no || 'To be assigned'}
+- Floor: ${b.floor || 'To be assigned'}
+- Room Type: ${b.room_type || 'N/A'}
+- Move-in Date: ${b.move_in_date ? new Date(b.move_in_date).toLocaleDateString() : 'Not set'}
+- Payment Status: ${b.status}
+- Amount Paid: ₹${b.amount || 0}
+- Booking ID: ${b.booking_id || 'N/A'}`;
+        } else {
+            bookingContext = 'USER HAS NO BOOKINGS.';
+        }
+
+        let visitContext = '';
+        const recentVisits = await visits.listForRequester(db, userEmail, { limit: 3 });
+        if (recentVisits.length > 0) {
+            visitContext = '\nUSER\'S SCHEDULED VISITS:';
+            recentVisits.forEach(v => {
+                const statusLabel = VISIT_STATUS_LABELS[v.status] || v.status;
+                visitContext += `
+- ${v.pg_title}: ${new Date(v.visit_date).toLocaleDateString()} at ${v.visit_time} - ${statusLabel}`;
+            });
+        }
+        return { bookingContext, visitContext };
+    };
+
+    // Returns { role, content, pgIds }. userEmail is only set for a signed-in resident.
+    const reply = async ({ message, history, city, userEmail }) => {
+        if (!llm.configured) throw httpError(503, 'Chat is not configured', { code: 'chat_unavailable' });
+
+        let responseContent;
+        try {
+            // Concise one-line-per-PG context keeps the prompt (and the reply) fast
+            const pgs = await listings.chatSummaries(db);
+            const pgContext = pgs.map(pg =>
+                `ID:${pg.id}|${pg.title}|₹${pg.price}/mo|${pg.location},${pg.city}|${pg.gender || 'Any'}|Food:${pg.food_included ? 'Yes' : 'No'}|Rating:${pg.rating || 'New'}`
+            ).join('\n');
+
+            const { bookingContext, visitContext } = userEmail
+                ? await residentContext(userEmail)
+                : { bookingContext: '', visitContext: '' };
+
+            const systemPrompt = `You are a fast, helpful AI assistant for 'Book My PG', a PG accommodation booking app.
+
+RULES:
+1. Only help with PG-related queries (finding PGs, bookings, amenities, pricing, visits, etc.)
+2. Keep responses SHORT and concise (2-3 sentences max)
+3. When recommending PGs, output their IDs in this format at the END of your message: [PG_IDs: 1, 2, 3]
+4. NEVER list PG details in text - they will be shown as cards to the user
+5. For booking/visit queries, use the user's info below
+6. If asked about non-PG topics, politely redirect to PG-related help
+
+${bookingContext ? `${bookingContext}
+` : ''}${visitContext ? `${visitContext}
+` : ''}
+AVAILABLE PGs (ID|Name|Price|Location|Gender|Food|Rating):
+${pgContext}
+
+${city ? `User's current city filter: ${city}` : ''}`;
+
+            responseContent = await llm.complete([
+                { role: 'system', content: systemPrompt },
+                ...(history || []).slice(-6), // Keep last 6 messages for context
+                { role: 'user', content: message }
+            ], { temperature: 0.5, maxTokens: 300 });
+        } catch (error) {
+            console.error('Chat error:', error.message);
+            if (error.response) {
+                console.error('Groq API Response Error:', error.response.status, error.response.data);
+            }
+            throw chatUnavailable("I'm having trouble connecting right now. Please try again.");
+        }
+
+        // Parse PG IDs from response
+        let pgIds = [];
+        const pgIdMatch = responseContent.match(/\[PG_IDs?:\s*([\d,\s]+)\]/i);
+        if (pgIdMatch) {
+            pgIds = pgIdMatch[1].split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+        }
+
+        return { role: 'assistant', content: responseContent, pgIds };
+    };
+
+    // One-word round trip to check the model's key and reachability
+    const testModel = async () => {
+        try {
+            return await llm.complete([{ role: 'user', content: 'Say hello in one word' }], { maxTokens: 10 });
+        } catch (error) {
+            throw httpError(502, `Groq request failed: ${error.message}`, {
+                details: { status: error.response?.status, data: error.response?.data }
+            });
+        }
+    };
+
+    return { reply, testModel };
+};
+
+module.exports = { createChatService };
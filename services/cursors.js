@@ -0,0 +1,52 @@
+const { httpError } = require('../validation');
+
+// Opaque page cursors for keyset pagination: the sort's name, the last row's sort key and its id.
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Array.isArray(values) ? values : null;
+    } catch {
+        return null;
+    }
+};
+
+const MAX_INT = 2147483647;
+
+const isInteger = (value) => {
+    const number = typeof value === 'string' && /^-?\d{1,10}$/.test(value) ? Number(value) : value;
+    return Number.isInteger(number) && Math.abs(number) <= MAX_INT;
+};
+
+const isDecimal = (value) => (typeof value === 'number' && Number.isFinite(value))
+    || (typeof value === 'string' && /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(value) && Number.isFinite(Number(value)));
+
+// A timestamp as Postgres writes it (`2026-03-10 09:00:00.123`), or in ISO form
+const isTimestamp = (value) => typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?$/.test(value)
+    && !Number.isNaN(Date.parse(value.replace(' ', 'T') + 'Z'));
+
+// Whether a decoded sort key can be cast to the sort's SQL type
+const KEY_CHECKS = {
+    timestamp: isTimestamp,
+    int: isInteger,
+    numeric: isDecimal,
+    real: isDecimal,
+    float8: isDecimal
+};
+
+// The (key, id) pair to continue after, for a cursor made by the same sort whose key has SQL type
+// `keyType`; throws 400 for anything else, so tampered cursors never reach a cast in the query
+const resumeAfter = (cursor, sortName, keyType) => {
+    if (!cursor) return null;
+    const values = decodeCursor(cursor);
+    if (!values || values[0] !== sortName || values.length !== 3) throw httpError(400, 'Invalid cursor');
+
+    const [, key, id] = values;
+    if (!KEY_CHECKS[keyType](key) || !Number.isInteger(id) || id < 1 || id > MAX_INT) throw httpError(400, 'Invalid cursor');
+    return [key, id];
+};
+
+module.exports = { encodeCursor, resumeAfter };
@@ -0,0 +1,38 @@
+const { createAdminService } = require('./admin');
+const { createOwnerService } = require('./owners');
+const { createRentService } = require('./rent');
+const { createListingService } = require('./listings');
+const { createSearchService } = require('./search');
+const { createReviewService } = require('./reviews');
+const { createAnnouncementService } = require('./announcements');
+const { createTicketService } = require('./tickets');
+const { createVisitService } = require('./visits');
+const { createPaymentService } = require('./payments');
+const { createBookingService } = require('./bookings');
+const { createChatService } = require('./chat');
+const { createUserService } = require('./users');
+const { createLiveService } = require('./live');
+
+// Builds every service from the app's dependencies (see createApp in app.js).
+// Services hold the business rules and throw httpError for the routes to answer with.
+const createServices = ({ db, mailer, liveHub, llm, clock, tokens, paymentGateway, geocoder, imageStore, config }) => {
+    const rent = createRentService({ db, mailer, clock });
+    return {
+        admin: createAdminService({ db, mailer, tokens, config }),
+        owners: createOwnerService({ db, mailer, tokens, clock, imageStore, config }),
+        rent,
+        listings: createListingService({ db, imageStore }),
+        search: createSearchService({ db, geocoder }),
+        reviews: createReviewService({ db, clock }),
+        announcements: createAnnouncementService({ db, mailer, liveHub, clock }),
+        tickets: createTicketService({ db, mailer, clock }),
+        visits: createVisitService({ db, mailer, liveHub, clock }),
+        payments: createPaymentService({ db, gateway: paymentGateway, liveHub, clock, rent, holdMinutes: config.bookingHoldMinutes }),
+        bookings: createBookingService({ db, mailer, clock }),
+        chat: createChatService({ db, llm }),
+        users: createUserService({ db, mailer, tokens, clock }),
+        live: createLiveService({ db, liveHub })
+    };
+};
+
+module.exports = { createServices };
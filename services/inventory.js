@@ -0,0 +1,78 @@
+const { httpError } = require('../validation');
+const { toAmount } = require('../db');
+const inventory = require('../data/inventory');
+
+// Rules for changing a PG's room and bed inventory. Each helper runs on the client of a
+// transaction the caller has open, so a listing and its rooms change together.
+
+// Beds per room for a sharing type label; mirrors sharing_capacity() in the database
+const sharingCapacity = (sharingType = '') => {
+    const type = sharingType.toLowerCase();
+    if (type.includes('single')) return 1;
+    if (type.includes('double') || type.includes('two') || /\b2\b/.test(type)) return 2;
+    if (type.includes('triple') || type.includes('three') || /\b3\b/.test(type)) return 3;
+    if (type.includes('four') || /\b4\b/.test(type)) return 4;
+    return 1;
+};
+
+const bedLabel = (index) => String.fromCharCode(65 + index);
+
+// Adds a room with `bedCount` beds (default: the sharing type's capacity), labelled A-Z
+const createRoom = async (client, pgId, { roomNumber, floor, sharingType, bedCount, price, deposit, isAC }) => {
+    const capacity = sharingCapacity(sharingType);
+    const room = await inventory.insertRoom(client, pgId, {
+        roomNumber, floor, sharingType, capacity, price: toAmount(price), deposit: toAmount(deposit), isAC: !!isAC
+    });
+    const count = bedCount || capacity;
+    for (let i = 0; i < count; i++) {
+        await inventory.insertBed(client, room.id, bedLabel(i));
+    }
+    return room;
+};
+
+// Adds enough rooms of a sharing type to hold bedCount more beds
+const addBedsOfType = async (client, pgId, sharingType, bedCount, details) => {
+    const capacity = sharingCapacity(sharingType);
+    let roomNumber = await inventory.nextRoomNumber(client, pgId);
+    for (let remaining = bedCount; remaining > 0; remaining -= capacity) {
+        await createRoom(client, pgId, { ...details, roomNumber: roomNumber++, sharingType, bedCount: Math.min(capacity, remaining) });
+    }
+};
+
+// Removes free beds of a sharing type (and rooms left empty); fails if too many are occupied
+const removeBedsOfType = async (client, pgId, sharingType, bedCount) => {
+    const free = await inventory.lockFreeBeds(client, pgId, sharingType, bedCount);
+    if (free.length < bedCount) {
+        throw httpError(409, `Cannot remove ${bedCount} ${sharingType} bed(s): only ${free.length} are free`);
+    }
+    await inventory.deleteBeds(client, pgId, free);
+};
+
+// Applies a legacy rooms summary ([{ type, count, isAC, price, deposit }]) to the inventory tables.
+// `count` is the target number of beds per type; `available` is derived and ignored.
+const syncRoomSummary = async (client, pgId, summary) => {
+    if (!Array.isArray(summary)) throw httpError(400, 'rooms must be an array');
+
+    const current = await inventory.bedsByType(client, pgId);
+    const currentBeds = new Map(current.map(row => [row.sharing_type, row.beds]));
+    const wanted = new Set();
+
+    for (const item of summary) {
+        if (!item || !item.type) continue;
+        wanted.add(item.type);
+        const target = Math.max(parseInt(item.count) || 0, 0);
+        const existing = currentBeds.get(item.type) || 0;
+
+        await inventory.updateRoomsOfType(client, pgId, item.type, {
+            price: toAmount(item.price), deposit: toAmount(item.deposit), isAC: !!item.isAC
+        });
+        if (target > existing) await addBedsOfType(client, pgId, item.type, target - existing, item);
+        if (target < existing) await removeBedsOfType(client, pgId, item.type, existing - target);
+    }
+
+    for (const [type, beds] of currentBeds) {
+        if (!wanted.has(type) && beds > 0) await removeBedsOfType(client, pgId, type, beds);
+    }
+};
+
+module.exports = { sharingCapacity, bedLabel, createRoom, syncRoomSummary };
@@ -0,0 +1,197 @@
+const { httpError } = require('../validation');
+const { withTransaction, toAmount, UNIQUE_VIOLATION } = require('../db');
+const { sharingCapacity, bedLabel, createRoom, syncRoomSummary } = require('./inventory');
+const listings = require('../data/listings');
+const owners = require('../data/owners');
+const inventory = require('../data/inventory');
+
+// PG listings: adding and editing them, their photos, and their rooms and beds.
+
+// Where each role's uploads are filed in storage
+const UPLOAD_FOLDERS = { owner: 'pgs', 'super-admin': 'pgs', resident: 'reviews' };
+
+const ROOM_FIELDS = ['room_number', 'floor', 'sharing_type', 'price', 'deposit', 'is_ac'];
+
+const createListingService = ({ db, imageStore }) => {
+    // Stores each file; if one fails, the ones already stored are removed
+    const saveImages = (files, folder) => imageStore.saveAll(files.map(file => file.buffer), { folder });
+
+    // Newest first; by owner email, or by owner id (no PGs for an unknown owner)
+    const list = async ({ ownerId, ownerEmail }) => {
+        if (ownerEmail) return listings.list(db, { ownerEmail });
+        if (ownerId) {
+            const email = await owners.emailOf(db, ownerId);
+            return email === null ? [] : listings.list(db, { ownerEmail: email });
+        }
+        return listings.list(db);
+    };
+
+    // `rooms` is a summary of the room/bed inventory; it is applied to those tables, not stored
+    const add = (fields, rooms) => {
+        return withTransaction(db, async (client) => {
+            const id = await listings.insert(client, {
+                ...fields,
+                occupancy_types: fields.occupancy_types || [],
+                occupancy_prices: fields.occupancy_prices || {},
+                food_included: fields.food_included || false,
+                notice_period: fields.notice_period || '30 days',
+                gate_close_time: fields.gate_close_time || '10:30 PM',
+                safety_deposit: fields.safety_deposit || '',
+                amenities: fields.amenities || [],
+                rules: fields.rules || [],
+                images: fields.images || [],
+                owner_email: fields.owner_email || null,
+                gender: fields.gender || 'unisex',
+                thumbnail_url: imageStore.thumbnailUrlFor(fields.image_url)
+            });
+            await syncRoomSummary(client, id, rooms || []);
+            return listings.findWithRooms(client, id);
+        });
+    };
+
+    // Only the fields sent are changed
+    const update = (id, changes, rooms) => {
+        const columns = { ...changes };
+        if (columns.image_url !== undefined) {
+            columns.image_url = columns.image_url || null;
+            columns.thumbnail_url = imageStore.thumbnailUrlFor(columns.image_url);
+        }
+
+        return withTransaction(db, async (client) => {
+            if (Object.keys(columns).length > 0 && !(await listings.update(client, id, columns))) {
+                throw httpError(404, 'PG not found');
+            }
+            if (rooms !== undefined) await syncRoomSummary(client, id, rooms);
+            return listings.findWithRooms(client, id);
+        });
+    };
+
+    // --- Images ---
+
+    // Stores uploaded images under the uploader's folder and returns them
+    const uploadImages = (files, role) => saveImages(files, UPLOAD_FOLDERS[role] || 'images');
+
+    // Appended to the gallery; the first becomes the cover if there is none
+    const addImages = async (id, files) => {
+        const saved = await saveImages(files, 'pgs');
+        try {
+            const gallery = await listings.appendImages(db, id, saved.map(image => image.url), saved[0]);
+            if (!gallery) throw httpError(404, 'PG not found');
+            return { uploaded: saved, ...gallery };
+        } catch (error) {
+            await Promise.all(saved.map(image => imageStore.remove(image.url).catch(() => {})));
+            throw error;
+        }
+    };
+
+    // Drops a photo from the gallery and storage; removing the cover promotes the next photo
+    const removeImage = async (id, url) => {
+        const gallery = await withTransaction(db, async (client) => {
+            const current = await listings.lockImages(client, id);
+            if (!current) throw httpError(404, 'PG not found');
+            const { image_url: imageUrl } = current;
+            const images = Array.isArray(current.images) ? current.images : [];
+            if (imageUrl !== url && !images.includes(url)) throw httpError(404, 'Image not found on this PG');
+
+            const remaining = images.filter(image => image !== url);
+            const cover = imageUrl === url ? remaining[0] || null : imageUrl;
+            return listings.setImages(client, id, { images: remaining, imageUrl: cover, thumbnailUrl: imageStore.thumbnailUrlFor(cover) });
+        });
+        await imageStore.remove(url).catch(error => console.error('Error removing PG image:', error));
+        return gallery;
+    };
+
+    // --- Rooms & Beds ---
+
+    const listRooms = (pgId, { showGuests }) => inventory.listRooms(db, pgId, showGuests);
+
+    const addRoom = async (pgId, { roomNumber, floor, sharingType, beds, price, deposit, isAC }) => {
+        try {
+            return await withTransaction(db, async (client) => createRoom(client, pgId, {
+                roomNumber: roomNumber || await inventory.nextRoomNumber(client, pgId),
+                floor,
+                sharingType,
+                bedCount: beds,
+                price,
+                deposit,
+                isAC
+            }));
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) throw httpError(409, 'Room number already exists in this PG');
+            throw error;
+        }
+    };
+
+    // Only the ROOM_FIELDS sent are changed; a new sharing type resets the capacity
+    const updateRoom = async (id, fields) => {
+        const changes = {};
+        ROOM_FIELDS.forEach(field => {
+            if (fields[field] === undefined) return;
+            changes[field] = ['price', 'deposit'].includes(field) ? toAmount(fields[field]) : fields[field];
+        });
+        if (fields.sharing_type !== undefined) changes.capacity = sharingCapacity(fields.sharing_type);
+
+        let room;
+        try {
+            room = await inventory.updateRoom(db, id, changes);
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) throw httpError(409, 'Room number already exists in this PG');
+            throw error;
+        }
+        if (!room) throw httpError(404, 'Room not found');
+        return room;
+    };
+
+    // Only when no bed is occupied or held for a booking
+    const deleteRoom = (id) => {
+        return withTransaction(db, async (client) => {
+            const beds = await inventory.lockBedsOfRoom(client, id);
+            if (beds.some(b => b.status === 'occupied')) throw httpError(409, 'Room has occupied beds');
+            if (beds.some(b => b.status === 'held')) throw httpError(409, 'Room has beds held for a booking');
+            await inventory.deleteRoom(client, id);
+        });
+    };
+
+    // Labelled after the room's existing beds unless a label is given
+    const addBed = async (roomId, label) => {
+        try {
+            return await withTransaction(db, async (client) => {
+                if (!(await inventory.lockRoom(client, roomId))) throw httpError(404, 'Room not found');
+                const count = await inventory.countBeds(client, roomId);
+                return inventory.insertBed(client, roomId, label || bedLabel(count));
+            });
+        } catch (error) {
+            if (error.code === UNIQUE_VIOLATION) throw httpError(409, 'Bed label already exists in this room');
+            throw error;
+        }
+    };
+
+    // available / maintenance; occupancy changes only through bookings
+    const setBedStatus = async (id, status) => {
+        const bed = await inventory.setBedStatus(db, id, status);
+        if (!bed) throw httpError(409, 'Bed is occupied or held for a booking');
+        return bed;
+    };
+
+    const deleteBed = async (id) => {
+        if (!(await inventory.deleteFreeBed(db, id))) throw httpError(409, 'Bed is occupied or held for a booking');
+    };
+
+    return {
+        list,
+        add,
+        update,
+        uploadImages,
+        addImages,
+        removeImage,
+        listRooms,
+        addRoom,
+        updateRoom,
+        deleteRoom,
+        addBed,
+        setBedStatus,
+        deleteBed
+    };
+};
+
+module.exports = { createListingService, ROOM_FIELDS };
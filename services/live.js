@@ -0,0 +1,32 @@
+const { httpError } = require('../validation');
+const listings = require('../data/listings');
+const customers = require('../data/customers');
+
+// Subscriptions to live updates (see live.js). A subscriber's scope is worked out when it connects:
+// an owner's PGs, the PGs a resident currently lives in, or every PG for a super admin.
+
+const createLiveService = ({ db, liveHub }) => {
+    // The PG ids whose events reach the user; null for all of them
+    const scopeOf = (user) => {
+        if (user.role === 'owner') return listings.idsOwnedBy(db, user.email);
+        if (user.role === 'resident') return customers.currentPgIds(db, user.email);
+        return null;
+    };
+
+    // `stream` is { send(type, data), end() }; resolves to { pgIds, unsubscribe }.
+    // Narrowing to a PG outside the user's scope is 403.
+    const subscribe = async (user, { pgId }, stream) => {
+        const pgIds = await scopeOf(user);
+        if (pgId !== undefined) {
+            if (pgIds === null && !(await listings.exists(db, pgId))) throw httpError(404, 'PG not found');
+            if (pgIds !== null && !pgIds.includes(pgId)) throw httpError(403, 'Forbidden');
+        }
+
+        const unsubscribe = await liveHub.subscribe({ user, pgIds, pgId: pgId ?? null, ...stream });
+        return { pgIds, unsubscribe };
+    };
+
+    return { subscribe };
+};
+
+module.exports = { createLiveService };
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { httpError } = require('../validation');
+const { withTransaction } = require('../db');
+const { hashPassword, verifyPassword, hashToken } = require('../auth');
+const owners = require('../data/owners');
+const listings = require('../data/listings');
+const customers = require('../data/customers');
+const inventory = require('../data/inventory');
+const rent = require('../data/rent');
+const visits = require('../data/visits');
+const settlements = require('../data/settlements');
+const deposits = require('../data/deposits');
+const tickets = require('../data/tickets');
+
+// PG owners: sign-in and passwords, their profile, and the dashboards over their PGs
+// (guests, payments, stats and visits).
+
+const PASSWORD_RESET_TTL_MINUTES = 30;
+
+const createOwnerService = ({ db, mailer, tokens, clock, imageStore, config }) => {
+    // The ids of the PGs listed under an owner's email; null if there is no such owner
+    const pgIdsOf = async (ownerId) => {
+        const email = await owners.emailOf(db, ownerId);
+        return email === null ? null : listings.idsOwnedBy(db, email);
+    };
+
+    // Returns { token, mustChangePassword, owner }, or null for wrong credentials
+    const login = async (email, password) => {
+        const owner = await owners.findByEmail(db, email);
+        if (!owner) return null;
+
+        const { valid, needsRehash } = await verifyPassword(password, owner.password_hash);
+        if (!valid) return null;
+
+        // Upgrade legacy plain-text (or outdated) hashes now that we know the password
+        if (needsRehash) await owners.setPasswordHash(db, owner.id, await hashPassword(password));
+
+        const mustChangePassword = !!owner.must_change_password;
+        const token = tokens.sign({ sub: owner.id, email: owner.email, role: 'owner', ...(mustChangePassword && { mustChangePassword }) });
+        return { token, mustChangePassword, owner: { id: owner.id, name: owner.name, email: owner.email } };
+    };
+
+    // Emails a single-use reset token; does nothing for unknown emails
+    const requestPasswordReset = async (email) => {
+        const owner = await owners.findByEmail(db, email);
+        if (!owner) return;
+
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        await owners.replaceResetToken(db, owner.id, hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES, clock.now());
+
+        const resetUrl = config.passwordResetUrl ? `${config.passwordResetUrl}?token=${resetToken}` : null;
+        await mailer.enqueue('password_reset', owner.email, {
+            name: owner.name,
+            resetUrl,
+            resetToken,
+            ttlMinutes: PASSWORD_RESET_TTL_MINUTES
+        });
+    };
+
+    const resetPassword = async (token, newPassword) => {
+        const passwordHash = await hashPassword(newPassword);
+        if (!(await owners.resetPassword(db, hashToken(token), passwordHash, clock.now()))) {
+            throw httpError(400, 'Invalid or expired reset token');
+        }
+    };
+
+    // Returns a regular token replacing the restricted first-login one
+    const changePassword = async (ownerId, currentPassword, newPassword) => {
+        const owner = await owners.findById(db, ownerId);
+        if (!owner) throw httpError(404, 'Owner not found');
+
+        const { valid } = await verifyPassword(currentPassword, owner.password_hash);
+        if (!valid) throw httpError(401, 'Incorrect password');
+
+        await owners.setPasswordHash(db, owner.id, await hashPassword(newPassword), { clearMustChange: true });
+        return tokens.sign({ sub: owner.id, email: owner.email, role: 'owner' });
+    };
+
+    // --- Profile ---
+
+    const getProfile = async (id) => {
+        const owner = await owners.findById(db, id);
+        if (!owner) throw httpError(404, 'Owner not found');
+
+        const nameParts = owner.name.split(' ');
+        return {
+            id: owner.id,
+            firstName: nameParts[0],
+            lastName: nameParts.slice(1).join(' '),
+            email: owner.email,
+            mobile: owner.mobile,
+            city: owner.city,
+            address: owner.address,
+            dob: owner.dob,
+            profilePicture: owner.profile_picture
+        };
+    };
+
+    // Only the fields sent are changed; lastName alone keeps the current first name
+    const updateProfile = async (id, { firstName, lastName, mobile, dob }) => {
+        const owner = await owners.updateProfile(db, id, {
+            name: firstName !== undefined ? `${firstName} ${lastName || ''}`.trim() : undefined,
+            lastName: firstName === undefined ? lastName : undefined,
+            mobile,
+            dob
+        });
+        if (!owner) throw httpError(404, 'Owner not found');
+        return owner;
+    };
+
+    // Stores the new picture, then deletes the one it replaces
+    const setProfilePicture = async (id, file) => {
+        const image = await imageStore.save(file.buffer, { folder: 'owners' });
+        try {
+            const previous = await withTransaction(db, async (client) => {
+                const current = await owners.lockProfilePicture(client, id);
+                if (current === undefined) throw httpError(404, 'Owner not found');
+                await owners.setProfilePicture(client, id, image);
+                return current;
+            });
+            if (previous) await imageStore.remove(previous).catch(error => console.error('Error removing old profile picture:', error));
+            return image;
+        } catch (error) {
+            await imageStore.remove(image.url).catch(() => {});
+            throw error;
+        }
+    };
+
+    // --- Dashboards ---
+
+    const listGuests = async (ownerId) => {
+        const pgIds = await pgIdsOf(ownerId);
+        return pgIds && pgIds.length > 0 ? customers.listForPgs(db, pgIds) : [];
+    };
+
+    // room_no / floor as sent, or bedId to move the guest (room and floor follow the bed)
+    const updateGuest = (id, { roomNo, floor, bedId }) => {
+        return withTransaction(db, async (client) => {
+            const customer = await customers.lockById(client, id);
+            if (!customer) throw httpError(404, 'Guest not found');
+            if (!customers.isCurrent(customer)) throw httpError(409, 'Booking has ended');
+
+            if (bedId === undefined) return customers.updatePlacement(client, id, { roomNo, floor });
+
+            // Moving a guest to a specific bed: free the old one and take the new one together
+            const bed = await inventory.lockBed(client, bedId);
+            if (!bed || bed.pg_id !== customer.pg_id) throw httpError(404, 'Bed not found in this PG');
+            if (bed.customer_id === customer.id) return customer;
+            if (bed.status !== 'available') throw httpError(409, 'Bed is not available');
+
+            await inventory.releaseBed(client, customer);
+            await inventory.occupyBed(client, bed.id, customer.id);
+            return customers.assignBed(client, customer.id, bed);
+        });
+    };
+
+    // Resident counts by payment status, rent received, security deposits held, the last
+    // `months` of the rent ledger, and how quickly maintenance tickets get resolved
+    const stats = async (ownerId, { months }) => {
+        // A missing owner reads like one with no PGs, so the shape never changes
+        const pgIds = (await pgIdsOf(ownerId)) || [];
+
+        let totalCustomers = 0;
+        let totalEarnings = 0;
+        let paidPayments = 0;
+        let pendingPayments = 0;
+        let monthly = [];
+        let depositsHeld = { count: 0, total: 0 };
+        let ticketMetrics = null;
+
+        if (pgIds.length > 0) {
+            const statuses = await customers.statusesForPgs(db, pgIds);
+            totalCustomers = statuses.length;
+            statuses.forEach(status => {
+                if (status === 'Paid') {
+                    paidPayments++;
+                } else {
+                    pendingPayments++;
+                }
+            });
+
+            // Earnings are every rent payment received, not just the latest snapshot
+            totalEarnings = await rent.totalReceived(db, pgIds);
+            monthly = await rent.monthlyLedger(db, pgIds, months, clock.now());
+            depositsHeld = await deposits.heldForPgs(db, pgIds);
+            ticketMetrics = await tickets.metricsForPgs(db, pgIds, clock.now());
+        }
+
+        const sum = (field) => monthly.reduce((total, m) => total + m[field], 0);
+        return {
+            totalPGs: pgIds.length,
+            totalCustomers,
+            totalEarnings,
+            paidPayments,
+            pendingPayments,
+            depositsHeld,
+            tickets: {
+                active: ticketMetrics ? ticketMetrics.active : 0,
+                overdue: ticketMetrics ? ticketMetrics.overdue : 0,
+                resolved: ticketMetrics ? ticketMetrics.resolved : 0,
+                avgResolutionHours: ticketMetrics ? ticketMetrics.avg_resolution_hours : null,
+                medianResolutionHours: ticketMetrics ? ticketMetrics.median_resolution_hours : null,
+                avgResponseHours: ticketMetrics ? ticketMetrics.avg_response_hours : null,
+                resolvedWithinSlaPct: ticketMetrics ? ticketMetrics.resolved_within_sla_pct : null
+            },
+            rent: {
+                collected: sum('collected'),
+                outstanding: sum('outstanding'),
+                overdue: sum('overdue'),
+                monthly
+            }
+        };
+    };
+
+    // Current residents with their latest payment snapshot and what the Paid ones paid, plus
+    // move-outs awaiting approval and the settlements of ended bookings
+    const payments = async (ownerId) => {
+        const pgIds = await pgIdsOf(ownerId);
+        if (!pgIds || pgIds.length === 0) {
+            return {
+                customers: [], totalEarnings: 0, paidCount: 0, dueCount: 0,
+                exits: { pending: [], settlements: [], totalRefunds: 0, totalOwed: 0 }
+            };
+        }
+
+        const bookings = await customers.listForPgs(db, pgIds, { includePast: true });
+        let totalEarnings = 0;
+        let paidCount = 0;
+        let dueCount = 0;
+
+        bookings.filter(customers.isCurrent).forEach(c => {
+            const amount = parseFloat(c.amount) || 0;
+            if (c.status === 'Paid') {
+                totalEarnings += amount;
+                paidCount++;
+            } else {
+                dueCount++;
+            }
+        });
+
+        const ended = await settlements.listForPgs(db, pgIds);
+        const refunds = ended.map(s => parseFloat(s.refund_amount));
+        const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+        return {
+            customers: bookings,
+            totalEarnings,
+            paidCount,
+            dueCount,
+            exits: {
+                pending: bookings.filter(c => c.booking_status === 'move_out_requested'),
+                settlements: ended,
+                totalRefunds: sum(refunds.filter(r => r > 0)),
+                totalOwed: sum(refunds.filter(r => r < 0).map(r => -r))
+            }
+        };
+    };
+
+    const listVisits = async (ownerId) => {
+        const pgIds = await pgIdsOf(ownerId);
+        return pgIds && pgIds.length > 0 ? visits.listForPgs(db, pgIds) : [];
+    };
+
+    return {
+        login,
+        requestPasswordReset,
+        resetPassword,
+        changePassword,
+        getProfile,
+        updateProfile,
+        setProfilePicture,
+        listGuests,
+        updateGuest,
+        stats,
+        payments,
+        listVisits
+    };
+};
+
+module.exports = { createOwnerService };
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { httpError } = require('../validation');
+const { UNIQUE_VIOLATION, withTransaction, toAmount } = require('../db');
+const { sameEmail } = require('../auth');
+const payments = require('../data/payments');
+const customers = require('../data/customers');
+const inventory = require('../data/inventory');
+const holds = require('../data/holds');
+const deposits = require('../data/deposits');
+
+// Booking through the payment gateway: pricing, gateway orders, turning a paid order into a
+// resident with a bed, and the resident's move-in date afterwards. How a booking ends is in
+// services/bookings.js.
+//
+// The order charges the first month's rent plus the security deposit (the room's deposit, else
+// the PG's deposit_amount); paying records the deposit as held for the booking.
+//
+// Creating an order holds a bed for `holdMinutes` while the resident pays; paying converts the
+// hold into the booking. A resident holds at most one bed per PG at a time.
+
+const holdExists = (hold) => httpError(409, 'You already hold a bed in this PG', {
+    code: 'hold_exists',
+    details: { holdId: hold.id, orderId: hold.gateway_order_id, expiresAt: hold.expires_at }
+});
+
+const createPaymentService = ({ db, gateway, liveHub, clock, rent, holdMinutes }) => {
+    // Server-side price for a booking (one month's rent of the room type and the deposit), and a
+    // check that a bed is free
+    const quote = async (pgId, roomType) => {
+        const price = await inventory.quoteRoomType(db, pgId, roomType);
+        if (!price) throw httpError(404, 'PG not found');
+
+        const { listed_price, room_price, free_beds, room_deposit, pg_deposit } = price;
+        if (free_beds === 0) throw httpError(409, 'No beds available for this room type');
+        const monthlyRent = toAmount(room_price) || toAmount(listed_price);
+        if (!monthlyRent || monthlyRent <= 0) throw httpError(400, 'No price configured for this room type');
+        return { rent: monthlyRent, deposit: toAmount(room_deposit) ?? toAmount(pg_deposit) ?? 0 };
+    };
+
+    // Price comes from the PG's rooms / occupancy_prices, never the client.
+    // Holds a bed and returns what the client needs to open checkout.
+    const createOrder = async ({ name, email, mobile, pgId, roomType, moveInDate }) => {
+        const current = await holds.findActive(db, pgId, email);
+        if (current && new Date(current.expires_at) > clock.now()) throw holdExists(current);
+        // An expired hold the release job hasn't reached yet
+        if (current) await releaseExpiredHolds();
+
+        const price = await quote(pgId, roomType);
+        const amount = price.rent + price.deposit;
+        const bookingId = `BK${clock.now().getTime()}${crypto.randomInt(1000)}`;
+        const order = await gateway.createOrder({
+            amount,
+            currency: 'INR',
+            receipt: bookingId,
+            notes: { pgId: String(pgId), roomType, email }
+        });
+
+        // The bed may have gone while the gateway answered; an unused gateway order simply lapses
+        let hold;
+        try {
+            hold = await withTransaction(db, async (client) => {
+                const bed = await inventory.lockFirstFreeBed(client, pgId, roomType);
+                if (!bed) throw httpError(409, 'No beds available for this room type');
+
+                await inventory.holdBed(client, bed.id);
+                const expiresAt = new Date(clock.now().getTime() + holdMinutes * 60 * 1000);
+                const inserted = await holds.insert(client, { bedId: bed.id, pgId, roomType, email, expiresAt });
+                await payments.insertOrder(client, {
+                    gatewayOrderId: order.id,
+                    bookingId,
+                    pgId,
+                    roomType,
+                    name,
+                    email,
+                    mobile: mobile || null,
+                    moveInDate: moveInDate || null,
+                    amount,
+                    depositAmount: price.deposit,
+                    currency: order.currency || 'INR',
+                    holdId: inserted.id
+                });
+                return inserted;
+            });
+        } catch (error) {
+            // Two checkouts for the same PG at once: the other one holds the bed
+            if (error.code === UNIQUE_VIOLATION) throw holdExists(await holds.findActive(db, pgId, email));
+            throw error;
+        }
+
+        return {
+            id: order.id,
+            amount: order.amount,
+            currency: order.currency,
+            breakdown: { rent: price.rent, deposit: price.deposit },
+            bookingId,
+            keyId: gateway.keyId,
+            hold: { id: hold.id, expiresAt: hold.expires_at }
+        };
+    };
+
+    // The held bed if the order's hold is still active (even past its expiry, until the release
+    // job ends it), else the first free bed of the type. Returns the customer, or null if the type is full.
+    const takeBed = async (client, order, customerId) => {
+        const hold = order.hold_id ? await holds.lockById(client, order.hold_id) : null;
+        if (!hold || hold.status !== 'active' || !hold.bed_id) {
+            return inventory.allocateBed(client, order.pg_id, order.room_type, customerId);
+        }
+
+        await inventory.occupyBed(client, hold.bed_id, customerId);
+        await holds.markConverted(client, hold.id, customerId, clock.now());
+        return customers.assignBed(client, customerId, {
+            id: hold.bed_id, room_number: hold.room_number, floor: hold.floor, sharing_type: hold.room_type
+        });
+    };
+
+    // Turns a verified, paid order into a customer with a bed and an opened rent ledger, and tells
+    // the owner and the resident live. Safe to call more than once (checkout confirmation and webhook
+    // both land here); only the call that creates the booking publishes.
+    const fulfilOrder = async (gatewayOrderId, gatewayPaymentId) => {
+        const fulfilled = await withTransaction(db, async (client) => {
+            const order = await payments.lockOrder(client, gatewayOrderId);
+            if (!order) throw httpError(404, 'Order not found');
+
+            if (order.status === 'paid') {
+                return { order, customer: await customers.findById(client, order.customer_id), created: false };
+            }
+            if (order.status === 'refund_pending') return { order, customer: null, created: false };
+
+            await client.query('SAVEPOINT booking');
+            const inserted = await customers.insertPaid(client, order, clock.now());
+            const allocated = await takeBed(client, order, inserted.id);
+
+            if (!allocated) {
+                // The hold lapsed and the room type sold out before payment: keep the money trail, flag for refund
+                await client.query('ROLLBACK TO SAVEPOINT booking');
+                const flagged = await payments.flagForRefund(client, order.id, gatewayPaymentId, 'No beds available at payment time', clock.now());
+                return { order: flagged, customer: null, created: false };
+            }
+
+            // Open the ledger: the first month's invoice, settled by this payment; the rest is the deposit
+            const depositAmount = parseFloat(order.deposit_amount);
+            const customer = await rent.openLedger(client, allocated.id, {
+                paid: parseFloat(order.amount) - depositAmount,
+                reference: gatewayPaymentId
+            });
+            if (depositAmount > 0) {
+                await deposits.insert(client, {
+                    customerId: customer.id,
+                    pgId: customer.pg_id,
+                    amount: depositAmount,
+                    reference: gatewayPaymentId,
+                    collectedAt: clock.now()
+                });
+            }
+            const paidOrder = await payments.markPaid(client, order.id, gatewayPaymentId, customer.id, clock.now());
+            return { order: paidOrder, customer, created: true };
+        });
+
+        if (fulfilled.created) {
+            const { order, customer } = fulfilled;
+            await liveHub.publish('payment.confirmed', {
+                pgId: customer.pg_id,
+                residents: [customer.email],
+                data: {
+                    booking_id: order.booking_id,
+                    amount: toAmount(order.amount),
+                    paid_at: order.paid_at,
+                    customer: { id: customer.id, name: customer.name, email: customer.email, room_no: customer.room_no, room_type: customer.room_type }
+                }
+            });
+        }
+        return fulfilled;
+    };
+
+    // Checkout confirmation from the resident who placed the order; requires the gateway's signature
+    const confirm = async (email, { orderId, paymentId, signature }) => {
+        if (!gateway.verifyPaymentSignature(orderId, paymentId, signature)) {
+            throw httpError(400, 'Invalid payment signature');
+        }
+
+        const orderEmail = await payments.findOrderEmail(db, orderId);
+        if (orderEmail === null) throw httpError(404, 'Order not found');
+        if (!sameEmail(orderEmail, email)) throw httpError(403, 'Forbidden');
+
+        const { customer, created } = await fulfilOrder(orderId, paymentId);
+        if (!customer) {
+            throw httpError(409, 'No beds available for this room type. Your payment will be refunded.');
+        }
+        return { customer, created };
+    };
+
+    // Webhooks are signed over the raw body with the webhook secret
+    const verifyWebhook = (rawBody, signature) => gateway.verifyWebhookSignature(rawBody, signature);
+
+    // Server-to-server confirmation, once verifyWebhook has passed
+    const handleWebhook = async ({ event, payload }) => {
+        const payment = payload?.payment?.entity;
+        if ((event === 'payment.captured' || event === 'order.paid') && payment?.order_id) {
+            await fulfilOrder(payment.order_id, payment.id);
+        } else if (event === 'payment.failed' && payment?.order_id) {
+            await payments.markFailed(db, payment.order_id, payment.id, payment.error_description || 'Payment failed');
+        }
+    };
+
+    // --- Holds ---
+
+    // A resident giving up checkout puts the bed back on sale before the hold expires
+    const releaseHold = (id, email) => {
+        return withTransaction(db, async (client) => {
+            const hold = await holds.lockById(client, id);
+            if (!hold) throw httpError(404, 'Hold not found');
+            if (!sameEmail(hold.email, email)) throw httpError(403, 'Forbidden');
+            if (hold.status !== 'active') throw httpError(409, `Hold is already ${hold.status}`);
+
+            if (hold.bed_id) await inventory.releaseHeldBeds(client, [hold.bed_id]);
+            return holds.markReleased(client, id, clock.now());
+        });
+    };
+
+    // Run by the hold release job; returns how many beds went back on sale
+    const releaseExpiredHolds = () => {
+        return withTransaction(db, async (client) => {
+            const bedIds = await holds.expireDue(client, clock.now());
+            await inventory.releaseHeldBeds(client, bedIds);
+            return bedIds.length;
+        });
+    };
+
+    // --- Bookings ---
+
+    const setMoveInDate = (customerId, moveInDate) => {
+        return withTransaction(db, async (client) => {
+            const customer = await customers.lockById(client, customerId);
+            if (!customer) throw httpError(404, 'Customer not found');
+            if (!customers.isCurrent(customer)) throw httpError(409, 'Booking has ended');
+            return customers.setMoveInDate(client, customerId, moveInDate);
+        });
+    };
+
+    return {
+        createOrder,
+        fulfilOrder,
+        confirm,
+        verifyWebhook,
+        handleWebhook,
+        releaseHold,
+        releaseExpiredHolds,
+        setMoveInDate
+    };
+};
+
+module.exports = { createPaymentService };
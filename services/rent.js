@@ -0,0 +1,174 @@
+const { httpError } = require('../validation');
+const { withTransaction, toAmount } = require('../db');
+const rent = require('../data/rent');
+const customers = require('../data/customers');
+
+// The rent ledger (monthly invoices and the payments against them) and rent reminders.
+
+// Used for PGs without a rent_reminder_settings row (mirrors the table defaults)
+const RENT_REMINDER_DEFAULTS = {
+    enabled: true,
+    days_before_due: 3,
+    remind_on_due_date: true,
+    days_after_due: 3,
+    escalate_after_days: 7
+};
+const RENT_REMINDER_SETTING_FIELDS = Object.keys(RENT_REMINDER_DEFAULTS);
+
+// Reminders that could not be queued are retried on later runs up to this many attempts
+const RENT_REMINDER_MAX_ATTEMPTS = 3;
+
+// Which resident reminder applies to an invoice `daysPastDue` days after its due date (negative = before)
+const residentReminderStage = (daysPastDue, settings) => {
+    if (settings.days_after_due > 0 && daysPastDue >= settings.days_after_due) return 'overdue';
+    if (daysPastDue >= 0) return settings.remind_on_due_date ? 'due_date' : null;
+    if (settings.days_before_due > 0 && -daysPastDue <= settings.days_before_due) return 'before_due';
+    return null;
+};
+
+const rentReminderData = (row) => ({
+    customerName: row.customer_name,
+    customerEmail: row.customer_email,
+    roomNo: row.room_no,
+    pgTitle: row.pg_title,
+    periodLabel: row.period_label,
+    dueLabel: row.due_label,
+    daysPastDue: row.days_past_due,
+    balance: (parseFloat(row.amount) - parseFloat(row.amount_paid)).toFixed(2)
+});
+
+const createRentService = ({ db, mailer, clock }) => {
+    // Records a payment against an invoice on an open transaction; rejects amounts above the
+    // outstanding balance
+    const recordPayment = async (client, invoiceId, { amount, method = 'online', reference = null, paidAt = null, recordedBy = null }) => {
+        const invoice = await rent.lockInvoice(client, invoiceId);
+        if (!invoice) throw httpError(404, 'Invoice not found');
+        if (invoice.status === 'void') throw httpError(409, 'Invoice was closed when the booking ended');
+
+        const value = toAmount(amount);
+        const balance = parseFloat(invoice.amount) - parseFloat(invoice.amount_paid);
+        if (!value || value <= 0) throw httpError(400, 'Amount must be greater than zero');
+        if (value > balance + 0.005) throw httpError(400, `Amount exceeds outstanding balance of ${balance.toFixed(2)}`);
+
+        const result = await rent.applyPayment(client, invoice, { amount: value, method, reference, paidAt, recordedBy }, clock.now());
+        await rent.refreshRentStatus(client, invoice.customer_id);
+        return result;
+    };
+
+    // Opens a new resident's ledger on an open transaction: sets their rent and issues the first
+    // month's invoice, settled by what they paid at booking. Returns the updated customer.
+    const openLedger = async (client, customerId, { paid, reference }) => {
+        const resident = await rent.assignMonthlyRent(client, customerId);
+        const invoice = await rent.createInvoice(client, resident.id, resident.move_in_date || clock.now(), clock.now());
+        const settled = Math.min(paid, invoice ? parseFloat(invoice.amount) : 0);
+        if (invoice && settled > 0) {
+            await recordPayment(client, invoice.id, { amount: settled, reference, recordedBy: 'gateway' });
+        }
+        return rent.refreshRentStatus(client, resident.id);
+    };
+
+    // A payment received outside the app (cash, UPI, bank transfer), recorded by the owner
+    const recordOwnerPayment = (invoiceId, payment) => {
+        return withTransaction(db, client => recordPayment(client, invoiceId, payment));
+    };
+
+    // Issues a month's invoice (YYYY-MM-01, default this month) to every resident who has moved in
+    // (idempotent per month); returns how many were issued
+    const generateInvoices = (periodDate = null) => {
+        return withTransaction(db, client => rent.issueMonthlyInvoices(client, periodDate, clock.now()));
+    };
+
+    const listOwnerInvoices = (ownerId, { month, status, pgId }) => {
+        return rent.listForOwner(db, ownerId, { month: month ? `${month}-01` : null, status, pgId }, clock.now());
+    };
+
+    // Every invoice of a resident with its payments, and the totals. Void invoices count for what was
+    // paid on them; the booking's settlement covers the rest.
+    const statement = async (customerId) => {
+        const customer = await customers.findForStatement(db, customerId);
+        if (!customer) throw httpError(404, 'Customer not found');
+
+        const invoices = await rent.statement(db, customerId, clock.now());
+        const totals = { billed: 0, paid: 0, outstanding: 0, overdue: 0 };
+        invoices.forEach(invoice => {
+            const paid = parseFloat(invoice.amount_paid);
+            const amount = invoice.status === 'void' ? paid : parseFloat(invoice.amount);
+            totals.billed += amount;
+            totals.paid += paid;
+            totals.outstanding += amount - paid;
+            if (invoice.overdue) totals.overdue += amount - paid;
+        });
+        return { customer, invoices, totals };
+    };
+
+    // --- Reminders ---
+
+    const getReminderSettings = async (pgId) => {
+        return (await rent.findReminderSettings(db, pgId)) || { pg_id: pgId, ...RENT_REMINDER_DEFAULTS };
+    };
+
+    // Only the fields sent are changed; a PG without settings starts from the defaults
+    const updateReminderSettings = (pgId, changes) => {
+        const changed = RENT_REMINDER_SETTING_FIELDS.filter(field => changes[field] !== undefined);
+        const values = Object.fromEntries(RENT_REMINDER_SETTING_FIELDS.map(field =>
+            [field, changes[field] !== undefined ? changes[field] : RENT_REMINDER_DEFAULTS[field]]
+        ));
+        return rent.upsertReminderSettings(db, pgId, values, changed);
+    };
+
+    const reminderLog = (pgId, filters) => rent.reminderLog(db, pgId, filters);
+
+    const queueReminder = async (row, stage, recipient) => {
+        const reminderId = await rent.claimReminder(db, row, stage, recipient, RENT_REMINDER_MAX_ATTEMPTS);
+        if (!reminderId) return null;
+
+        try {
+            const email = stage === 'escalation'
+                ? await mailer.enqueue('rent_escalation', recipient, rentReminderData(row))
+                : await mailer.enqueue('rent_reminder', recipient, { stage, ...rentReminderData(row) });
+            await rent.markReminderQueued(db, reminderId, email.id);
+            return true;
+        } catch (error) {
+            console.error(`Error queueing ${stage} reminder for invoice ${row.id}:`, error);
+            await rent.markReminderFailed(db, reminderId);
+            return false;
+        }
+    };
+
+    // Queues whichever reminders are due today for every open invoice; safe to run any number of times
+    const runReminders = async (onDate = null) => {
+        const rows = await rent.invoicesToRemind(db, onDate, RENT_REMINDER_DEFAULTS, clock.now());
+
+        const summary = { queued: 0, escalations: 0, failed: 0 };
+        for (const row of rows) {
+            const stage = residentReminderStage(row.days_past_due, row);
+            if (stage && row.customer_email) {
+                const queued = await queueReminder(row, stage, row.customer_email);
+                if (queued === true) summary.queued++;
+                if (queued === false) summary.failed++;
+            }
+
+            if (row.escalate_after_days > 0 && row.days_past_due >= row.escalate_after_days && row.owner_email) {
+                const queued = await queueReminder(row, 'escalation', row.owner_email);
+                if (queued === true) summary.escalations++;
+                if (queued === false) summary.failed++;
+            }
+        }
+        return summary;
+    };
+
+    return {
+        recordPayment,
+        openLedger,
+        recordOwnerPayment,
+        generateInvoices,
+        listOwnerInvoices,
+        statement,
+        getReminderSettings,
+        updateReminderSettings,
+        reminderLog,
+        runReminders
+    };
+};
+
+module.exports = { createRentService, RENT_REMINDER_DEFAULTS };
@@ -0,0 +1,141 @@
+const { httpError } = require('../validation');
+const { withTransaction, UNIQUE_VIOLATION } = require('../db');
+const listings = require('../data/listings');
+const reviews = require('../data/reviews');
+const { encodeCursor, resumeAfter } = require('./cursors');
+
+// Resident reviews of a PG and the listing's rating.
+//
+// Only signed-in residents who stayed at the PG review it: a booking that was not cancelled, or a
+// completed visit. Each stay gets one review; a new review is about the reviewer's latest stay
+// without one. Reviewers edit their own reviews, anyone signed in can report one, super admins hide
+// and restore them, and the PG's owner replies publicly. Every change that can move the rating
+// recomputes it from the visible reviews inside the same transaction, under a lock on the listing.
+// That rating only averages the overall stars; the optional sub-ratings (REVIEW_DIMENSIONS) are
+// averaged separately in the summary.
+
+const createReviewService = ({ db, clock }) => {
+    // Runs `fn` with the listing locked, then recomputes its rating
+    const withRating = (pgId, fn) => {
+        return withTransaction(db, async (client) => {
+            if (!(await listings.lockForRating(client, pgId))) throw httpError(404, 'PG not found');
+            const result = await fn(client);
+            await reviews.refreshRating(client, pgId);
+            return result;
+        });
+    };
+
+    const findOrFail = async (id) => {
+        const review = await reviews.findPublic(db, id);
+        if (!review) throw httpError(404, 'Review not found');
+        return review;
+    };
+
+    const lockReview = async (client, id) => {
+        const review = await reviews.lockById(client, id);
+        if (!review) throw httpError(404, 'Review not found');
+        return review;
+    };
+
+    // `reviewer` is the signed-in resident ({ sub, email })
+    const add = async (pgId, reviewer, { userName, rating, ratings, reviewText, reviewImages }) => {
+        try {
+            return await withRating(pgId, async (client) => {
+                const stays = await reviews.staysOf(client, pgId, reviewer.email);
+                if (stays.length === 0) {
+                    throw httpError(403, 'Only residents who have stayed at or visited this PG can review it');
+                }
+                const stay = stays.find(s => s.review_id === null);
+                if (!stay) throw httpError(409, 'You have already reviewed your stay at this PG');
+
+                return reviews.insert(client, pgId, {
+                    userId: reviewer.sub,
+                    customerId: stay.kind === 'booking' ? stay.id : null,
+                    visitId: stay.kind === 'visit' ? stay.id : null,
+                    userName: userName || stay.name || reviewer.email.split('@')[0],
+                    rating,
+                    ratings,
+                    reviewText: reviewText || '',
+                    reviewImages: reviewImages || []
+                }, clock.now());
+            });
+        } catch (error) {
+            // The same stay reviewed twice at once
+            if (error.code === UNIQUE_VIOLATION) throw httpError(409, 'You have already reviewed your stay at this PG');
+            throw error;
+        }
+    };
+
+    // A page of visible reviews: sort 'newest' (default), 'highest' or 'lowest'
+    const list = async (pgId, { sort = 'newest', limit, cursor }) => {
+        const after = resumeAfter(cursor, sort, reviews.REVIEW_SORTS[sort].type);
+        if (!(await listings.exists(db, pgId))) throw httpError(404, 'PG not found');
+
+        const rows = await reviews.listPage(db, pgId, { sortName: sort, after, limit });
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        return {
+            results: page.map(({ sort_key, ...review }) => review),
+            nextCursor: rows.length > limit ? encodeCursor([sort, last.sort_key, last.id]) : null
+        };
+    };
+
+    // The headline rating with a star histogram, sub-rating averages and the last `months` months
+    const summary = async (pgId, { months }) => {
+        const listing = await listings.findRating(db, pgId);
+        if (!listing) throw httpError(404, 'PG not found');
+
+        const [histogram, dimensions, trend] = await Promise.all([
+            reviews.histogram(db, pgId),
+            reviews.dimensionAverages(db, pgId),
+            reviews.monthlyTrend(db, pgId, months, clock.now())
+        ]);
+        return { rating: listing.rating, count: listing.rating_count, histogram, dimensions, trend };
+    };
+
+    // The reviewer's own review only; hidden reviews stay hidden after an edit
+    const edit = async (id, reviewer, changes) => {
+        const { pg_id: pgId } = await findOrFail(id);
+        return withRating(pgId, async (client) => {
+            const review = await lockReview(client, id);
+            if (review.user_id === null || String(review.user_id) !== String(reviewer.sub)) {
+                throw httpError(403, 'You can only edit your own review');
+            }
+            return reviews.updateContent(client, id, changes, clock.now());
+        });
+    };
+
+    const report = (id, reporter, { reason }) => {
+        return withTransaction(db, async (client) => {
+            await lockReview(client, id);
+            if (!(await reviews.insertReport(client, id, { email: reporter.email, reason }, clock.now()))) {
+                throw httpError(409, 'You have already reported this review');
+            }
+        });
+    };
+
+    // Super admin: status 'hidden' or 'visible'
+    const moderate = async (id, { status, reason, actor }) => {
+        const { pg_id: pgId } = await findOrFail(id);
+        return withRating(pgId, async (client) => {
+            const review = await lockReview(client, id);
+            if (review.status === status) throw httpError(409, `Review is already ${status}`);
+            return reviews.moderate(client, id, { status, by: actor, reason }, clock.now());
+        });
+    };
+
+    const listForModeration = (filters) => reviews.listForModeration(db, filters);
+
+    // The PG owner's public reply; null removes it
+    const reply = async (id, text) => {
+        return withTransaction(db, async (client) => {
+            await lockReview(client, id);
+            await reviews.setReply(client, id, text, clock.now());
+            return reviews.findPublic(client, id);
+        });
+    };
+
+    return { add, list, summary, edit, report, moderate, listForModeration, reply };
+};
+
+module.exports = { createReviewService };
@@ -0,0 +1,88 @@
+const { httpError } = require('../validation');
+const search = require('../data/search');
+const { encodeCursor, resumeAfter } = require('./cursors');
+
+// Public listing search: filtered and full-text search, autocomplete, nearby search and geocoding.
+// Pages are addressed with opaque cursors (services/cursors.js).
+
+const { PG_SEARCH_SORTS, prefixTsQuery } = search;
+
+const createSearchService = ({ db, geocoder }) => {
+    // Adds title_highlight and snippet to result cards when the search had a `q`
+    const withHighlights = async (rows, tsQuery) => {
+        if (!tsQuery) return rows;
+        const highlights = await search.listingHighlights(db, rows.map(row => row.id), tsQuery);
+        return rows.map(row => ({ ...row, ...highlights[row.id] }));
+    };
+
+    // Resolves an address to { lat, lon, display_name }; 404 when nothing matches, 502 when the geocoder fails
+    const geocode = async (address) => {
+        let place;
+        try {
+            place = await geocoder.lookup(address);
+        } catch (error) {
+            console.error('Error geocoding address:', error.message);
+            throw httpError(502, 'Geocoding failed');
+        }
+        if (!place) throw httpError(404, 'Address not found');
+        return place;
+    };
+
+    // With `q`, results default to relevance order and carry title_highlight and snippet
+    const searchListings = async (query) => {
+        const { limit } = query;
+        const sortName = query.sort || (query.q ? 'relevance' : 'newest');
+        const after = resumeAfter(query.cursor, sortName, PG_SEARCH_SORTS[sortName].type);
+
+        const { rows, tsQuery } = await search.searchListings(db, query, { sortName, after, limit });
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        return {
+            results: await withHighlights(page.map(({ sort_key, ...card }) => card), tsQuery),
+            nextCursor: rows.length > limit ? encodeCursor([sortName, last.sort_key, last.id]) : null
+        };
+    };
+
+    const autocomplete = async ({ q, limit }) => {
+        const tsQuery = prefixTsQuery(q);
+        return { suggestions: tsQuery ? await search.autocomplete(db, tsQuery, limit) : [] };
+    };
+
+    // Nearest first around lat/lng, a geocoded address, or the centre of a bbox. With a bbox the map
+    // view is the search area; otherwise a radius around the centre.
+    const nearby = async (query) => {
+        const { address, lat, lng, limit } = query;
+        const bbox = query.bbox || null;
+        const radiusKm = bbox ? null : query.radiusKm;
+        const after = resumeAfter(query.cursor, 'distance', 'float8');
+
+        let center;
+        if (lat !== undefined) {
+            center = { lat, lng };
+        } else if (address) {
+            const place = await geocode(address);
+            center = { lat: parseFloat(place.lat), lng: parseFloat(place.lon), display_name: place.display_name };
+        } else {
+            center = { lat: (bbox.minLat + bbox.maxLat) / 2, lng: (bbox.minLng + bbox.maxLng) / 2 };
+        }
+
+        const box = bbox || search.boundingBox(center.lat, center.lng, radiusKm);
+        const { rows, tsQuery } = await search.nearbyListings(db, query, { center, box, radiusKm, after, limit });
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        return {
+            center,
+            radiusKm,
+            bbox,
+            results: await withHighlights(
+                page.map(({ distance: km, ...card }) => ({ ...card, distance_km: Math.round(km * 100) / 100 })),
+                tsQuery
+            ),
+            nextCursor: rows.length > limit ? encodeCursor(['distance', String(last.distance), last.id]) : null
+        };
+    };
+
+    return { geocode, searchListings, autocomplete, nearby };
+};
+
+module.exports = { createSearchService, PG_SEARCH_SORTS, prefixTsQuery };
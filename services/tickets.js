@@ -0,0 +1,269 @@
+const { httpError } = require('../validation');
+const { withTransaction } = require('../db');
+const listings = require('../data/listings');
+const tickets = require('../data/tickets');
+
+// Maintenance tickets: current residents report problems in their PG and room, and the owner
+// works them through to resolution, with a comment thread between the two and an email at each step.
+//
+// Every ticket gets two SLA due times from its priority: a first response (assigning it) and a
+// resolution. Changing the priority moves both, counted from when the ticket was raised. An hourly
+// job emails the owner once about each active ticket past its resolution time, and closes tickets
+// that residents have left resolved for AUTO_CLOSE_DAYS.
+
+// Allowed status changes. `by` is informational; routes enforce who may act.
+//   open -> assigned -> in_progress -> resolved -> closed
+//   open | assigned | in_progress -> resolved (owner fixes it straight away)
+//   resolved -> assigned (or open, if nobody was assigned) when the resident reopens it
+const TICKET_TRANSITIONS = {
+    assign:  { from: ['open', 'assigned'], to: () => 'assigned', verb: 'assign', by: 'owner' },
+    start:   { from: ['assigned'], to: () => 'in_progress', verb: 'start work on', by: 'owner' },
+    resolve: { from: ['open', 'assigned', 'in_progress'], to: () => 'resolved', verb: 'resolve', by: 'owner' },
+    reopen:  { from: ['resolved'], to: ticket => (ticket.assignee ? 'assigned' : 'open'), verb: 'reopen', by: 'resident' },
+    close:   { from: ['resolved'], to: () => 'closed', verb: 'close', by: 'resident or owner' }
+};
+
+const TICKET_STATUS_LABELS = {
+    open: 'Open',
+    assigned: 'Assigned',
+    in_progress: 'In progress',
+    resolved: 'Resolved',
+    closed: 'Closed'
+};
+
+// Hours to the first response and to resolution, by priority
+const SLA_HOURS = {
+    urgent: { response: 2, resolution: 24 },
+    high: { response: 8, resolution: 48 },
+    medium: { response: 24, resolution: 72 },
+    low: { response: 48, resolution: 168 }
+};
+
+const AUTO_CLOSE_DAYS = 7;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const dueTimes = (createdAt, priority) => ({
+    response_due_at: new Date(new Date(createdAt).getTime() + SLA_HOURS[priority].response * HOUR_MS),
+    resolution_due_at: new Date(new Date(createdAt).getTime() + SLA_HOURS[priority].resolution * HOUR_MS)
+});
+
+// 'met' / 'breached' once done, otherwise 'pending' / 'overdue' at `now`
+const slaState = (dueAt, doneAt, now) => {
+    if (doneAt) return new Date(doneAt) <= new Date(dueAt) ? 'met' : 'breached';
+    return now >= new Date(dueAt) ? 'overdue' : 'pending';
+};
+
+const createTicketService = ({ db, mailer, clock }) => {
+    // Adds { sla: { response, resolution } }; resolving a ticket also counts as responding to it
+    const withSla = (ticket) => {
+        const now = clock.now();
+        return {
+            ...ticket,
+            sla: {
+                response: {
+                    due_at: ticket.response_due_at,
+                    state: slaState(ticket.response_due_at, ticket.assigned_at || ticket.resolved_at, now)
+                },
+                resolution: {
+                    due_at: ticket.resolution_due_at,
+                    state: slaState(ticket.resolution_due_at, ticket.resolved_at, now)
+                }
+            }
+        };
+    };
+
+    const findOrFail = async (id) => {
+        const ticket = await tickets.findById(db, id);
+        if (!ticket) throw httpError(404, 'Ticket not found');
+        return ticket;
+    };
+
+    // Emails about a ticket; a queueing failure doesn't undo the change
+    const notify = async (ticket, template, recipient, extra = {}) => {
+        try {
+            if (!recipient) return;
+            await mailer.enqueue(template, recipient, {
+                id: ticket.id,
+                title: ticket.title,
+                pgTitle: ticket.pg_title || 'your PG',
+                roomNo: ticket.room_number,
+                category: ticket.category,
+                priority: ticket.priority,
+                status: TICKET_STATUS_LABELS[ticket.status],
+                assignee: ticket.assignee,
+                note: ticket.resolution_note,
+                reporterName: ticket.reporter_name,
+                ...extra
+            });
+        } catch (error) {
+            console.error(`Error queueing ${template} email for ticket ${ticket.id}:`, error);
+        }
+    };
+
+    const ownerEmailOf = async (ticket) => {
+        const pg = await listings.findOwner(db, ticket.pg_id);
+        return pg ? pg.owner_email : null;
+    };
+
+    // `reporter` is the signed-in resident ({ email }); they need a current booking in the PG
+    const create = async (pgId, reporter, { category, priority, title, description, photos }) => {
+        const pg = await listings.findOwner(db, pgId);
+        if (!pg) throw httpError(404, 'PG not found');
+        const stay = await tickets.currentStay(db, pgId, reporter.email);
+        if (!stay) throw httpError(403, 'Only current residents of this PG can raise tickets');
+
+        const now = clock.now();
+        const due = dueTimes(now, priority);
+        const id = await tickets.insert(db, {
+            pgId,
+            customerId: stay.id,
+            roomId: stay.room_id,
+            roomNumber: stay.room_number,
+            reporterEmail: reporter.email,
+            reporterName: stay.name,
+            category,
+            priority,
+            title,
+            description,
+            photos: photos || [],
+            responseDueAt: due.response_due_at,
+            resolutionDueAt: due.resolution_due_at
+        }, now);
+
+        const ticket = await tickets.findById(db, id);
+        await notify(ticket, 'ticket_raised', pg.owner_email, { description, reporterEmail: reporter.email });
+        return withSla(ticket);
+    };
+
+    // Applies a workflow action under a row lock; `changes` are extra columns to set.
+    // Throws 409 for a disallowed transition.
+    const transition = async (id, action, changes = {}) => {
+        const { from, to, verb } = TICKET_TRANSITIONS[action];
+        await withTransaction(db, async (client) => {
+            const ticket = await tickets.lockById(client, id);
+            if (!ticket) throw httpError(404, 'Ticket not found');
+            if (!from.includes(ticket.status)) throw httpError(409, `Cannot ${verb} a ticket that is ${TICKET_STATUS_LABELS[ticket.status].toLowerCase()}`);
+
+            const updates = typeof changes === 'function' ? changes(ticket) : changes;
+            await tickets.update(client, id, { status: to(ticket), ...updates }, clock.now());
+        });
+        return tickets.findById(db, id);
+    };
+
+    // --- Owner Actions ---
+
+    const assign = async (id, { assignee }) => {
+        const ticket = await transition(id, 'assign', current => ({
+            assignee,
+            assigned_at: current.assigned_at || clock.now()
+        }));
+        await notify(ticket, 'ticket_updated', ticket.reporter_email);
+        return withSla(ticket);
+    };
+
+    const start = async (id) => {
+        const ticket = await transition(id, 'start', current => ({ started_at: current.started_at || clock.now() }));
+        await notify(ticket, 'ticket_updated', ticket.reporter_email);
+        return withSla(ticket);
+    };
+
+    const resolve = async (id, { note }) => {
+        const ticket = await transition(id, 'resolve', { resolution_note: note, resolved_at: clock.now() });
+        await notify(ticket, 'ticket_updated', ticket.reporter_email);
+        return withSla(ticket);
+    };
+
+    // Re-triage: priority (which moves the SLA due times) and assignee
+    const update = async (id, { priority, assignee }) => {
+        await withTransaction(db, async (client) => {
+            const ticket = await tickets.lockById(client, id);
+            if (!ticket) throw httpError(404, 'Ticket not found');
+            if (ticket.status === 'closed') throw httpError(409, 'Ticket is closed');
+            if (assignee !== undefined && ticket.status === 'open') {
+                throw httpError(409, 'Assign an open ticket with PUT /api/tickets/:id/assign');
+            }
+
+            await tickets.update(client, id, {
+                ...(priority !== undefined ? { priority, ...dueTimes(ticket.created_at, priority) } : {}),
+                ...(assignee !== undefined ? { assignee } : {})
+            }, clock.now());
+        });
+        return withSla(await tickets.findById(db, id));
+    };
+
+    // --- Resident Actions ---
+
+    const reopen = async (id, { reason }) => {
+        const ticket = await transition(id, 'reopen', current => ({
+            resolved_at: null,
+            resolution_note: null,
+            escalated_at: null,
+            reopen_count: current.reopen_count + 1
+        }));
+        await notify(ticket, 'ticket_reopened', await ownerEmailOf(ticket), { reason });
+        return withSla(ticket);
+    };
+
+    // The resident confirms the fix, or the owner closes it; the resident hears when the owner does
+    const close = async (id, actor) => {
+        const ticket = await transition(id, 'close', { closed_at: clock.now() });
+        if (actor.role !== 'resident') await notify(ticket, 'ticket_updated', ticket.reporter_email);
+        return withSla(ticket);
+    };
+
+    // --- Reading ---
+
+    const get = async (id) => {
+        const ticket = await findOrFail(id);
+        return { ...withSla(ticket), comments: await tickets.listComments(db, id) };
+    };
+
+    // The owner's queue for one PG, with counts per status
+    const dashboard = async (pgId, filters) => {
+        if (!(await listings.exists(db, pgId))) throw httpError(404, 'PG not found');
+        const now = clock.now();
+        const [counts, rows] = await Promise.all([
+            tickets.countsForPg(db, pgId, now),
+            tickets.listForPg(db, pgId, filters, now)
+        ]);
+        return { counts, tickets: rows.map(withSla) };
+    };
+
+    const listForReporter = async (email) => (await tickets.listForReporter(db, email)).map(withSla);
+
+    // --- Comments ---
+
+    // From the reporter or the PG's owner (routes check which); emails the other side
+    const comment = async (id, author, { body, photos }) => {
+        const ticket = await findOrFail(id);
+        if (ticket.status === 'closed') throw httpError(409, 'Ticket is closed');
+
+        const saved = await tickets.insertComment(db, id, {
+            authorEmail: author.email,
+            authorRole: author.role,
+            body,
+            photos: photos || []
+        }, clock.now());
+        const recipient = author.role === 'resident' ? await ownerEmailOf(ticket) : ticket.reporter_email;
+        await notify(ticket, 'ticket_comment', recipient, { comment: body, author: author.role === 'resident' ? ticket.reporter_name : 'The owner' });
+        return saved;
+    };
+
+    // --- SLA Job ---
+
+    // Emails owners about newly overdue tickets and closes long-resolved ones: { escalated, closed }
+    const runSlaChecks = async () => {
+        const now = clock.now();
+        const overdue = await tickets.claimOverdue(db, now);
+        for (const ticket of overdue) await notify(ticket, 'ticket_overdue', ticket.owner_email);
+
+        const cutoff = new Date(now.getTime() - AUTO_CLOSE_DAYS * 24 * HOUR_MS);
+        const closed = await tickets.closeResolvedBefore(db, cutoff, now);
+        return { escalated: overdue.length, closed };
+    };
+
+    return { create, assign, start, resolve, update, reopen, close, get, dashboard, listForReporter, comment, runSlaChecks };
+};
+
+module.exports = { createTicketService, SLA_HOURS };
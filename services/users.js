@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { httpError } = require('../validation');
+const { hashToken } = require('../auth');
+const users = require('../data/users');
+const customers = require('../data/customers');
+const listings = require('../data/listings');
+
+// Residents: sign-in with an emailed one-time code, their profile, and the PG they live in.
+
+const LOGIN_CODE_TTL_MINUTES = 10;
+// Guesses allowed per window, over every code issued in it
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+const LOGIN_CODE_MAX_REQUESTS = 5;
+const LOGIN_CODE_WINDOW_MINUTES = 60;
+
+const createUserService = ({ db, mailer, tokens, clock }) => {
+    const requestLoginCode = async (email) => {
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const stored = await users.setLoginCode(db, email, hashToken(code), {
+            ttlMinutes: LOGIN_CODE_TTL_MINUTES,
+            maxRequests: LOGIN_CODE_MAX_REQUESTS,
+            windowMinutes: LOGIN_CODE_WINDOW_MINUTES
+        }, clock.now());
+        if (!stored) throw httpError(429, 'Too many login codes requested; try again later');
+        await mailer.enqueue('login_code', email, { code, ttlMinutes: LOGIN_CODE_TTL_MINUTES });
+    };
+
+    // Every attempt counts towards the limit, right or wrong. Returns { token, user }.
+    const login = async (email, code) => {
+        const user = await users.countLoginAttempt(db, email);
+        const valid = user
+            && user.login_code_attempts <= LOGIN_CODE_MAX_ATTEMPTS
+            && new Date(user.login_code_expires_at) > clock.now()
+            && hashToken(code) === user.login_code_hash;
+        if (!valid) throw httpError(401, 'Invalid or expired code');
+
+        await users.clearLoginCode(db, user.id);
+        const token = tokens.sign({ sub: user.id, email: user.email, role: 'resident' });
+        return { token, user: { id: user.id, email: user.email, phone: user.phone } };
+    };
+
+    // Creates the profile on first save; returns { user, created }
+    const saveProfile = async ({ email, phone }) => {
+        if (await users.findByEmail(db, email)) {
+            return { user: await users.updatePhone(db, email, phone), created: false };
+        }
+        return { user: await users.insert(db, { email, phone }), created: true };
+    };
+
+    // An empty profile for residents who haven't saved one
+    const getProfile = async (email) => {
+        return (await users.findByEmail(db, email)) || { email, phone: null };
+    };
+
+    // The PG of the resident's latest booking
+    const myPg = async (email) => {
+        const customer = await customers.latestByEmail(db, email);
+        if (!customer) return { hasPG: false };
+
+        const pg = await listings.findWithRooms(db, customer.pg_id);
+        if (!pg) return { hasPG: false };
+        return { hasPG: true, pg, customer };
+    };
+
+    return { requestLoginCode, login, saveProfile, getProfile, myPg };
+};
+
+module.exports = { createUserService };
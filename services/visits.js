@@ -0,0 +1,245 @@
+const { httpError } = require('../validation');
+const { withTransaction } = require('../db');
+const listings = require('../data/listings');
+const visits = require('../data/visits');
+
+// Visit requests: booking a slot in a PG's visiting hours, and the request's lifecycle between
+// the requester and the PG's owner, with an email at each step.
+
+// Allowed status changes. `by` is informational; routes enforce who may act. `event` is the live
+// update published when the change is made (see live.js).
+//   pending  -> approved | rejected | proposed (owner), pending (rescheduled) | cancelled (requester)
+//   proposed -> approved (requester accepts) | pending | cancelled (requester) | rejected (owner)
+//   approved -> completed | no_show (owner, once the date arrives), proposed (owner),
+//               pending | cancelled (requester)
+const VISIT_TRANSITIONS = {
+    approve:    { from: ['pending'], to: 'approved', verb: 'approve', by: 'owner', event: 'visit.approved' },
+    reject:     { from: ['pending', 'proposed'], to: 'rejected', verb: 'reject', by: 'owner' },
+    propose:    { from: ['pending', 'approved'], to: 'proposed', verb: 'propose a new slot for', by: 'owner' },
+    accept:     { from: ['proposed'], to: 'approved', verb: 'accept', by: 'requester', event: 'visit.approved' },
+    reschedule: { from: ['pending', 'proposed', 'approved'], to: 'pending', verb: 'reschedule', by: 'requester' },
+    cancel:     { from: ['pending', 'proposed', 'approved'], to: 'cancelled', verb: 'cancel', by: 'requester' },
+    complete:   { from: ['approved'], to: 'completed', verb: 'complete', by: 'owner' },
+    no_show:    { from: ['approved'], to: 'no_show', verb: 'mark as no-show', by: 'owner' }
+};
+
+const VISIT_STATUS_LABELS = {
+    pending: 'Waiting for approval',
+    proposed: 'Owner proposed another time',
+    approved: 'Approved ✓',
+    rejected: 'Not approved ✗',
+    cancelled: 'Cancelled',
+    completed: 'Visited',
+    no_show: 'Missed'
+};
+
+// Visiting hours for PGs whose owner hasn't published any: every day, 10:00-18:00
+const DEFAULT_VISIT_HOURS = { start: '10:00', end: '18:00', slotMinutes: 30, capacity: 2 };
+const MAX_SLOT_RANGE_DAYS = 31;
+
+const createVisitService = ({ db, mailer, liveHub, clock }) => {
+    const listSlots = (client, pgId, fromDate, toDate, { ignoreVisitId = null } = {}) => {
+        return visits.listSlots(client, pgId, fromDate, toDate, { ignoreVisitId, defaults: DEFAULT_VISIT_HOURS, now: clock.now() });
+    };
+
+    // Throws unless date/time (validated YYYY-MM-DD / HH:MM) is an open slot with room left. Call inside
+    // the transaction that writes the visit; the advisory lock serialises bookings for the PG until it commits.
+    const assertSlotOpen = async (client, pgId, visitDate, visitTime, ignoreVisitId = null) => {
+        await visits.lockSlots(client, pgId);
+        const slots = await listSlots(client, pgId, visitDate, visitDate, { ignoreVisitId });
+        const slot = slots.find(s => s.time === visitTime);
+        if (!slot) throw httpError(400, 'That time is not an open visiting slot');
+        if (slot.booked >= slot.capacity) throw httpError(409, 'That visiting slot is full');
+    };
+
+    // Applies a lifecycle action to a visit request under a row lock. `changes` are extra columns to
+    // set, or a (possibly async) function of the current row and client returning them.
+    // Throws 409 for a disallowed transition.
+    const transition = (id, action, changes = {}) => {
+        const { from, to, verb } = VISIT_TRANSITIONS[action];
+        return withTransaction(db, async (client) => {
+            const visit = await visits.lockWithDateReached(client, id, clock.now());
+            if (!visit) throw httpError(404, 'Visit request not found');
+
+            if (!from.includes(visit.status)) throw httpError(409, `Cannot ${verb} a visit request that is ${visit.status}`);
+            if ((action === 'complete' || action === 'no_show') && !visit.date_reached) {
+                throw httpError(409, 'The visit date has not arrived yet');
+            }
+
+            const updates = typeof changes === 'function' ? await changes(visit, client) : changes;
+            return visits.setStatus(client, id, to, updates);
+        });
+    };
+
+    // Emails about a visit request, to the requester or the PG's owner; a queueing failure
+    // doesn't undo the status change
+    const notify = async (visit, template, to = 'requester') => {
+        try {
+            const { title, owner_email, visit_day, proposed_day } = await visits.findEmailDetails(db, visit.id);
+            const recipient = to === 'owner' ? owner_email || visit.owner_email : visit.user_email;
+            if (!recipient) return;
+
+            await mailer.enqueue(template, recipient, {
+                name: visit.user_name,
+                userEmail: visit.user_email,
+                pgTitle: title || 'the PG',
+                visitDate: visit_day,
+                visitTime: visit.visit_time,
+                proposedDate: proposed_day,
+                proposedTime: visit.proposed_time,
+                note: visit.owner_note,
+                reason: visit.cancel_reason
+            });
+        } catch (error) {
+            console.error(`Error queueing ${template} email for visit ${visit.id}:`, error);
+        }
+    };
+
+    // Live update to the PG's owner and the requester
+    const publish = (type, visit) => liveHub.publish(type, { pgId: visit.pg_id, residents: [visit.user_email], data: { visit } });
+
+    // Transitions, then emails the other party and publishes the transition's live update
+    const act = async (id, action, changes, notification) => {
+        const visit = await transition(id, action, changes);
+        if (notification) await notify(visit, notification.template, notification.to);
+        if (VISIT_TRANSITIONS[action].event) await publish(VISIT_TRANSITIONS[action].event, visit);
+        return visit;
+    };
+
+    // A second request for the same PG while one is pending reschedules it.
+    // Returns { visit, created }.
+    const request = async ({ userEmail, userName, pgId, visitDate, visitTime }) => {
+        const pg = await listings.findOwner(db, pgId);
+        if (!pg) throw httpError(404, 'PG not found');
+
+        const pendingId = await visits.findPendingId(db, userEmail, pgId);
+        if (pendingId) {
+            const visit = await act(pendingId, 'reschedule', async (current, client) => {
+                await assertSlotOpen(client, pgId, visitDate, visitTime, current.id);
+                return { visit_date: visitDate, visit_time: visitTime };
+            }, { template: 'visit_rescheduled', to: 'owner' });
+            return { visit, created: false };
+        }
+
+        // The owner is always the listing's owner
+        const visit = await withTransaction(db, async (client) => {
+            await assertSlotOpen(client, pgId, visitDate, visitTime);
+            return visits.insert(client, {
+                userEmail, userName: userName || '', pgId, ownerEmail: pg.owner_email || '', visitDate, visitTime
+            });
+        });
+        await notify(visit, 'visit_requested', 'owner');
+        await publish('visit.created', visit);
+        return { visit, created: true };
+    };
+
+    const listForRequester = (email) => visits.listForRequester(db, email);
+
+    // --- Owner Actions ---
+
+    const approve = (id, { note }) => act(id, 'approve', { owner_note: note || null }, { template: 'visit_approved' });
+
+    const reject = (id, { note }) => act(
+        id, 'reject',
+        { owner_note: note || null, proposed_date: null, proposed_time: null },
+        { template: 'visit_rejected' }
+    );
+
+    // The requester accepts the proposed slot or reschedules
+    const propose = (id, { visitDate, visitTime, note }) => act(id, 'propose', async (visit, client) => {
+        await assertSlotOpen(client, visit.pg_id, visitDate, visitTime, visit.id);
+        return { proposed_date: visitDate, proposed_time: visitTime, owner_note: note || null };
+    }, { template: 'visit_proposed' });
+
+    const complete = (id) => act(id, 'complete');
+    const markNoShow = (id) => act(id, 'no_show');
+
+    // --- Requester Actions ---
+
+    const accept = (id) => act(id, 'accept', visit => ({
+        visit_date: visit.proposed_date,
+        visit_time: visit.proposed_time,
+        proposed_date: null,
+        proposed_time: null
+    }), { template: 'visit_proposal_accepted', to: 'owner' });
+
+    // Goes back to the owner for approval
+    const reschedule = (id, { visitDate, visitTime }) => act(id, 'reschedule', async (visit, client) => {
+        await assertSlotOpen(client, visit.pg_id, visitDate, visitTime, visit.id);
+        return { visit_date: visitDate, visit_time: visitTime, proposed_date: null, proposed_time: null };
+    }, { template: 'visit_rescheduled', to: 'owner' });
+
+    // cancelledBy is 'requester' or 'admin'
+    const cancel = (id, { cancelledBy, reason }) => act(
+        id, 'cancel',
+        { cancelled_by: cancelledBy, cancel_reason: reason || null },
+        { template: 'visit_cancelled', to: 'owner' }
+    );
+
+    // --- Visiting Schedule ---
+
+    const getHours = async (pgId) => {
+        const [hours, blackouts] = await Promise.all([
+            visits.listHours(db, pgId),
+            visits.listUpcomingBlackouts(db, pgId, clock.now())
+        ]);
+        return {
+            usingDefaults: hours.length === 0,
+            hours: hours.length > 0
+                ? hours
+                : [0, 1, 2, 3, 4, 5, 6].map(weekday => ({ weekday, ...DEFAULT_VISIT_HOURS })),
+            blackouts
+        };
+    };
+
+    // Replaces the weekly schedule; an empty list restores the defaults
+    const setHours = (pgId, hours) => withTransaction(db, client => visits.replaceHours(client, pgId, hours));
+
+    const addBlackout = (pgId, { date, reason }) => visits.upsertBlackout(db, pgId, date, reason || null);
+
+    const removeBlackout = async (pgId, date) => {
+        if (!(await visits.removeBlackout(db, pgId, date))) throw httpError(404, 'Blackout date not found');
+    };
+
+    // Open slots grouped by day, from `from` (default today) to `to` (default a week)
+    const openSlots = async (pgId, { from, to }) => {
+        const { from_date: fromDate, to_date: toDate, days } = await visits.resolveRange(db, from, to, clock.now());
+        if (days < 0) throw httpError(400, 'to must not be before from');
+        if (days >= MAX_SLOT_RANGE_DAYS) throw httpError(400, `Range is limited to ${MAX_SLOT_RANGE_DAYS} days`);
+
+        if (!(await listings.exists(db, pgId))) throw httpError(404, 'PG not found');
+
+        const slots = await listSlots(db, pgId, fromDate, toDate);
+        const byDate = new Map();
+        slots.forEach(({ date, time, capacity, booked }) => {
+            if (!byDate.has(date)) byDate.set(date, []);
+            byDate.get(date).push({ time, capacity, booked, available: Math.max(capacity - booked, 0) });
+        });
+
+        return {
+            from: fromDate,
+            to: toDate,
+            days: [...byDate].map(([date, daySlots]) => ({ date, slots: daySlots }))
+        };
+    };
+
+    return {
+        request,
+        listForRequester,
+        approve,
+        reject,
+        propose,
+        complete,
+        markNoShow,
+        accept,
+        reschedule,
+        cancel,
+        getHours,
+        setHours,
+        addBlackout,
+        removeBlackout,
+        openSlots
+    };
+};
+
+module.exports = { createVisitService, VISIT_STATUS_LABELS };
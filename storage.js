@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Uploaded files: pluggable storage drivers and the image pipeline.
+//
+// Images are checked by content (not by the client's filename or MIME type), auto-rotated,
+// stripped of metadata, capped at MAX_DIMENSION and stored with a fixed-size WebP thumbnail
+// next to them. Only the resulting URLs go into the database.
+//
+// Drivers implement put(key, buffer, contentType) -> url, remove(key) and keyFromUrl(url),
+// which returns null for URLs the driver didn't produce.
+
+// --- Drivers ---
+
+// Files on local disk, served by the app under `baseUrl` (see app.js)
+const localDriver = ({ dir, baseUrl }) => {
+    const root = path.resolve(dir);
+    const prefix = `${baseUrl.replace(/\/+$/, '')}/`;
+    const filePath = (key) => {
+        const resolved = path.resolve(root, key);
+        if (!resolved.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return resolved;
+    };
+
+    return {
+        name: 'local',
+        dir: root,
+        baseUrl: prefix.slice(0, -1),
+        async put(key, buffer) {
+            const target = filePath(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.writeFile(target, buffer);
+            return prefix + key;
+        },
+        async remove(key) {
+            await fs.promises.rm(filePath(key), { force: true });
+        },
+        keyFromUrl(url) {
+            if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+            const key = url.slice(prefix.length);
+            return key && !key.split('/').includes('..') ? key : null;
+        }
+    };
+};
+
+// Keeps files in memory; for tests
+const memoryDriver = ({ baseUrl = 'memory://' } = {}) => {
+    const files = new Map();
+    return {
+        name: 'memory',
+        files,
+        async put(key, buffer, contentType) {
+            files.set(key, { buffer, contentType });
+            return baseUrl + key;
+        },
+        async remove(key) {
+            files.delete(key);
+        },
+        keyFromUrl(url) {
+            return typeof url === 'string' && url.startsWith(baseUrl) ? url.slice(baseUrl.length) : null;
+        }
+    };
+};
+
+// STORAGE_DRIVER picks the driver: local (default) or memory. The local driver writes to
+// UPLOAD_DIR (default ./uploads) and builds URLs from UPLOAD_BASE_URL (default /uploads).
+const createDriver = (env = process.env) => {
+    const name = (env.STORAGE_DRIVER || 'local').toLowerCase();
+    if (name === 'local') {
+        return localDriver({
+            dir: env.UPLOAD_DIR || path.join(__dirname, 'uploads'),
+            baseUrl: env.UPLOAD_BASE_URL || '/uploads'
+        });
+    }
+    if (name === 'memory') return memoryDriver();
+    throw new Error(`Unknown STORAGE_DRIVER "${env.STORAGE_DRIVER}"`);
+};
+
+// --- Images ---
+
+const IMAGE_TYPES = {
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' }
+};
+const IMAGE_CONTENT_TYPES = Object.values(IMAGE_TYPES).map(type => type.contentType);
+const MAX_DIMENSION = 1920;
+const THUMBNAIL_WIDTH = 400;
+const THUMBNAIL_HEIGHT = 300;
+// Refuse anything that would decode to more pixels than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const THUMBNAIL_SUFFIX = '_thumb.webp';
+
+const imageError = (status, message) => Object.assign(new Error(message), { status });
+
+// Validates and normalises an image; returns the stored image and its thumbnail as buffers
+const processImage = async (buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch {
+        throw imageError(415, 'File is not a readable image');
+    }
+    const type = IMAGE_TYPES[metadata.format];
+    if (!type) throw imageError(415, 'Images must be JPEG, PNG or WebP');
+
+    const source = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    try {
+        const [image, thumbnail] = await Promise.all([
+            source.clone()
+                .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+                .toFormat(metadata.format)
+                .toBuffer({ resolveWithObject: true }),
+            source.clone()
+                .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'cover' })
+                .webp({ quality: 75 })
+                .toBuffer()
+        ]);
+        return { type, image, thumbnail };
+    } catch {
+        throw imageError(415, 'File is not a readable image');
+    }
+};
+
+// Decodes a `data:image/...;base64,` URI; null if it isn't one
+const decodeDataUri = (value) => {
+    const match = typeof value === 'string' && value.match(/^data:([\w.+-]+\/[\w.+-]+)?(;[^,]*)?;base64,(.*)$/s);
+    return match ? Buffer.from(match[3], 'base64') : null;
+};
+
+const createImageStore = ({ driver = createDriver() } = {}) => {
+    const datePath = () => new Date().toISOString().slice(0, 7).replace('-', '/');
+
+    // Stores an uploaded image under `folder`; resolves to the URLs and final dimensions
+    const save = async (buffer, { folder = 'images' } = {}) => {
+        const { type, image, thumbnail } = await processImage(buffer);
+        const key = `${folder}/${datePath()}/${crypto.randomUUID()}`;
+        const url = await driver.put(`${key}.${type.extension}`, image.data, type.contentType);
+        const thumbnailUrl = await driver.put(key + THUMBNAIL_SUFFIX, thumbnail, 'image/webp');
+        return {
+            url,
+            thumbnailUrl,
+            contentType: type.contentType,
+            width: image.info.width,
+            height: image.info.height,
+            size: image.data.length
+        };
+    };
+
+    // Stores several images; if one fails, the ones already stored are removed
+    const saveAll = async (buffers, options) => {
+        const saved = [];
+        try {
+            for (const buffer of buffers) saved.push(await save(buffer, options));
+            return saved;
+        } catch (error) {
+            await Promise.all(saved.map(image => remove(image.url).catch(() => {})));
+            throw error;
+        }
+    };
+
+    // The thumbnail stored alongside one of our images; null for URLs from elsewhere
+    const thumbnailUrlFor = (url) => {
+        const key = driver.keyFromUrl(url);
+        if (!key || key.endsWith(THUMBNAIL_SUFFIX)) return null;
+        return url.slice(0, url.length - path.extname(key).length) + THUMBNAIL_SUFFIX;
+    };
+
+    // Deletes one of our images and its thumbnail; other URLs are left alone
+    const remove = async (url) => {
+        const key = driver.keyFromUrl(url);
+        if (!key) return false;
+        await driver.remove(key);
+        if (!key.endsWith(THUMBNAIL_SUFFIX)) {
+            await driver.remove(key.slice(0, key.length - path.extname(key).length) + THUMBNAIL_SUFFIX);
+        }
+        return true;
+    };
+
+    return { driver, save, saveAll, thumbnailUrlFor, remove };
+};
+
+module.exports = {
+    localDriver,
+    memoryDriver,
+    createDriver,
+    createImageStore,
+    processImage,
+    decodeDataUri,
+    IMAGE_CONTENT_TYPES
+};
@@ -0,0 +1,193 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, SUPER_ADMIN } = require('./support/harness');
+
+let t;
+let adminToken;
+before(async () => {
+    t = await startHarness();
+    adminToken = await t.loginAdmin();
+});
+after(() => t.close());
+
+test('super admin login checks the configured password', async () => {
+    const wrong = await t.request('POST', '/api/super-admin/login', { body: { email: SUPER_ADMIN.email, password: 'guess' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error.code, 'unauthorized');
+
+    const missing = await t.request('POST', '/api/super-admin/login', { body: { email: SUPER_ADMIN.email } });
+    assert.equal(missing.status, 400);
+    assert.ok(missing.body.error.fields.password);
+
+    const ok = await t.request('POST', '/api/super-admin/login', { body: SUPER_ADMIN });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.token);
+});
+
+test('owner accounts are added, listed, searched and deleted by the super admin only', async () => {
+    const body = { name: 'Kiran Shah', email: 'kiran@example.com', mobile: '9822222222', city: 'Pune', state: 'MH' };
+    assert.equal((await t.request('POST', '/api/super-admin/add-owner', { body })).status, 401);
+
+    const owner = await t.createOwner({ name: 'Kiran Shah', email: 'kiran@example.com', city: 'Pune' });
+    assert.equal((await t.request('POST', '/api/super-admin/add-owner', { token: owner.token, body })).status, 403);
+
+    const duplicate = await t.request('POST', '/api/super-admin/add-owner', { token: adminToken, body });
+    assert.equal(duplicate.status, 409);
+
+    await t.createOwner({ name: 'Lata Menon', email: 'lata@example.com', city: 'Kochi' });
+    const all = await t.request('GET', '/api/super-admin/owners', { token: adminToken });
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.map(o => o.email).sort(), ['kiran@example.com', 'lata@example.com']);
+
+    const searched = await t.request('GET', '/api/super-admin/owners?search=koc', { token: adminToken });
+    assert.deepEqual(searched.body.map(o => o.email), ['lata@example.com']);
+
+    const removed = await t.request('DELETE', `/api/super-admin/owner/${owner.id}`, { token: adminToken });
+    assert.equal(removed.status, 200);
+    assert.equal((await t.request('DELETE', `/api/super-admin/owner/${owner.id}`, { token: adminToken })).status, 404);
+    assert.equal((await t.request('POST', '/api/owner/login', { body: { email: owner.email, password: owner.password } })).status, 401);
+});
+
+test('owner details list the owner\'s PGs and resident count', async () => {
+    const owner = await t.createOwner({ name: 'Details Owner', email: 'details@example.com' });
+    const pg = await t.createPg(owner.token, { title: 'Details PG' });
+    await t.book(await t.loginResident('details-guest@example.com'), { pgId: pg.id });
+
+    const details = await t.request('GET', `/api/super-admin/owner/${owner.id}/details`, { token: adminToken });
+    assert.equal(details.status, 200);
+    assert.equal(details.body.owner.email, owner.email);
+    assert.deepEqual(details.body.pgs.map(p => p.id), [pg.id]);
+    assert.deepEqual(details.body.stats, { totalPGs: 1, totalCustomers: 1 });
+
+    assert.equal((await t.request('GET', '/api/super-admin/owner/99999/details', { token: adminToken })).status, 404);
+});
+
+test('the availability report counts beds by room size and residents per PG', async () => {
+    const owner = await t.createOwner({ name: 'Avail Owner', email: 'avail@example.com', mobile: '9833333333' });
+    const pg = await t.createPg(owner.token, {
+        title: 'Availability Towers',
+        city: 'Hyderabad',
+        street: 'Madhapur Main Road',
+        rooms: [
+            { type: 'Single Room', count: 1, price: 12000 },
+            { type: 'Double Sharing', count: 4, price: 8000 },
+            { type: 'Triple Sharing', count: 3, price: 6000 }
+        ]
+    });
+    await t.book(await t.loginResident('avail-guest@example.com'), { pgId: pg.id, roomType: 'Triple Sharing' });
+
+    const report = await t.request('GET', '/api/super-admin/availability?city=hyder', { token: adminToken });
+    assert.equal(report.status, 200);
+    assert.equal(report.body.length, 1);
+    const [row] = report.body;
+    assert.equal(row.id, pg.id);
+    assert.equal(row.customerCount, 1);
+    assert.deepEqual(row.roomBreakdown, { single: 1, double: 4, triple: 3, total: 8 });
+    assert.equal(row.owner_name, 'Avail Owner');
+    assert.equal(row.owner_mobile, '9833333333');
+    assert.equal(row.rooms.find(r => r.type === 'Triple Sharing').available, 2);
+
+    const byLocality = await t.request('GET', '/api/super-admin/availability?locality=madhapur', { token: adminToken });
+    assert.deepEqual(byLocality.body.map(p => p.id), [pg.id]);
+    const bySearch = await t.request('GET', '/api/super-admin/availability?search=towers', { token: adminToken });
+    assert.deepEqual(bySearch.body.map(p => p.id), [pg.id]);
+    const none = await t.request('GET', '/api/super-admin/availability?city=nowhere', { token: adminToken });
+    assert.deepEqual(none.body, []);
+});
+
+test('the booking report filters by PG, room type and resident', async () => {
+    const owner = await t.createOwner({ name: 'Report Owner', email: 'report@example.com' });
+    const pg = await t.createPg(owner.token, {
+        title: 'Report Residency',
+        rooms: [{ type: 'Single Room', count: 2, price: 11000 }, { type: 'Double Sharing', count: 2, price: 7000 }]
+    });
+    const { customer: single } = await t.book(await t.loginResident('priya@example.com'), {
+        pgId: pg.id, roomType: 'Single Room', name: 'Priya Nair'
+    });
+    const { customer: double } = await t.book(await t.loginResident('arjun@example.com'), {
+        pgId: pg.id, roomType: 'Double Sharing', name: 'Arjun Das'
+    });
+
+    const all = await t.request('GET', '/api/super-admin/bookings?pgName=report%20resid', { token: adminToken });
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.map(b => b.id).sort(), [single.id, double.id].sort());
+
+    const byType = await t.request('GET', '/api/super-admin/bookings?pgName=report&roomType=single', { token: adminToken });
+    assert.deepEqual(byType.body.map(b => b.customerName), ['Priya Nair']);
+
+    const bySearch = await t.request('GET', '/api/super-admin/bookings?search=arj', { token: adminToken });
+    assert.deepEqual(bySearch.body.map(b => b.customerEmail), ['arjun@example.com']);
+    assert.equal(bySearch.body[0].bookingId, double.booking_id);
+
+    assert.equal((await t.request('GET', '/api/super-admin/bookings')).status, 401);
+});
+
+test('the email log lists deliveries and failed emails can be retried', async () => {
+    t.fakes.fail('/emails', 422);
+    await t.request('POST', '/api/user/login/request-code', { body: { email: 'bounce@example.com' } });
+    await t.drainEmails();
+    t.fakes.restore('/emails');
+
+    const failed = await t.request('GET', '/api/super-admin/emails?status=failed&recipient=bounce@example.com', { token: adminToken });
+    assert.equal(failed.status, 200);
+    assert.equal(failed.body.transport, 'resend');
+    assert.equal(failed.body.emails.length, 1);
+    const [email] = failed.body.emails;
+    assert.equal(email.template, 'login_code');
+    assert.equal(email.html, undefined);
+
+    const one = await t.request('GET', `/api/super-admin/emails/${email.id}`, { token: adminToken });
+    assert.equal(one.status, 200);
+    assert.equal(one.body.last_error, 'Fake failure');
+    assert.equal(one.body.template, 'login_code');
+    assert.equal(one.body.text, undefined);
+    assert.equal(one.body.html, undefined);
+
+    const retried = await t.request('POST', `/api/super-admin/emails/${email.id}/retry`, { token: adminToken });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.status, 'queued');
+    await t.drainEmails();
+
+    const sent = await t.request('GET', `/api/super-admin/emails/${email.id}`, { token: adminToken });
+    assert.equal(sent.body.status, 'sent');
+    assert.equal(t.fakes.emailsTo('bounce@example.com').length, 2);
+
+    const again = await t.request('POST', `/api/super-admin/emails/${email.id}/retry`, { token: adminToken });
+    assert.equal(again.status, 409);
+    assert.equal((await t.request('GET', '/api/super-admin/emails/99999', { token: adminToken })).status, 404);
+});
+
+test('emails carrying a password, reset link or login code keep no body once sent', async () => {
+    const owner = await t.createOwner({ name: 'Secret Owner', email: 'secret-owner@example.com' });
+    await t.request('POST', '/api/owner/forgot-password', { body: { email: owner.email } });
+    await t.request('POST', '/api/user/login/request-code', { body: { email: 'secret-resident@example.com' } });
+    await t.drainEmails();
+
+    // What the recipients were sent
+    const [welcome, reset] = t.fakes.emailsTo(owner.email);
+    const password = welcome.text.match(/Password: (\S+)/)[1];
+    const resetSecret = reset.text.match(/(?:Reset it here|Your reset code): (\S+)/)[1];
+    const code = (await t.lastEmailTo('secret-resident@example.com')).text.match(/\b(\d{6})\b/)[1];
+
+    const { rows } = await t.db.query(
+        'SELECT id, template, status, html, text FROM email_queue WHERE recipient = ANY($1) ORDER BY id',
+        [[owner.email, 'secret-resident@example.com']]
+    );
+    assert.deepEqual(rows.map(row => row.template), ['owner_welcome', 'password_reset', 'login_code']);
+    for (const row of rows) {
+        assert.equal(row.status, 'sent');
+        assert.equal(row.html, null);
+        assert.equal(row.text, null);
+    }
+    const { rows: [leaks] } = await t.db.query(
+        `SELECT COUNT(*)::int AS count FROM email_queue
+         WHERE html LIKE '%' || $1 || '%' OR text LIKE '%' || $1 || '%' OR text LIKE '%' || $2 || '%' OR text LIKE '%' || $3 || '%'`,
+        [password, resetSecret, code]
+    );
+    assert.equal(leaks.count, 0);
+
+    const detail = await t.request('GET', `/api/super-admin/emails/${rows[0].id}`, { token: adminToken });
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.subject, 'Welcome to Book My PG - Your Credentials');
+    assert.equal('text' in detail.body || 'html' in detail.body, false);
+});
@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// Announcements in one PG with a room on each of two floors: Asha lives in 101 (floor 1) and Ravi
+// in 201 (floor 2).
+
+let t;
+let owner;
+let pg;
+let room101;
+let room201;
+let asha;
+let ravi;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Notice Owner', email: 'notice-owner@example.com' });
+    pg = await t.createPg(owner.token, { title: 'Notice PG', rooms: [] });
+    const addRoom = async (body) => (await t.request('POST', `/api/pg/${pg.id}/rooms`, { token: owner.token, body })).body;
+    room101 = await addRoom({ room_number: '101', floor: '1', sharing_type: 'Single Room', price: 7000 });
+    room201 = await addRoom({ room_number: '201', floor: '2', sharing_type: 'Single Room', price: 9000 });
+
+    asha = await t.loginResident('asha@example.com');
+    await t.book(asha, { pgId: pg.id, roomType: 'Single Room', name: 'Asha' });
+    ravi = await t.loginResident('ravi@example.com');
+    await t.book(ravi, { pgId: pg.id, roomType: 'Single Room', name: 'Ravi' });
+});
+after(() => t.close());
+
+const post = (body) => t.request('POST', '/api/owner/announcement', { token: owner.token, body: { pgId: pg.id, ...body } });
+const titlesFor = async (token, query = '') => (await t.request('GET', `/api/pg/${pg.id}/announcements${query}`, { token })).body.map(a => a.title);
+const unreadFor = async (token, email) => (await t.request('GET', `/api/user/${email}/announcements/unread-count`, { token })).body.unread;
+
+let everyone;
+let floorTwo;
+let roomOne;
+
+test('announcements reach the whole PG, one floor or chosen rooms', async () => {
+    const { rows: [placement] } = await t.db.query(
+        `SELECT r.room_number FROM customers c JOIN beds b ON b.id = c.bed_id JOIN rooms r ON r.id = b.room_id WHERE c.email = 'asha@example.com'`
+    );
+    assert.equal(placement.room_number, '101');
+
+    everyone = (await post({ title: 'Welcome', message: 'Wi-Fi password is on the fridge', category: 'rules' })).body;
+    const floor = await post({ title: 'Floor 2 painting', message: 'Painters on Saturday', category: 'maintenance', audience: 'floor', floor: '2' });
+    assert.equal(floor.status, 201);
+    floorTwo = floor.body;
+    const rooms = await post({ title: 'Room 101 plumber', message: 'Plumber visiting at 11', category: 'maintenance', audience: 'rooms', room_ids: [room101.id] });
+    assert.equal(rooms.status, 201);
+    assert.deepEqual(rooms.body.room_ids, [room101.id]);
+    roomOne = rooms.body;
+
+    assert.deepEqual(await titlesFor(asha), ['Room 101 plumber', 'Welcome']);
+    assert.deepEqual(await titlesFor(ravi), ['Floor 2 painting', 'Welcome']);
+    assert.deepEqual(await titlesFor(ravi, '?category=maintenance'), ['Floor 2 painting']);
+
+    const forOwner = (await t.request('GET', `/api/pg/${pg.id}/announcements`, { token: owner.token })).body;
+    assert.deepEqual(forOwner.map(a => [a.title, a.recipient_count]), [['Room 101 plumber', 1], ['Floor 2 painting', 1], ['Welcome', 2]]);
+
+    assert.equal((await post({ message: 'Hi', audience: 'floor' })).status, 400);
+    assert.equal((await post({ message: 'Hi', audience: 'floor', floor: '9' })).status, 400);
+    const elsewhere = await t.createPg(owner.token, { title: 'Other Notice PG' });
+    const otherRoom = (await t.request('GET', `/api/pg/${elsewhere.id}/rooms`)).body[0];
+    const foreign = await post({ message: 'Hi', audience: 'rooms', room_ids: [room201.id, otherRoom.id] });
+    assert.equal(foreign.status, 400);
+    assert.deepEqual(foreign.body.error.details.room_ids, [otherRoom.id]);
+    assert.equal((await post({ message: 'Hi', category: 'party' })).status, 400);
+});
+
+test('pinned announcements come first and expired ones drop out', async () => {
+    assert.equal((await post({ message: 'Too late', expires_at: '2026-03-01T00:00:00Z' })).status, 400);
+    const pinned = await post({ title: 'House meeting', message: 'Sunday 6pm in the lobby', category: 'event', pinned: true });
+    const shortLived = await post({ title: 'Lift check', message: 'Lift off today', expires_at: '2026-03-11T00:00:00Z' });
+    assert.equal(shortLived.status, 201);
+    assert.deepEqual(await titlesFor(ravi), ['House meeting', 'Lift check', 'Floor 2 painting', 'Welcome']);
+
+    t.clock.set('2026-03-12T09:00:00Z');
+    try {
+        const token = await t.loginResident('ravi@example.com');
+        const ownerToken = await t.loginOwner(owner);
+        assert.deepEqual(await titlesFor(token), ['House meeting', 'Floor 2 painting', 'Welcome']);
+        assert.equal((await titlesFor(ownerToken)).includes('Lift check'), false);
+        assert.equal((await titlesFor(ownerToken, '?include_expired=true')).includes('Lift check'), true);
+
+        const unpinned = await t.request('PUT', `/api/announcements/${pinned.body.id}`, { token: ownerToken, body: { pinned: false } });
+        assert.equal(unpinned.status, 200);
+        assert.equal(unpinned.body.pinned, false);
+        assert.ok(unpinned.body.updated_at);
+        assert.deepEqual(await titlesFor(token), ['House meeting', 'Floor 2 painting', 'Welcome']);
+
+        const extended = await t.request('PUT', `/api/announcements/${shortLived.body.id}`, { token: ownerToken, body: { expires_at: null } });
+        assert.equal(extended.body.expires_at, null);
+        assert.deepEqual(await titlesFor(token), ['Lift check', 'House meeting', 'Floor 2 painting', 'Welcome']);
+
+        assert.equal((await t.request('DELETE', `/api/announcements/${shortLived.body.id}`, { token: ownerToken })).status, 200);
+        assert.equal((await t.request('DELETE', `/api/announcements/${shortLived.body.id}`, { token: ownerToken })).status, 404);
+        assert.equal((await t.request('PUT', `/api/announcements/${pinned.body.id}`, { token, body: { pinned: true } })).status, 403);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
+
+test('residents mark announcements read; owners see receipts', async () => {
+    assert.equal(await unreadFor(asha, 'asha@example.com'), 3);
+    assert.equal(await unreadFor(ravi, 'ravi@example.com'), 3);
+    assert.equal((await t.request('GET', '/api/user/asha@example.com/announcements/unread-count', { token: ravi })).status, 403);
+
+    assert.equal((await t.request('PUT', `/api/announcements/${roomOne.id}/read`, { token: ravi })).status, 403);
+    assert.equal((await t.request('PUT', `/api/announcements/${roomOne.id}/read`, { token: owner.token })).status, 403);
+    for (let i = 0; i < 2; i++) {
+        assert.equal((await t.request('PUT', `/api/announcements/${everyone.id}/read`, { token: asha })).status, 200);
+    }
+    await t.request('PUT', `/api/announcements/${roomOne.id}/read`, { token: asha });
+
+    const unread = await t.request('GET', '/api/user/asha@example.com/announcements/unread-count', { token: asha });
+    assert.deepEqual(unread.body, { unread: 1, pgs: [{ pg_id: pg.id, unread: 1 }] });
+    const listed = (await t.request('GET', `/api/pg/${pg.id}/announcements`, { token: asha })).body;
+    assert.ok(listed.find(a => a.id === everyone.id).read_at);
+    assert.equal(listed.find(a => a.title === 'House meeting').read_at, null);
+
+    const receipts = await t.request('GET', `/api/announcements/${everyone.id}/receipts`, { token: owner.token });
+    assert.equal(receipts.status, 200);
+    assert.equal(receipts.body.read, 1);
+    assert.equal(receipts.body.total, 2);
+    assert.deepEqual(receipts.body.recipients.map(r => [r.email, r.read_at !== null]), [['asha@example.com', true], ['ravi@example.com', false]]);
+    assert.equal((await t.request('GET', `/api/announcements/${everyone.id}/receipts`, { token: asha })).status, 403);
+
+    const forOwner = (await t.request('GET', `/api/pg/${pg.id}/announcements`, { token: owner.token })).body;
+    assert.equal(forOwner.find(a => a.id === everyone.id).read_count, 1);
+});
+
+test('urgent announcements are emailed to the residents they reach', async () => {
+    const urgent = await post({ title: 'Gas leak', message: 'Do not use the floor 1 kitchen', priority: 'urgent', audience: 'floor', floor: '1' });
+    assert.equal(urgent.status, 201);
+    const email = await t.lastEmailTo('asha@example.com');
+    assert.equal(email.subject, 'Urgent: Gas leak (Notice PG)');
+    assert.match(email.text, /Do not use the floor 1 kitchen/);
+    assert.doesNotMatch((await t.lastEmailTo('ravi@example.com')).subject, /Gas leak/);
+
+    const raised = await t.request('PUT', `/api/announcements/${floorTwo.id}`, { token: owner.token, body: { priority: 'urgent' } });
+    assert.equal(raised.status, 200);
+    assert.equal((await t.lastEmailTo('ravi@example.com')).subject, 'Urgent: Floor 2 painting (Notice PG)');
+    assert.equal((await t.lastEmailTo('asha@example.com')).subject, 'Urgent: Gas leak (Notice PG)');
+});
+
+test('residents lose access to a PG\'s announcements once their booking ends', async () => {
+    const otherPg = await t.createPg(owner.token, { title: 'Short Stay PG' });
+    const leaver = await t.loginResident('leaver@example.com');
+    const { customer } = await t.book(leaver, { pgId: otherPg.id, name: 'Leaver' });
+    assert.equal((await t.request('GET', `/api/pg/${otherPg.id}/announcements`, { token: leaver })).status, 200);
+
+    await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: leaver, body: { moveInDate: '2026-03-20' } });
+    assert.equal((await t.request('DELETE', `/api/customer/${customer.id}/cancel`, { token: leaver })).status, 200);
+    assert.equal((await t.request('GET', `/api/pg/${otherPg.id}/announcements`, { token: leaver })).status, 403);
+});
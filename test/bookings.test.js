@@ -0,0 +1,289 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// Residents book on 2026-03-10 at ₹8,000 a month and pay a ₹10,000 deposit with it. Notice is 30
+// days unless a test lists its PG otherwise; rent and notice shortfalls are charged at ₹8,000 / 30 a day.
+
+let t;
+let owner;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Exit Owner', email: 'exit-owner@example.com' });
+});
+after(() => t.close());
+
+const bedStatus = async (bedId) => {
+    const result = await t.db.query('SELECT status FROM beds WHERE id = $1', [bedId]);
+    return result.rows[0].status;
+};
+
+test('a booking cancelled before move-in refunds what the notice allows', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Early Exit PG', notice_period: '2 weeks' });
+    const resident = await t.loginResident('early-leaver@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id, name: 'Early Leaver' });
+
+    const stranger = await t.loginResident('exit-stranger@example.com');
+    assert.equal((await t.request('DELETE', `/api/customer/${customer.id}/cancel`, { token: stranger })).status, 403);
+
+    // Moving in on the 20th gives 10 of the 14 days' notice: 4 days are charged
+    await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: '2026-03-20' } });
+    const cancelled = await t.request('DELETE', `/api/customer/${customer.id}/cancel`, { token: resident });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.customer.booking_status, 'cancelled');
+    assert.equal(cancelled.body.customer.bed_id, null);
+    assert.equal(cancelled.body.settlement.kind, 'cancellation');
+    assert.equal(cancelled.body.settlement.notice_served_days, 10);
+    assert.equal(cancelled.body.settlement.rent_paid, '8000.00');
+    assert.equal(cancelled.body.settlement.notice_charge, '1066.67');
+    assert.equal(cancelled.body.settlement.deposit, '10000.00');
+    assert.equal(cancelled.body.settlement.refund_amount, '16933.33');
+    assert.equal(await bedStatus(customer.bed_id), 'available');
+
+    const email = await t.lastEmailTo('early-leaver@example.com');
+    assert.match(email.subject, /cancelled/);
+    assert.match(email.text, /16933\.33/);
+
+    const settlement = await t.request('GET', `/api/customer/${customer.id}/settlement`, { token: owner.token });
+    assert.equal(settlement.status, 200);
+    assert.equal(settlement.body.refund_amount, '16933.33');
+    const deposit = await t.request('GET', `/api/customer/${customer.id}/deposit`, { token: resident });
+    assert.equal(deposit.body.deposit.status, 'settled');
+    assert.equal(deposit.body.rentCredit, 6933.33);
+    assert.equal(deposit.body.refund, 16933.33);
+
+    // The booking is kept, but no longer counts
+    const myPg = await t.request('GET', '/api/user/early-leaver@example.com/my-pg', { token: resident });
+    assert.deepEqual(myPg.body, { hasPG: false });
+    const guests = await t.request('GET', `/api/owner/${owner.id}/guests`, { token: owner.token });
+    assert.equal(guests.body.some(g => g.id === customer.id), false);
+    assert.equal((await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, {
+        token: resident, body: { moveInDate: '2026-03-21' }
+    })).status, 409);
+});
+
+test('a resident who has moved in gives notice instead of cancelling', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Moved In PG' });
+    const resident = await t.loginResident('settled@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id });
+    await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: '2026-03-10' } });
+
+    const cancelled = await t.request('DELETE', `/api/customer/${customer.id}/cancel`, { token: resident });
+    assert.equal(cancelled.status, 409);
+    assert.equal((await t.request('GET', `/api/customer/${customer.id}/settlement`, { token: resident })).status, 404);
+});
+
+test('a booking without a move-in date starts when it was paid', async () => {
+    const pg = await t.createPg(owner.token, { title: 'No Date PG' });
+    const resident = await t.loginResident('no-date@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id });
+    assert.equal(customer.move_in_date, null);
+
+    const cancelled = await t.request('DELETE', `/api/customer/${customer.id}/cancel`, { token: resident });
+    assert.equal(cancelled.status, 409);
+    assert.equal(cancelled.body.error.message, 'The resident has moved in; request a move-out instead');
+
+    // Paid on the 10th: 20 days stayed by the 30th
+    const quote = await t.request('GET', `/api/customer/${customer.id}/move-out/quote?date=2026-03-30`, { token: resident });
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.days_stayed, 20);
+    const notice = await t.request('POST', `/api/customer/${customer.id}/move-out`, { token: resident, body: { moveOutDate: '2026-04-09' } });
+    assert.equal(notice.status, 201);
+    assert.equal(notice.body.customer.booking_status, 'move_out_requested');
+});
+
+test('a move-out is requested, approved once the date arrives and settled', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Leaving PG', notice_period: '30 days' });
+    const resident = await t.loginResident('leaver@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id, name: 'Leaver' });
+    await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: '2026-03-10' } });
+
+    // Leaving on 30 March: 20 days stayed, 10 days short on notice
+    const quote = await t.request('GET', `/api/customer/${customer.id}/move-out/quote?date=2026-03-30`, { token: resident });
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.days_stayed, 20);
+    assert.equal(quote.body.rent_for_stay, 5333.33);
+    assert.equal(quote.body.notice_charge, 2666.67);
+    assert.equal(quote.body.deposit, 10000);
+    assert.equal(quote.body.refund_amount, 10000);
+    assert.equal((await t.request('GET', `/api/customer/${customer.id}/move-out/quote?date=2026-03-01`, { token: resident })).status, 400);
+
+    // Leaving on 15 April instead serves the full notice
+    const requested = await t.request('POST', `/api/customer/${customer.id}/move-out`, {
+        token: resident,
+        body: { moveOutDate: '2026-04-15', reason: 'Changing jobs' }
+    });
+    assert.equal(requested.status, 201);
+    assert.equal(requested.body.customer.booking_status, 'move_out_requested');
+    assert.equal(requested.body.settlement.notice_charge, 0);
+    const notice = await t.lastEmailTo('exit-owner@example.com');
+    assert.match(notice.subject, /Move-out notice/);
+    assert.match(notice.text, /Changing jobs/);
+
+    assert.equal((await t.request('POST', `/api/customer/${customer.id}/move-out`, {
+        token: resident, body: { moveOutDate: '2026-04-20' }
+    })).status, 409);
+    assert.equal((await t.request('PUT', `/api/customer/${customer.id}/move-out/approve`, { token: resident, body: {} })).status, 403);
+    const early = await t.request('PUT', `/api/customer/${customer.id}/move-out/approve`, { token: owner.token, body: {} });
+    assert.equal(early.status, 409);
+
+    // Still a resident in April, so April is invoiced; May is not
+    const adminToken = await t.loginAdmin();
+    await t.request('POST', '/api/super-admin/invoices/generate', { token: adminToken, body: { month: '2026-04' } });
+
+    t.clock.set('2026-04-15T09:00:00Z');
+    try {
+        const ownerToken = await t.loginOwner(owner);
+        const approved = await t.request('PUT', `/api/customer/${customer.id}/move-out/approve`, {
+            token: ownerToken,
+            body: { note: 'Room inspected' }
+        });
+        assert.equal(approved.status, 200);
+        assert.equal(approved.body.customer.booking_status, 'moved_out');
+        assert.equal(approved.body.settlement.days_stayed, 36);
+        assert.equal(approved.body.settlement.rent_paid, '8000.00');
+        assert.equal(approved.body.settlement.rent_for_stay, '9600.00');
+        assert.equal(approved.body.settlement.deposit, '10000.00');
+        assert.equal(approved.body.settlement.refund_amount, '8400.00');
+        assert.equal(approved.body.settlement.settled_by, owner.email);
+        assert.equal(await bedStatus(customer.bed_id), 'available');
+
+        const email = await t.lastEmailTo('leaver@example.com');
+        assert.match(email.text, /8400\.00/);
+
+        await t.request('POST', '/api/super-admin/invoices/generate', { token: await t.loginAdmin(), body: { month: '2026-05' } });
+        const statement = await t.request('GET', `/api/customer/${customer.id}/statement`, { token: ownerToken });
+        assert.deepEqual(statement.body.invoices.map(i => i.status).sort(), ['paid', 'void']);
+
+        const report = await t.request('GET', `/api/owner/${owner.id}/payments`, { token: ownerToken });
+        const settled = report.body.exits.settlements.find(s => s.customer_id === customer.id);
+        assert.equal(settled.customer_name, 'Leaver');
+        assert.equal(settled.pg_title, 'Leaving PG');
+        assert.ok(report.body.exits.totalRefunds >= 8400);
+        assert.equal(report.body.customers.find(c => c.id === customer.id).booking_status, 'moved_out');
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
+
+test('a move-out notice can be rejected by the owner or withdrawn', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Staying PG' });
+    const resident = await t.loginResident('stayer@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id, name: 'Stayer' });
+    await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: '2026-03-10' } });
+
+    const notice = { token: resident, body: { moveOutDate: '2026-04-30' } };
+    assert.equal((await t.request('POST', `/api/customer/${customer.id}/move-out`, notice)).status, 201);
+
+    const pending = await t.request('GET', `/api/owner/${owner.id}/payments`, { token: owner.token });
+    assert.ok(pending.body.exits.pending.some(c => c.id === customer.id));
+
+    const rejected = await t.request('PUT', `/api/customer/${customer.id}/move-out/reject`, {
+        token: owner.token,
+        body: { note: 'Please talk to me first' }
+    });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.booking_status, 'active');
+    assert.equal(rejected.body.move_out_date, null);
+    assert.match((await t.lastEmailTo('stayer@example.com')).text, /Please talk to me first/);
+
+    assert.equal((await t.request('POST', `/api/customer/${customer.id}/move-out`, notice)).status, 201);
+    const withdrawn = await t.request('DELETE', `/api/customer/${customer.id}/move-out`, { token: resident });
+    assert.equal(withdrawn.status, 200);
+    assert.equal(withdrawn.body.booking_status, 'active');
+    assert.equal((await t.request('DELETE', `/api/customer/${customer.id}/move-out`, { token: resident })).status, 409);
+    assert.equal(await bedStatus(customer.bed_id), 'occupied');
+});
+
+test('owners itemise deposit deductions while the resident serves notice', async () => {
+    const pg = await t.createPg(owner.token, {
+        title: 'Deposit PG',
+        deposit_amount: 6000,
+        rooms: [{ type: 'Single Room', count: 1, price: 9000 }, { type: 'Double Sharing', count: 2, price: 8000, deposit: 10000 }]
+    });
+    const resident = await t.loginResident('depositor@example.com');
+
+    // Single rooms have no deposit of their own, so the PG's applies
+    const { order, customer } = await t.book(resident, { pgId: pg.id, roomType: 'Single Room', name: 'Depositor' });
+    assert.deepEqual(order.breakdown, { rent: 9000, deposit: 6000 });
+    assert.equal(order.amount, 1500000);
+    assert.equal(customer.amount, '9000.00');
+
+    const before = await t.request('GET', `/api/owner/${owner.id}/stats`, { token: owner.token });
+    assert.ok(before.body.depositsHeld.total >= 6000);
+
+    const held = await t.request('GET', `/api/customer/${customer.id}/deposit`, { token: resident });
+    assert.equal(held.status, 200);
+    assert.equal(held.body.deposit.amount, '6000.00');
+    assert.equal(held.body.deposit.status, 'held');
+    assert.equal(held.body.balance, 6000);
+    assert.equal(held.body.refund, null);
+
+    const path = `/api/customer/${customer.id}/deposit/deductions`;
+    const damage = { category: 'damage', amount: 1500, description: 'Broken chair' };
+    assert.equal((await t.request('POST', path, { token: owner.token, body: damage })).status, 409);
+
+    await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: '2026-03-10' } });
+    await t.request('POST', `/api/customer/${customer.id}/move-out`, { token: resident, body: { moveOutDate: '2026-04-09' } });
+
+    assert.equal((await t.request('POST', path, { token: resident, body: damage })).status, 403);
+    assert.equal((await t.request('POST', path, { token: owner.token, body: { category: 'fine', amount: 100 } })).status, 400);
+    const added = await t.request('POST', path, { token: owner.token, body: damage });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.created_by, owner.email);
+    const cleaning = await t.request('POST', path, { token: owner.token, body: { category: 'cleaning', amount: 500 } });
+    assert.equal((await t.request('DELETE', `${path}/${cleaning.body.id}`, { token: owner.token })).status, 200);
+    assert.equal((await t.request('DELETE', `${path}/${cleaning.body.id}`, { token: owner.token })).status, 404);
+
+    const statement = await t.request('GET', `/api/customer/${customer.id}/deposit`, { token: resident });
+    assert.deepEqual(statement.body.deductions.map(d => [d.category, d.amount]), [['damage', '1500.00']]);
+    assert.equal(statement.body.balance, 4500);
+
+    // 30 days stayed at ₹300 a day, 30 days' notice served: rent is covered, the deduction is not
+    t.clock.set('2026-04-09T09:00:00Z');
+    try {
+        const ownerToken = await t.loginOwner(owner);
+        const approved = await t.request('PUT', `/api/customer/${customer.id}/move-out/approve`, { token: ownerToken, body: {} });
+        assert.equal(approved.body.settlement.deposit, '6000.00');
+        assert.equal(approved.body.settlement.deductions, '1500.00');
+        assert.equal(approved.body.settlement.refund_amount, '4500.00');
+        assert.match((await t.lastEmailTo('depositor@example.com')).text, /Deposit Deductions/);
+
+        const settled = await t.request('GET', `/api/customer/${customer.id}/deposit`, {
+            token: await t.loginResident('depositor@example.com')
+        });
+        assert.equal(settled.body.deposit.status, 'settled');
+        assert.equal(settled.body.refund, 4500);
+        assert.equal((await t.request('POST', path, { token: ownerToken, body: damage })).status, 409);
+
+        const after = await t.request('GET', `/api/owner/${owner.id}/stats`, { token: ownerToken });
+        assert.equal(after.body.depositsHeld.total, before.body.depositsHeld.total - 6000);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
+
+test('rent left unpaid at move-out is deducted from the deposit', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Arrears PG' });
+    const resident = await t.loginResident('arrears@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id });
+    await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: '2026-03-10' } });
+    await t.request('POST', `/api/customer/${customer.id}/move-out`, { token: resident, body: { moveOutDate: '2026-04-24' } });
+
+    // 45 days stayed against one month paid: ₹4,000 of rent comes out of the deposit
+    t.clock.set('2026-04-24T09:00:00Z');
+    try {
+        const approved = await t.request('PUT', `/api/customer/${customer.id}/move-out/approve`, {
+            token: await t.loginOwner(owner),
+            body: {}
+        });
+        assert.equal(approved.body.settlement.refund_amount, '6000.00');
+
+        const statement = await t.request('GET', `/api/customer/${customer.id}/deposit`, { token: await t.loginResident('arrears@example.com') });
+        assert.deepEqual(statement.body.deductions.map(d => [d.category, d.amount]), [['unpaid_rent', '4000.00']]);
+        assert.equal(statement.body.balance, 6000);
+        assert.equal(statement.body.rentCredit, 0);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
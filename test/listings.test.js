@@ -0,0 +1,202 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startHarness } = require('./support/harness');
+
+let t;
+let owner;
+let adminToken;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Listing Owner', email: 'listing-owner@example.com' });
+    adminToken = await t.loginAdmin();
+});
+after(() => t.close());
+
+const pngForm = async (field, count = 1) => {
+    const form = new FormData();
+    for (let i = 0; i < count; i++) {
+        const png = await sharp({ create: { width: 60, height: 40, channels: 3, background: { r: 40 * i, g: 120, b: 200 } } }).png().toBuffer();
+        form.append(field, new Blob([png], { type: 'image/png' }), `photo-${i}.png`);
+    }
+    return form;
+};
+
+test('owners list PGs under their own account; admins list for any owner', async () => {
+    const resident = await t.loginResident('lister@example.com');
+    const denied = await t.request('POST', '/api/pg', { token: resident, body: { title: 'Nope' } });
+    assert.equal(denied.status, 403);
+    assert.equal((await t.request('POST', '/api/pg', { body: { title: 'Nope' } })).status, 401);
+
+    const noTitle = await t.request('POST', '/api/pg', { token: owner.token, body: { description: 'untitled' } });
+    assert.equal(noTitle.status, 400);
+    assert.ok(noTitle.body.error.fields.title);
+
+    const pg = await t.createPg(owner.token, { title: 'Own PG', owner_email: 'someone-else@example.com' });
+    assert.equal(pg.owner_email, owner.email);
+    assert.deepEqual(pg.rooms.map(r => [r.type, r.count, r.available]), [['Double Sharing', 2, 2]]);
+
+    const forOther = await t.createOwner({ name: 'Second Owner', email: 'second@example.com' });
+    const adminPg = await t.createPg(adminToken, { title: 'Admin Listed PG', owner_email: forOther.email });
+    assert.equal(adminPg.owner_email, forOther.email);
+
+    const all = await t.request('GET', '/api/pg');
+    assert.equal(all.status, 200);
+    assert.ok(all.body.length >= 2);
+
+    const byId = await t.request('GET', `/api/pg?owner_id=${owner.id}`);
+    assert.ok(byId.body.every(p => p.owner_email === owner.email));
+    assert.ok(byId.body.some(p => p.id === pg.id));
+
+    const byEmail = await t.request('GET', `/api/pg?owner_email=${encodeURIComponent(forOther.email)}`);
+    assert.deepEqual(byEmail.body.map(p => p.id), [adminPg.id]);
+
+    assert.deepEqual((await t.request('GET', '/api/pg?owner_id=99999')).body, []);
+});
+
+test('only the PG\'s owner updates it, and the rooms summary resyncs beds', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Resync PG' });
+    const other = await t.createOwner({ name: 'Not Mine', email: 'not-mine@example.com' });
+
+    const forbidden = await t.request('PUT', `/api/pg/${pg.id}`, { token: other.token, body: { price: '9000' } });
+    assert.equal(forbidden.status, 403);
+    // Unknown PGs aren't anyone's to manage
+    assert.equal((await t.request('PUT', '/api/pg/99999', { token: owner.token, body: { price: '9000' } })).status, 403);
+
+    const updated = await t.request('PUT', `/api/pg/${pg.id}`, {
+        token: owner.token,
+        body: {
+            price: '9000',
+            rent_due_day: 5,
+            rooms: [{ type: 'Double Sharing', count: 4, price: 9000 }, { type: 'Single Room', count: 1, price: 14000, isAC: true }]
+        }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.price, '9000');
+    assert.equal(updated.body.rent_due_day, 5);
+    const summary = Object.fromEntries(updated.body.rooms.map(r => [r.type, r]));
+    assert.equal(summary['Double Sharing'].count, 4);
+    assert.equal(summary['Single Room'].count, 1);
+    assert.equal(summary['Single Room'].isAC, true);
+
+    const nothing = await t.request('PUT', `/api/pg/${pg.id}`, { token: owner.token, body: {} });
+    assert.equal(nothing.status, 400);
+});
+
+test('images are uploaded, attached to a PG and removed', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Gallery PG' });
+
+    const uploaded = await t.request('POST', '/api/uploads/images', { token: owner.token, form: await pngForm('images', 2) });
+    assert.equal(uploaded.status, 201);
+    assert.equal(uploaded.body.images.length, 2);
+    assert.ok(uploaded.body.images.every(image => image.url.startsWith('memory://') && image.thumbnailUrl));
+    assert.equal((await t.request('POST', '/api/uploads/images', { form: await pngForm('images') })).status, 401);
+
+    const added = await t.request('POST', `/api/pg/${pg.id}/images`, { token: owner.token, form: await pngForm('images', 2) });
+    assert.equal(added.status, 201);
+    const [first, second] = added.body.uploaded.map(image => image.url);
+    assert.equal(added.body.image_url, first);
+    assert.deepEqual(added.body.images, [first, second]);
+
+    const empty = await t.request('POST', `/api/pg/${pg.id}/images`, { token: owner.token, form: new FormData() });
+    assert.equal(empty.status, 400);
+
+    const removed = await t.request('DELETE', `/api/pg/${pg.id}/images?url=${encodeURIComponent(first)}`, { token: owner.token });
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.image_url, second);
+    assert.deepEqual(removed.body.images, [second]);
+
+    const missing = await t.request('DELETE', `/api/pg/${pg.id}/images?url=${encodeURIComponent(first)}`, { token: owner.token });
+    assert.equal(missing.status, 404);
+});
+
+test('rooms and beds are managed individually; occupied ones are protected', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Rooms PG', rooms: [] });
+
+    const room = await t.request('POST', `/api/pg/${pg.id}/rooms`, {
+        token: owner.token,
+        body: { room_number: '201', floor: '2', sharing_type: 'Triple Sharing', price: 6500, is_ac: true }
+    });
+    assert.equal(room.status, 201);
+    assert.equal(room.body.room_number, '201');
+    assert.equal(room.body.capacity, 3);
+    const created = await t.request('GET', `/api/pg/${pg.id}/rooms`);
+    assert.deepEqual(created.body[0].beds.map(b => b.bed_label), ['A', 'B', 'C']);
+
+    const duplicate = await t.request('POST', `/api/pg/${pg.id}/rooms`, {
+        token: owner.token, body: { room_number: '201', sharing_type: 'Single Room' }
+    });
+    assert.equal(duplicate.status, 409);
+
+    const renamed = await t.request('PUT', `/api/rooms/${room.body.id}`, { token: owner.token, body: { room_number: '202', price: 7000 } });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.room_number, '202');
+    assert.equal(renamed.body.price, '7000.00');
+
+    const bed = await t.request('POST', `/api/rooms/${room.body.id}/beds`, { token: owner.token, body: {} });
+    assert.equal(bed.status, 201);
+    assert.equal(bed.body.bed_label, 'D');
+    const labelTaken = await t.request('POST', `/api/rooms/${room.body.id}/beds`, { token: owner.token, body: { bed_label: 'D' } });
+    assert.equal(labelTaken.status, 409);
+
+    const maintenance = await t.request('PUT', `/api/beds/${bed.body.id}`, { token: owner.token, body: { status: 'maintenance' } });
+    assert.equal(maintenance.status, 200);
+    assert.equal(maintenance.body.status, 'maintenance');
+    const occupiedStatus = await t.request('PUT', `/api/beds/${bed.body.id}`, { token: owner.token, body: { status: 'occupied' } });
+    assert.equal(occupiedStatus.status, 400);
+
+    assert.equal((await t.request('DELETE', `/api/beds/${bed.body.id}`, { token: owner.token })).status, 200);
+
+    // A booked bed can't be deleted or taken out of service, and neither can its room
+    const { customer } = await t.book(await t.loginResident('room-guest@example.com'), { pgId: pg.id, roomType: 'Triple Sharing' });
+    assert.equal((await t.request('PUT', `/api/beds/${customer.bed_id}`, { token: owner.token, body: { status: 'maintenance' } })).status, 409);
+    assert.equal((await t.request('DELETE', `/api/beds/${customer.bed_id}`, { token: owner.token })).status, 409);
+    assert.equal((await t.request('DELETE', `/api/rooms/${room.body.id}`, { token: owner.token })).status, 409);
+
+    // Guests show up only for the PG's owner
+    const publicRooms = await t.request('GET', `/api/pg/${pg.id}/rooms`);
+    const ownerRooms = await t.request('GET', `/api/pg/${pg.id}/rooms`, { token: owner.token });
+    const bookedBed = (rooms) => rooms.flatMap(r => r.beds).find(b => b.id === customer.bed_id);
+    assert.equal(bookedBed(publicRooms.body).customer_name, null);
+    assert.equal(bookedBed(ownerRooms.body).customer_name, 'Test Resident');
+
+    const spare = await t.request('POST', `/api/pg/${pg.id}/rooms`, { token: owner.token, body: { sharing_type: 'Single Room' } });
+    assert.equal(spare.status, 201);
+    assert.equal((await t.request('DELETE', `/api/rooms/${spare.body.id}`, { token: owner.token })).status, 200);
+    assert.equal((await t.request('PUT', `/api/rooms/${spare.body.id}`, { token: owner.token, body: { floor: '3' } })).status, 404);
+});
+
+test('announcements are visible to the PG\'s owner and residents only', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Notice Board PG' });
+    const resident = await t.loginResident('notice-reader@example.com');
+    const outsider = await t.loginResident('outsider@example.com');
+    await t.book(resident, { pgId: pg.id });
+    await t.db.query(
+        'INSERT INTO announcements (pg_id, owner_email, title, message) VALUES ($1, $2, $3, $4)',
+        [pg.id, owner.email, 'Water supply', 'Water off on Sunday']
+    );
+
+    const forResident = await t.request('GET', `/api/pg/${pg.id}/announcements`, { token: resident });
+    assert.equal(forResident.status, 200);
+    assert.deepEqual(forResident.body.map(a => a.message), ['Water off on Sunday']);
+
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/announcements`, { token: owner.token })).status, 200);
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/announcements`, { token: outsider })).status, 403);
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/announcements`)).status, 401);
+});
+
+test('owners post announcements to their PG', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Posting PG' });
+    const posted = await t.request('POST', '/api/owner/announcement', {
+        token: owner.token,
+        body: { pgId: pg.id, message: 'Rent is due on the 5th' }
+    });
+    assert.equal(posted.status, 201);
+    assert.equal(posted.body.owner_email, owner.email);
+    assert.equal(posted.body.title, 'Rent is due on the 5th');
+    assert.deepEqual([posted.body.category, posted.body.priority, posted.body.pinned, posted.body.audience], ['general', 'normal', false, 'pg']);
+
+    const other = await t.createOwner({ name: 'Other Poster', email: 'other-poster@example.com' });
+    const denied = await t.request('POST', '/api/owner/announcement', { token: other.token, body: { pgId: pg.id, message: 'Hi' } });
+    assert.equal(denied.status, 403);
+});
@@ -0,0 +1,196 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// Live updates over server-sent events. Each stream is read as it arrives; NOTIFY delivers events in
+// the order they were published, so a stream that receives a later event without an earlier one was
+// not sent the earlier one.
+
+let t;
+let owner;
+let pg;
+let room201;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Live Owner', email: 'live-owner@example.com' });
+    pg = await t.createPg(owner.token, { title: 'Live PG', rooms: [] });
+    const addRoom = async (body) => (await t.request('POST', `/api/pg/${pg.id}/rooms`, { token: owner.token, body })).body;
+    await addRoom({ room_number: '101', floor: '1', sharing_type: 'Single Room', price: 7000 });
+    room201 = await addRoom({ room_number: '201', floor: '2', sharing_type: 'Single Room', price: 9000 });
+});
+after(() => t.close());
+
+// Opens GET /api/live and collects its events. next(type) waits for the first unread event of that
+// type, failing after a second; close() ends the stream.
+const subscribe = async (token, query = '') => {
+    const controller = new AbortController();
+    const response = await fetch(`${t.baseUrl}/api/live${query}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal: controller.signal
+    });
+    if (response.status !== 200) return { status: response.status, body: await response.json() };
+
+    const events = [];
+    let wake = () => {};
+    (async () => {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        try {
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const lines = buffer.slice(0, end).split('\n');
+                    buffer = buffer.slice(end + 2);
+                    const type = lines.find(line => line.startsWith('event: '));
+                    const data = lines.find(line => line.startsWith('data: '));
+                    if (type && data) events.push({ type: type.slice(7), data: JSON.parse(data.slice(6)) });
+                }
+                wake();
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        }
+    })();
+
+    let read = 0;
+    const next = async (type) => {
+        const deadline = Date.now() + 1000;
+        for (;;) {
+            const index = events.findIndex((event, i) => i >= read && event.type === type);
+            if (index !== -1) {
+                read = index + 1;
+                return events[index];
+            }
+            if (Date.now() > deadline) throw new Error(`No ${type} event; got ${events.map(e => e.type).join(', ')}`);
+            await new Promise(resolve => {
+                wake = resolve;
+                setTimeout(resolve, 50);
+            });
+        }
+    };
+    const types = () => events.map(event => event.type);
+
+    await next('ready');
+    return { status: response.status, events, next, types, close: () => controller.abort() };
+};
+
+test('streams need a signed-in user and a PG in their scope', async () => {
+    assert.equal((await subscribe(null)).status, 401);
+    const stranger = await t.createOwner({ name: 'Stranger', email: 'live-stranger@example.com' });
+    const denied = await subscribe(stranger.token, `?pg_id=${pg.id}`);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.error.message, 'Forbidden');
+    assert.equal((await subscribe(await t.loginAdmin(), '?pg_id=999999')).status, 404);
+    assert.equal((await subscribe(owner.token, '?pg_id=abc')).status, 400);
+
+    const stream = await subscribe(owner.token);
+    assert.deepEqual(stream.events[0], { type: 'ready', data: { pg_ids: [pg.id] } });
+    stream.close();
+});
+
+test('owners and the requester hear about visit requests and approvals', async () => {
+    const ownerStream = await subscribe(owner.token);
+    const visitor = await t.loginResident('live-visitor@example.com');
+    const visitorStream = await subscribe(visitor);
+    const bystander = await subscribe(await t.loginResident('live-bystander@example.com'));
+    try {
+        const created = await t.request('POST', '/api/visit-request', {
+            token: visitor,
+            body: { pgId: pg.id, userName: 'Visitor', userEmail: 'live-visitor@example.com', visitDate: '2026-03-12', visitTime: '10:00' }
+        });
+        assert.equal(created.status, 201);
+        const requested = await ownerStream.next('visit.created');
+        assert.equal(requested.data.pg_id, pg.id);
+        assert.equal(requested.data.visit.id, created.body.id);
+        assert.equal((await visitorStream.next('visit.created')).data.visit.status, 'pending');
+
+        await t.request('PUT', `/api/visit-request/${created.body.id}/approve`, { token: owner.token, body: { note: 'See you' } });
+        assert.equal((await ownerStream.next('visit.approved')).data.visit.status, 'approved');
+        assert.equal((await visitorStream.next('visit.approved')).data.visit.owner_note, 'See you');
+
+        // Nothing reached a resident who neither asked nor lives here, up to a later event
+        await t.request('POST', '/api/owner/announcement', { token: owner.token, body: { pgId: pg.id, title: 'Hello', message: 'Hi' } });
+        await ownerStream.next('announcement.created');
+        assert.deepEqual(bystander.types(), ['ready']);
+    } finally {
+        ownerStream.close();
+        visitorStream.close();
+        bystander.close();
+    }
+});
+
+test('a confirmed payment reaches the owner and the new resident, and only that PG\'s streams', async () => {
+    const ownerStream = await subscribe(owner.token, `?pg_id=${pg.id}`);
+    const other = await t.createOwner({ name: 'Other Live Owner', email: 'live-other@example.com' });
+    const otherPg = await t.createPg(other.token, { title: 'Other Live PG' });
+    const otherStream = await subscribe(other.token);
+    const asha = await t.loginResident('live-asha@example.com');
+    const ashaStream = await subscribe(asha);
+    try {
+        const { customer } = await t.book(asha, { pgId: pg.id, roomType: 'Single Room', name: 'Asha' });
+        const paid = await ownerStream.next('payment.confirmed');
+        assert.equal(paid.data.customer.id, customer.id);
+        assert.equal(paid.data.customer.name, 'Asha');
+        assert.equal(paid.data.amount, 7000);
+        assert.equal((await ashaStream.next('payment.confirmed')).data.customer.room_no, '101');
+
+        const rival = await t.loginResident('live-rival@example.com');
+        await t.book(rival, { pgId: otherPg.id, name: 'Rival' });
+        assert.equal((await otherStream.next('payment.confirmed')).data.customer.name, 'Rival');
+        assert.deepEqual(otherStream.types(), ['ready', 'payment.confirmed']);
+        assert.deepEqual(ashaStream.types(), ['ready', 'payment.confirmed']);
+    } finally {
+        ownerStream.close();
+        otherStream.close();
+        ashaStream.close();
+    }
+});
+
+test('announcements reach only the residents they are aimed at', async () => {
+    const ravi = await t.loginResident('live-ravi@example.com');
+    await t.book(ravi, { pgId: pg.id, roomType: 'Single Room', name: 'Ravi' });
+    const asha = await subscribe(await t.loginResident('live-asha@example.com'));
+    const raviStream = await subscribe(ravi, `?pg_id=${pg.id}`);
+    assert.deepEqual(raviStream.events[0].data, { pg_ids: [pg.id] });
+    try {
+        const post = (body) => t.request('POST', '/api/owner/announcement', { token: owner.token, body: { pgId: pg.id, ...body } });
+        await post({ title: 'Plumber in 201', message: 'At 11', audience: 'rooms', room_ids: [room201.id] });
+        await post({ title: 'Floor 1 painting', message: 'Saturday', audience: 'floor', floor: '1' });
+        await post({ title: 'Rent due', message: 'By the 5th', category: 'payment' });
+
+        assert.equal((await raviStream.next('announcement.created')).data.announcement.title, 'Plumber in 201');
+        const everyone = await raviStream.next('announcement.created');
+        assert.equal(everyone.data.announcement.title, 'Rent due');
+        assert.equal(everyone.data.announcement.message, undefined);
+
+        assert.equal((await asha.next('announcement.created')).data.announcement.title, 'Floor 1 painting');
+        assert.equal((await asha.next('announcement.created')).data.announcement.title, 'Rent due');
+    } finally {
+        asha.close();
+        raviStream.close();
+    }
+});
+
+test('an announcement to more residents than a NOTIFY can list still reaches them', async () => {
+    // Ravi lives in room 201; fill it with enough bookings that their emails alone pass 8000 bytes
+    const { rows: [ravi] } = await t.db.query(
+        "SELECT bed_id FROM customers WHERE email = 'live-ravi@example.com' AND booking_status = 'active'"
+    );
+    await t.db.query(`
+        INSERT INTO customers (name, email, pg_id, bed_id, room_type, amount, status, booking_status)
+        SELECT 'Guest ' || n, 'a-rather-long-resident-address-' || n || '@example.com', $1, $2, 'Single Room', 9000, 'Paid', 'active'
+        FROM generate_series(1, 300) n
+    `, [pg.id, ravi.bed_id]);
+
+    const raviStream = await subscribe(await t.loginResident('live-ravi@example.com'));
+    try {
+        const posted = await t.request('POST', '/api/owner/announcement', {
+            token: owner.token, body: { pgId: pg.id, title: 'Water off in 201', message: 'Till noon', audience: 'rooms', room_ids: [room201.id] }
+        });
+        assert.equal(posted.status, 201);
+        assert.equal((await raviStream.next('announcement.created')).data.announcement.title, 'Water off in 201');
+    } finally {
+        raviStream.close();
+    }
+});
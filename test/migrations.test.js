@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const sharp = require('sharp');
+const migrator = require('../migrate');
+const { createImageStore, memoryDriver } = require('../storage');
+const extractImages = require('../db/migrations/014_extract_base64_images');
+
+// Data migrations, run against a schema migrated up to just before them
+
+const connectionString = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+const schema = `test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+
+let admin;
+let db;
+before(async () => {
+    admin = new Pool({ connectionString, max: 1 });
+    await admin.query(`CREATE SCHEMA ${schema}`);
+    db = new Pool({ connectionString, options: `-c search_path=${schema}` });
+});
+after(async () => {
+    await db.end();
+    await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+    await admin.end();
+});
+
+test('inline images move to storage; unreadable ones and plain URLs stay as they are', async (t) => {
+    await migrator.up(db, { migrations: migrator.loadMigrations().filter(m => m.version < 14), log: () => {} });
+
+    const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#3366cc' } }).png().toBuffer();
+    const readable = `data:image/png;base64,${png.toString('base64')}`;
+    const gif = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+    const url = 'https://cdn.example.com/front.jpg';
+
+    const { rows: [pg] } = await db.query(
+        'INSERT INTO pg_listings (title, image_url, images) VALUES ($1, $2, $3) RETURNING id',
+        ['Inline PG', readable, JSON.stringify([readable, gif, url])]
+    );
+    const { rows: [gifCover] } = await db.query(
+        'INSERT INTO pg_listings (title, image_url, images) VALUES ($1, $2, $3) RETURNING id',
+        ['GIF PG', gif, JSON.stringify([])]
+    );
+    const { rows: [owner] } = await db.query(
+        "INSERT INTO pg_owners (name, email, password_hash, profile_picture) VALUES ('Inline Owner', 'inline@example.com', 'x', $1) RETURNING id",
+        [gif]
+    );
+    const { rows: [review] } = await db.query(
+        "INSERT INTO pg_reviews (pg_id, user_name, rating, review_images) VALUES ($1, 'Guest', 4, $2) RETURNING id",
+        [pg.id, JSON.stringify([url, readable])]
+    );
+
+    const driver = memoryDriver();
+    const warn = t.mock.method(console, 'warn', () => {});
+    const client = await db.connect();
+    try {
+        await extractImages.up(client, { store: createImageStore({ driver }) });
+    } finally {
+        client.release();
+    }
+    assert.equal(warn.mock.callCount(), 3);
+
+    const stored = (value, folder) => {
+        assert.match(value, new RegExp(`^memory://${folder}/.+\\.png$`));
+        assert.equal(driver.files.get(value.slice('memory://'.length)).contentType, 'image/png');
+    };
+
+    const { rows: [migrated] } = await db.query('SELECT image_url, thumbnail_url, images FROM pg_listings WHERE id = $1', [pg.id]);
+    stored(migrated.image_url, 'pgs');
+    assert.match(migrated.thumbnail_url, /_thumb\.webp$/);
+    assert.equal(migrated.images.length, 3);
+    stored(migrated.images[0], 'pgs');
+    assert.deepEqual(migrated.images.slice(1), [gif, url]);
+
+    const { rows: [kept] } = await db.query('SELECT image_url, thumbnail_url FROM pg_listings WHERE id = $1', [gifCover.id]);
+    assert.deepEqual(kept, { image_url: gif, thumbnail_url: null });
+
+    const { rows: [ownerRow] } = await db.query('SELECT profile_picture, profile_thumbnail_url FROM pg_owners WHERE id = $1', [owner.id]);
+    assert.deepEqual(ownerRow, { profile_picture: gif, profile_thumbnail_url: null });
+
+    const { rows: [reviewRow] } = await db.query('SELECT review_images FROM pg_reviews WHERE id = $1', [review.id]);
+    assert.equal(reviewRow.review_images[0], url);
+    stored(reviewRow.review_images[1], 'reviews');
+});
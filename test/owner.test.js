@@ -0,0 +1,207 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startHarness } = require('./support/harness');
+
+let t;
+before(async () => { t = await startHarness(); });
+after(() => t.close());
+
+test('a new owner signs in with the emailed password and must change it first', async () => {
+    const adminToken = await t.loginAdmin();
+    const added = await t.request('POST', '/api/super-admin/add-owner', {
+        token: adminToken,
+        body: { name: 'Asha Rao', email: 'asha@example.com', mobile: '9800000001', city: 'Bangalore' }
+    });
+    assert.equal(added.status, 201);
+    const { generatedPassword } = added.body;
+
+    const welcome = await t.lastEmailTo('asha@example.com');
+    assert.ok(welcome.text.includes(`Password: ${generatedPassword}`));
+
+    const wrong = await t.request('POST', '/api/owner/login', { body: { email: 'asha@example.com', password: 'nope' } });
+    assert.equal(wrong.status, 401);
+
+    const login = await t.request('POST', '/api/owner/login', { body: { email: 'asha@example.com', password: generatedPassword } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.mustChangePassword, true);
+    assert.equal(login.body.owner.email, 'asha@example.com');
+
+    // The first-login token only works for changing the password
+    const profile = await t.request('GET', `/api/owner/${login.body.owner.id}`, { token: login.body.token });
+    assert.equal(profile.status, 403);
+
+    const otherEmail = await t.request('POST', '/api/owner/change-password', {
+        token: login.body.token,
+        body: { email: 'someone@example.com', currentPassword: generatedPassword, newPassword: 'brand-new-pass' }
+    });
+    assert.equal(otherEmail.status, 403);
+
+    const badCurrent = await t.request('POST', '/api/owner/change-password', {
+        token: login.body.token,
+        body: { email: 'asha@example.com', currentPassword: 'wrong-password', newPassword: 'brand-new-pass' }
+    });
+    assert.equal(badCurrent.status, 401);
+
+    const changed = await t.request('POST', '/api/owner/change-password', {
+        token: login.body.token,
+        body: { email: 'asha@example.com', currentPassword: generatedPassword, newPassword: 'brand-new-pass' }
+    });
+    assert.equal(changed.status, 200);
+    assert.ok(changed.body.token);
+
+    const again = await t.request('POST', '/api/owner/login', { body: { email: 'asha@example.com', password: 'brand-new-pass' } });
+    assert.equal(again.body.mustChangePassword, false);
+    assert.equal((await t.request('GET', `/api/owner/${login.body.owner.id}`, { token: again.body.token })).status, 200);
+});
+
+test('forgot-password emails a single-use reset code', async () => {
+    const owner = await t.createOwner({ name: 'Ravi Kumar', email: 'ravi@example.com' });
+
+    const unknown = await t.request('POST', '/api/owner/forgot-password', { body: { email: 'nobody@example.com' } });
+    assert.equal(unknown.status, 200);
+
+    const sent = await t.request('POST', '/api/owner/forgot-password', { body: { email: owner.email } });
+    assert.equal(sent.status, 200);
+    assert.deepEqual(unknown.body, sent.body);
+
+    const email = await t.lastEmailTo(owner.email);
+    const resetToken = email.text.match(/\b([0-9a-f]{64})\b/)[1];
+
+    const reset = await t.request('POST', '/api/owner/reset-password', { body: { token: resetToken, newPassword: 'after-reset-1' } });
+    assert.equal(reset.status, 200);
+    const reused = await t.request('POST', '/api/owner/reset-password', { body: { token: resetToken, newPassword: 'after-reset-2' } });
+    assert.equal(reused.status, 400);
+
+    const login = await t.request('POST', '/api/owner/login', { body: { email: owner.email, password: 'after-reset-1' } });
+    assert.equal(login.status, 200);
+});
+
+test('owners read and update only their own profile', async () => {
+    const owner = await t.createOwner({ name: 'Meera Iyer', email: 'meera@example.com', city: 'Chennai' });
+    const other = await t.createOwner({ name: 'Other Owner', email: 'other@example.com' });
+
+    const profile = await t.request('GET', `/api/owner/${owner.id}`, { token: owner.token });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.firstName, 'Meera');
+    assert.equal(profile.body.lastName, 'Iyer');
+    assert.equal(profile.body.city, 'Chennai');
+
+    assert.equal((await t.request('GET', `/api/owner/${owner.id}`, { token: other.token })).status, 403);
+    assert.equal((await t.request('GET', `/api/owner/${owner.id}`)).status, 401);
+
+    const updated = await t.request('PUT', `/api/owner/${owner.id}`, {
+        token: owner.token,
+        body: { firstName: 'Meera', lastName: 'Krishnan', mobile: '9811111111' }
+    });
+    assert.equal(updated.status, 200);
+    const after = await t.request('GET', `/api/owner/${owner.id}`, { token: owner.token });
+    assert.equal(after.body.lastName, 'Krishnan');
+    assert.equal(after.body.mobile, '9811111111');
+
+    const empty = await t.request('PUT', `/api/owner/${owner.id}`, { token: owner.token, body: {} });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error.code, 'validation_failed');
+});
+
+test('profile pictures are uploaded as multipart images', async () => {
+    const owner = await t.createOwner({ name: 'Pic Owner', email: 'pic@example.com' });
+    const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#3366cc' } }).png().toBuffer();
+
+    const form = new FormData();
+    form.append('image', new Blob([png], { type: 'image/png' }), 'me.png');
+    const uploaded = await t.request('POST', `/api/owner/${owner.id}/image`, { token: owner.token, form });
+    assert.equal(uploaded.status, 200);
+    assert.match(uploaded.body.profilePicture, /^memory:\/\//);
+
+    const profile = await t.request('GET', `/api/owner/${owner.id}`, { token: owner.token });
+    assert.equal(profile.body.profilePicture, uploaded.body.profilePicture);
+
+    const notImage = new FormData();
+    notImage.append('image', new Blob(['plain text'], { type: 'text/plain' }), 'notes.txt');
+    const rejected = await t.request('POST', `/api/owner/${owner.id}/image`, { token: owner.token, form: notImage });
+    assert.equal(rejected.status, 415);
+});
+
+test('guests, stats, payments and visits cover the owner\'s PGs', async () => {
+    const owner = await t.createOwner({ name: 'Dash Owner', email: 'dash@example.com' });
+    const pg = await t.createPg(owner.token, { title: 'Dashboard PG' });
+    const resident = await t.loginResident('guest1@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id, name: 'Guest One' });
+
+    const guests = await t.request('GET', `/api/owner/${owner.id}/guests`, { token: owner.token });
+    assert.equal(guests.status, 200);
+    assert.deepEqual(guests.body.map(g => g.id), [customer.id]);
+
+    const stats = await t.request('GET', `/api/owner/${owner.id}/stats?months=3`, { token: owner.token });
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.totalPGs, 1);
+    assert.equal(stats.body.totalCustomers, 1);
+    assert.equal(stats.body.paidPayments, 1);
+    assert.equal(stats.body.totalEarnings, 8000);
+    assert.deepEqual(stats.body.rent.monthly.map(m => [m.month, m.collected]), [['2026-03', 8000]]);
+    assert.equal(stats.body.rent.outstanding, 0);
+
+    const payments = await t.request('GET', `/api/owner/${owner.id}/payments`, { token: owner.token });
+    assert.equal(payments.status, 200);
+    assert.equal(payments.body.paidCount, 1);
+    assert.equal(payments.body.totalEarnings, 8000);
+
+    const visits = await t.request('GET', `/api/owner/${owner.id}/visits`, { token: owner.token });
+    assert.equal(visits.status, 200);
+    assert.deepEqual(visits.body, []);
+});
+
+test('stats keep their shape for an owner with no PGs or no account', async () => {
+    const owner = await t.createOwner({ name: 'Empty Owner', email: 'empty@example.com' });
+    const stats = await t.request('GET', `/api/owner/${owner.id}/stats`, { token: owner.token });
+    assert.equal(stats.status, 200);
+    assert.deepEqual(stats.body, {
+        totalPGs: 0,
+        totalCustomers: 0,
+        totalEarnings: 0,
+        paidPayments: 0,
+        pendingPayments: 0,
+        depositsHeld: { count: 0, total: 0 },
+        tickets: {
+            active: 0,
+            overdue: 0,
+            resolved: 0,
+            avgResolutionHours: null,
+            medianResolutionHours: null,
+            avgResponseHours: null,
+            resolvedWithinSlaPct: null
+        },
+        rent: { collected: 0, outstanding: 0, overdue: 0, monthly: [] }
+    });
+
+    assert.deepEqual(await t.app.locals.services.owners.stats(999999, { months: 6 }), stats.body);
+});
+
+test('owners move a guest to another free bed in the same PG', async () => {
+    const owner = await t.createOwner({ name: 'Bed Owner', email: 'beds@example.com' });
+    const pg = await t.createPg(owner.token, { title: 'Moving PG' });
+    const resident = await t.loginResident('mover@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id });
+
+    const rooms = await t.request('GET', `/api/pg/${pg.id}/rooms`, { token: owner.token });
+    const beds = rooms.body.flatMap(room => room.beds);
+    const target = beds.find(bed => bed.status === 'available');
+
+    const moved = await t.request('PUT', `/api/owner/guest/${customer.id}`, { token: owner.token, body: { bed_id: target.id } });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.bed_id, target.id);
+
+    const after = await t.request('GET', `/api/pg/${pg.id}/rooms`, { token: owner.token });
+    const statuses = Object.fromEntries(after.body.flatMap(room => room.beds).map(bed => [bed.id, bed.status]));
+    assert.equal(statuses[target.id], 'occupied');
+    assert.equal(statuses[customer.bed_id], 'available');
+
+    const renamed = await t.request('PUT', `/api/owner/guest/${customer.id}`, { token: owner.token, body: { room_no: '101', floor: '1' } });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.room_no, '101');
+
+    const stranger = await t.createOwner({ name: 'Stranger', email: 'stranger@example.com' });
+    const forbidden = await t.request('PUT', `/api/owner/guest/${customer.id}`, { token: stranger.token, body: { room_no: '1' } });
+    assert.equal(forbidden.status, 403);
+});
@@ -0,0 +1,320 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+let t;
+let owner;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Pay Owner', email: 'pay-owner@example.com' });
+});
+after(() => t.close());
+
+// The PG's room summary, by type, as listed publicly
+const roomsOf = async (pgId) => {
+    const { body } = await t.request('GET', `/api/pg?owner_id=${owner.id}`);
+    return Object.fromEntries(body.find(pg => pg.id === pgId).rooms.map(r => [r.type, r]));
+};
+
+const orderStatus = async (gatewayOrderId) => {
+    const result = await t.db.query('SELECT status FROM payment_orders WHERE gateway_order_id = $1', [gatewayOrderId]);
+    return result.rows[0].status;
+};
+
+test('create-order prices the room type on the server and opens a gateway order', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Priced PG', rooms: [{ type: 'Double Sharing', count: 2, price: 8500 }] });
+    const resident = await t.loginResident('buyer@example.com');
+
+    const order = await t.request('POST', '/api/payment/create-order', {
+        token: resident,
+        body: { name: 'Buyer', pgId: pg.id, roomType: 'Double Sharing', moveInDate: '2026-04-01', amount: 1 }
+    });
+    assert.equal(order.status, 201);
+    assert.equal(order.body.keyId, 'rzp_test_key');
+    assert.equal(order.body.amount, 850000);
+    assert.match(order.body.bookingId, /^BK\d+/);
+    assert.equal(order.body.hold.expiresAt, '2026-03-10T09:15:00.000Z');
+
+    const sent = t.fakes.sent('/orders').at(-1);
+    assert.equal(sent.body.amount, 850000);
+    assert.equal(sent.body.currency, 'INR');
+    assert.equal(sent.body.notes.email, 'buyer@example.com');
+    assert.equal(sent.headers.authorization, `Basic ${Buffer.from('rzp_test_key:rzp_test_secret').toString('base64')}`);
+    assert.equal(await orderStatus(order.body.id), 'created');
+
+    assert.equal((await t.request('POST', '/api/payment/create-order', {
+        token: owner.token, body: { name: 'Owner', pgId: pg.id, roomType: 'Double Sharing' }
+    })).status, 403);
+    assert.equal((await t.request('POST', '/api/payment/create-order', {
+        token: resident, body: { name: 'Buyer', pgId: 99999, roomType: 'Double Sharing' }
+    })).status, 404);
+
+    const other = await t.loginResident('other-buyer@example.com');
+    t.fakes.fail('/orders', 500);
+    const gatewayDown = await t.request('POST', '/api/payment/create-order', {
+        token: other, body: { name: 'Other', pgId: pg.id, roomType: 'Double Sharing' }
+    });
+    t.fakes.restore('/orders');
+    assert.equal(gatewayDown.status, 502);
+    assert.equal(gatewayDown.body.error.message, 'Could not create payment order');
+    // No hold without a gateway order
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 1);
+});
+
+test('create-order refuses unpriced and sold-out room types', async () => {
+    const pg = await t.createPg(owner.token, {
+        title: 'Unpriced PG', price: '', rooms: [{ type: 'Single Room', count: 1 }]
+    });
+    const resident = await t.loginResident('unpriced@example.com');
+    const unpriced = await t.request('POST', '/api/payment/create-order', {
+        token: resident, body: { name: 'U', pgId: pg.id, roomType: 'Single Room' }
+    });
+    assert.equal(unpriced.status, 400);
+
+    const soldOut = await t.request('POST', '/api/payment/create-order', {
+        token: resident, body: { name: 'U', pgId: pg.id, roomType: 'Triple Sharing' }
+    });
+    assert.equal(soldOut.status, 409);
+});
+
+test('confirm checks the signature, books a bed and decrements availability once', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Confirm PG' });
+    const resident = await t.loginResident('confirmer@example.com');
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 2);
+
+    const { body: order } = await t.request('POST', '/api/payment/create-order', {
+        token: resident, body: { name: 'Confirmer', mobile: '9844444444', pgId: pg.id, roomType: 'Double Sharing' }
+    });
+    const payload = (signature) => ({ razorpay_order_id: order.id, razorpay_payment_id: 'pay_confirm_1', razorpay_signature: signature });
+
+    const forged = await t.request('POST', '/api/payment/confirm', { token: resident, body: payload('0'.repeat(64)) });
+    assert.equal(forged.status, 400);
+
+    const thief = await t.loginResident('thief@example.com');
+    const stolen = await t.request('POST', '/api/payment/confirm', {
+        token: thief, body: payload(t.paymentSignature(order.id, 'pay_confirm_1'))
+    });
+    assert.equal(stolen.status, 403);
+
+    const unknown = await t.request('POST', '/api/payment/confirm', {
+        token: resident,
+        body: { razorpay_order_id: 'order_missing', razorpay_payment_id: 'pay_x', razorpay_signature: t.paymentSignature('order_missing', 'pay_x') }
+    });
+    assert.equal(unknown.status, 404);
+
+    const confirmed = await t.request('POST', '/api/payment/confirm', {
+        token: resident, body: payload(t.paymentSignature(order.id, 'pay_confirm_1'))
+    });
+    assert.equal(confirmed.status, 201);
+    assert.equal(confirmed.body.status, 'Paid');
+    assert.equal(confirmed.body.email, 'confirmer@example.com');
+    assert.equal(confirmed.body.pg_id, pg.id);
+    assert.ok(confirmed.body.bed_id);
+    assert.equal(await orderStatus(order.id), 'paid');
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 1);
+
+    // Confirming again (or the webhook arriving afterwards) books nothing new
+    const repeated = await t.request('POST', '/api/payment/confirm', {
+        token: resident, body: payload(t.paymentSignature(order.id, 'pay_confirm_1'))
+    });
+    assert.equal(repeated.status, 200);
+    assert.equal(repeated.body.id, confirmed.body.id);
+    const webhook = await t.sendWebhook({
+        event: 'payment.captured',
+        payload: { payment: { entity: { id: 'pay_confirm_1', order_id: order.id } } }
+    });
+    assert.equal(webhook.status, 200);
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 1);
+});
+
+test('an order holds a bed, one per resident per PG, until it is paid, released or expires', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Held PG', rooms: [{ type: 'Double Sharing', count: 2, price: 8000 }] });
+    const resident = await t.loginResident('holder@example.com');
+    const orderFor = (token, name) => t.request('POST', '/api/payment/create-order', {
+        token, body: { name, pgId: pg.id, roomType: 'Double Sharing' }
+    });
+
+    const first = await orderFor(resident, 'Holder');
+    assert.equal(first.status, 201);
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 1);
+    const rooms = await t.request('GET', `/api/pg/${pg.id}/rooms`, { token: owner.token });
+    const heldBed = rooms.body.flatMap(r => r.beds).find(b => b.status === 'held');
+    assert.ok(heldBed);
+
+    // Owners can't take a held bed out of service
+    const maintenance = await t.request('PUT', `/api/beds/${heldBed.id}`, { token: owner.token, body: { status: 'maintenance' } });
+    assert.equal(maintenance.status, 409);
+
+    const second = await orderFor(resident, 'Holder');
+    assert.equal(second.status, 409);
+    assert.equal(second.body.error.code, 'hold_exists');
+    assert.deepEqual(second.body.error.details, {
+        holdId: first.body.hold.id, orderId: first.body.id, expiresAt: first.body.hold.expiresAt
+    });
+
+    // Releasing early puts the bed back on sale
+    const path = `/api/payment/holds/${first.body.hold.id}`;
+    const stranger = await t.loginResident('not-the-holder@example.com');
+    assert.equal((await t.request('DELETE', path, { token: stranger })).status, 403);
+    const released = await t.request('DELETE', path, { token: resident });
+    assert.equal(released.status, 200);
+    assert.equal(released.body.hold.status, 'released');
+    assert.equal((await t.request('DELETE', path, { token: resident })).status, 409);
+    assert.equal((await t.request('DELETE', '/api/payment/holds/99999', { token: resident })).status, 404);
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 2);
+
+    // A new hold lapses after 15 minutes; the release job puts the bed back
+    const again = await orderFor(resident, 'Holder');
+    assert.equal(again.status, 201);
+    t.clock.set('2026-03-10T09:14:00Z');
+    try {
+        await t.app.locals.services.payments.releaseExpiredHolds();
+        assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 1);
+        t.clock.set('2026-03-10T09:15:00Z');
+        await t.app.locals.services.payments.releaseExpiredHolds();
+        assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 2);
+        const hold = await t.db.query('SELECT status FROM booking_holds WHERE id = $1', [again.body.hold.id]);
+        assert.equal(hold.rows[0].status, 'expired');
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+
+    // Paying converts the hold: the held bed is the one booked
+    const third = await orderFor(resident, 'Holder');
+    const bedId = (await t.db.query('SELECT bed_id FROM booking_holds WHERE id = $1', [third.body.hold.id])).rows[0].bed_id;
+    const paid = await t.request('POST', '/api/payment/confirm', {
+        token: resident,
+        body: { razorpay_order_id: third.body.id, razorpay_payment_id: 'pay_held', razorpay_signature: t.paymentSignature(third.body.id, 'pay_held') }
+    });
+    assert.equal(paid.status, 201);
+    assert.equal(paid.body.bed_id, bedId);
+    const converted = await t.db.query('SELECT status, customer_id FROM booking_holds WHERE id = $1', [third.body.hold.id]);
+    assert.deepEqual(converted.rows[0], { status: 'converted', customer_id: paid.body.id });
+});
+
+test('a payment after the hold lapsed and the room type sold out is flagged for refund', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Last Bed PG', rooms: [{ type: 'Single Room', count: 1, price: 15000 }] });
+    const first = await t.loginResident('first@example.com');
+    const second = await t.loginResident('second@example.com');
+
+    const orderFor = (token, name) => t.request('POST', '/api/payment/create-order', {
+        token, body: { name, pgId: pg.id, roomType: 'Single Room' }
+    });
+    const firstOrder = (await orderFor(first, 'First')).body;
+
+    // The only bed is held, so nobody else can order it
+    assert.equal((await orderFor(second, 'Second')).status, 409);
+
+    t.clock.set('2026-03-10T09:20:00Z');
+    let secondOrder;
+    try {
+        await t.app.locals.services.payments.releaseExpiredHolds();
+        secondOrder = (await orderFor(second, 'Second')).body;
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+
+    const pay = (token, order, paymentId) => t.request('POST', '/api/payment/confirm', {
+        token,
+        body: { razorpay_order_id: order.id, razorpay_payment_id: paymentId, razorpay_signature: t.paymentSignature(order.id, paymentId) }
+    });
+    assert.equal((await pay(second, secondOrder, 'pay_second')).status, 201);
+    const late = await pay(first, firstOrder, 'pay_first');
+    assert.equal(late.status, 409);
+    assert.match(late.body.error.message, /refunded/);
+    assert.equal(await orderStatus(firstOrder.id), 'refund_pending');
+    assert.equal((await roomsOf(pg.id))['Single Room'].available, 0);
+});
+
+test('the webhook books paid orders and records failures', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Webhook PG' });
+    const resident = await t.loginResident('hooked@example.com');
+    const orderFor = async () => (await t.request('POST', '/api/payment/create-order', {
+        token: resident, body: { name: 'Hooked', pgId: pg.id, roomType: 'Double Sharing' }
+    })).body;
+
+    const paid = await orderFor();
+    const event = { event: 'order.paid', payload: { payment: { entity: { id: 'pay_hook_1', order_id: paid.id } } } };
+    assert.equal((await t.sendWebhook(event, { signature: 'bad' })).status, 400);
+    assert.equal((await t.sendWebhook(event, { signature: '' })).status, 400);
+
+    const received = await t.sendWebhook(event);
+    assert.equal(received.status, 200);
+    assert.deepEqual(received.body, { received: true });
+    assert.equal(await orderStatus(paid.id), 'paid');
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 1);
+
+    const failed = await orderFor();
+    await t.sendWebhook({
+        event: 'payment.failed',
+        payload: { payment: { entity: { id: 'pay_hook_2', order_id: failed.id, error_description: 'Card declined' } } }
+    });
+    assert.equal(await orderStatus(failed.id), 'failed');
+
+    // Unknown orders are acknowledged so the gateway stops retrying
+    const unknown = await t.sendWebhook({ event: 'payment.captured', payload: { payment: { entity: { id: 'pay_x', order_id: 'order_nope' } } } });
+    assert.equal(unknown.status, 200);
+
+    const malformed = await t.sendWebhook({ payload: {} });
+    assert.equal(malformed.status, 400);
+});
+
+test('residents and owners update the move-in date; strangers cannot', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Move-in PG' });
+    const resident = await t.loginResident('mover-in@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id });
+
+    const byResident = await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: '2026-04-01' } });
+    assert.equal(byResident.status, 200);
+    assert.match(byResident.body.move_in_date, /^2026-0[34]-/);
+
+    const byOwner = await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: owner.token, body: { moveInDate: '2026-04-05' } });
+    assert.equal(byOwner.status, 200);
+
+    const stranger = await t.loginResident('not-the-guest@example.com');
+    assert.equal((await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: stranger, body: { moveInDate: '2026-04-01' } })).status, 403);
+    assert.equal((await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: 'soon' } })).status, 400);
+    assert.equal((await t.request('PUT', '/api/customer/99999/check-in-date', { token: resident, body: { moveInDate: '2026-04-01' } })).status, 404);
+});
+
+test('the rent statement lists the first month, settled by the booking payment', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Statement PG' });
+    const resident = await t.loginResident('statement@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id, paymentId: 'pay_statement' });
+
+    const statement = await t.request('GET', `/api/customer/${customer.id}/statement`, { token: resident });
+    assert.equal(statement.status, 200);
+    assert.equal(statement.body.invoices.length, 1);
+    const [invoice] = statement.body.invoices;
+    assert.equal(invoice.status, 'paid');
+    assert.deepEqual(invoice.payments.map(p => [p.reference, p.method]), [['pay_statement', 'online']]);
+    assert.deepEqual(statement.body.totals, { billed: 8000, paid: 8000, outstanding: 0, overdue: 0 });
+
+    assert.equal((await t.request('GET', `/api/customer/${customer.id}/statement`, { token: owner.token })).status, 200);
+    assert.equal((await t.request('GET', `/api/customer/${customer.id}/statement`)).status, 401);
+});
+
+test('cancelling a booking frees its bed', async () => {
+    const pg = await t.createPg(owner.token, { title: 'Cancel PG' });
+    const resident = await t.loginResident('canceller@example.com');
+    const { customer } = await t.book(resident, { pgId: pg.id });
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 1);
+
+    const stranger = await t.loginResident('cancel-stranger@example.com');
+    assert.equal((await t.request('DELETE', `/api/customer/${customer.id}/cancel`, { token: stranger })).status, 403);
+
+    // Without a move-in date the stay has started; cancelling is for bookings that haven't
+    await t.request('PUT', `/api/customer/${customer.id}/check-in-date`, { token: resident, body: { moveInDate: '2026-03-20' } });
+    const cancelled = await t.request('DELETE', `/api/customer/${customer.id}/cancel`, { token: resident });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.success, true);
+    assert.equal((await roomsOf(pg.id))['Double Sharing'].available, 2);
+
+    const rooms = await t.request('GET', `/api/pg/${pg.id}/rooms`, { token: owner.token });
+    assert.equal(rooms.body.flatMap(r => r.beds).find(b => b.id === customer.bed_id).status, 'available');
+
+    assert.equal(cancelled.body.customer.booking_status, 'cancelled');
+    assert.equal((await t.request('DELETE', `/api/customer/${customer.id}/cancel`, { token: resident })).status, 409);
+    const myPg = await t.request('GET', '/api/user/canceller@example.com/my-pg', { token: resident });
+    assert.deepEqual(myPg.body, { hasPG: false });
+});
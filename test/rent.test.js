@@ -0,0 +1,162 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// One resident books on 2026-03-10 (March is paid at checkout); April is invoiced, reminded
+// about and settled in cash. Tests run in order and share that ledger.
+
+let t;
+let owner;
+let pg;
+let resident;
+let customer;
+let aprilInvoice;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Rent Owner', email: 'rent-owner@example.com' });
+    pg = await t.createPg(owner.token, { title: 'Ledger PG', rooms: [{ type: 'Double Sharing', count: 2, price: 8000 }] });
+    resident = await t.loginResident('tenant@example.com');
+    ({ customer } = await t.book(resident, { pgId: pg.id, name: 'Tenant' }));
+});
+after(() => t.close());
+
+test('the super admin issues a month\'s invoices once', async () => {
+    const adminToken = await t.loginAdmin();
+    assert.equal((await t.request('POST', '/api/super-admin/invoices/generate', { token: owner.token, body: {} })).status, 403);
+    assert.equal((await t.request('POST', '/api/super-admin/invoices/generate', { token: adminToken, body: { month: 'April' } })).status, 400);
+
+    const issued = await t.request('POST', '/api/super-admin/invoices/generate', { token: adminToken, body: { month: '2026-04' } });
+    assert.equal(issued.status, 200);
+    assert.equal(issued.body.created, 1);
+
+    const again = await t.request('POST', '/api/super-admin/invoices/generate', { token: adminToken, body: { month: '2026-04' } });
+    assert.equal(again.body.created, 0);
+
+    // Without a month, the clock's month: March already has the booking invoice
+    const current = await t.request('POST', '/api/super-admin/invoices/generate', { token: adminToken, body: {} });
+    assert.equal(current.body.created, 0);
+});
+
+test('owners list their invoices by month and status', async () => {
+    const april = await t.request('GET', `/api/owner/${owner.id}/invoices?month=2026-04`, { token: owner.token });
+    assert.equal(april.status, 200);
+    assert.equal(april.body.length, 1);
+    aprilInvoice = april.body[0];
+    assert.equal(aprilInvoice.customer_id, customer.id);
+    assert.equal(aprilInvoice.status, 'due');
+    assert.equal(aprilInvoice.amount, '8000.00');
+    assert.equal(aprilInvoice.pg_title, 'Ledger PG');
+
+    const paid = await t.request('GET', `/api/owner/${owner.id}/invoices?status=paid&pgId=${pg.id}`, { token: owner.token });
+    assert.equal(paid.body.length, 1);
+    assert.notEqual(paid.body[0].id, aprilInvoice.id);
+
+    assert.equal((await t.request('GET', `/api/owner/${owner.id}/invoices?status=late`, { token: owner.token })).status, 400);
+    const other = await t.createOwner({ name: 'Nosy Owner', email: 'nosy@example.com' });
+    assert.equal((await t.request('GET', `/api/owner/${owner.id}/invoices`, { token: other.token })).status, 403);
+});
+
+test('owners tune rent reminders per PG', async () => {
+    const defaults = await t.request('GET', `/api/pg/${pg.id}/reminder-settings`, { token: owner.token });
+    assert.equal(defaults.status, 200);
+    const { pg_id: pgId, ...settings } = defaults.body;
+    assert.equal(pgId, pg.id);
+    assert.deepEqual(settings, { enabled: true, days_before_due: 3, remind_on_due_date: true, days_after_due: 3, escalate_after_days: 7 });
+
+    const updated = await t.request('PUT', `/api/pg/${pg.id}/reminder-settings`, {
+        token: owner.token, body: { days_after_due: 2, escalate_after_days: 5 }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.days_after_due, 2);
+    assert.equal(updated.body.escalate_after_days, 5);
+    assert.equal(updated.body.days_before_due, 3);
+
+    assert.equal((await t.request('PUT', `/api/pg/${pg.id}/reminder-settings`, { token: owner.token, body: { days_before_due: 40 } })).status, 400);
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/reminder-settings`, { token: resident })).status, 403);
+});
+
+test('overdue rent reminds the resident and escalates to the owner, once', async () => {
+    // April rent is due on the 5th; a week later it is overdue and past the escalation point
+    t.clock.set('2026-04-12T04:00:00Z');
+    try {
+        const adminToken = await t.loginAdmin();
+        const run = await t.request('POST', '/api/super-admin/notify-payment', { token: adminToken });
+        assert.equal(run.status, 200);
+        assert.equal(run.body.remindersQueued, 1);
+        assert.equal(run.body.escalations, 1);
+        assert.equal(run.body.emailsSent, 2);
+
+        const toResident = await t.lastEmailTo('tenant@example.com');
+        assert.equal(toResident.subject, 'Rent Overdue - Book My PG');
+        assert.match(toResident.text, /April 2026/);
+        const toOwner = await t.lastEmailTo(owner.email);
+        assert.equal(toOwner.subject, 'Rent overdue: Tenant (Ledger PG)');
+
+        const rerun = await t.request('POST', '/api/super-admin/notify-payment', { token: adminToken });
+        assert.equal(rerun.body.emailsSent, 0);
+
+        const ownerToken = await t.loginOwner(owner);
+        const log = await t.request('GET', `/api/pg/${pg.id}/reminders`, { token: ownerToken });
+        assert.equal(log.status, 200);
+        assert.deepEqual(log.body.map(r => r.stage).sort(), ['escalation', 'overdue']);
+        assert.ok(log.body.every(r => r.email_status === 'sent'));
+
+        const escalations = await t.request('GET', `/api/pg/${pg.id}/reminders?stage=escalation&limit=5`, { token: ownerToken });
+        assert.deepEqual(escalations.body.map(r => r.recipient), [owner.email]);
+
+        const overdue = await t.request('GET', `/api/owner/${owner.id}/invoices?status=overdue`, { token: ownerToken });
+        assert.deepEqual(overdue.body.map(i => i.id), [aprilInvoice.id]);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
+
+test('owners record cash payments up to the balance', async () => {
+    const path = `/api/invoices/${aprilInvoice.id}/payments`;
+
+    const partial = await t.request('POST', path, { token: owner.token, body: { amount: 3000, reference: 'Receipt 12' } });
+    assert.equal(partial.status, 201);
+    assert.equal(partial.body.invoice.status, 'partially_paid');
+    assert.equal(partial.body.payment.method, 'cash');
+    assert.equal(partial.body.payment.recorded_by, owner.email);
+
+    const tooMuch = await t.request('POST', path, { token: owner.token, body: { amount: 6000 } });
+    assert.equal(tooMuch.status, 400);
+    assert.match(tooMuch.body.error.message, /5000\.00/);
+
+    assert.equal((await t.request('POST', path, { token: resident, body: { amount: 100 } })).status, 403);
+    assert.equal((await t.request('POST', '/api/invoices/99999/payments', { token: owner.token, body: { amount: 100 } })).status, 404);
+
+    const rest = await t.request('POST', path, { token: owner.token, body: { amount: '5000', method: 'upi', paidAt: '2026-04-13' } });
+    assert.equal(rest.status, 201);
+    assert.equal(rest.body.invoice.status, 'paid');
+
+    const statement = await t.request('GET', `/api/customer/${customer.id}/statement`, { token: resident });
+    assert.deepEqual(statement.body.totals, { billed: 16000, paid: 16000, outstanding: 0, overdue: 0 });
+    const guests = await t.request('GET', `/api/owner/${owner.id}/guests`, { token: owner.token });
+    assert.equal(guests.body.find(g => g.id === customer.id).status, 'Paid');
+});
+
+test('the month and due dates turn over at midnight India time', async () => {
+    const late = await t.loginResident('night-owl@example.com');
+    const { customer: nightOwl } = await t.book(late, { pgId: pg.id, name: 'Night Owl' });
+
+    // 19:00 UTC on 31 March is half past midnight on 1 April in India: the clock's month is April
+    t.clock.set('2026-03-31T19:00:00Z');
+    try {
+        const issued = await t.request('POST', '/api/super-admin/invoices/generate', { token: await t.loginAdmin(), body: {} });
+        assert.equal(issued.body.created, 1);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+
+    // April rent is due on the 5th, and overdue from the first minutes of the 6th
+    t.clock.set('2026-04-05T19:00:00Z');
+    try {
+        const ownerToken = await t.loginOwner(owner);
+        const overdue = await t.request('GET', `/api/owner/${owner.id}/invoices?status=overdue`, { token: ownerToken });
+        assert.deepEqual(overdue.body.map(i => [i.customer_id, i.billing_period.slice(0, 7)]), [[nightOwl.id, '2026-04']]);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
@@ -0,0 +1,223 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// Reviews of one PG, built up across the tests: a resident who booked, a visitor whose visit was
+// completed, and people with no stay there at all.
+
+let t;
+let owner;
+let pg;
+let resident;
+let bookingReview;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Review Owner', email: 'review-owner@example.com' });
+    pg = await t.createPg(owner.token, { title: 'Reviewed PG' });
+    resident = await t.loginResident('reviewer@example.com');
+    await t.book(resident, { pgId: pg.id, name: 'Neha' });
+});
+after(() => t.close());
+
+const listed = async () => (await t.request('GET', `/api/pg?owner_id=${owner.id}`)).body.find(p => p.id === pg.id);
+const listReviews = async (query = '') => (await t.request('GET', `/api/pg/${pg.id}/reviews${query}`)).body;
+
+test('only people who stayed at the PG can review it, once per stay', async () => {
+    assert.equal((await t.request('POST', `/api/pg/${pg.id}/review`, { body: { rating: 5 } })).status, 401);
+
+    const stranger = await t.loginResident('drive-by@example.com');
+    const unverified = await t.request('POST', `/api/pg/${pg.id}/review`, { token: stranger, body: { user_name: 'Fan', rating: 5 } });
+    assert.equal(unverified.status, 403);
+
+    const outOfRange = await t.request('POST', `/api/pg/${pg.id}/review`, { token: resident, body: { rating: 6 } });
+    assert.equal(outOfRange.status, 400);
+
+    const badDimension = await t.request('POST', `/api/pg/${pg.id}/review`, {
+        token: resident,
+        body: { rating: 5, ratings: { cleanliness: 0 } }
+    });
+    assert.equal(badDimension.status, 400);
+
+    const review = await t.request('POST', `/api/pg/${pg.id}/review`, {
+        token: resident,
+        body: { rating: 5, ratings: { cleanliness: 5, food: 3 }, review_text: 'Clean and quiet' }
+    });
+    assert.equal(review.status, 201);
+    assert.equal(review.body.user_name, 'Neha');
+    assert.equal(review.body.cleanliness_rating, 5);
+    assert.equal(review.body.safety_rating, null);
+    assert.ok(review.body.customer_id);
+    bookingReview = review.body;
+
+    const again = await t.request('POST', `/api/pg/${pg.id}/review`, { token: resident, body: { rating: 1 } });
+    assert.equal(again.status, 409);
+
+    const missing = await t.request('POST', '/api/pg/99999/review', { token: resident, body: { rating: 4 } });
+    assert.equal(missing.status, 404);
+});
+
+test('a completed visit counts as a stay', async () => {
+    const visitor = await t.loginResident('visitor@example.com');
+    const visit = await t.request('POST', '/api/visit-request', {
+        token: visitor,
+        body: { pgId: pg.id, userName: 'Arjun', userEmail: 'visitor@example.com', visitDate: '2026-03-12', visitTime: '11:00' }
+    });
+    assert.equal((await t.request('POST', `/api/pg/${pg.id}/review`, { token: visitor, body: { rating: 2 } })).status, 403);
+    await t.request('PUT', `/api/visit-request/${visit.body.id}/approve`, { token: owner.token, body: {} });
+
+    t.clock.set('2026-03-12T09:00:00Z');
+    try {
+        await t.request('PUT', `/api/visit-request/${visit.body.id}/complete`, { token: await t.loginOwner(owner) });
+        const review = await t.request('POST', `/api/pg/${pg.id}/review`, {
+            token: await t.loginResident('visitor@example.com'),
+            body: { rating: 2, review_text: 'Smaller than the photos' }
+        });
+        assert.equal(review.status, 201);
+        assert.equal(review.body.user_name, 'Arjun');
+        assert.equal(review.body.visit_id, visit.body.id);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+
+    const reviews = await t.request('GET', `/api/pg/${pg.id}/reviews`);
+    assert.equal(reviews.status, 200);
+    assert.deepEqual(reviews.body.results.map(r => [r.rating, r.stay, r.verified]), [[2, 'visit', true], [5, 'booking', true]]);
+    assert.equal(reviews.body.results[0].user_id, undefined);
+    assert.deepEqual(reviews.body.results[1].ratings, { cleanliness: 5, food: 3, safety: null, location: null, value_for_money: null });
+    assert.equal(reviews.body.nextCursor, null);
+
+    const pgNow = await listed();
+    assert.equal(pgNow.rating, '3.50');
+    assert.equal(pgNow.rating_count, 2);
+});
+
+test('reviewers edit their own reviews and the rating follows', async () => {
+    const path = `/api/reviews/${bookingReview.id}`;
+    const other = await t.loginResident('visitor@example.com');
+    assert.equal((await t.request('PUT', path, { token: other, body: { rating: 1 } })).status, 403);
+    assert.equal((await t.request('PUT', path, { token: resident, body: {} })).status, 400);
+
+    const edited = await t.request('PUT', path, { token: resident, body: { rating: 4, ratings: { food: null, safety: 4 } } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.rating, 4);
+    assert.deepEqual([edited.body.cleanliness_rating, edited.body.food_rating, edited.body.safety_rating], [5, null, 4]);
+    assert.equal(edited.body.review_text, 'Clean and quiet');
+    assert.ok(edited.body.updated_at);
+    assert.equal((await listed()).rating, '3.00');
+});
+
+test('owners reply publicly to reviews of their PG', async () => {
+    const path = `/api/reviews/${bookingReview.id}/reply`;
+    const other = await t.createOwner({ name: 'Other Owner', email: 'other-review-owner@example.com' });
+    assert.equal((await t.request('PUT', path, { token: other.token, body: { reply: 'Hi' } })).status, 403);
+    assert.equal((await t.request('PUT', path, { token: resident, body: { reply: 'Hi' } })).status, 403);
+
+    const replied = await t.request('PUT', path, { token: owner.token, body: { reply: 'Thanks, Neha!' } });
+    assert.equal(replied.status, 200);
+    assert.equal(replied.body.owner_reply, 'Thanks, Neha!');
+    assert.equal((await listReviews()).results.find(r => r.id === bookingReview.id).owner_reply, 'Thanks, Neha!');
+
+    const removed = await t.request('DELETE', path, { token: owner.token });
+    assert.equal(removed.body.owner_reply, null);
+    assert.equal((await t.request('PUT', '/api/reviews/99999/reply', { token: owner.token, body: { reply: 'Hi' } })).status, 404);
+});
+
+test('reported reviews are hidden and restored by the super admin', async () => {
+    const visitorReview = (await listReviews()).results.find(r => r.stay === 'visit');
+    const path = `/api/reviews/${visitorReview.id}/report`;
+
+    assert.equal((await t.request('POST', path, { body: { reason: 'Fake' } })).status, 401);
+    const reported = await t.request('POST', path, { token: owner.token, body: { reason: 'Never visited on that date' } });
+    assert.equal(reported.status, 201);
+    assert.equal((await t.request('POST', path, { token: owner.token, body: { reason: 'Again' } })).status, 409);
+
+    const adminToken = await t.loginAdmin();
+    assert.equal((await t.request('GET', '/api/super-admin/reviews?reported=true', { token: owner.token })).status, 403);
+    const queue = await t.request('GET', '/api/super-admin/reviews?reported=true', { token: adminToken });
+    assert.equal(queue.status, 200);
+    assert.deepEqual(queue.body.map(r => r.id), [visitorReview.id]);
+    assert.equal(queue.body[0].reports[0].reason, 'Never visited on that date');
+
+    const hidden = await t.request('PUT', `/api/super-admin/reviews/${visitorReview.id}/hide`, {
+        token: adminToken,
+        body: { reason: 'Upheld report' }
+    });
+    assert.equal(hidden.status, 200);
+    assert.equal(hidden.body.status, 'hidden');
+    assert.equal((await t.request('PUT', `/api/super-admin/reviews/${visitorReview.id}/hide`, { token: adminToken, body: {} })).status, 409);
+
+    assert.deepEqual((await listReviews()).results.map(r => r.id), [bookingReview.id]);
+    let pgNow = await listed();
+    assert.equal(pgNow.rating, '4.00');
+    assert.equal(pgNow.rating_count, 1);
+
+    const restored = await t.request('PUT', `/api/super-admin/reviews/${visitorReview.id}/restore`, { token: adminToken, body: {} });
+    assert.equal(restored.body.status, 'visible');
+    pgNow = await listed();
+    assert.equal(pgNow.rating, '3.00');
+    assert.equal(pgNow.rating_count, 2);
+});
+
+test('reviews page by newest, highest or lowest rating', async () => {
+    // Older reviews from before stays were verified
+    const { rows: older } = await t.db.query(`
+        INSERT INTO pg_reviews (pg_id, user_name, rating, cleanliness_rating, value_for_money_rating, created_at) VALUES
+            ($1, 'Old Guest', 5, 3, NULL, '2026-01-15T10:00:00Z'),
+            ($1, 'Grumpy Guest', 1, NULL, 2, '2026-02-20T10:00:00Z')
+        RETURNING id
+    `, [pg.id]);
+    const [fiveStar, oneStar] = older.map(r => r.id);
+    const visitorReview = (await listReviews()).results.find(r => r.stay === 'visit');
+
+    const pageIds = async (sort) => {
+        const ids = [];
+        let cursor = null;
+        do {
+            const page = await listReviews(`?sort=${sort}&limit=3${cursor ? `&cursor=${cursor}` : ''}`);
+            assert.ok(page.results.length <= 3);
+            ids.push(...page.results.map(r => r.id));
+            cursor = page.nextCursor;
+        } while (cursor);
+        return ids;
+    };
+    assert.deepEqual(await pageIds('newest'), [visitorReview.id, bookingReview.id, oneStar, fiveStar]);
+    assert.deepEqual(await pageIds('highest'), [fiveStar, bookingReview.id, visitorReview.id, oneStar]);
+    assert.deepEqual(await pageIds('lowest'), [oneStar, visitorReview.id, bookingReview.id, fiveStar]);
+
+    const first = await listReviews('?sort=highest&limit=1');
+    const mismatched = await t.request('GET', `/api/pg/${pg.id}/reviews?sort=lowest&cursor=${first.nextCursor}`);
+    assert.equal(mismatched.status, 400);
+    const tampered = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+    for (const values of [['newest', 'nope', 1], ['highest', 1.5, 1], ['lowest', '-5', 'x'], ['highest', '5', 0]]) {
+        const response = await t.request('GET', `/api/pg/${pg.id}/reviews?sort=${values[0]}&cursor=${tampered(values)}`);
+        assert.equal(response.status, 400, JSON.stringify(values));
+        assert.equal(response.body.error.message, 'Invalid cursor');
+    }
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/reviews?sort=oldest`)).status, 400);
+    assert.equal((await t.request('GET', '/api/pg/99999/reviews')).status, 404);
+});
+
+test('the summary breaks the rating down by star, dimension and month', async () => {
+    // The older reviews were inserted directly; any edit recomputes the headline rating with them
+    await t.request('PUT', `/api/reviews/${bookingReview.id}`, { token: resident, body: { rating: 4 } });
+
+    const summary = await t.request('GET', `/api/pg/${pg.id}/reviews/summary?months=4`);
+    assert.equal(summary.status, 200);
+    assert.equal(summary.body.rating, 3);
+    assert.equal(summary.body.count, 4);
+    assert.deepEqual(summary.body.histogram, { 1: 1, 2: 1, 3: 0, 4: 1, 5: 1 });
+    assert.deepEqual(summary.body.dimensions.cleanliness, { average: 4, count: 2 });
+    assert.deepEqual(summary.body.dimensions.safety, { average: 4, count: 1 });
+    assert.deepEqual(summary.body.dimensions.value_for_money, { average: 2, count: 1 });
+    assert.deepEqual(summary.body.dimensions.food, { average: null, count: 0 });
+    assert.deepEqual(summary.body.trend, [
+        { month: '2026-03', count: 2, average: 3 },
+        { month: '2026-02', count: 1, average: 1 },
+        { month: '2026-01', count: 1, average: 5 },
+        { month: '2025-12', count: 0, average: null }
+    ]);
+
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/reviews/summary`)).body.trend.length, 6);
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/reviews/summary?months=25`)).status, 400);
+    assert.equal((await t.request('GET', '/api/pg/99999/reviews/summary')).status, 404);
+});
@@ -0,0 +1,169 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+let t;
+const pgs = {};
+before(async () => {
+    t = await startHarness();
+    const owner = await t.createOwner({ name: 'Search Owner', email: 'search-owner@example.com' });
+
+    // Koramangala and HSR Layout are ~3 km apart; Whitefield is ~15 km from both
+    pgs.koramangala = await t.createPg(owner.token, {
+        title: 'Sunrise Ladies Hostel', description: 'Homely food and fast Wi-Fi near Forum mall',
+        city: 'Bangalore', street: 'Koramangala 5th Block', gender: 'women', food_included: true,
+        amenities: ['Wi-Fi', 'AC'], latitude: 12.9352, longitude: 77.6245, price: '9000', occupancy_types: ['Double Sharing'],
+        rooms: [{ type: 'Double Sharing', count: 2, price: 9000 }]
+    });
+    pgs.hsr = await t.createPg(owner.token, {
+        title: 'Green Nest Co-living', description: 'Quiet rooms with a gym and power backup',
+        city: 'Bangalore', street: 'HSR Layout Sector 2', gender: 'unisex',
+        amenities: ['Wi-Fi', 'Gym'], latitude: 12.9116, longitude: 77.6474, price: '7000',
+        rooms: [{ type: 'Triple Sharing', count: 3, price: 7000 }]
+    });
+    pgs.whitefield = await t.createPg(owner.token, {
+        title: 'Tech Park Men\'s PG', description: 'Walk to ITPL, meals included',
+        city: 'Bangalore', street: 'Whitefield Main Road', gender: 'men', food_included: true,
+        amenities: ['Laundry'], latitude: 12.9698, longitude: 77.7500, price: '12000',
+        occupancy_types: ['Single Room'], rooms: [{ type: 'Single Room', count: 1, price: 12000 }]
+    });
+    pgs.pune = await t.createPg(owner.token, {
+        title: 'Sunrise Residency Pune', description: 'Near the university', city: 'Pune', street: 'Kothrud',
+        latitude: 18.5074, longitude: 73.8077, price: '6000', rooms: [{ type: 'Double Sharing', count: 2, price: 6000 }]
+    });
+});
+after(() => t.close());
+
+const ids = (results) => results.map(pg => pg.id);
+
+test('geocoding goes through the geocoder and reports misses and failures', async () => {
+    t.fakes.addPlace('Koramangala, Bangalore', { lat: '12.9352', lon: '77.6245', display_name: 'Koramangala, Bengaluru, Karnataka' });
+
+    const found = await t.request('GET', '/api/geocode?address=Koramangala,%20Bangalore');
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body, { lat: '12.9352', lon: '77.6245', display_name: 'Koramangala, Bengaluru, Karnataka' });
+    const lookup = t.fakes.sent('/search').at(-1);
+    assert.equal(lookup.query.q, 'Koramangala, Bangalore');
+    assert.equal(lookup.query.format, 'json');
+    assert.ok(lookup.headers['user-agent']);
+
+    assert.equal((await t.request('GET', '/api/geocode?address=Atlantis')).status, 404);
+    assert.equal((await t.request('GET', '/api/geocode')).status, 400);
+
+    t.fakes.fail('/search', 503);
+    assert.equal((await t.request('GET', '/api/geocode?address=Koramangala,%20Bangalore')).status, 502);
+    t.fakes.restore('/search');
+});
+
+test('search ranks text matches and highlights them', async () => {
+    const { status, body } = await t.request('GET', '/api/pg/search?q=sunrise');
+    assert.equal(status, 200);
+    assert.deepEqual(ids(body.results).sort(), [pgs.koramangala.id, pgs.pune.id].sort());
+    assert.ok(body.results.every(pg => pg.title_highlight.includes('<mark>Sunrise</mark>')));
+    assert.equal(body.nextCursor, null);
+
+    const prefix = await t.request('GET', '/api/pg/search?q=gy');
+    assert.deepEqual(ids(prefix.body.results), [pgs.hsr.id]);
+
+    assert.equal((await t.request('GET', '/api/pg/search?q=%2B%2B%2B')).status, 400);
+    assert.equal((await t.request('GET', '/api/pg/search?sort=relevance')).status, 400);
+});
+
+test('search filters by city, gender, food, occupancy, price and amenities', async () => {
+    const search = async (query) => ids((await t.request('GET', `/api/pg/search?${query}`)).body.results).sort();
+
+    assert.deepEqual(await search('city=pune'), [pgs.pune.id]);
+    assert.deepEqual(await search('city=bangalore&gender=women,unisex'), [pgs.koramangala.id, pgs.hsr.id].sort());
+    assert.deepEqual(await search('city=bangalore&food=true'), [pgs.koramangala.id, pgs.whitefield.id].sort());
+    assert.deepEqual(await search('occupancy=Single%20Room'), [pgs.whitefield.id]);
+    assert.deepEqual(await search('city=bangalore&maxPrice=9500'), [pgs.koramangala.id, pgs.hsr.id].sort());
+    assert.deepEqual(await search('amenities=Wi-Fi,AC'), [pgs.koramangala.id]);
+    assert.deepEqual(await search('locality=hsr'), [pgs.hsr.id]);
+});
+
+test('search pages through results with a cursor in the chosen order', async () => {
+    const first = await t.request('GET', '/api/pg/search?sort=price_asc&limit=2');
+    assert.equal(first.status, 200);
+    assert.deepEqual(ids(first.body.results), [pgs.pune.id, pgs.hsr.id]);
+    assert.ok(first.body.nextCursor);
+
+    const second = await t.request('GET', `/api/pg/search?sort=price_asc&limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(ids(second.body.results), [pgs.koramangala.id, pgs.whitefield.id]);
+    assert.equal(second.body.nextCursor, null);
+
+    const mismatched = await t.request('GET', `/api/pg/search?sort=newest&cursor=${first.body.nextCursor}`);
+    assert.equal(mismatched.status, 400);
+});
+
+test('tampered cursors are rejected before they reach the query', async () => {
+    const cursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+    const tampered = [
+        ['newest', cursor(['newest', 'nope', 1])],
+        ['newest', cursor(['newest', '1', 1])],
+        ['price_asc', cursor(['price_asc', 'nope', 1])],
+        ['price_asc', cursor(['price_asc', '8000', 1.5])],
+        ['price_asc', cursor(['price_asc', '8000', '1'])],
+        ['rating', cursor(['rating', null, 1])]
+    ];
+    for (const [sort, value] of tampered) {
+        const response = await t.request('GET', `/api/pg/search?sort=${sort}&cursor=${value}`);
+        assert.equal(response.status, 400, `${sort} ${Buffer.from(value, 'base64url')}`);
+        assert.equal(response.body.error.message, 'Invalid cursor');
+    }
+    const nearby = await t.request('GET', `/api/pg/nearby?lat=12.9352&lng=77.6245&cursor=${cursor(['distance', 'nope', 1])}`);
+    assert.equal(nearby.status, 400);
+    assert.equal((await t.request('GET', `/api/pg/nearby?lat=12.9352&lng=77.6245&cursor=${cursor(['distance', '1.5', -3])}`)).status, 400);
+
+    const valid = await t.request('GET', `/api/pg/search?sort=newest&cursor=${cursor(['newest', '2026-03-10 09:00:00.123', 999999])}`);
+    assert.equal(valid.status, 200);
+});
+
+test('partial words and stop words still match as prefixes', async () => {
+    const partial = await t.request('GET', '/api/pg/search?q=homel');
+    assert.deepEqual(ids(partial.body.results), [pgs.koramangala.id]);
+    assert.ok(partial.body.results[0].snippet.includes('<mark>Homely</mark>'));
+
+    // `a` is an English stop word, but here it is the start of "AC" and a word of its own
+    const letter = await t.request('GET', '/api/pg/search?q=a');
+    assert.deepEqual(ids(letter.body.results).sort(), [pgs.koramangala.id, pgs.hsr.id].sort());
+
+    const suggested = await t.request('GET', '/api/pg/autocomplete?q=the%20univ');
+    assert.deepEqual(suggested.body.suggestions.map(s => s.id), [pgs.pune.id]);
+});
+
+test('autocomplete suggests listings by word prefix', async () => {
+    const { status, body } = await t.request('GET', '/api/pg/autocomplete?q=sunr&limit=5');
+    assert.equal(status, 200);
+    assert.deepEqual(body.suggestions.map(s => s.id).sort(), [pgs.koramangala.id, pgs.pune.id].sort());
+    assert.ok(body.suggestions[0].title_highlight.includes('<mark>'));
+
+    assert.deepEqual((await t.request('GET', '/api/pg/autocomplete?q=')).body, { suggestions: [] });
+    assert.equal((await t.request('GET', '/api/pg/autocomplete?q=sun&limit=50')).status, 400);
+});
+
+test('nearby finds PGs around a point, an address or inside a map box', async () => {
+    const point = await t.request('GET', '/api/pg/nearby?lat=12.9352&lng=77.6245&radiusKm=5');
+    assert.equal(point.status, 200);
+    assert.deepEqual(ids(point.body.results), [pgs.koramangala.id, pgs.hsr.id]);
+    assert.equal(point.body.results[0].distance_km, 0);
+    assert.ok(point.body.results[1].distance_km > 2 && point.body.results[1].distance_km < 5);
+
+    const wider = await t.request('GET', '/api/pg/nearby?lat=12.9352&lng=77.6245&radiusKm=20&food=true');
+    assert.deepEqual(ids(wider.body.results), [pgs.koramangala.id, pgs.whitefield.id]);
+
+    t.fakes.addPlace('Whitefield', { lat: '12.9698', lon: '77.7500', display_name: 'Whitefield, Bengaluru' });
+    const address = await t.request('GET', '/api/pg/nearby?address=Whitefield&radiusKm=2');
+    assert.equal(address.status, 200);
+    assert.equal(address.body.center.display_name, 'Whitefield, Bengaluru');
+    assert.deepEqual(ids(address.body.results), [pgs.whitefield.id]);
+    assert.equal((await t.request('GET', '/api/pg/nearby?address=Nowhere')).status, 404);
+
+    const box = await t.request('GET', '/api/pg/nearby?bbox=12.90,77.60,12.95,77.66');
+    assert.equal(box.status, 200);
+    assert.equal(box.body.radiusKm, null);
+    assert.deepEqual(ids(box.body.results).sort(), [pgs.koramangala.id, pgs.hsr.id].sort());
+
+    assert.equal((await t.request('GET', '/api/pg/nearby?lat=12.9')).status, 400);
+    assert.equal((await t.request('GET', '/api/pg/nearby')).status, 400);
+    assert.equal((await t.request('GET', '/api/pg/nearby?bbox=1,2,3')).status, 400);
+});
@@ -0,0 +1,84 @@
+const http = require('http');
+
+// One local HTTP server standing in for every third-party API the app calls, so the real
+// clients (resendTransport, createGroqClient, createGeocoder, createPaymentGateway) run
+// unchanged against it:
+//   POST /emails                       Resend
+//   POST /openai/v1/chat/completions   Groq
+//   GET  /search                       Nominatim
+//   POST /orders                       Razorpay
+// Every request is recorded in `requests`; `fail(path, status)` makes a path answer with an error.
+
+const readJson = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString();
+        try {
+            resolve(raw ? JSON.parse(raw) : null);
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on('error', reject);
+});
+
+const startFakes = async () => {
+    const requests = [];
+    const failures = new Map();
+    const places = new Map();
+    let chatReply = 'Hello from the fake model.';
+    let orderCount = 0;
+
+    const handlers = {
+        'POST /emails': () => ({ id: `email_${requests.filter(r => r.path === '/emails').length}` }),
+        'POST /openai/v1/chat/completions': () => ({ choices: [{ message: { role: 'assistant', content: chatReply } }] }),
+        'GET /search': (body, url) => {
+            const place = places.get((url.searchParams.get('q') || '').toLowerCase());
+            return place ? [place] : [];
+        },
+        'POST /orders': (body) => {
+            orderCount++;
+            return { id: `order_test_${orderCount}`, entity: 'order', amount: body.amount, currency: body.currency, receipt: body.receipt, status: 'created' };
+        }
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://fake');
+        const key = `${req.method} ${url.pathname}`;
+        let body = null;
+        try {
+            body = await readJson(req);
+        } catch (error) {
+            res.writeHead(400).end();
+            return;
+        }
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+        const reply = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+        if (failures.has(url.pathname)) return reply(failures.get(url.pathname), { message: 'Fake failure' });
+        if (!handlers[key]) return reply(404, { message: `No fake for ${key}` });
+        reply(200, handlers[key](body, url));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        requests,
+        // Requests to one path, e.g. sent('/emails')
+        sent: (path) => requests.filter(r => r.path === path),
+        emailsTo: (address) => requests.filter(r => r.path === '/emails' && r.body.to.includes(address)).map(r => r.body),
+        setChatReply: (text) => { chatReply = text; },
+        addPlace: (query, place) => places.set(query.toLowerCase(), place),
+        fail: (path, status = 500) => failures.set(path, status),
+        restore: (path) => failures.delete(path),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = { startFakes };
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const migrator = require('../../migrate');
+const { createApp, configFromEnv } = require('../../app');
+const { createMailer, resendTransport } = require('../../mailer');
+const { createImageStore, memoryDriver } = require('../../storage');
+const { createPaymentGateway, createGroqClient, createGeocoder } = require('../../clients');
+const { startFakes } = require('./fakes');
+
+// Starts the real app against a throwaway schema in a local Postgres, with every third-party
+// API pointed at the fakes in fakes.js. One harness per test file:
+//
+//   const t = await startHarness();
+//   const { status, body } = await t.request('GET', '/api/pg');
+//   await t.close();   // drops the schema
+//
+// The database comes from TEST_DATABASE_URL (or DATABASE_URL); nothing outside the new schema is touched.
+
+const SUPER_ADMIN = { email: 'admin@bmpg', password: 'test-admin-password' };
+const GATEWAY = { keyId: 'rzp_test_key', keySecret: 'rzp_test_secret', webhookSecret: 'rzp_test_webhook_secret' };
+
+// Business rules run at this time unless a test moves the clock (a Tuesday, 14:30 IST)
+const DEFAULT_NOW = '2026-03-10T09:00:00.000Z';
+
+const createTestClock = (start = DEFAULT_NOW) => {
+    let current = new Date(start);
+    return {
+        now: () => new Date(current),
+        set: (value) => { current = new Date(value); },
+        advanceDays: (days) => { current = new Date(current.getTime() + days * 24 * 60 * 60 * 1000); }
+    };
+};
+
+const databaseUrl = () => {
+    const url = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+    if (!url) throw new Error('Set TEST_DATABASE_URL to a Postgres database the tests may create schemas in');
+    return url;
+};
+
+const startHarness = async () => {
+    const connectionString = databaseUrl();
+    const schema = `test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+
+    const admin = new Pool({ connectionString, max: 1 });
+    await admin.query(`CREATE SCHEMA ${schema}`);
+    const db = new Pool({ connectionString, options: `-c search_path=${schema}` });
+    await migrator.up(db, { log: () => {} });
+
+    const fakes = await startFakes();
+    const clock = createTestClock();
+    const mailer = createMailer({
+        pool: db,
+        transport: resendTransport({ apiKey: 're_test', baseUrl: fakes.url }),
+        log: { error: () => {} }
+    });
+    const app = createApp({
+        db,
+        mailer,
+        clock,
+        llm: createGroqClient({ apiKey: 'gsk_test', baseUrl: `${fakes.url}/openai/v1` }),
+        geocoder: createGeocoder({ baseUrl: fakes.url }),
+        paymentGateway: createPaymentGateway({ baseUrl: fakes.url, ...GATEWAY }),
+        imageStore: createImageStore({ driver: memoryDriver() }),
+        config: {
+            ...configFromEnv({}),
+            authTokenSecret: 'test-token-secret',
+            superAdminPassword: SUPER_ADMIN.password
+        }
+    });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // JSON in, JSON out; `form` sends a FormData (multipart) body instead
+    const request = async (method, path, { token, body, form, headers = {} } = {}) => {
+        const init = { method, headers: { ...headers } };
+        if (token) init.headers.Authorization = `Bearer ${token}`;
+        if (form) {
+            init.body = form;
+        } else if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = typeof body === 'string' ? body : JSON.stringify(body);
+        }
+        const response = await fetch(`${baseUrl}${path}`, init);
+        const text = await response.text();
+        let json = null;
+        try {
+            json = text ? JSON.parse(text) : null;
+        } catch (error) {
+            json = text;
+        }
+        return { status: response.status, body: json, headers: response.headers };
+    };
+
+    // Sends everything queued so far. enqueue also starts a pass on its own, which may have claimed
+    // its batch before the latest email was queued, so wait for that one and then run a fresh one.
+    const drainEmails = async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        await mailer.processQueue();
+        await mailer.processQueue();
+    };
+
+    // The latest email delivered to an address
+    const lastEmailTo = async (address) => {
+        await drainEmails();
+        const emails = fakes.emailsTo(address);
+        return emails[emails.length - 1] || null;
+    };
+
+    // --- Sign-in helpers ---
+
+    const loginAdmin = async () => {
+        const { body } = await request('POST', '/api/super-admin/login', { body: SUPER_ADMIN });
+        return body.token;
+    };
+
+    // Tokens expire on the test clock, so tests that move it sign in again
+    const loginOwner = async ({ email, password }) => {
+        const { body } = await request('POST', '/api/owner/login', { body: { email, password } });
+        return body.token;
+    };
+
+    // An owner added by the super admin who has already replaced the generated password
+    const createOwner = async ({ name = 'Test Owner', email, password = 'owner-password-1', ...details } = {}) => {
+        const adminToken = await loginAdmin();
+        const added = await request('POST', '/api/super-admin/add-owner', { token: adminToken, body: { name, email, ...details } });
+        if (added.status !== 201) throw new Error(`add-owner failed: ${JSON.stringify(added.body)}`);
+
+        const first = await request('POST', '/api/owner/login', { body: { email, password: added.body.generatedPassword } });
+        const changed = await request('POST', '/api/owner/change-password', {
+            token: first.body.token,
+            body: { email, currentPassword: added.body.generatedPassword, newPassword: password }
+        });
+        return { id: added.body.owner.id, email, password, token: changed.body.token };
+    };
+
+    // Signs a resident in with the code from their login email
+    const loginResident = async (email) => {
+        await request('POST', '/api/user/login/request-code', { body: { email } });
+        const code = (await lastEmailTo(email)).text.match(/\b(\d{6})\b/)[1];
+        const { body } = await request('POST', '/api/user/login', { body: { email, code } });
+        return body.token;
+    };
+
+    // A PG listed by an owner; `rooms` is the summary synced to rooms and beds
+    const createPg = async (ownerToken, fields = {}) => {
+        const { status, body } = await request('POST', '/api/pg', {
+            token: ownerToken,
+            body: {
+                title: 'Test PG',
+                description: 'A quiet PG for tests',
+                location: 'Koramangala',
+                city: 'Bangalore',
+                price: '8000',
+                gender: 'unisex',
+                rooms: [{ type: 'Double Sharing', count: 2, price: 8000, deposit: 10000 }],
+                ...fields
+            }
+        });
+        if (status !== 201) throw new Error(`Add PG failed: ${JSON.stringify(body)}`);
+        return body;
+    };
+
+    // --- Payment gateway signatures ---
+
+    const paymentSignature = (orderId, paymentId) => {
+        return crypto.createHmac('sha256', GATEWAY.keySecret).update(`${orderId}|${paymentId}`).digest('hex');
+    };
+
+    // Sends a signed webhook; `signature` overrides the correct one
+    const sendWebhook = (payload, { signature } = {}) => {
+        const raw = JSON.stringify(payload);
+        const valid = crypto.createHmac('sha256', GATEWAY.webhookSecret).update(raw).digest('hex');
+        return request('POST', '/api/payment/webhook', {
+            body: raw,
+            headers: { 'X-Razorpay-Signature': signature === undefined ? valid : signature }
+        });
+    };
+
+    // Orders and pays for a bed as a resident; returns { order, customer }
+    const book = async (residentToken, { pgId, roomType = 'Double Sharing', name = 'Test Resident', paymentId } = {}) => {
+        const order = await request('POST', '/api/payment/create-order', { token: residentToken, body: { name, pgId, roomType } });
+        if (order.status !== 201) throw new Error(`create-order failed: ${JSON.stringify(order.body)}`);
+        const payment = paymentId || `pay_${crypto.randomBytes(6).toString('hex')}`;
+        const confirmed = await request('POST', '/api/payment/confirm', {
+            token: residentToken,
+            body: {
+                razorpay_order_id: order.body.id,
+                razorpay_payment_id: payment,
+                razorpay_signature: paymentSignature(order.body.id, payment)
+            }
+        });
+        if (confirmed.status !== 201) throw new Error(`confirm failed: ${JSON.stringify(confirmed.body)}`);
+        return { order: order.body, customer: confirmed.body };
+    };
+
+    const close = async () => {
+        await drainEmails();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await fakes.close();
+        await db.end();
+        await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+        await admin.end();
+    };
+
+    return {
+        app, db, mailer, clock, fakes, schema, baseUrl, request, drainEmails, lastEmailTo,
+        loginAdmin, loginOwner, createOwner, loginResident, createPg, paymentSignature, sendWebhook, book, close
+    };
+};
+
+module.exports = { startHarness, createTestClock, SUPER_ADMIN, GATEWAY };
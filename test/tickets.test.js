@@ -0,0 +1,169 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// Maintenance tickets in one PG: Meera lives there and raises them; Kabir has no booking.
+
+let t;
+let owner;
+let pg;
+let meera;
+let kabir;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Fixit Owner', email: 'fixit-owner@example.com' });
+    pg = await t.createPg(owner.token, { title: 'Fixit PG' });
+    meera = await t.loginResident('meera@example.com');
+    await t.book(meera, { pgId: pg.id, name: 'Meera' });
+    kabir = await t.loginResident('kabir@example.com');
+});
+after(() => t.close());
+
+const raise = (token, body) => t.request('POST', `/api/pg/${pg.id}/tickets`, {
+    token,
+    body: { category: 'plumbing', title: 'Leaking tap', description: 'The bathroom tap drips all night', ...body }
+});
+const act = (token, id, action, body) => t.request('PUT', `/api/tickets/${id}/${action}`, { token, body });
+
+test('current residents raise tickets and the owner is emailed', async () => {
+    assert.equal((await raise(kabir)).status, 403);
+    assert.equal((await raise(owner.token)).status, 403);
+    assert.equal((await raise(meera, { category: 'roof' })).status, 400);
+    assert.equal((await raise(meera, { photos: ['data:image/png;base64,AAAA'] })).status, 400);
+
+    const raised = await raise(meera, { photos: ['https://cdn.example.com/tap.jpg'] });
+    assert.equal(raised.status, 201);
+    assert.equal(raised.body.status, 'open');
+    assert.equal(raised.body.priority, 'medium');
+    assert.equal(raised.body.reporter_name, 'Meera');
+    assert.ok(raised.body.room_number);
+    assert.deepEqual(raised.body.photos, ['https://cdn.example.com/tap.jpg']);
+    assert.equal(new Date(raised.body.sla.response.due_at).toISOString(), '2026-03-11T09:00:00.000Z');
+    assert.equal(new Date(raised.body.sla.resolution.due_at).toISOString(), '2026-03-13T09:00:00.000Z');
+    assert.equal(raised.body.sla.resolution.state, 'pending');
+
+    const email = await t.lastEmailTo(owner.email);
+    assert.equal(email.subject, `New medium ticket #${raised.body.id}: Leaking tap (Fixit PG)`);
+    assert.match(email.text, /drips all night/);
+
+    const mine = await t.request('GET', '/api/user/meera@example.com/tickets', { token: meera });
+    assert.deepEqual(mine.body.map(ticket => ticket.id), [raised.body.id]);
+    assert.equal((await t.request('GET', '/api/user/meera@example.com/tickets', { token: kabir })).status, 403);
+});
+
+test('tickets move open -> assigned -> in progress -> resolved -> closed', async () => {
+    const { body: ticket } = await raise(meera, { category: 'electrical', title: 'Fan not working' });
+
+    assert.equal((await act(owner.token, ticket.id, 'start')).status, 409);
+    assert.equal((await act(meera, ticket.id, 'assign', { assignee: 'Ramesh' })).status, 403);
+
+    const assigned = await act(owner.token, ticket.id, 'assign', { assignee: 'Ramesh (electrician)' });
+    assert.equal(assigned.status, 200);
+    assert.equal(assigned.body.status, 'assigned');
+    assert.equal(assigned.body.sla.response.state, 'met');
+    assert.equal((await t.lastEmailTo('meera@example.com')).subject, `Ticket #${ticket.id} is assigned: Fan not working`);
+
+    assert.equal((await act(owner.token, ticket.id, 'start')).body.status, 'in_progress');
+    assert.equal((await act(meera, ticket.id, 'reopen', { reason: 'Still broken' })).status, 409);
+
+    const resolved = await act(owner.token, ticket.id, 'resolve', { note: 'Replaced the capacitor' });
+    assert.equal(resolved.body.status, 'resolved');
+    assert.equal(resolved.body.sla.resolution.state, 'met');
+    assert.match((await t.lastEmailTo('meera@example.com')).text, /Replaced the capacitor/);
+
+    const reopened = await act(meera, ticket.id, 'reopen', { reason: 'It stopped again after an hour' });
+    assert.equal(reopened.body.status, 'assigned');
+    assert.equal(reopened.body.reopen_count, 1);
+    assert.equal(reopened.body.resolved_at, null);
+    const email = await t.lastEmailTo(owner.email);
+    assert.equal(email.subject, `Ticket #${ticket.id} reopened: Fan not working (Fixit PG)`);
+    assert.match(email.text, /stopped again/);
+
+    await act(owner.token, ticket.id, 'resolve', { note: 'Replaced the fan' });
+    const closed = await act(meera, ticket.id, 'close');
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.status, 'closed');
+    assert.ok(closed.body.closed_at);
+    assert.equal((await act(owner.token, ticket.id, 'close')).status, 409);
+    assert.equal((await t.request('PUT', `/api/tickets/${ticket.id}`, { token: owner.token, body: { priority: 'high' } })).status, 409);
+});
+
+test('reporter and owner talk in the comment thread', async () => {
+    const { body: ticket } = await raise(meera, { category: 'internet', title: 'Wi-Fi drops' });
+
+    const fromMeera = await t.request('POST', `/api/tickets/${ticket.id}/comments`, { token: meera, body: { body: 'Worst after 9pm' } });
+    assert.equal(fromMeera.status, 201);
+    assert.equal(fromMeera.body.author_role, 'resident');
+    const toOwner = await t.lastEmailTo(owner.email);
+    assert.equal(toOwner.subject, `New comment on ticket #${ticket.id}: Wi-Fi drops`);
+    assert.match(toOwner.text, /Meera commented/);
+
+    await t.request('POST', `/api/tickets/${ticket.id}/comments`, { token: owner.token, body: { body: 'Router replacement on Friday' } });
+    assert.match((await t.lastEmailTo('meera@example.com')).text, /Router replacement on Friday/);
+
+    const full = await t.request('GET', `/api/tickets/${ticket.id}`, { token: meera });
+    assert.equal(full.status, 200);
+    assert.deepEqual(full.body.comments.map(c => [c.author_role, c.body]), [['resident', 'Worst after 9pm'], ['owner', 'Router replacement on Friday']]);
+
+    const stranger = await t.createOwner({ name: 'Other Owner', email: 'other-fixit@example.com' });
+    assert.equal((await t.request('GET', `/api/tickets/${ticket.id}`, { token: kabir })).status, 403);
+    assert.equal((await t.request('GET', `/api/tickets/${ticket.id}`, { token: stranger.token })).status, 403);
+    assert.equal((await t.request('POST', `/api/tickets/${ticket.id}/comments`, { token: kabir, body: { body: 'Hi' } })).status, 403);
+    assert.equal((await t.request('GET', '/api/tickets/999999', { token: owner.token })).status, 404);
+});
+
+test('the dashboard, SLA job and stats track overdue and resolved tickets', async () => {
+    const { body: urgent } = await raise(meera, { category: 'security', priority: 'urgent', title: 'Main door lock broken' });
+    const { body: low } = await raise(meera, { category: 'furniture', priority: 'low', title: 'Wobbly chair' });
+
+    const queue = await t.request('GET', `/api/pg/${pg.id}/tickets`, { token: owner.token });
+    assert.equal(queue.status, 200);
+    assert.equal(queue.body.tickets[0].id, urgent.id);
+    assert.equal(queue.body.tickets.at(-1).status, 'closed');
+    assert.deepEqual(queue.body.counts, { open: 4, assigned: 0, in_progress: 0, resolved: 0, closed: 1, overdue: 0 });
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/tickets`, { token: meera })).status, 403);
+
+    const retriaged = await t.request('PUT', `/api/tickets/${low.id}`, { token: owner.token, body: { priority: 'medium' } });
+    assert.equal(new Date(retriaged.body.resolution_due_at).toISOString(), '2026-03-13T09:00:00.000Z');
+    assert.equal((await t.request('PUT', `/api/tickets/${low.id}`, { token: owner.token, body: { assignee: 'Ramesh' } })).status, 409);
+
+    t.clock.set('2026-03-11T12:00:00Z');
+    try {
+        const ownerToken = await t.loginOwner(owner);
+        const overdue = await t.request('GET', `/api/pg/${pg.id}/tickets?overdue=true`, { token: ownerToken });
+        assert.deepEqual(overdue.body.tickets.map(ticket => ticket.id), [urgent.id]);
+        assert.equal(overdue.body.tickets[0].sla.response.state, 'overdue');
+        assert.equal(overdue.body.counts.overdue, 1);
+
+        assert.deepEqual(await t.app.locals.services.tickets.runSlaChecks(), { escalated: 1, closed: 0 });
+        assert.deepEqual(await t.app.locals.services.tickets.runSlaChecks(), { escalated: 0, closed: 0 });
+        assert.equal((await t.lastEmailTo(owner.email)).subject, `Overdue ticket #${urgent.id}: Main door lock broken (Fixit PG)`);
+
+        await act(ownerToken, urgent.id, 'assign', { assignee: 'Locksmith' });
+        const late = await act(ownerToken, urgent.id, 'resolve', { note: 'New lock fitted' });
+        assert.equal(late.body.sla.response.state, 'breached');
+        assert.equal(late.body.sla.resolution.state, 'breached');
+
+        const stats = await t.request('GET', `/api/owner/${owner.id}/stats`, { token: ownerToken });
+        assert.deepEqual(stats.body.tickets, {
+            active: 3,
+            overdue: 0,
+            resolved: 2,
+            avgResolutionHours: 13.5,
+            medianResolutionHours: 13.5,
+            avgResponseHours: 13.5,
+            resolvedWithinSlaPct: 50
+        });
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+
+    t.clock.set('2026-03-19T09:00:00Z');
+    try {
+        assert.deepEqual(await t.app.locals.services.tickets.runSlaChecks(), { escalated: 3, closed: 1 });
+        const { rows: [row] } = await t.db.query('SELECT status FROM maintenance_tickets WHERE id = $1', [urgent.id]);
+        assert.equal(row.status, 'closed');
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
@@ -0,0 +1,198 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// Resident sign-in and profile, My PG, the chat assistant and the app-level routes
+
+let t;
+let owner;
+let pg;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Resident Owner', email: 'resident-owner@example.com' });
+    pg = await t.createPg(owner.token, { title: 'Home PG' });
+});
+after(() => t.close());
+
+test('residents sign in with the emailed code, once', async () => {
+    const requested = await t.request('POST', '/api/user/login/request-code', { body: { email: 'resident@example.com' } });
+    assert.equal(requested.status, 200);
+    const email = await t.lastEmailTo('resident@example.com');
+    const code = email.text.match(/\b(\d{6})\b/)[1];
+
+    const wrong = await t.request('POST', '/api/user/login', {
+        body: { email: 'resident@example.com', code: code === '000000' ? '111111' : '000000' }
+    });
+    assert.equal(wrong.status, 401);
+    assert.equal((await t.request('POST', '/api/user/login', { body: { email: 'resident@example.com', code: '12ab' } })).status, 400);
+
+    const login = await t.request('POST', '/api/user/login', { body: { email: 'resident@example.com', code } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.email, 'resident@example.com');
+    assert.ok(login.body.token);
+
+    const reused = await t.request('POST', '/api/user/login', { body: { email: 'resident@example.com', code } });
+    assert.equal(reused.status, 401);
+});
+
+test('login codes expire after ten minutes', async () => {
+    await t.request('POST', '/api/user/login/request-code', { body: { email: 'slow@example.com' } });
+    const code = (await t.lastEmailTo('slow@example.com')).text.match(/\b(\d{6})\b/)[1];
+
+    t.clock.set('2026-03-10T09:11:00Z');
+    try {
+        const late = await t.request('POST', '/api/user/login', { body: { email: 'slow@example.com', code } });
+        assert.equal(late.status, 401);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
+
+test('new codes are limited per hour and do not reset the failed guesses', async () => {
+    const requestCode = () => t.request('POST', '/api/user/login/request-code', { body: { email: 'guesser@example.com' } });
+    const latestCode = async () => (await t.lastEmailTo('guesser@example.com')).text.match(/\b(\d{6})\b/)[1];
+    const guess = async (times) => {
+        const code = await latestCode();
+        for (let i = 0; i < times; i++) {
+            const wrong = String((Number(code) + 1 + i) % 1000000).padStart(6, '0');
+            assert.equal((await t.request('POST', '/api/user/login', { body: { email: 'guesser@example.com', code: wrong } })).status, 401);
+        }
+    };
+
+    assert.equal((await requestCode()).status, 200);
+    await guess(3);
+    assert.equal((await requestCode()).status, 200);
+    await guess(2);
+    assert.equal((await requestCode()).status, 200);
+    const locked = await t.request('POST', '/api/user/login', { body: { email: 'guesser@example.com', code: await latestCode() } });
+    assert.equal(locked.status, 401);
+
+    assert.equal((await requestCode()).status, 200);
+    assert.equal((await requestCode()).status, 200);
+    const throttled = await requestCode();
+    assert.equal(throttled.status, 429);
+    assert.equal(throttled.body.error.message, 'Too many login codes requested; try again later');
+
+    t.clock.set('2026-03-10T10:00:00Z');
+    try {
+        assert.equal((await requestCode()).status, 200);
+        const login = await t.request('POST', '/api/user/login', { body: { email: 'guesser@example.com', code: await latestCode() } });
+        assert.equal(login.status, 200);
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
+
+test('residents save and read their own profile', async () => {
+    const token = await t.loginResident('profile@example.com');
+
+    // Signing in already created the resident, so the first save updates it
+    const created = await t.request('POST', '/api/user/profile', { token, body: { email: 'profile@example.com', phone: 9876543210 } });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.phone, '9876543210');
+
+    const read = await t.request('GET', '/api/user/profile/profile@example.com', { token });
+    assert.equal(read.status, 200);
+    assert.equal(read.body.phone, '9876543210');
+
+    assert.equal((await t.request('GET', '/api/user/profile/someone@example.com', { token })).status, 403);
+    assert.equal((await t.request('POST', '/api/user/profile', { token, body: { email: 'someone@example.com' } })).status, 403);
+    assert.equal((await t.request('GET', '/api/user/profile/profile@example.com')).status, 401);
+});
+
+test('My PG shows the PG of the latest booking', async () => {
+    const token = await t.loginResident('settled@example.com');
+
+    const before = await t.request('GET', '/api/user/settled@example.com/my-pg', { token });
+    assert.deepEqual(before.body, { hasPG: false });
+
+    const { customer } = await t.book(token, { pgId: pg.id, name: 'Settled Resident' });
+    const mine = await t.request('GET', '/api/user/settled@example.com/my-pg', { token });
+    assert.equal(mine.status, 200);
+    assert.equal(mine.body.hasPG, true);
+    assert.equal(mine.body.pg.id, pg.id);
+    assert.equal(mine.body.customer.id, customer.id);
+
+    assert.equal((await t.request('GET', '/api/user/other@example.com/my-pg', { token })).status, 403);
+});
+
+test('an email is one resident whatever its case', async () => {
+    const lower = await t.loginResident('case@example.com');
+    const { customer } = await t.book(lower, { pgId: pg.id, name: 'Case Resident' });
+    await t.request('POST', '/api/user/profile', { token: lower, body: { email: 'case@example.com', phone: 9123456780 } });
+
+    const mixed = await t.loginResident('Case@Example.COM');
+    assert.ok(mixed);
+    const mine = await t.request('GET', '/api/user/Case@Example.COM/my-pg', { token: mixed });
+    assert.equal(mine.body.hasPG, true);
+    assert.equal(mine.body.customer.id, customer.id);
+    const profile = await t.request('GET', '/api/user/profile/Case@Example.COM', { token: mixed });
+    assert.equal(profile.body.phone, '9123456780');
+
+    const { rows } = await t.db.query("SELECT id FROM users WHERE LOWER(email) = 'case@example.com'");
+    assert.equal(rows.length, 1);
+});
+
+test('the chat assistant answers with recommended PG ids', async () => {
+    t.fakes.setChatReply(`Try this one. [PG_IDs: ${pg.id}, 9999]`);
+    try {
+        const anonymous = await t.request('POST', '/api/chat', { body: { message: 'Any PGs in Koramangala?', city: 'Bangalore' } });
+        assert.equal(anonymous.status, 200);
+        assert.deepEqual(anonymous.body, { role: 'assistant', content: `Try this one. [PG_IDs: ${pg.id}, 9999]`, pgIds: [pg.id, 9999] });
+
+        const [call] = t.fakes.sent('/openai/v1/chat/completions').slice(-1);
+        assert.equal(call.headers.authorization, 'Bearer gsk_test');
+        assert.match(call.body.messages[0].content, /Home PG/);
+        assert.doesNotMatch(call.body.messages[0].content, /USER'S BOOKING/);
+
+        // A signed-in resident's booking goes into the prompt
+        const token = await t.loginResident('settled@example.com');
+        await t.request('POST', '/api/chat', { token, body: { message: 'When do I move in?' } });
+        const [residentCall] = t.fakes.sent('/openai/v1/chat/completions').slice(-1);
+        assert.match(residentCall.body.messages[0].content, /USER'S BOOKING:\n- PG Name: Home PG/);
+    } finally {
+        t.fakes.setChatReply('Hello from the fake model.');
+    }
+
+    assert.equal((await t.request('POST', '/api/chat', { body: { message: '' } })).status, 400);
+
+    t.fakes.fail('/openai/v1/chat/completions', 503);
+    try {
+        const down = await t.request('POST', '/api/chat', { body: { message: 'Hello?' } });
+        assert.equal(down.status, 502);
+        assert.equal(down.body.error.code, 'chat_unavailable');
+    } finally {
+        t.fakes.restore('/openai/v1/chat/completions');
+    }
+});
+
+test('only the super admin can test the model', async () => {
+    assert.equal((await t.request('GET', '/api/test-groq', { token: owner.token })).status, 403);
+
+    const adminToken = await t.loginAdmin();
+    const ok = await t.request('GET', '/api/test-groq', { token: adminToken });
+    assert.deepEqual(ok.body, { success: true, response: 'Hello from the fake model.' });
+
+    t.fakes.fail('/openai/v1/chat/completions', 401);
+    try {
+        const failed = await t.request('GET', '/api/test-groq', { token: adminToken });
+        assert.equal(failed.status, 502);
+        assert.equal(failed.body.error.details.status, 401);
+    } finally {
+        t.fakes.restore('/openai/v1/chat/completions');
+    }
+});
+
+test('health, unknown routes and malformed bodies', async () => {
+    const health = await t.request('GET', '/api/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.groq_key_set, true);
+
+    const missing = await t.request('GET', '/api/nothing-here');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.message, 'No route for GET /api/nothing-here');
+
+    const malformed = await t.request('POST', '/api/user/login', { body: '{"email":' });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.error.message, 'Malformed JSON body');
+});
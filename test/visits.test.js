@@ -0,0 +1,230 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+// The test clock starts on Tuesday 2026-03-10; visits are booked for Thursday the 12th onwards
+
+let t;
+let owner;
+let pg;
+before(async () => {
+    t = await startHarness();
+    owner = await t.createOwner({ name: 'Visit Owner', email: 'visit-owner@example.com' });
+    pg = await t.createPg(owner.token, { title: 'Visitable PG', gate_close_time: '' });
+});
+after(() => t.close());
+
+const visitRequest = (token, body) => t.request('POST', '/api/visit-request', {
+    token,
+    body: { pgId: pg.id, userName: 'Visitor', ...body }
+});
+
+test('visiting hours default to every day and owners replace them', async () => {
+    const defaults = await t.request('GET', `/api/pg/${pg.id}/visit-hours`);
+    assert.equal(defaults.status, 200);
+    assert.equal(defaults.body.usingDefaults, true);
+    assert.equal(defaults.body.hours.length, 7);
+
+    const hours = [
+        { weekday: 4, start: '10:00', end: '12:00', slotMinutes: 60, capacity: 1 },
+        { weekday: 5, start: '16:00', end: '17:00', slotMinutes: 30 }
+    ];
+    const other = await t.createOwner({ name: 'Other Owner', email: 'visit-other@example.com' });
+    assert.equal((await t.request('PUT', `/api/pg/${pg.id}/visit-hours`, { token: other.token, body: { hours } })).status, 403);
+
+    const overlapping = await t.request('PUT', `/api/pg/${pg.id}/visit-hours`, {
+        token: owner.token,
+        body: { hours: [...hours, { weekday: 4, start: '11:30', end: '13:00' }] }
+    });
+    assert.equal(overlapping.status, 400);
+    assert.match(overlapping.body.error.fields['hours.2'], /overlaps/);
+
+    const saved = await t.request('PUT', `/api/pg/${pg.id}/visit-hours`, { token: owner.token, body: { hours } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body, { success: true, hours: 2 });
+
+    const current = await t.request('GET', `/api/pg/${pg.id}/visit-hours`);
+    assert.equal(current.body.usingDefaults, false);
+    assert.equal(current.body.hours.length, 2);
+});
+
+test('open slots follow the hours, skip blackout dates and the past', async () => {
+    const week = await t.request('GET', `/api/pg/${pg.id}/visit-slots?from=2026-03-10&to=2026-03-13`);
+    assert.equal(week.status, 200);
+    assert.deepEqual(week.body.days.map(d => [d.date, d.slots.map(s => s.time)]), [
+        ['2026-03-12', ['10:00', '11:00']],
+        ['2026-03-13', ['16:00', '16:30']]
+    ]);
+
+    const blackout = await t.request('POST', `/api/pg/${pg.id}/visit-blackouts`, {
+        token: owner.token, body: { date: '2026-03-13', reason: 'Holi' }
+    });
+    assert.equal(blackout.status, 201);
+    const hours = await t.request('GET', `/api/pg/${pg.id}/visit-hours`);
+    assert.deepEqual(hours.body.blackouts.map(b => b.reason), ['Holi']);
+
+    const withBlackout = await t.request('GET', `/api/pg/${pg.id}/visit-slots?from=2026-03-13&to=2026-03-13`);
+    assert.deepEqual(withBlackout.body.days, []);
+
+    assert.equal((await t.request('DELETE', `/api/pg/${pg.id}/visit-blackouts/2026-03-13`, { token: owner.token })).status, 200);
+    assert.equal((await t.request('DELETE', `/api/pg/${pg.id}/visit-blackouts/2026-03-13`, { token: owner.token })).status, 404);
+
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/visit-slots?from=2026-03-13&to=2026-03-12`)).status, 400);
+    assert.equal((await t.request('GET', `/api/pg/${pg.id}/visit-slots?from=2026-03-01&to=2026-05-01`)).status, 400);
+    assert.equal((await t.request('GET', '/api/pg/99999/visit-slots')).status, 404);
+});
+
+test('a second request for the same PG reschedules the pending one', async () => {
+    const resident = await t.loginResident('visitor@example.com');
+
+    const someoneElse = await visitRequest(resident, { userEmail: 'other@example.com', visitDate: '2026-03-12', visitTime: '10:00' });
+    assert.equal(someoneElse.status, 403);
+    const closed = await visitRequest(resident, { userEmail: 'visitor@example.com', visitDate: '2026-03-12', visitTime: '15:00' });
+    assert.equal(closed.status, 400);
+
+    const created = await visitRequest(resident, { userEmail: 'visitor@example.com', visitDate: '2026-03-12', visitTime: '10:00' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.status, 'pending');
+    assert.equal(created.body.owner_email, owner.email);
+    assert.equal((await t.lastEmailTo(owner.email)).subject.includes('Visitable PG'), true);
+
+    const moved = await visitRequest(resident, { userEmail: 'visitor@example.com', visitDate: '2026-03-12', visitTime: '11:00' });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.id, created.body.id);
+    assert.equal(moved.body.visit_time, '11:00');
+    assert.equal(moved.body.status, 'pending');
+
+    const mine = await t.request('GET', '/api/visit-request/visitor@example.com', { token: resident });
+    assert.equal(mine.status, 200);
+    assert.deepEqual(mine.body.map(v => v.id), [created.body.id]);
+    assert.equal((await t.request('GET', '/api/visit-request/someone@example.com', { token: resident })).status, 403);
+
+    // Capacity 1: the 11:00 slot is now taken
+    const rival = await t.loginResident('rival@example.com');
+    const full = await visitRequest(rival, { userEmail: 'rival@example.com', visitDate: '2026-03-12', visitTime: '11:00' });
+    assert.equal(full.status, 409);
+    const freed = await visitRequest(rival, { userEmail: 'rival@example.com', visitDate: '2026-03-12', visitTime: '10:00' });
+    assert.equal(freed.status, 201);
+
+    const ownerVisits = await t.request('GET', `/api/owner/${owner.id}/visits`, { token: owner.token });
+    assert.equal(ownerVisits.body.length, 2);
+});
+
+test('owners approve, and complete once the visit date arrives', async () => {
+    const resident = await t.loginResident('approved-visitor@example.com');
+    const { body: visit } = await visitRequest(resident, {
+        userEmail: 'approved-visitor@example.com', visitDate: '2026-03-19', visitTime: '10:00'
+    });
+
+    const other = await t.createOwner({ name: 'Not The Owner', email: 'visit-stranger@example.com' });
+    assert.equal((await t.request('PUT', `/api/visit-request/${visit.id}/approve`, { token: other.token, body: {} })).status, 403);
+    assert.equal((await t.request('PUT', `/api/visit-request/${visit.id}/approve`, { token: resident, body: {} })).status, 403);
+
+    const approved = await t.request('PUT', `/api/visit-request/${visit.id}/approve`, { token: owner.token, body: { note: 'Ask for Ramesh' } });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.status, 'approved');
+    assert.match((await t.lastEmailTo('approved-visitor@example.com')).text, /Ask for Ramesh/);
+
+    const twice = await t.request('PUT', `/api/visit-request/${visit.id}/approve`, { token: owner.token, body: {} });
+    assert.equal(twice.status, 409);
+
+    const early = await t.request('PUT', `/api/visit-request/${visit.id}/complete`, { token: owner.token });
+    assert.equal(early.status, 409);
+    assert.match(early.body.error.message, /has not arrived/);
+
+    t.clock.set('2026-03-19T06:00:00Z');
+    try {
+        const token = await t.loginOwner(owner);
+        const completed = await t.request('PUT', `/api/visit-request/${visit.id}/complete`, { token });
+        assert.equal(completed.status, 200);
+        assert.equal(completed.body.status, 'completed');
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
+
+test('owners propose another slot, which the requester accepts', async () => {
+    const resident = await t.loginResident('proposal@example.com');
+    const { body: visit } = await visitRequest(resident, { userEmail: 'proposal@example.com', visitDate: '2026-03-26', visitTime: '10:00' });
+
+    const proposed = await t.request('PUT', `/api/visit-request/${visit.id}/propose`, {
+        token: owner.token, body: { visitDate: '2026-03-26', visitTime: '11:00', note: 'Morning is busy' }
+    });
+    assert.equal(proposed.status, 200);
+    assert.equal(proposed.body.status, 'proposed');
+    assert.equal(proposed.body.proposed_time, '11:00');
+
+    const stranger = await t.loginResident('stranger@example.com');
+    assert.equal((await t.request('PUT', `/api/visit-request/${visit.id}/accept`, { token: stranger })).status, 403);
+
+    const accepted = await t.request('PUT', `/api/visit-request/${visit.id}/accept`, { token: resident });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.status, 'approved');
+    assert.equal(accepted.body.visit_time, '11:00');
+
+    t.clock.set('2026-03-26T12:00:00Z');
+    try {
+        const token = await t.loginOwner(owner);
+        const missed = await t.request('PUT', `/api/visit-request/${visit.id}/no-show`, { token });
+        assert.equal(missed.status, 200);
+        assert.equal(missed.body.status, 'no_show');
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
+
+test('requesters reschedule or cancel; owners reject', async () => {
+    const resident = await t.loginResident('changeable@example.com');
+    const { body: visit } = await visitRequest(resident, { userEmail: 'changeable@example.com', visitDate: '2026-04-02', visitTime: '10:00' });
+    await t.request('PUT', `/api/visit-request/${visit.id}/approve`, { token: owner.token, body: {} });
+
+    const rescheduled = await t.request('PUT', `/api/visit-request/${visit.id}/reschedule`, {
+        token: resident, body: { visitDate: '2026-04-02', visitTime: '11:00' }
+    });
+    assert.equal(rescheduled.status, 200);
+    assert.equal(rescheduled.body.status, 'pending');
+
+    const rejected = await t.request('PUT', `/api/visit-request/${visit.id}/reject`, { token: owner.token, body: { note: 'Full this month' } });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.status, 'rejected');
+
+    const tooLate = await t.request('PUT', `/api/visit-request/${visit.id}/cancel`, { token: resident, body: {} });
+    assert.equal(tooLate.status, 409);
+
+    const { body: second } = await visitRequest(resident, { userEmail: 'changeable@example.com', visitDate: '2026-04-09', visitTime: '10:00' });
+    const cancelled = await t.request('PUT', `/api/visit-request/${second.id}/cancel`, { token: resident, body: { reason: 'Found a place' } });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.status, 'cancelled');
+    assert.equal(cancelled.body.cancel_reason, 'Found a place');
+
+    assert.equal((await t.request('PUT', '/api/visit-request/99999/cancel', { token: resident, body: {} })).status, 404);
+});
+
+test('today\'s slots and dates follow India time, not the database session\'s zone', async () => {
+    // 09:00 UTC is 14:30 in Bengaluru: the morning of this Tuesday is already over
+    const today = await t.createPg(owner.token, { title: 'Same Day PG', gate_close_time: '' });
+    await t.request('PUT', `/api/pg/${today.id}/visit-hours`, {
+        token: owner.token, body: { hours: [{ weekday: 2, start: '10:00', end: '16:00', slotMinutes: 60 }] }
+    });
+    const slots = await t.request('GET', `/api/pg/${today.id}/visit-slots?from=2026-03-10&to=2026-03-10`);
+    assert.deepEqual(slots.body.days.map(d => [d.date, d.slots.map(s => s.time)]), [['2026-03-10', ['15:00']]]);
+
+    const resident = await t.loginResident('same-day@example.com');
+    const book = (visitTime) => t.request('POST', '/api/visit-request', {
+        token: resident,
+        body: { pgId: today.id, userName: 'Same Day', userEmail: 'same-day@example.com', visitDate: '2026-03-10', visitTime }
+    });
+    const late = await book('11:00');
+    assert.equal(late.status, 400);
+    assert.equal(late.body.error.message, 'That time is not an open visiting slot');
+    assert.equal((await book('15:00')).status, 201);
+
+    // 20:00 UTC is already Wednesday the 11th in India
+    t.clock.set('2026-03-10T20:00:00Z');
+    try {
+        const week = await t.request('GET', `/api/pg/${today.id}/visit-slots`);
+        assert.equal(week.body.from, '2026-03-11');
+    } finally {
+        t.clock.set('2026-03-10T09:00:00Z');
+    }
+});
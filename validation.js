@@ -0,0 +1,195 @@
+const { z } = require('zod');
+
+// Request validation and the API's error envelope.
+//
+// Routes declare a zod schema for each part of the request they read (params, query, body) and
+// mount validate() first, so handlers and guards only ever see parsed values: numbers are
+// numbers, unknown keys are dropped and missing optional fields are undefined.
+//
+// Every error response, from validation or anywhere else, has the same shape:
+//   { "error": { "code": "validation_failed", "message": "...", "fields": { "rating": "must be at most 5" } } }
+// `fields` is only present for validation failures and maps a field's path to its first problem.
+
+// --- Error Envelope ---
+
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    429: 'too_many_requests',
+    500: 'internal_error',
+    502: 'bad_gateway',
+    503: 'service_unavailable'
+};
+
+const errorBody = (status, message, { code, fields, details } = {}) => ({
+    error: {
+        code: code || ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request'),
+        message,
+        ...(fields && { fields }),
+        ...(details !== undefined && { details })
+    }
+});
+
+const sendError = (res, status, message, options) => res.status(status).json(errorBody(status, message, options));
+
+// Error carrying an HTTP status (and optionally a specific code or details), thrown by services
+const httpError = (status, message, { code, details } = {}) => Object.assign(new Error(message), {
+    status,
+    ...(code && { errorCode: code }),
+    ...(details !== undefined && { details })
+});
+
+// Route catch blocks: errors with a status are answered as they are; anything else is logged
+// as "Error <action>:" and answered with a 500
+const sendServiceError = (res, error, action) => {
+    if (error.status) {
+        return sendError(res, error.status, error.message, { code: error.errorCode, details: error.details });
+    }
+    console.error(`Error ${action}:`, error);
+    sendError(res, 500, 'Internal Server Error');
+};
+
+// --- Messages ---
+
+const sizeLimit = (issue, bound) => {
+    const inclusive = issue.inclusive !== false;
+    if (issue.type === 'string') {
+        if (bound === 'min' && issue.minimum === 1) return 'must not be empty';
+        return `must be ${bound === 'min' ? 'at least' : 'at most'} ${bound === 'min' ? issue.minimum : issue.maximum} characters`;
+    }
+    if (issue.type === 'array') {
+        return `must have ${bound === 'min' ? 'at least' : 'at most'} ${bound === 'min' ? issue.minimum : issue.maximum} item(s)`;
+    }
+    if (bound === 'min') return `must be ${inclusive ? 'at least' : 'greater than'} ${issue.minimum}`;
+    return `must be ${inclusive ? 'at most' : 'less than'} ${issue.maximum}`;
+};
+
+// Field-level wording ("is required", "must be at most 5"); the field name is the key in `fields`
+const errorMap = (issue, ctx) => {
+    switch (issue.code) {
+        case 'invalid_type':
+            if (issue.received === 'undefined') return { message: 'is required' };
+            if (issue.expected === 'integer') return { message: 'must be a whole number' };
+            return { message: `must be ${/^[aeiou]/.test(issue.expected) ? 'an' : 'a'} ${issue.expected}` };
+        case 'too_small':
+            return { message: sizeLimit(issue, 'min') };
+        case 'too_big':
+            return { message: sizeLimit(issue, 'max') };
+        case 'invalid_enum_value':
+            return { message: `must be one of ${issue.options.join(', ')}` };
+        case 'invalid_literal':
+            return { message: `must be ${JSON.stringify(issue.expected)}` };
+        case 'unrecognized_keys':
+            return { message: `unknown field(s): ${issue.keys.join(', ')}` };
+        default:
+            return { message: ctx.defaultError };
+    }
+};
+
+// { "path.to.field": message } with the first problem for each field; `part` names top-level issues
+const fieldErrors = (issues, part) => {
+    const fields = {};
+    for (const issue of issues) {
+        const key = issue.path.length > 0 ? issue.path.join('.') : part;
+        if (!(key in fields)) fields[key] = issue.message;
+    }
+    return fields;
+};
+
+// --- Middleware ---
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+// validate({ params, query, body }) - parses each given part and replaces it on req with the
+// result; answers 400 validation_failed listing every invalid field
+const validate = (schemas) => (req, res, next) => {
+    const fields = {};
+    const parsed = {};
+    for (const part of REQUEST_PARTS) {
+        if (!schemas[part]) continue;
+        // Bodies that aren't JSON (or are empty) arrive as {} from the parsers
+        const result = schemas[part].safeParse(req[part] ?? {}, { errorMap });
+        if (result.success) parsed[part] = result.data;
+        else Object.entries(fieldErrors(result.error.issues, part)).forEach(([key, message]) => { fields[key] ??= message; });
+    }
+    if (Object.keys(fields).length > 0) {
+        return sendError(res, 400, 'Request validation failed', { code: 'validation_failed', fields });
+    }
+    Object.assign(req, parsed);
+    next();
+};
+
+// --- Shared Schemas ---
+
+// Query strings and path segments are text; accepts numeric strings where a number is expected
+const numeric = (schema) => z.preprocess(
+    value => (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value),
+    schema
+);
+
+// 'true' / 'false' in query strings; real booleans in JSON bodies
+const booleanish = z.preprocess(
+    value => (value === 'true' ? true : value === 'false' ? false : value),
+    z.boolean()
+);
+
+const recordId = numeric(z.number().int().positive().max(2147483647));
+const idParams = z.object({ id: recordId });
+
+// Deliberately loose (local-part@domain): existing accounts include addresses like admin@bmpg
+const emailAddress = z.string().trim().max(255).regex(/^[^\s@]+@[^\s@]+$/, 'must be an email address');
+const emailParams = z.object({ email: emailAddress });
+
+const trimmed = (max) => z.string().trim().max(max);
+const requiredText = (max) => z.string().trim().min(1).max(max);
+// Text columns clients also send as numbers (room numbers, floors, legacy price labels)
+const textOrNumber = (max) => z.union([z.string(), z.number()]).transform(String).pipe(trimmed(max));
+
+const isCalendarDate = (value) => {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+const isoDate = z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'must be a date (YYYY-MM-DD)')
+    .refine(isCalendarDate, 'must be a real calendar date');
+const clockTime = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'must be a time (HH:MM, 24-hour)');
+const billingMonth = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'must be a month (YYYY-MM)');
+
+// Page sizes: a whole number from 1 to `max`, `fallback` when absent
+const pageLimit = (fallback, max) => numeric(z.number().int().min(1).max(max)).default(fallback);
+
+// Fails an object with none of the given keys set
+const atLeastOne = (schema, keys = Object.keys(schema.shape)) => schema.refine(
+    value => keys.some(key => value[key] !== undefined),
+    { message: `send at least one of ${keys.join(', ')}` }
+);
+
+module.exports = {
+    z,
+    validate,
+    sendError,
+    errorBody,
+    httpError,
+    sendServiceError,
+    ERROR_CODES,
+    numeric,
+    booleanish,
+    recordId,
+    idParams,
+    emailAddress,
+    emailParams,
+    trimmed,
+    requiredText,
+    textOrNumber,
+    isoDate,
+    clockTime,
+    billingMonth,
+    pageLimit,
+    atLeastOne
+};